@@ -0,0 +1,73 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === Arabic Text Normalization ===
+// Shared by the process comparison and the local search index, so that spelling
+// variants (hamza forms, ta marbuta, tashkeel, tatweel) compare as equal.
+
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669]/g;
+
+// Common function words that carry no meaning for matching.
+const STOP_WORDS = new Set([
+    'في', 'من', 'الي', 'علي', 'عن', 'مع', 'او', 'ثم', 'ان', 'هذا', 'هذه', 'ذلك', 'تلك',
+    'التي', 'الذي', 'الذين', 'كل', 'بعد', 'قبل', 'عند', 'اذا', 'لا', 'ما', 'هو', 'هي',
+    'تم', 'يتم', 'قد', 'به', 'بها', 'له', 'لها', 'كان', 'كانت', 'the', 'of', 'and', 'to', 'in', 'a',
+]);
+
+/**
+ * Normalizes Arabic text for matching: removes tashkeel and tatweel, unifies
+ * alef/hamza forms, ta marbuta and alef maqsura, converts Arabic-Indic digits and lowercases Latin.
+ * @param {string} text The text to normalize.
+ * @returns {string} The normalized text.
+ */
+export const normalizeArabic = (text) => String(text ?? '')
+    .replace(DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(/[إأآٱ]/g, 'ا')
+    .replace(/ؤ/g, 'و')
+    .replace(/ئ/g, 'ي')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(ARABIC_INDIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660))
+    .toLowerCase();
+
+/**
+ * Strips the definite article and a leading conjunction/preposition from a normalized token.
+ */
+const stemToken = (token) => {
+    let stem = token;
+    if (stem.length > 4 && /^(وال|بال|كال|فال)/.test(stem)) stem = stem.slice(3);
+    else if (stem.length > 4 && stem.startsWith('لل')) stem = stem.slice(2);
+    else if (stem.length > 3 && stem.startsWith('ال')) stem = stem.slice(2);
+    else if (stem.length > 3 && /^[وفب]/.test(stem)) stem = stem.slice(1);
+    return stem;
+};
+
+/**
+ * Splits text into normalized, lightly stemmed tokens without stop words.
+ * @param {string} text The text to tokenize.
+ * @returns {Array<string>} The tokens, in order.
+ */
+export const tokenizeArabic = (text) => normalizeArabic(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(stemToken);
+
+/**
+ * Measures how much two texts share, as the Jaccard index of their token sets.
+ * @param {string} a The first text.
+ * @param {string} b The second text.
+ * @returns {number} A similarity between 0 and 1.
+ */
+export const textSimilarity = (a, b) => {
+    const tokensA = new Set(tokenizeArabic(a));
+    const tokensB = new Set(tokenizeArabic(b));
+    if (tokensA.size === 0 && tokensB.size === 0) return 1;
+    let shared = 0;
+    tokensA.forEach(token => { if (tokensB.has(token)) shared += 1; });
+    return shared / (tokensA.size + tokensB.size - shared);
+};
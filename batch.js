@@ -0,0 +1,149 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { renderFlowchartSvg, escapeXml } from './flowchart.js';
+import { formatProcessGraph } from './processGraph.js';
+import { isAbortError } from './requestScheduler.js';
+import { addPageRanges, getSectionRange } from './toc.js';
+
+// === Batch Analysis ===
+// "Process all sections" runs the plan + chart pipeline once for every leaf section of the
+// ToC (an entry without subsections), scoped to its pages like a click on the entry.
+// Sections go through a queue that runs `concurrency` of them at a time and spaces their
+// starts `interval` apart. The request scheduler still limits single requests; the queue
+// keeps a manual with dozens of procedures from taking every slot while the user chats.
+// A batch section is `{ id, title, level, page, endPage, fromPage, toPage, status, plan, error }`
+// where `status` is 'pending' | 'running' | 'done' | 'error'.
+
+export const BATCH_CONCURRENCY = 1;
+export const BATCH_INTERVAL_MS = 1500;
+
+/**
+ * Lists the leaf sections of a ToC as pending batch sections.
+ * @param {Array<object>} toc The ToC.
+ * @param {number} numPages The number of pages in the document.
+ * @param {number} margin The pages read before and after each section.
+ * @returns {Array<object>} The batch sections in ToC order.
+ */
+export const createBatchSections = (toc, numPages, margin) => {
+    const entries = addPageRanges(toc, numPages) || [];
+    return entries
+        .map((entry, index) => ({ entry, index }))
+        .filter(({ entry, index }) => !(entries[index + 1]?.level > entry.level))
+        .map(({ entry, index }) => ({
+            id: `section-${index}`,
+            title: entry.title,
+            level: entry.level,
+            page: entry.page,
+            endPage: entry.endPage,
+            ...getSectionRange(entry, numPages, margin),
+            status: 'pending',
+            plan: null,
+            error: '',
+        }));
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, Math.max(0, ms));
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Runs sections through the batch queue. A failed section is marked 'error' and the
+ * queue moves on; a cancelled one goes back to 'pending'.
+ * @param {Array<object>} sections The sections to run.
+ * @param {(section: object, signal?: AbortSignal) => Promise<object>} analyze Produces the plan of a section.
+ * @param {{ onUpdate: (id: string, changes: object) => void, signal?: AbortSignal, concurrency?: number, interval?: number }} options
+ *   `onUpdate` receives every status change.
+ * @returns {Promise<void>} Settles once every section has run or the batch was cancelled.
+ */
+export const runBatchQueue = async (sections, analyze, { onUpdate, signal, concurrency = BATCH_CONCURRENCY, interval = BATCH_INTERVAL_MS }) => {
+    const queue = [...sections];
+    let nextStartAt = 0;
+
+    const runWorker = async () => {
+        for (let section = queue.shift(); section; section = queue.shift()) {
+            const startAt = Math.max(Date.now(), nextStartAt);
+            nextStartAt = startAt + interval;
+            await wait(startAt - Date.now(), signal);
+            onUpdate(section.id, { status: 'running', error: '' });
+            try {
+                onUpdate(section.id, { status: 'done', plan: await analyze(section, signal) });
+            } catch (err) {
+                if (isAbortError(err)) {
+                    onUpdate(section.id, { status: 'pending' });
+                    throw err;
+                }
+                console.error(`Batch section "${section.title}" failed:`, err);
+                onUpdate(section.id, { status: 'error', error: err instanceof Error ? err.message : String(err) });
+            }
+        }
+    };
+
+    await Promise.allSettled(Array.from({ length: Math.max(1, concurrency) }, runWorker));
+};
+
+const formatPages = (section) => (section.page === section.endPage ? `صفحة ${section.page}` : `الصفحات ${section.page}–${section.endPage}`);
+
+/**
+ * Exports a batch as one self-contained HTML file: a linked index of the sections, then
+ * each analysed section with its summary, chart and steps. The plans are embedded as JSON
+ * (`<script id="batch-data">`) for other tools to read.
+ * @param {Array<object>} sections The batch sections.
+ * @param {string} title The document title.
+ * @returns {string} The HTML document.
+ */
+export const exportBatchBundle = (sections, title) => {
+    const done = sections.filter(section => section.status === 'done' && section.plan);
+    const index = sections.map(section => {
+        const label = `${escapeXml(section.title)} <small>(${formatPages(section)})</small>`;
+        return `<li style="margin-right: ${(section.level - 1) * 1.5}rem">${section.status === 'done' ? `<a href="#${section.id}">${label}</a>` : `${label} <small>— لم يُحلَّل</small>`}</li>`;
+    }).join('\n');
+    const bodies = done.map(section => `
+<section id="${section.id}">
+    <h2>${escapeXml(section.title)}</h2>
+    <p class="pages">${formatPages(section)}</p>
+    <p>${escapeXml(section.plan.summary)}</p>
+    <div class="chart">${renderFlowchartSvg(section.plan.steps)}</div>
+    <pre>${escapeXml(formatProcessGraph(section.plan.steps))}</pre>
+    <a href="#index">العودة إلى الفهرس</a>
+</section>`).join('\n');
+    const data = JSON.stringify({ title, sections: done.map(({ status, error, ...section }) => section) }).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+body { font-family: 'Tajawal', Tahoma, sans-serif; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; color: #343a40; }
+section { border-top: 1px solid #dee2e6; padding: 1.5rem 0; }
+.pages { color: #6c757d; }
+.chart { overflow-x: auto; }
+pre { white-space: pre-wrap; background: #f8f9fa; padding: 1rem; border-radius: 6px; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<nav id="index"><h2>الأقسام (${done.length} من ${sections.length} محللة)</h2><ol>
+${index}
+</ol></nav>
+${bodies}
+<script type="application/json" id="batch-data">${data}</script>
+</body>
+</html>
+`;
+};
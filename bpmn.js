@@ -0,0 +1,230 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { layoutFlowchart, escapeXml } from './flowchart.js';
+import { normalizeSteps, getActors, getStepActor, stepsFromDiagram, UNKNOWN_ACTOR } from './processGraph.js';
+
+// === BPMN 2.0 Export & Import ===
+// Export maps tasks, decisions (exclusive gateways) and parallel gateways to BPMN
+// flow nodes, adds a start event and one end event per terminal step, and reuses
+// the flowchart layout for the diagram interchange (BPMNDI) coordinates.
+
+const BPMN_NS = 'http://www.omg.org/spec/BPMN/20100524/MODEL';
+const EVENT_SIZE = 30;
+// Room above the first step for the start event.
+const START_OFFSET = 60;
+
+const ELEMENT_BY_TYPE = {
+    task: 'task',
+    decision: 'exclusiveGateway',
+    parallel: 'parallelGateway',
+};
+
+const flowNodeId = (step) => `${step.type === 'task' ? 'Activity' : 'Gateway'}_${step.stepNumber}`;
+
+const renderBounds = ({ x, y, width, height }) =>
+    `<dc:Bounds x="${Math.round(x)}" y="${Math.round(y)}" width="${Math.round(width)}" height="${Math.round(height)}" />`;
+
+const renderWaypoints = (points) =>
+    points.map(p => `<di:waypoint x="${Math.round(p.x)}" y="${Math.round(p.y)}" />`).join('\n        ');
+
+/**
+ * Converts an extracted process into BPMN 2.0 XML with diagram interchange.
+ * Actors become lanes in a single pool; page numbers are kept as documentation.
+ * @param {{ summary?: string, steps: Array<object> }} plan The process (usually `summaryData`).
+ * @param {string} [name] The process name.
+ * @returns {string} The BPMN XML document.
+ */
+export const exportBpmn = (plan, name = 'الإجراء') => {
+    const steps = normalizeSteps(plan?.steps);
+    const actors = getActors(steps);
+    const hasLanes = actors.some(actor => actor !== UNKNOWN_ACTOR);
+    const layout = layoutFlowchart(steps, { swimlanes: hasLanes });
+
+    const shapes = new Map(layout.nodes.map(node => [node.step.stepNumber, { ...node, y: node.y + START_OFFSET }]));
+    const flowEdges = layout.edges.map((edge, index, all) => ({
+        ...edge,
+        // Two branches of one decision may lead to the same step; keep their ids unique.
+        id: all.findIndex(other => other.from === edge.from && other.to === edge.to) === index
+            ? `Flow_${edge.from}_${edge.to}` : `Flow_${edge.from}_${edge.to}_${index}`,
+        points: edge.points.map(p => ({ x: p.x, y: p.y + START_OFFSET })),
+    }));
+
+    // Start event above the first step, one end event below every step that ends a path.
+    const events = [];
+    const first = steps[0] && shapes.get(steps[0].stepNumber);
+    if (first) {
+        const cx = first.x + first.width / 2;
+        const bounds = { x: cx - EVENT_SIZE / 2, y: first.y - START_OFFSET + 10, width: EVENT_SIZE, height: EVENT_SIZE };
+        events.push({ id: 'StartEvent_1', kind: 'startEvent', step: steps[0], bounds });
+        flowEdges.unshift({
+            id: 'Flow_start', sourceRef: 'StartEvent_1', targetRef: flowNodeId(steps[0]),
+            points: [{ x: cx, y: bounds.y + EVENT_SIZE }, { x: cx, y: first.y }],
+        });
+    }
+    steps.filter(step => step.next.length === 0).forEach(step => {
+        const shape = shapes.get(step.stepNumber);
+        const cx = shape.x + shape.width / 2;
+        const top = shape.y + shape.height + 32;
+        const id = `EndEvent_${step.stepNumber}`;
+        events.push({ id, kind: 'endEvent', step, bounds: { x: cx - EVENT_SIZE / 2, y: top, width: EVENT_SIZE, height: EVENT_SIZE } });
+        flowEdges.push({
+            id: `Flow_${step.stepNumber}_end`, sourceRef: flowNodeId(step), targetRef: id,
+            points: [{ x: cx, y: shape.y + shape.height }, { x: cx, y: top }],
+        });
+    });
+
+    const byNumber = new Map(steps.map(step => [step.stepNumber, step]));
+    flowEdges.forEach(edge => {
+        if (edge.sourceRef) return;
+        edge.sourceRef = flowNodeId(byNumber.get(edge.from));
+        edge.targetRef = flowNodeId(byNumber.get(edge.to));
+    });
+    const incoming = (id) => flowEdges.filter(edge => edge.targetRef === id).map(edge => `<bpmn:incoming>${edge.id}</bpmn:incoming>`);
+    const outgoing = (id) => flowEdges.filter(edge => edge.sourceRef === id).map(edge => `<bpmn:outgoing>${edge.id}</bpmn:outgoing>`);
+    const refs = (id) => [...incoming(id), ...outgoing(id)].join('\n      ');
+
+    const flowNodes = steps.map(step => {
+        const id = flowNodeId(step);
+        const element = ELEMENT_BY_TYPE[step.type];
+        const documentation = step.page != null ? `\n      <bpmn:documentation>المصدر: صفحة ${escapeXml(step.page)}</bpmn:documentation>` : '';
+        return `    <bpmn:${element} id="${id}" name="${escapeXml(step.description)}">${documentation}
+      ${refs(id)}
+    </bpmn:${element}>`;
+    });
+    const eventNodes = events.map(event => `    <bpmn:${event.kind} id="${event.id}">
+      ${refs(event.id)}
+    </bpmn:${event.kind}>`);
+    const sequenceFlows = flowEdges.map(edge =>
+        `    <bpmn:sequenceFlow id="${edge.id}" sourceRef="${edge.sourceRef}" targetRef="${edge.targetRef}"${edge.label ? ` name="${escapeXml(edge.label)}"` : ''} />`);
+
+    const laneSet = hasLanes ? `
+    <bpmn:laneSet id="LaneSet_1">
+${actors.map((actor, index) => {
+        const members = steps.filter(step => getStepActor(step) === actor);
+        const memberEvents = events.filter(event => getStepActor(event.step) === actor);
+        const nodeRefs = [...members.map(flowNodeId), ...memberEvents.map(event => event.id)]
+            .map(id => `        <bpmn:flowNodeRef>${id}</bpmn:flowNodeRef>`).join('\n');
+        return `      <bpmn:lane id="Lane_${index + 1}" name="${escapeXml(actor)}">
+${nodeRefs}
+      </bpmn:lane>`;
+    }).join('\n')}
+    </bpmn:laneSet>` : '';
+
+    const poolTop = hasLanes ? Math.min(...layout.lanes.map(lane => lane.y)) : 0;
+    const laneShapes = hasLanes ? layout.lanes.map((lane, index) => `      <bpmndi:BPMNShape id="Lane_${index + 1}_di" bpmnElement="Lane_${index + 1}" isHorizontal="false">
+        ${renderBounds({ ...lane, height: lane.height + START_OFFSET })}
+      </bpmndi:BPMNShape>`) : [];
+    const poolShape = hasLanes ? [`      <bpmndi:BPMNShape id="Participant_1_di" bpmnElement="Participant_1" isHorizontal="false">
+        ${renderBounds({
+            x: Math.min(...layout.lanes.map(lane => lane.x)),
+            y: poolTop - EVENT_SIZE,
+            width: layout.lanes.reduce((sum, lane) => sum + lane.width, 0),
+            height: layout.lanes[0].height + START_OFFSET + EVENT_SIZE,
+        })}
+      </bpmndi:BPMNShape>`] : [];
+    const nodeShapes = [...shapes.values()].map(shape => `      <bpmndi:BPMNShape id="${flowNodeId(shape.step)}_di" bpmnElement="${flowNodeId(shape.step)}">
+        ${renderBounds(shape)}
+      </bpmndi:BPMNShape>`);
+    const eventShapes = events.map(event => `      <bpmndi:BPMNShape id="${event.id}_di" bpmnElement="${event.id}">
+        ${renderBounds(event.bounds)}
+      </bpmndi:BPMNShape>`);
+    const edgeShapes = flowEdges.map(edge => `      <bpmndi:BPMNEdge id="${edge.id}_di" bpmnElement="${edge.id}">
+        ${renderWaypoints(edge.points)}
+      </bpmndi:BPMNEdge>`);
+
+    const collaboration = hasLanes ? `
+  <bpmn:collaboration id="Collaboration_1">
+    <bpmn:participant id="Participant_1" name="${escapeXml(name)}" processRef="Process_1" />
+  </bpmn:collaboration>` : '';
+    const summaryDoc = plan?.summary ? `
+    <bpmn:documentation>${escapeXml(plan.summary)}</bpmn:documentation>` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="${BPMN_NS}" xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI" xmlns:dc="http://www.omg.org/spec/DD/20100524/DC" xmlns:di="http://www.omg.org/spec/DD/20100524/DI" id="Definitions_1" targetNamespace="http://bpmn.io/schema/bpmn">${collaboration}
+  <bpmn:process id="Process_1" name="${escapeXml(name)}" isExecutable="false">${summaryDoc}${laneSet}
+${[...eventNodes, ...flowNodes, ...sequenceFlows].join('\n')}
+  </bpmn:process>
+  <bpmndi:BPMNDiagram id="BPMNDiagram_1">
+    <bpmndi:BPMNPlane id="BPMNPlane_1" bpmnElement="${hasLanes ? 'Collaboration_1' : 'Process_1'}">
+${[...poolShape, ...laneShapes, ...nodeShapes, ...eventShapes, ...edgeShapes].join('\n')}
+    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+</bpmn:definitions>
+`;
+};
+
+const TASK_ELEMENTS = ['task', 'userTask', 'manualTask', 'serviceTask', 'scriptTask', 'sendTask', 'receiveTask', 'businessRuleTask', 'subProcess', 'callActivity'];
+const DECISION_ELEMENTS = ['exclusiveGateway', 'inclusiveGateway', 'eventBasedGateway', 'complexGateway'];
+const PARALLEL_ELEMENTS = ['parallelGateway'];
+
+const childrenByLocalName = (parent, names) =>
+    [...parent.children].filter(child => names.includes(child.localName));
+
+const documentationOf = (element) =>
+    childrenByLocalName(element, ['documentation']).map(doc => doc.textContent.trim()).join('\n');
+
+/**
+ * Parses a BPMN 2.0 XML document back into a process (`{ summary, steps }`).
+ * Activities become tasks, exclusive/inclusive gateways become decisions and parallel
+ * gateways stay parallel. Events are dropped and the flows through them are joined.
+ * Diagram coordinates are ignored; the chart is laid out again locally.
+ * @param {string} xmlText The BPMN XML.
+ * @returns {{ summary: string, steps: Array<object>, name: string }} The imported process.
+ */
+export const importBpmn = (xmlText) => {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('ملف BPMN غير صالح: تعذرت قراءة XML.');
+    }
+    const processElement = doc.getElementsByTagNameNS(BPMN_NS, 'process')[0];
+    if (!processElement) {
+        throw new Error('ملف BPMN لا يحتوي على عملية (process).');
+    }
+
+    const typeOf = (element) => {
+        if (TASK_ELEMENTS.includes(element.localName)) return 'task';
+        if (DECISION_ELEMENTS.includes(element.localName)) return 'decision';
+        if (PARALLEL_ELEMENTS.includes(element.localName)) return 'parallel';
+        return null;
+    };
+    const elements = [...processElement.children].filter(child => child.getAttribute('id'));
+    const flowNodes = elements.filter(element => typeOf(element));
+    const flows = elements.filter(element => element.localName === 'sequenceFlow').map(flow => ({
+        source: flow.getAttribute('sourceRef'),
+        target: flow.getAttribute('targetRef'),
+        label: (flow.getAttribute('name') || '').trim(),
+    }));
+    if (flowNodes.length === 0) {
+        throw new Error('ملف BPMN لا يحتوي على مهام أو بوابات.');
+    }
+
+    const actorOf = new Map();
+    [...processElement.getElementsByTagNameNS(BPMN_NS, 'lane')].forEach(lane => {
+        const actor = (lane.getAttribute('name') || '').trim();
+        if (!actor) return;
+        [...lane.getElementsByTagNameNS(BPMN_NS, 'flowNodeRef')].forEach(ref => actorOf.set(ref.textContent.trim(), actor));
+    });
+
+    const starts = elements.filter(element => element.localName === 'startEvent').map(element => element.getAttribute('id'));
+    const nodes = flowNodes.map(element => {
+        const id = element.getAttribute('id');
+        const pageMatch = documentationOf(element).match(/(?:صفحة|page)\s*(\d+)/i);
+        return {
+            id,
+            description: element.getAttribute('name') || '',
+            type: typeOf(element),
+            page: pageMatch ? Number(pageMatch[1]) : undefined,
+            actor: actorOf.get(id),
+        };
+    });
+
+    const name = (processElement.getAttribute('name') || '').trim() || 'عملية مستوردة';
+    return {
+        name,
+        summary: documentationOf(processElement) || `${name} (مستورد من ملف BPMN).`,
+        steps: stepsFromDiagram(nodes, flows, starts),
+    };
+};
@@ -0,0 +1,93 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === Chat Threads ===
+// Each workspace document keeps its conversations as named threads
+// `{ id, title, named, createdAt, updatedAt, messages }`. `messages` are the chat turns
+// `{ role: 'user' | 'model', content, ... }` in order; `named` is set once the user picks a
+// title, until then the thread is named after its first question.
+
+export const DEFAULT_THREAD_TITLE = 'محادثة جديدة';
+const MAX_TITLE_CHARS = 40;
+const EXCERPT_CHARS = 200;
+
+let nextThreadNumber = 1;
+
+/**
+ * Creates an empty thread.
+ * @param {string} [title] The title; without one the thread is named after its first question.
+ * @returns {object} The thread.
+ */
+export const createThread = (title = '') => ({
+    id: `thread-${Date.now()}-${nextThreadNumber++}`,
+    title: title || DEFAULT_THREAD_TITLE,
+    named: Boolean(title),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    messages: [],
+});
+
+const shorten = (text, limit) => {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > limit ? `${flat.slice(0, limit - 1)}…` : flat;
+};
+
+/**
+ * Stores new messages in a thread.
+ * @param {object} thread The thread.
+ * @param {Array<object>} messages The thread's messages.
+ * @returns {object} The updated thread, named after its first question unless the user named it.
+ */
+export const updateThreadMessages = (thread, messages) => {
+    if (messages === thread.messages) return thread;
+    const firstQuestion = messages.find(message => message.role === 'user')?.content;
+    return {
+        ...thread,
+        title: thread.named || !firstQuestion ? thread.title : shorten(firstQuestion, MAX_TITLE_CHARS),
+        messages,
+        updatedAt: Date.now(),
+    };
+};
+
+const ROLE_LABELS = { user: 'المستخدم', model: 'المساعد' };
+
+const describeCitation = (citation) => {
+    const where = [citation.docName, citation.page != null ? `صفحة ${citation.page}` : null].filter(Boolean).join('، ') || 'النص المُدخل';
+    return `[${citation.number}] ${where}: «${shorten(citation.text, EXCERPT_CHARS)}»`;
+};
+
+/**
+ * Exports a thread as a Markdown transcript, with the passages each answer cites.
+ * @param {object} thread The thread.
+ * @param {string} documentName The document the thread is about.
+ * @returns {string} The Markdown.
+ */
+export const exportThreadMarkdown = (thread, documentName) => {
+    const turns = thread.messages.map(message => {
+        const citations = message.citations?.length > 0
+            ? `\n\n> المقتطفات المستشهد بها:\n${message.citations.map(citation => `> - ${describeCitation(citation)}`).join('\n')}`
+            : '';
+        return `## ${ROLE_LABELS[message.role]}\n\n${message.content}${citations}`;
+    });
+    return [
+        `# ${thread.title}`,
+        `- المستند: ${documentName}\n- آخر تحديث: ${new Date(thread.updatedAt).toLocaleString('ar')}`,
+        ...turns,
+    ].join('\n\n') + '\n';
+};
+
+/**
+ * Exports a thread as JSON, keeping every message field (citations, grounding check).
+ * @param {object} thread The thread.
+ * @param {string} documentName The document the thread is about.
+ * @returns {string} The JSON text.
+ */
+export const exportThreadJson = (thread, documentName) => JSON.stringify({
+    title: thread.title,
+    document: documentName,
+    createdAt: new Date(thread.createdAt).toISOString(),
+    updatedAt: new Date(thread.updatedAt).toISOString(),
+    messages: thread.messages,
+}, null, 2);
@@ -0,0 +1,112 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { normalizeArabic, tokenizeArabic } from './arabicText.js';
+import { formatPassages } from './retrieval.js';
+
+// === Chat Citations ===
+// Chat answers cite the retrieved passages by number: the prompt lists them as `[1]`,
+// `[2]`, ... and the answer puts `[2]` (or `[1، 3]`) after each claim. The numbers are
+// resolved back to the passages for citation chips, and each sentence is checked against
+// the passages it cites, so answers the document does not support can be flagged.
+
+export const NOT_FOUND_ANSWER = 'المعلومات المطلوبة غير متوفرة في المستند.';
+
+// A cited sentence must share at least this fraction of its terms with the passages it cites.
+const MIN_SUPPORT = 0.3;
+// Shorter sentences (headings, "إليك الخطوات:") make no claim worth checking.
+const MIN_CLAIM_TOKENS = 3;
+
+// `[2]`, `[1, 3]` or `[1، 3]`, but not the text of a Markdown link `[2](url)`.
+export const CITATION_PATTERN = /\[(\d+(?:\s*[,،]\s*\d+)*)\](?!\()/g;
+
+/**
+ * Reads the passage numbers of a citation marker.
+ * @param {string} numbers The inside of the marker, e.g. `1، 3`.
+ * @returns {Array<number>} The numbers.
+ */
+export const parseCitationNumbers = (numbers) => numbers.split(/[,،]/).map(number => Number(number.trim()));
+
+/**
+ * Removes the citation markers from an answer (for sending it back as chat history,
+ * where the numbers would point at another turn's passages).
+ * @param {string} text The answer.
+ * @returns {string} The answer without markers.
+ */
+export const stripCitations = (text) => String(text).replace(CITATION_PATTERN, '').replace(/[ \t]+([.،,:؛!؟?])/g, '$1');
+
+/**
+ * Formats passages for a prompt as `[Source: ...]`-tagged text, each preceded by the number
+ * the answer cites it by.
+ * @param {Array<object>} passages Passages from `retrievePassages`.
+ * @returns {string} The prompt context.
+ */
+export const formatNumberedPassages = (passages) => passages
+    .map((passage, index) => `[${index + 1}] ${formatPassages([passage])}`)
+    .join('\n\n');
+
+/**
+ * Lists the passages an answer cites, in the order they are first cited. Numbers that
+ * match no passage are left out.
+ * @param {string} text The answer.
+ * @param {Array<{ docName: string | null, page: number | null, text: string }>} passages The numbered passages.
+ * @returns {Array<{ number: number, docName: string | null, page: number | null, text: string }>} The cited passages.
+ */
+export const extractCitations = (text, passages) => {
+    const numbers = new Set();
+    [...String(text).matchAll(CITATION_PATTERN)].forEach(match => parseCitationNumbers(match[1]).forEach(number => numbers.add(number)));
+    return [...numbers]
+        .filter(number => passages[number - 1])
+        .map(number => {
+            const { docName, page, text: passageText } = passages[number - 1];
+            return { number, docName, page, text: passageText };
+        });
+};
+
+/**
+ * Splits an answer into sentences, keeping each sentence's citation markers with it
+ * (whether they come before or after its full stop).
+ */
+const splitSentences = (text) => String(text)
+    .split(/\n+|(?<=[.!؟?](?:\s*\[[\d\s,،]+\])*)\s+(?!\[\d)/)
+    .map(sentence => sentence.replace(/^\s*(?:[-*•+>]|#+|\d+[.)])\s+/, '').trim())
+    .filter(Boolean);
+
+const isSupported = (sentence, passages) => {
+    const cited = [...sentence.matchAll(CITATION_PATTERN)]
+        .flatMap(match => parseCitationNumbers(match[1]))
+        .map(number => passages[number - 1])
+        .filter(Boolean);
+    if (cited.length === 0) return false;
+    const terms = new Set(tokenizeArabic(stripCitations(sentence)));
+    const passageTerms = new Set(cited.flatMap(passage => tokenizeArabic(passage.text)));
+    let shared = 0;
+    terms.forEach(term => { if (passageTerms.has(term)) shared += 1; });
+    return shared / terms.size >= MIN_SUPPORT;
+};
+
+/**
+ * Checks how well an answer is supported by the passages it was given. A sentence counts
+ * as supported when it cites at least one existing passage and shares enough of its terms
+ * with the passages it cites.
+ * @param {string} text The answer.
+ * @param {Array<{ text: string }>} passages The numbered passages.
+ * @returns {{ status: 'grounded' | 'partial' | 'ungrounded' | 'not-found', unsupported: Array<string> }}
+ *   `not-found` is the refusal of `NOT_FOUND_ANSWER`; `unsupported` lists the sentences
+ *   (without markers) that no passage backs.
+ */
+export const assessGrounding = (text, passages) => {
+    const answer = String(text).trim();
+    if (normalizeArabic(answer).includes(normalizeArabic(NOT_FOUND_ANSWER.slice(0, -1))) && extractCitations(answer, passages).length === 0) {
+        return { status: 'not-found', unsupported: [] };
+    }
+    const claims = splitSentences(answer).filter(sentence => tokenizeArabic(stripCitations(sentence)).length >= MIN_CLAIM_TOKENS);
+    const unsupported = claims.filter(sentence => !isSupported(sentence, passages)).map(stripCitations);
+    let status = 'partial';
+    if (claims.length === 0) status = extractCitations(answer, passages).length > 0 ? 'grounded' : 'ungrounded';
+    else if (unsupported.length === 0) status = 'grounded';
+    else if (unsupported.length === claims.length) status = 'ungrounded';
+    return { status, unsupported };
+};
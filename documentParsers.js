@@ -0,0 +1,497 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { openZip } from './zip.js';
+import { addPageRanges } from './toc.js';
+
+// === Document Parsers ===
+// Reads Word (.docx), Excel (.xlsx), HTML and plain-text uploads in the browser and
+// writes them in the paged source format of the PDF parser (`[Source: Page X]` markers),
+// so retrieval, citations and the source viewer work the same for every file.
+//
+// Every parser turns its file into a list of blocks (`{ text, heading? }` or a page break)
+// and `buildPagedText` lays them out on pages. Word files keep the page breaks Word
+// recorded when the file was saved; Excel files get one page per sheet (long sheets are
+// continued on further pages); everything else is cut into pages of about `PAGE_CHARS`
+// characters. Headings (Word heading styles, HTML `<h1>`-`<h3>`, sheet names) make up
+// the document's native ToC. A cancelled upload stops at the next file part or sheet.
+
+export const PAGE_CHARS = 3000;
+const SHEET_ROWS_PER_PAGE = 50;
+const TOC_MAX_LEVEL = 3;
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const PAGE_BREAK = { pageBreak: true };
+
+const KINDS_BY_EXTENSION = { pdf: 'pdf', docx: 'docx', xlsx: 'xlsx', html: 'html', htm: 'html', txt: 'txt' };
+const KINDS_BY_MIME = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'text/html': 'html',
+    'text/plain': 'txt',
+};
+const LEGACY_FORMATS = { doc: 'docx', xls: 'xlsx', ppt: 'pptx' };
+
+// The `accept` list of the upload input.
+export const UPLOAD_ACCEPT = '.pdf,.docx,.xlsx,.html,.htm,.txt,image/*';
+
+const extensionOf = (name) => (name.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+
+/**
+ * Works out how an uploaded file should be read, from its extension first (browsers
+ * often leave `type` empty for Office files) and then its MIME type.
+ * @param {File} file The uploaded file.
+ * @returns {'pdf' | 'image' | 'docx' | 'xlsx' | 'html' | 'txt' | null} The kind, or null when unsupported.
+ */
+export const getDocumentKind = (file) => KINDS_BY_EXTENSION[extensionOf(file.name)]
+    || KINDS_BY_MIME[file.type]
+    || (file.type.startsWith('image/') ? 'image' : null);
+
+/**
+ * Explains why a file cannot be read.
+ * @param {File} file The rejected file.
+ * @returns {string} The message for the user.
+ */
+export const describeUnsupportedFile = (file) => {
+    const extension = extensionOf(file.name);
+    return LEGACY_FORMATS[extension]
+        ? `صيغة .${extension} القديمة غير مدعومة، يرجى حفظ الملف بصيغة .${LEGACY_FORMATS[extension]} ثم تحميله.`
+        : 'نوع ملف غير مدعوم. يرجى تحميل ملف PDF أو Word أو Excel أو HTML أو نص أو صورة.';
+};
+
+// --- Paging ---
+
+const escapeCell = (text) => text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim();
+
+/**
+ * Renders rows of cell texts as a markdown table with the first row as its header.
+ */
+const renderMarkdownTable = (rows) => {
+    const width = Math.max(...rows.map(row => row.length));
+    const lines = rows.map(row => `| ${Array.from({ length: width }, (_, index) => escapeCell(row[index] || '')).join(' | ')} |`);
+    lines.splice(1, 0, `| ${Array.from({ length: width }, () => '---').join(' | ')} |`);
+    return lines.join('\n');
+};
+
+/**
+ * Lays blocks out on pages and writes them in the paged source format. With page-break
+ * blocks in the list, pages follow them; otherwise a page is closed once it holds about
+ * `PAGE_CHARS` characters. Headings are written as markdown headings and collected as the ToC.
+ * @param {Array<{ text?: string, heading?: number, pageBreak?: boolean }>} blocks The blocks.
+ * @returns {{ text: string, toc: Array<{ title: string, page: number, level: number, endPage: number }> | null }}
+ */
+export const buildPagedText = (blocks) => {
+    const explicitBreaks = blocks.some(block => block.pageBreak);
+    const pages = [[]];
+    const toc = [];
+    let pageLength = 0;
+    const startPage = () => {
+        pages.push([]);
+        pageLength = 0;
+    };
+
+    blocks.forEach(block => {
+        const page = pages[pages.length - 1];
+        if (block.pageBreak) {
+            // Word may record the same break twice (an explicit break and the rendered one).
+            if (page.length > 0) startPage();
+            return;
+        }
+        const text = block.text.trim();
+        if (!text) return;
+        if (!explicitBreaks && page.length > 0 && pageLength + text.length > PAGE_CHARS) startPage();
+        if (block.heading) {
+            if (block.heading <= TOC_MAX_LEVEL) toc.push({ title: text.replace(/\s+/g, ' '), page: pages.length, level: block.heading });
+            pages[pages.length - 1].push(`${'#'.repeat(Math.min(block.heading, 6))} ${text}`);
+        } else {
+            pages[pages.length - 1].push(text);
+        }
+        pageLength += text.length;
+    });
+
+    const filledPages = pages.filter(page => page.length > 0);
+    const text = filledPages
+        .map((page, index) => `[Source: Page ${index + 1}]\n${page.join('\n\n')}\n`)
+        .join('');
+    return { text, toc: toc.length > 0 ? addPageRanges(toc, filledPages.length) : null };
+};
+
+// --- Text files ---
+
+/**
+ * Decodes a text file: UTF-16 when it starts with a byte order mark, UTF-8 when it is
+ * valid UTF-8, and otherwise Windows-1256, the legacy Arabic code page.
+ */
+const decodeText = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes);
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch {
+        return new TextDecoder('windows-1256').decode(bytes);
+    }
+};
+
+/**
+ * Reads a plain-text file. Form feeds are page breaks; paragraphs are separated by blank lines.
+ * @param {ArrayBuffer} buffer The file contents.
+ * @returns {{ text: string, toc: null }}
+ */
+export const parsePlainText = (buffer) => {
+    const blocks = decodeText(buffer).replace(/\r\n?/g, '\n').split('\f').flatMap((page, index) => [
+        ...(index > 0 ? [PAGE_BREAK] : []),
+        ...page.split(/\n\s*\n/).map(paragraph => ({ text: paragraph })),
+    ]);
+    return buildPagedText(blocks);
+};
+
+// --- HTML ---
+
+const SKIPPED_HTML_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'nav', 'iframe', 'svg', 'button', 'select']);
+const BLOCK_HTML_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'header', 'hr', 'li', 'main', 'ol', 'p', 'section', 'ul',
+]);
+
+const collapseSpaces = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Reads an HTML page: headings, paragraphs, list items (as `- ` lines) and tables (as
+ * markdown). Scripts, styles and navigation menus are left out.
+ * @param {ArrayBuffer} buffer The file contents.
+ * @returns {{ text: string, toc: Array<object> | null }}
+ */
+export const parseHtml = (buffer) => {
+    const doc = new DOMParser().parseFromString(decodeText(buffer), 'text/html');
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+        const text = inline.split('\n').map(line => line.replace(/ +/g, ' ').trim()).filter(Boolean).join('\n');
+        if (text && text !== '-') blocks.push({ text });
+        inline = '';
+    };
+
+    const walk = (node) => {
+        [...node.childNodes].forEach(child => {
+            if (child.nodeType === 3) {
+                inline += child.nodeValue.replace(/\s+/g, ' ');
+                return;
+            }
+            if (child.nodeType !== 1) return;
+            const tag = child.localName.toLowerCase();
+            if (SKIPPED_HTML_ELEMENTS.has(tag)) return;
+            if (tag === 'br') {
+                inline += '\n';
+            } else if (/^h[1-6]$/.test(tag)) {
+                flush();
+                blocks.push({ text: collapseSpaces(child.textContent), heading: Number(tag[1]) });
+            } else if (tag === 'table') {
+                flush();
+                const rows = [...child.getElementsByTagName('tr')]
+                    .map(row => [...row.childNodes]
+                        .filter(cell => cell.nodeType === 1 && /^t[dh]$/i.test(cell.localName))
+                        .map(cell => collapseSpaces(cell.textContent)))
+                    .filter(row => row.some(Boolean));
+                if (rows.length > 0) blocks.push({ text: renderMarkdownTable(rows) });
+            } else if (tag === 'pre') {
+                flush();
+                blocks.push({ text: child.textContent });
+            } else if (tag === 'li') {
+                flush();
+                inline = '- ';
+                walk(child);
+                flush();
+            } else if (BLOCK_HTML_ELEMENTS.has(tag)) {
+                flush();
+                walk(child);
+                flush();
+            } else {
+                walk(child);
+            }
+        });
+    };
+    walk(doc.body || doc.documentElement);
+    flush();
+    return buildPagedText(blocks);
+};
+
+// --- Office Open XML ---
+
+const parseXml = (text) => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('تعذرت قراءة محتوى الملف: XML غير صالح.');
+    }
+    return doc;
+};
+
+const childElements = (element, namespace, localName) => [...element.childNodes]
+    .filter(child => child.nodeType === 1 && child.namespaceURI === namespace && (!localName || child.localName === localName));
+
+const firstChild = (element, namespace, localName) => (element ? childElements(element, namespace, localName)[0] : undefined);
+
+const wordAttribute = (element, name) => (element ? element.getAttributeNS(W_NS, name) || '' : '');
+
+// --- Word ---
+
+/**
+ * Maps paragraph style ids to heading levels, from the style's outline level (following
+ * `basedOn`) or its built-in name (`heading 1`, `Title`).
+ */
+const readHeadingStyles = (stylesDoc) => {
+    const styles = new Map([...stylesDoc.getElementsByTagNameNS(W_NS, 'style')]
+        .filter(style => wordAttribute(style, 'type') === 'paragraph')
+        .map(style => [wordAttribute(style, 'styleId'), style]));
+    const levelOf = (styleId, depth = 0) => {
+        const style = styles.get(styleId);
+        if (!style || depth > 10) return 0;
+        const outline = firstChild(firstChild(style, W_NS, 'pPr'), W_NS, 'outlineLvl');
+        if (outline) return Number(wordAttribute(outline, 'val')) + 1;
+        const name = wordAttribute(firstChild(style, W_NS, 'name'), 'val').toLowerCase();
+        const heading = name.match(/^heading\s*(\d)$/);
+        if (heading) return Number(heading[1]);
+        if (name === 'title') return 1;
+        return levelOf(wordAttribute(firstChild(style, W_NS, 'basedOn'), 'val'), depth + 1);
+    };
+    const levels = new Map();
+    styles.forEach((style, styleId) => {
+        const level = levelOf(styleId);
+        // Outline level 10 is "body text".
+        if (level >= 1 && level <= 9) levels.set(styleId, level);
+    });
+    return levels;
+};
+
+const SKIPPED_WORD_ELEMENTS = new Set(['pPr', 'rPr', 'del', 'delText', 'instrText', 'fldChar', 'footnoteReference', 'endnoteReference']);
+
+/**
+ * Collects the text of a paragraph (or table cell) in order, with page breaks as
+ * `PAGE_BREAK` tokens. Text boxes are read once: the fallback copy of alternate
+ * content is skipped.
+ */
+const collectWordText = (node, tokens = []) => {
+    [...node.childNodes].forEach(child => {
+        if (child.nodeType !== 1) return;
+        if (child.namespaceURI !== W_NS) {
+            if (child.localName !== 'Fallback') collectWordText(child, tokens);
+            return;
+        }
+        switch (child.localName) {
+            case 't':
+                tokens.push(child.textContent);
+                break;
+            case 'tab':
+                tokens.push(' ');
+                break;
+            case 'noBreakHyphen':
+                tokens.push('-');
+                break;
+            case 'br':
+                tokens.push(wordAttribute(child, 'type') === 'page' ? PAGE_BREAK : '\n');
+                break;
+            case 'cr':
+                tokens.push('\n');
+                break;
+            case 'lastRenderedPageBreak':
+                tokens.push(PAGE_BREAK);
+                break;
+            case 'p':
+                collectWordText(child, tokens);
+                tokens.push('\n');
+                break;
+            default:
+                if (!SKIPPED_WORD_ELEMENTS.has(child.localName)) collectWordText(child, tokens);
+        }
+    });
+    return tokens;
+};
+
+const readParagraph = (paragraph, headingStyles) => {
+    const properties = firstChild(paragraph, W_NS, 'pPr');
+    const outline = firstChild(properties, W_NS, 'outlineLvl');
+    const level = outline
+        ? Number(wordAttribute(outline, 'val')) + 1
+        : headingStyles.get(wordAttribute(firstChild(properties, W_NS, 'pStyle'), 'val')) || 0;
+    const prefix = firstChild(properties, W_NS, 'numPr') && !level ? '- ' : '';
+
+    const blocks = firstChild(properties, W_NS, 'pageBreakBefore') ? [PAGE_BREAK] : [];
+    let text = '';
+    const flush = () => {
+        if (text.trim()) blocks.push(level >= 1 && level <= 9 ? { text, heading: level } : { text: prefix + text });
+        text = '';
+    };
+    collectWordText(paragraph).forEach(token => {
+        if (token === PAGE_BREAK) {
+            flush();
+            blocks.push(PAGE_BREAK);
+        } else {
+            text += token;
+        }
+    });
+    flush();
+    return blocks;
+};
+
+const readTable = (table) => {
+    let hasPageBreak = false;
+    const rows = childElements(table, W_NS, 'tr').map(row => childElements(row, W_NS, 'tc').map(cell => {
+        const tokens = collectWordText(cell);
+        if (tokens.includes(PAGE_BREAK)) hasPageBreak = true;
+        return tokens.filter(token => token !== PAGE_BREAK).join('');
+    })).filter(row => row.some(cell => cell.trim()));
+    const blocks = rows.length > 0 ? [{ text: renderMarkdownTable(rows) }] : [];
+    // A table that runs over a page break is cited by its first page; what follows it is on the next.
+    return hasPageBreak ? [...blocks, PAGE_BREAK] : blocks;
+};
+
+/**
+ * Whether a content control holds Word's generated table of contents, whose text
+ * would only repeat the headings.
+ */
+const isTocContentControl = (control) => {
+    const gallery = [...control.getElementsByTagNameNS(W_NS, 'docPartGallery')][0];
+    return /table of contents/i.test(wordAttribute(gallery, 'val'));
+};
+
+const readBodyBlocks = (container, headingStyles) => childElements(container, W_NS).flatMap(element => {
+    if (element.localName === 'p') return readParagraph(element, headingStyles);
+    if (element.localName === 'tbl') return readTable(element);
+    if (element.localName === 'sdt') {
+        const content = firstChild(element, W_NS, 'sdtContent');
+        if (!content) return [];
+        // Keep a generated ToC's page breaks so the following pages stay numbered right.
+        if (isTocContentControl(element)) return collectWordText(content).filter(token => token === PAGE_BREAK);
+        return readBodyBlocks(content, headingStyles);
+    }
+    return [];
+});
+
+/**
+ * Reads a Word document: paragraphs, lists, tables (as markdown) and headings, which
+ * become the ToC. Page numbers follow the page breaks Word stored when it saved the file.
+ * @param {ArrayBuffer} buffer The .docx file.
+ * @param {AbortSignal} [signal] Cancels reading.
+ * @returns {Promise<{ text: string, toc: Array<object> | null }>}
+ */
+export const parseDocx = async (buffer, signal) => {
+    const zip = openZip(buffer);
+    if (!zip.has('word/document.xml')) throw new Error('الملف ليس مستند Word صالحًا.');
+    const body = parseXml(await zip.readText('word/document.xml')).getElementsByTagNameNS(W_NS, 'body')[0];
+    signal?.throwIfAborted();
+    const headingStyles = zip.has('word/styles.xml')
+        ? readHeadingStyles(parseXml(await zip.readText('word/styles.xml')))
+        : new Map();
+    signal?.throwIfAborted();
+    return buildPagedText(body ? readBodyBlocks(body, headingStyles) : []);
+};
+
+// --- Excel ---
+
+const columnIndex = (reference) => [...reference.replace(/\d+$/, '').toUpperCase()]
+    .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Joins the text runs of a shared or inline string, leaving out phonetic hints.
+ */
+const stringItemText = (item) => [...item.getElementsByTagNameNS(SHEET_NS, 't')]
+    .filter(text => text.parentNode.localName !== 'rPh')
+    .map(text => text.textContent)
+    .join('');
+
+const cellText = (cell, sharedStrings) => {
+    const type = cell.getAttribute('t');
+    if (type === 'inlineStr') return stringItemText(cell);
+    const value = firstChild(cell, SHEET_NS, 'v')?.textContent ?? '';
+    if (type === 's') return sharedStrings[Number(value)] ?? '';
+    if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+    return value;
+};
+
+/**
+ * Reads a worksheet into rows of cell texts, dropping empty rows and columns. Values
+ * are read as stored: formulas give their last result, dates stay serial numbers.
+ */
+const readSheetRows = (sheetDoc, sharedStrings) => {
+    const rows = [...sheetDoc.getElementsByTagNameNS(SHEET_NS, 'row')].map(row => {
+        const cells = [];
+        childElements(row, SHEET_NS, 'c').forEach((cell, position) => {
+            const reference = cell.getAttribute('r');
+            cells[reference ? columnIndex(reference) : position] = cellText(cell, sharedStrings).trim();
+        });
+        return Array.from(cells, cell => cell || '');
+    }).filter(row => row.some(Boolean));
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const usedColumns = Array.from({ length: width }, (_, index) => index).filter(index => rows.some(row => row[index]));
+    return rows.map(row => usedColumns.map(index => row[index] || ''));
+};
+
+/**
+ * Reads an Excel workbook: each visible sheet becomes a page with the sheet name as a
+ * heading and its cells as a markdown table (the first row as the header). Sheets longer
+ * than `SHEET_ROWS_PER_PAGE` rows continue on further pages, repeating the header.
+ * @param {ArrayBuffer} buffer The .xlsx file.
+ * @param {AbortSignal} [signal] Cancels reading; checked before each sheet.
+ * @returns {Promise<{ text: string, toc: Array<object> | null }>}
+ */
+export const parseXlsx = async (buffer, signal) => {
+    const zip = openZip(buffer);
+    if (!zip.has('xl/workbook.xml')) throw new Error('الملف ليس مصنف Excel صالحًا.');
+    const workbook = parseXml(await zip.readText('xl/workbook.xml'));
+    const targets = new Map();
+    if (zip.has('xl/_rels/workbook.xml.rels')) {
+        [...parseXml(await zip.readText('xl/_rels/workbook.xml.rels')).getElementsByTagNameNS(PACKAGE_REL_NS, 'Relationship')]
+            .forEach(relationship => targets.set(relationship.getAttribute('Id'), relationship.getAttribute('Target')));
+    }
+    const sharedStrings = zip.has('xl/sharedStrings.xml')
+        ? [...parseXml(await zip.readText('xl/sharedStrings.xml')).getElementsByTagNameNS(SHEET_NS, 'si')].map(stringItemText)
+        : [];
+
+    const blocks = [];
+    for (const sheet of [...workbook.getElementsByTagNameNS(SHEET_NS, 'sheet')]) {
+        signal?.throwIfAborted();
+        if (['hidden', 'veryHidden'].includes(sheet.getAttribute('state'))) continue;
+        const target = targets.get(sheet.getAttributeNS(REL_NS, 'id'));
+        const path = target && (target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+        if (!path || !zip.has(path)) continue;
+        const sheetXml = await zip.readText(path);
+        signal?.throwIfAborted();
+        const rows = readSheetRows(parseXml(sheetXml), sharedStrings);
+        if (rows.length === 0) continue;
+
+        const name = sheet.getAttribute('name') || `ورقة ${blocks.length + 1}`;
+        const [header, ...body] = rows;
+        if (blocks.length > 0) blocks.push(PAGE_BREAK);
+        blocks.push({ text: name, heading: 1 });
+        for (let start = 0; start === 0 || start < body.length; start += SHEET_ROWS_PER_PAGE) {
+            if (start > 0) blocks.push(PAGE_BREAK, { text: `${name} (تابع)` });
+            blocks.push({ text: renderMarkdownTable([header, ...body.slice(start, start + SHEET_ROWS_PER_PAGE)]) });
+        }
+    }
+    return buildPagedText(blocks);
+};
+
+const PARSERS = { docx: parseDocx, xlsx: parseXlsx, html: parseHtml, txt: parsePlainText };
+
+/**
+ * Reads a Word, Excel, HTML or text file into paged source text.
+ * @param {File} file The uploaded file.
+ * @param {string} [kind] The kind from `getDocumentKind`.
+ * @param {AbortSignal} [signal] Cancels reading.
+ * @returns {Promise<{ text: string, toc: Array<{ title: string, page: number, level: number }> | null }>}
+ *   The text with `[Source: Page X]` markers, and the native ToC (null when the file has no headings).
+ */
+export const parseDocumentFile = async (file, kind = getDocumentKind(file), signal) => {
+    const parse = PARSERS[kind];
+    if (!parse) throw new Error(describeUnsupportedFile(file));
+    const buffer = await file.arrayBuffer();
+    signal?.throwIfAborted();
+    return parse(buffer, signal);
+};
@@ -0,0 +1,215 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { layoutFlowchart, escapeXml } from './flowchart.js';
+import { normalizeSteps, getActors, getStepActor, stepsFromDiagram, UNKNOWN_ACTOR } from './processGraph.js';
+
+// === draw.io (mxGraph) Export & Import ===
+// Steps are exported as `<object>` cells carrying `stepType`, `page` and `actor`
+// attributes so they survive a round trip; actors become swimlane containers.
+
+const TASK_STYLE = 'rounded=1;whiteSpace=wrap;html=1;fillColor=#ffffff;strokeColor=#28a745;strokeWidth=2;fontFamily=Tajawal;fontSize=14;';
+const DECISION_STYLE = 'rhombus;whiteSpace=wrap;html=1;fillColor=#ffffff;strokeColor=#28a745;strokeWidth=2;fontFamily=Tajawal;fontSize=13;';
+const PARALLEL_STYLE = 'rhombus;whiteSpace=wrap;html=1;fillColor=#ffffff;strokeColor=#28a745;strokeWidth=3;dashed=1;fontFamily=Tajawal;fontSize=13;';
+const LANE_STYLE = 'swimlane;startSize=44;html=1;fillColor=#eaf6ec;strokeColor=#dee2e6;fontFamily=Tajawal;fontSize=15;fontStyle=1;';
+const EDGE_STYLE = 'edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;strokeColor=#28a745;strokeWidth=2;endArrow=block;fontFamily=Tajawal;';
+const LOOP_EDGE_STYLE = `${EDGE_STYLE}dashed=1;`;
+
+const STYLE_BY_TYPE = { task: TASK_STYLE, decision: DECISION_STYLE, parallel: PARALLEL_STYLE };
+
+// Labels are HTML (`html=1`), so text is escaped once for HTML and once for the XML attribute.
+const escapeLabel = (text) => escapeXml(escapeXml(text));
+
+const renderGeometry = ({ x, y, width, height }) =>
+    `<mxGeometry x="${Math.round(x)}" y="${Math.round(y)}" width="${Math.round(width)}" height="${Math.round(height)}" as="geometry" />`;
+
+/**
+ * Converts a process into an uncompressed draw.io (`.drawio`) document.
+ * @param {{ steps: Array<object> }} plan The process (usually `summaryData`).
+ * @param {string} [name] The diagram name.
+ * @returns {string} The mxfile XML.
+ */
+export const exportDrawio = (plan, name = 'الإجراء') => {
+    const steps = normalizeSteps(plan?.steps);
+    const hasLanes = getActors(steps).some(actor => actor !== UNKNOWN_ACTOR);
+    const layout = layoutFlowchart(steps, { swimlanes: hasLanes });
+
+    const laneIdOf = new Map(layout.lanes.map((lane, index) => [lane.actor, `lane-${index + 1}`]));
+    const laneCells = layout.lanes.map(lane => `        <mxCell id="${laneIdOf.get(lane.actor)}" value="${escapeLabel(lane.actor)}" style="${LANE_STYLE}" vertex="1" parent="1">
+          ${renderGeometry(lane)}
+        </mxCell>`);
+
+    const stepCells = layout.nodes.map(node => {
+        const { step } = node;
+        const lane = layout.lanes.find(candidate => candidate.actor === getStepActor(step));
+        // Children of a swimlane are positioned relative to it.
+        const geometry = lane ? { ...node, x: node.x - lane.x, y: node.y - lane.y } : node;
+        const attributes = [
+            `label="${escapeLabel(step.description)}"`,
+            `stepType="${step.type}"`,
+            step.page != null ? `page="${escapeXml(step.page)}"` : '',
+            step.actor ? `actor="${escapeXml(step.actor)}"` : '',
+        ].filter(Boolean).join(' ');
+        return `        <object id="step-${step.stepNumber}" ${attributes}>
+          <mxCell style="${STYLE_BY_TYPE[step.type]}" vertex="1" parent="${lane ? laneIdOf.get(lane.actor) : '1'}">
+            ${renderGeometry(geometry)}
+          </mxCell>
+        </object>`;
+    });
+
+    const edgeCells = layout.edges.map((edge, index) => {
+        const waypoints = edge.points.slice(1, -1)
+            .map(p => `<mxPoint x="${Math.round(p.x)}" y="${Math.round(p.y)}" />`).join('');
+        return `        <mxCell id="edge-${index + 1}" value="${escapeLabel(edge.label || '')}" style="${edge.loop ? LOOP_EDGE_STYLE : EDGE_STYLE}" edge="1" parent="1" source="step-${edge.from}" target="step-${edge.to}">
+          <mxGeometry relative="1" as="geometry">${waypoints ? `<Array as="points">${waypoints}</Array>` : ''}</mxGeometry>
+        </mxCell>`;
+    });
+
+    return `<mxfile host="app" type="device">
+  <diagram id="process" name="${escapeXml(name)}">
+    <mxGraphModel grid="1" gridSize="10" guides="1" tooltips="1" connect="1" arrows="1" fold="1" page="1" pageScale="1" pageWidth="${Math.round(layout.width)}" pageHeight="${Math.round(layout.height)}" math="0" shadow="0">
+      <root>
+        <mxCell id="0" />
+        <mxCell id="1" parent="0" />
+${[...laneCells, ...stepCells, ...edgeCells].join('\n')}
+      </root>
+    </mxGraphModel>
+  </diagram>
+</mxfile>
+`;
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Reduces an HTML cell label to plain text.
+ */
+const htmlToText = (html) => String(html ?? '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<\/(?:div|p|li)>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Inflates a compressed `<diagram>` payload (base64 of raw deflate of URI-encoded XML).
+ */
+const inflateDiagram = async (payload) => {
+    const bytes = Uint8Array.from(atob(payload), char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    const text = await new Response(stream).text();
+    return decodeURIComponent(text);
+};
+
+const parseXml = (text) => {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('ملف draw.io غير صالح: تعذرت قراءة XML.');
+    }
+    return doc;
+};
+
+const styleHas = (style, key) => style.split(';').some(part => part === key || part.startsWith(`${key}=`));
+
+/**
+ * Parses a draw.io file (compressed or not) into a process (`{ name, summary, steps }`).
+ * Rhombus cells become decisions, cells exported with `stepType="parallel"` or
+ * BPMN parallel gateways become parallel gateways, ellipses are treated as start/end
+ * events and skipped, and swimlane titles become actors. Only the first page is read.
+ * @param {string} xmlText The `.drawio` file contents.
+ * @returns {Promise<{ name: string, summary: string, steps: Array<object> }>} The imported process.
+ */
+export const importDrawio = async (xmlText) => {
+    const doc = parseXml(xmlText);
+    const diagram = doc.getElementsByTagName('diagram')[0];
+    let model = doc.getElementsByTagName('mxGraphModel')[0];
+    if (!model && diagram && diagram.textContent.trim()) {
+        model = parseXml(await inflateDiagram(diagram.textContent.trim())).getElementsByTagName('mxGraphModel')[0];
+    }
+    const root = model && model.getElementsByTagName('root')[0];
+    if (!root) {
+        throw new Error('ملف draw.io لا يحتوي على مخطط.');
+    }
+
+    // Cells are either bare <mxCell>s or <object>/<UserObject> wrappers carrying custom attributes.
+    const cells = [...root.children].map(element => {
+        const isWrapper = element.localName !== 'mxCell';
+        const cell = isWrapper ? element.getElementsByTagName('mxCell')[0] : element;
+        if (!cell) return null;
+        const attr = (key) => element.getAttribute(key);
+        return {
+            id: attr('id'),
+            label: htmlToText(isWrapper ? attr('label') : cell.getAttribute('value')),
+            stepType: isWrapper ? attr('stepType') : null,
+            page: isWrapper && attr('page') ? Number(attr('page')) : undefined,
+            actor: isWrapper ? attr('actor') : null,
+            style: cell.getAttribute('style') || '',
+            parent: cell.getAttribute('parent'),
+            vertex: cell.getAttribute('vertex') === '1',
+            edge: cell.getAttribute('edge') === '1',
+            source: cell.getAttribute('source'),
+            target: cell.getAttribute('target'),
+        };
+    }).filter(cell => cell && cell.id);
+
+    const byId = new Map(cells.map(cell => [cell.id, cell]));
+    const isLane = (cell) => styleHas(cell.style, 'swimlane');
+    const edgeCells = cells.filter(cell => cell.edge && cell.source && cell.target);
+    const edgeIds = new Set(edgeCells.map(cell => cell.id));
+
+    // Edge labels may also be separate child cells of the edge.
+    const childLabels = new Map();
+    cells.filter(cell => cell.vertex && edgeIds.has(cell.parent) && cell.label)
+        .forEach(cell => childLabels.set(cell.parent, cell.label));
+
+    const laneTitleOf = (cell) => {
+        for (let parent = byId.get(cell.parent); parent; parent = byId.get(parent.parent)) {
+            if (isLane(parent) && parent.label) return parent.label;
+        }
+        return undefined;
+    };
+
+    const typeOf = (cell) => {
+        if (['task', 'decision', 'parallel'].includes(cell.stepType)) return cell.stepType;
+        if (/gwType=parallel/.test(cell.style)) return 'parallel';
+        if (styleHas(cell.style, 'rhombus') || /gateway/.test(cell.style)) return 'decision';
+        return 'task';
+    };
+
+    const isStepCell = (cell) => cell.vertex && !isLane(cell) && !edgeIds.has(cell.parent)
+        && !styleHas(cell.style, 'text') && !styleHas(cell.style, 'group') && !styleHas(cell.style, 'ellipse')
+        && !/shape=mxgraph\.bpmn\.event/.test(cell.style);
+
+    const nodes = cells.filter(isStepCell).map(cell => ({
+        id: cell.id,
+        description: cell.label,
+        type: typeOf(cell),
+        page: Number.isFinite(cell.page) ? cell.page : undefined,
+        actor: cell.actor || laneTitleOf(cell),
+    }));
+    if (nodes.length === 0) {
+        throw new Error('ملف draw.io لا يحتوي على أي خطوات.');
+    }
+
+    const flows = edgeCells.map(cell => ({
+        source: cell.source,
+        target: cell.target,
+        label: cell.label || childLabels.get(cell.id) || '',
+    }));
+
+    const name = (diagram && diagram.getAttribute('name')) || 'مخطط مستورد';
+    return {
+        name,
+        summary: `${name} (مستورد من draw.io).`,
+        steps: stepsFromDiagram(nodes, flows),
+    };
+};
@@ -0,0 +1,409 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { normalizeSteps, getStepEdges, findLoopBackEdges, getActors, getStepActor } from './processGraph.js';
+
+// === Flowchart Layout & Rendering ===
+// Turns the validated `plan.steps` array into a flowchart SVG locally, so the
+// chart is reproducible for the same plan and needs no extra model call.
+
+const PRIMARY_COLOR = '#28a745';
+const NODE_WIDTH = 220;
+const NODE_MIN_HEIGHT = 60;
+const NODE_PADDING_X = 15;
+const NODE_PADDING_Y = 12;
+const FONT_SIZE = 14;
+const LINE_HEIGHT = FONT_SIZE * 1.6;
+// Average advance width of a Tajawal glyph at 14px, used to estimate wrapping.
+const AVG_CHAR_WIDTH = 7;
+const CITATION_GAP = 20;
+const VERTICAL_GAP = 65;
+const CANVAS_PADDING = 30;
+const GATEWAY_WIDTH = 240;
+const GATEWAY_MIN_HEIGHT = 100;
+const HORIZONTAL_GAP = 50;
+const VIRTUAL_WIDTH = 20;
+const LOOP_GAP = 30;
+const EDGE_LABEL_OFFSET = 18;
+const ORDERING_PASSES = 4;
+const LANE_HEADER_HEIGHT = 44;
+const LANE_PADDING = 25;
+
+/**
+ * Escapes a string for safe use inside SVG/XML text and attribute values.
+ * @param {string} value The raw value.
+ * @returns {string} The escaped value.
+ */
+export const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Estimates how many lines a label will wrap to inside a node of the given width.
+ * The estimate is word-based so it stays stable across browsers and runs.
+ * @param {string} text The label text.
+ * @param {number} width The node width in pixels.
+ * @returns {number} The estimated number of lines (at least 1).
+ */
+export const estimateLineCount = (text, width = NODE_WIDTH) => {
+    const maxChars = Math.max(1, Math.floor((width - NODE_PADDING_X * 2) / AVG_CHAR_WIDTH));
+    const words = String(text ?? '').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return 1;
+
+    let lines = 1;
+    let current = 0;
+    for (const word of words) {
+        const length = word.length;
+        if (current === 0) {
+            current = length;
+        } else if (current + 1 + length <= maxChars) {
+            current += 1 + length;
+        } else {
+            lines++;
+            current = length;
+        }
+        // A single word longer than a line breaks onto extra lines.
+        while (current > maxChars) {
+            lines++;
+            current -= maxChars;
+        }
+    }
+    return lines;
+};
+
+/**
+ * Computes the size of a node so its wrapped label fits completely.
+ * Decision and parallel gateways are diamonds whose label sits in the inscribed rectangle.
+ * @param {object} step The normalized step.
+ * @returns {{ width: number, height: number }} The node size in pixels.
+ */
+const measureNode = (step) => {
+    if (step.type === 'task') {
+        const textHeight = estimateLineCount(step.description) * LINE_HEIGHT + NODE_PADDING_Y * 2;
+        return { width: NODE_WIDTH, height: Math.max(NODE_MIN_HEIGHT, Math.ceil(textHeight)) };
+    }
+    const textHeight = estimateLineCount(step.description, GATEWAY_WIDTH / 2 + NODE_PADDING_X * 2) * LINE_HEIGHT + 8;
+    return { width: GATEWAY_WIDTH, height: Math.max(GATEWAY_MIN_HEIGHT, Math.ceil(textHeight * 2)) };
+};
+
+/**
+ * Assigns every step to a layer (row) using the longest path over the graph
+ * without its loop-back edges, so every forward edge points downwards.
+ */
+const assignLayers = (steps, forwardEdges) => {
+    const layer = new Map(steps.map(step => [step.stepNumber, 0]));
+    const indegree = new Map(steps.map(step => [step.stepNumber, 0]));
+    forwardEdges.forEach(edge => indegree.set(edge.to, indegree.get(edge.to) + 1));
+
+    // Kahn's algorithm, always taking the earliest step in document order.
+    const order = new Map(steps.map((step, index) => [step.stepNumber, index]));
+    const queue = steps.filter(step => indegree.get(step.stepNumber) === 0).map(step => step.stepNumber);
+    while (queue.length > 0) {
+        queue.sort((a, b) => order.get(a) - order.get(b));
+        const current = queue.shift();
+        forwardEdges.filter(edge => edge.from === current).forEach(edge => {
+            layer.set(edge.to, Math.max(layer.get(edge.to), layer.get(current) + 1));
+            indegree.set(edge.to, indegree.get(edge.to) - 1);
+            if (indegree.get(edge.to) === 0) queue.push(edge.to);
+        });
+    }
+    return layer;
+};
+
+/**
+ * Reorders the items of each layer by the average position of their neighbours
+ * in the adjacent layer, which removes most edge crossings.
+ */
+const orderLayers = (layers, links) => {
+    const position = new Map();
+    const indexLayer = (items) => items.forEach((item, index) => position.set(item.id, index));
+    layers.forEach(indexLayer);
+
+    const parents = (id) => links.filter(link => link.to === id).map(link => link.from);
+    const children = (id) => links.filter(link => link.from === id).map(link => link.to);
+
+    const sweep = (from, to, direction, neighboursOf) => {
+        for (let i = from; i !== to; i += direction) {
+            const items = layers[i];
+            const weights = new Map(items.map((item, index) => {
+                const neighbours = neighboursOf(item.id);
+                const weight = neighbours.length > 0
+                    ? neighbours.reduce((sum, id) => sum + position.get(id), 0) / neighbours.length
+                    : index;
+                return [item.id, weight];
+            }));
+            items.sort((a, b) => weights.get(a.id) - weights.get(b.id) || a.order - b.order);
+            indexLayer(items);
+        }
+    };
+
+    for (let pass = 0; pass < ORDERING_PASSES; pass++) {
+        sweep(1, layers.length, 1, parents);
+        sweep(layers.length - 2, -1, -1, children);
+    }
+};
+
+/**
+ * Drops points that lie on the straight line between their neighbours.
+ */
+const simplifyPoints = (points) => points.filter((point, i) => {
+    if (i === 0 || i === points.length - 1) return true;
+    const prev = points[i - 1];
+    const next = points[i + 1];
+    return !((prev.x === point.x && point.x === next.x) || (prev.y === point.y && point.y === next.y));
+});
+
+/**
+ * Packs each layer right to left (index 0 on the right), then shifts it as a block
+ * under the average position of its parents. Positions are relative; the caller
+ * moves them onto the canvas.
+ */
+const placeInColumn = (layers, items, links) => {
+    const parentsOf = (id) => links.filter(link => link.to === id).map(link => items.get(link.from));
+    layers.forEach((layerItems, l) => {
+        let right = 0;
+        layerItems.forEach(item => {
+            item.x = right - item.width;
+            right -= item.width + HORIZONTAL_GAP;
+        });
+        const anchored = l === 0 ? [] : layerItems.filter(item => parentsOf(item.id).length > 0);
+        const shift = anchored.length === 0 ? -right / 2 : anchored.reduce((sum, item) => {
+            const parents = parentsOf(item.id);
+            const parentCenter = parents.reduce((acc, p) => acc + p.x + p.width / 2, 0) / parents.length;
+            return sum + parentCenter - (item.x + item.width / 2);
+        }, 0) / anchored.length;
+        layerItems.forEach(item => { item.x += shift; });
+    });
+};
+
+/**
+ * Places every item in the vertical lane of its actor. Lanes follow the order in
+ * which actors first appear and run right to left; a lane is as wide as its
+ * busiest layer. Returns the lanes with relative positions.
+ */
+const placeInLanes = (layers, actors) => {
+    const laneWidths = actors.map(actor => Math.max(NODE_WIDTH, ...layers.map(layerItems => {
+        const inLane = layerItems.filter(item => item.actor === actor);
+        return inLane.reduce((sum, item) => sum + item.width, 0) + Math.max(0, inLane.length - 1) * HORIZONTAL_GAP;
+    })) + LANE_PADDING * 2);
+
+    let laneRight = 0;
+    const lanes = actors.map((actor, index) => {
+        const lane = { actor, x: laneRight - laneWidths[index], width: laneWidths[index] };
+        laneRight = lane.x;
+        return lane;
+    });
+
+    layers.forEach(layerItems => lanes.forEach(lane => {
+        const inLane = layerItems.filter(item => item.actor === lane.actor);
+        const packedWidth = inLane.reduce((sum, item) => sum + item.width, 0) + Math.max(0, inLane.length - 1) * HORIZONTAL_GAP;
+        let right = lane.x + (lane.width + packedWidth) / 2;
+        inLane.forEach(item => {
+            item.x = right - item.width;
+            right -= item.width + HORIZONTAL_GAP;
+        });
+    }));
+    return lanes;
+};
+
+/**
+ * Lays out the process graph in layers from top to bottom. Branches spread out
+ * horizontally with the first branch on the right (RTL), edges that skip layers
+ * pass through reserved gaps, and loop-back edges run up a channel on the left.
+ * With `swimlanes`, every step is placed in a vertical lane for its `actor`.
+ * @param {Array<object>} rawSteps The plan steps ({ stepNumber, description, page, type?, next?, actor? }).
+ * @param {{ swimlanes?: boolean }} [options] Layout options.
+ * @returns {{ width: number, height: number, nodes: Array<object>, edges: Array<object>, lanes: Array<object> }}
+ */
+export const layoutFlowchart = (rawSteps, { swimlanes = false } = {}) => {
+    const steps = normalizeSteps(rawSteps);
+    if (steps.length === 0) {
+        return { width: NODE_WIDTH + CANVAS_PADDING * 2, height: CANVAS_PADDING * 2, nodes: [], edges: [], lanes: [] };
+    }
+
+    const loopBacks = findLoopBackEdges(steps);
+    const allEdges = getStepEdges(steps);
+    const forwardEdges = allEdges.filter(edge => !loopBacks.has(`${edge.from}->${edge.to}`));
+    const backEdges = allEdges.filter(edge => loopBacks.has(`${edge.from}->${edge.to}`));
+    const layerOf = assignLayers(steps, forwardEdges);
+
+    // Build layers of real items and virtual items that long edges pass through.
+    const layerCount = Math.max(...layerOf.values()) + 1;
+    const layers = Array.from({ length: layerCount }, () => []);
+    const items = new Map();
+    steps.forEach((step, index) => {
+        const item = { id: `s${step.stepNumber}`, step, actor: getStepActor(step), order: index, ...measureNode(step) };
+        items.set(item.id, item);
+        layers[layerOf.get(step.stepNumber)].push(item);
+    });
+
+    const links = [];
+    const chains = forwardEdges.map((edge, edgeIndex) => {
+        const chain = [`s${edge.from}`];
+        for (let l = layerOf.get(edge.from) + 1; l < layerOf.get(edge.to); l++) {
+            // A long edge travels down the lane of the step it leads to.
+            const actor = items.get(`s${edge.to}`).actor;
+            const item = { id: `v${edgeIndex}_${l}`, virtual: true, actor, order: steps.length + edgeIndex, width: VIRTUAL_WIDTH, height: 0 };
+            items.set(item.id, item);
+            layers[l].push(item);
+            chain.push(item.id);
+        }
+        chain.push(`s${edge.to}`);
+        chain.slice(1).forEach((id, i) => links.push({ from: chain[i], to: id }));
+        return { edge, chain };
+    });
+    orderLayers(layers, links);
+
+    // Vertical positions: every layer reserves room for its tallest node and the citation.
+    const top = CANVAS_PADDING + (swimlanes ? LANE_HEADER_HEIGHT + LANE_PADDING : 0);
+    let y = top;
+    const layerBottoms = layers.map(layerItems => {
+        const tallest = Math.max(0, ...layerItems.map(item => item.height));
+        layerItems.forEach(item => { item.y = y; });
+        const bottom = y + tallest + CITATION_GAP;
+        y = bottom + VERTICAL_GAP;
+        return bottom;
+    });
+
+    // Horizontal positions, then move everything onto the canvas right of the loop channel.
+    const allItems = [...items.values()];
+    const lanes = swimlanes ? placeInLanes(layers, getActors(steps)) : [];
+    if (!swimlanes) placeInColumn(layers, items, links);
+    const boxes = swimlanes ? lanes : allItems;
+    const minX = Math.min(...boxes.map(box => box.x));
+    const contentWidth = Math.max(...boxes.map(box => box.x + box.width)) - minX;
+    const contentLeft = CANVAS_PADDING + backEdges.length * LOOP_GAP;
+    [...allItems, ...lanes].forEach(box => { box.x += contentLeft - minX; });
+    allItems.forEach(item => { item.cx = item.x + item.width / 2; });
+
+    const nodes = steps.map(step => {
+        const { x, y: top, width, height } = items.get(`s${step.stepNumber}`);
+        return { step, x, y: top, width, height };
+    });
+
+    const forwardRoutes = chains.map(({ edge, chain }) => {
+        const source = items.get(chain[0]);
+        const sourceLayer = layerOf.get(edge.from);
+        const points = [{ x: source.cx, y: source.y + source.height + CITATION_GAP + 6 }];
+        chain.slice(1).forEach((id, i) => {
+            const item = items.get(id);
+            const midY = layerBottoms[sourceLayer + i] + VERTICAL_GAP / 2;
+            points.push({ x: points[points.length - 1].x, y: midY }, { x: item.cx, y: midY });
+            points.push({ x: item.cx, y: item.virtual ? layerBottoms[sourceLayer + i + 1] : item.y - 2 });
+        });
+        const labelAt = edge.label ? { x: points[2].x, y: points[2].y + EDGE_LABEL_OFFSET } : null;
+        return { ...edge, points: simplifyPoints(points), labelAt };
+    });
+
+    const backRoutes = backEdges.map((edge, index) => {
+        const source = items.get(`s${edge.from}`);
+        const target = items.get(`s${edge.to}`);
+        const channelX = contentLeft - LOOP_GAP * (index + 1) + LOOP_GAP / 2;
+        const sourceY = source.y + source.height / 2;
+        const targetY = target.y + target.height / 2;
+        const points = [
+            { x: source.x, y: sourceY },
+            { x: channelX, y: sourceY },
+            { x: channelX, y: targetY },
+            { x: target.x - 2, y: targetY },
+        ];
+        const labelAt = edge.label ? { x: (source.x + channelX) / 2, y: sourceY } : null;
+        return { ...edge, loop: true, points, labelAt };
+    });
+
+    const width = contentLeft + contentWidth + CANVAS_PADDING;
+    const contentBottom = layerBottoms[layerBottoms.length - 1] + (swimlanes ? LANE_PADDING : 0);
+    lanes.forEach(lane => {
+        lane.y = CANVAS_PADDING;
+        lane.height = contentBottom - CANVAS_PADDING;
+    });
+    return { width, height: contentBottom + CANVAS_PADDING, nodes, edges: [...forwardRoutes, ...backRoutes], lanes };
+};
+
+const renderNodeShape = ({ step, x, y, width, height }) => {
+    if (step.type === 'task') {
+        return `<rect class="node-shape" x="${x}" y="${y}" width="${width}" height="${height}" rx="12" ry="12" fill="#ffffff" stroke="${PRIMARY_COLOR}" stroke-width="2"></rect>`;
+    }
+    const cx = x + width / 2;
+    const cy = y + height / 2;
+    const diamond = `<polygon class="node-shape" points="${cx},${y} ${x + width},${cy} ${cx},${y + height} ${x},${cy}" fill="#ffffff" stroke="${PRIMARY_COLOR}" stroke-width="2"></polygon>`;
+    const marker = step.type === 'parallel'
+        ? `<text x="${cx}" y="${y + 22}" font-size="18px" font-weight="700" fill="${PRIMARY_COLOR}" text-anchor="middle">+</text>`
+        : '';
+    return diamond + marker;
+};
+
+const renderNode = (node) => {
+    const { step, x, y, width, height } = node;
+    const isGateway = step.type !== 'task';
+    // Gateway labels sit in the rectangle inscribed in the diamond.
+    const textBox = isGateway
+        ? { x: x + width / 4, y: y + height / 4, width: width / 2, height: height / 2, padding: '4px' }
+        : { x, y, width, height, padding: `${NODE_PADDING_Y}px ${NODE_PADDING_X}px` };
+    return `
+    <g id="node-${escapeXml(step.stepNumber)}" class="clickable-node node-${step.type}" filter="url(#dropShadow)">
+        ${renderNodeShape(node)}
+        <foreignObject x="${textBox.x}" y="${textBox.y}" width="${textBox.width}" height="${textBox.height}">
+            <div xmlns="http://www.w3.org/1999/xhtml" style="box-sizing: border-box; padding: ${textBox.padding}; color: #343a40; font-family: 'Tajawal', Tahoma, sans-serif; font-size: ${isGateway ? FONT_SIZE - 1 : FONT_SIZE}px; font-weight: 500; line-height: 1.6; text-align: center; word-wrap: break-word; overflow-wrap: break-word; height: 100%; display: flex; justify-content: center; align-items: center;">${escapeXml(step.description)}</div>
+        </foreignObject>
+        ${step.page != null ? `<text class="node-citation" data-page="${escapeXml(step.page)}" x="${x + width / 2}" y="${y + height + CITATION_GAP - 4}" font-size="12px" fill="#6c757d" text-anchor="middle">(المصدر: صفحة ${escapeXml(step.page)})</text>` : ''}
+    </g>`;
+};
+
+const renderEdge = (edge) => {
+    const [start, ...rest] = edge.points;
+    const d = `M ${start.x} ${start.y} ` + rest.map(p => `L ${p.x} ${p.y}`).join(' ');
+    const dash = edge.loop ? ' stroke-dasharray="6 4"' : '';
+    return `
+    <path class="edge" data-from="${escapeXml(edge.from)}" data-to="${escapeXml(edge.to)}" d="${d}" fill="none" stroke="${PRIMARY_COLOR}" stroke-width="2"${dash} marker-end="url(#arrowhead)"></path>`;
+};
+
+const renderLane = ({ actor, x, y, width, height }, index) => `
+    <g class="lane">
+        <rect class="lane-body" x="${x}" y="${y}" width="${width}" height="${height}" fill="${index % 2 === 0 ? '#f8f9fa' : '#ffffff'}" stroke="#dee2e6" stroke-width="1"></rect>
+        <rect class="lane-header" x="${x}" y="${y}" width="${width}" height="${LANE_HEADER_HEIGHT}" fill="#eaf6ec" stroke="#dee2e6" stroke-width="1"></rect>
+        <text x="${x + width / 2}" y="${y + LANE_HEADER_HEIGHT / 2 + 5}" font-size="15px" font-weight="700" fill="#343a40" text-anchor="middle">${escapeXml(actor)}</text>
+    </g>`;
+
+const renderEdgeLabel = ({ label, labelAt }) => {
+    if (!label || !labelAt) return '';
+    const width = label.length * AVG_CHAR_WIDTH + 12;
+    return `
+    <g class="edge-label">
+        <rect x="${labelAt.x - width / 2}" y="${labelAt.y - 11}" width="${width}" height="20" rx="4" ry="4" fill="#ffffff" stroke="${PRIMARY_COLOR}" stroke-width="1"></rect>
+        <text x="${labelAt.x}" y="${labelAt.y + 4}" font-size="12px" fill="#343a40" text-anchor="middle">${escapeXml(label)}</text>
+    </g>`;
+};
+
+const renderSvg = ({ width, height, nodes, edges, lanes }) => `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" font-family="'Tajawal', Tahoma, sans-serif">
+    <defs>
+        <marker id="arrowhead" markerWidth="10" markerHeight="7" refX="9" refY="3.5" orient="auto"><polygon points="0 0, 10 3.5, 0 7" fill="${PRIMARY_COLOR}"></polygon></marker>
+        <filter id="dropShadow" height="130%"><feDropShadow dx="0" dy="4" stdDeviation="4" flood-color="rgba(0,0,0,0.1)"/></filter>
+        <style>.clickable-node { cursor: pointer; } g.clickable-node > .node-shape { transition: stroke 0.2s ease, stroke-width 0.2s ease; } g.clickable-node:hover > .node-shape { stroke-width: 3px; stroke: #218838; }</style>
+    </defs>${lanes.map(renderLane).join('')}${edges.map(renderEdge).join('')}${nodes.map(renderNode).join('')}${edges.map(renderEdgeLabel).join('')}
+</svg>`;
+
+/**
+ * Renders the plan steps as a flowchart SVG string.
+ * Tasks are rounded rectangles, decisions and parallel gateways are diamonds,
+ * labelled edges carry their label and loop-backs are dashed. Every node is a
+ * `<g id="node-{stepNumber}" class="clickable-node">` group whose
+ * `foreignObject > div` holds the step description, which the click-to-chat handler reads.
+ * @param {Array<object>} steps The validated plan steps.
+ * @returns {string} The SVG markup.
+ */
+export const renderFlowchartSvg = (steps) => renderSvg(layoutFlowchart(steps));
+
+/**
+ * Renders the plan steps as a swimlane diagram: one vertical lane per actor, with
+ * Arabic lane headers ordered right to left. Nodes keep the same ids and classes
+ * as in the flowchart, so click-to-chat works the same way.
+ * @param {Array<object>} steps The validated plan steps.
+ * @returns {string} The SVG markup.
+ */
+export const renderSwimlaneSvg = (steps) => renderSvg(layoutFlowchart(steps, { swimlanes: true }));
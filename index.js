@@ -6,56 +6,37 @@
 import { render, Fragment } from 'preact';
 import { html } from 'htm/preact';
 import { signal, effect } from '@preact/signals';
-import { GoogleGenAI } from '@google/genai';
 import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
-
-// Configure the PDF.js worker. This is required for the library to work correctly.
-pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.4.168/pdf.worker.mjs`;
+import pdfjsWorkerUrl from 'pdfjs-dist/legacy/build/pdf.worker.mjs?url';
+import { renderFlowchartSvg, renderSwimlaneSvg, escapeXml } from './flowchart.js';
+import { normalizeSteps, formatProcessGraph, getActors, getStepActor, UNKNOWN_ACTOR, STEP_TYPES, STEP_TYPE_LABELS } from './processGraph.js';
+import { exportBpmn, importBpmn } from './bpmn.js';
+import { exportMermaid, importMermaid, extractMermaidSource } from './mermaid.js';
+import { exportDrawio, importDrawio } from './drawio.js';
+import { saveProject, getProject, getProjectFiles, listProjects, renameProject, deleteProject, filterProjects } from './projectStore.js';
+import { createWorkspaceDocument, buildWorkspaceSource, compareProcesses } from './workspace.js';
+import { retrievePassages, formatPassages, topSources } from './retrieval.js';
+import { NOT_FOUND_ANSWER, formatNumberedPassages, extractCitations, assessGrounding, stripCitations } from './citations.js';
+import { renderMarkdown } from './markdown.js';
+import { createThread, updateThreadMessages, exportThreadMarkdown, exportThreadJson } from './chatThreads.js';
+import { getStepNeighbours, findStepExcerpt, findRelatedQuestions } from './nodeContext.js';
+import { renderPageWithHighlights, renderPageToImage, findPassageItems, getPageText } from './pdfViewer.js';
+import { updateStep, splitStep, mergeWithNextStep, deleteStep, moveStep, addEdge, removeEdge } from './processEditor.js';
+import { streamChat, isLlmConfigured } from './llm.js';
+import { isAbortError, isQuotaError } from './requestScheduler.js';
+import { recognizeImage, formatConfidence, LOW_OCR_CONFIDENCE } from './ocr.js';
+import { getDocumentKind, describeUnsupportedFile, parseDocumentFile, UPLOAD_ACCEPT } from './documentParsers.js';
+import { addPageRanges, countSourcePages, getSectionText, getSectionRange } from './toc.js';
+import { createBatchSections, runBatchQueue, exportBatchBundle } from './batch.js';
+import { applyRefinement, createRefineSchema } from './processRefine.js';
+import { addVersion, diffVersions } from './versionHistory.js';
+import { generateStructured, PLAN_SCHEMA, TOC_SCHEMA, QA_SCHEMA, QUIZ_SCHEMA, OPTIMIZATION_SCHEMA } from './structuredOutput.js';
+
+// Configure the PDF.js worker used by the source viewer. It is served from the bundle,
+// so the app also works without internet access. Text extraction runs in pdfWorker.js.
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorkerUrl;
 
 // === Helper Functions ===
-/**
- * Extracts a JSON string from a text that might contain markdown fences or other text.
- * @param {string} text The text to parse.
- * @returns {string} The extracted JSON string.
- */
-const extractJsonFromText = (text) => {
-    if (!text) return '';
-    const trimmedText = text.trim();
-    
-    // First, try to find a markdown block
-    const fenceMatch = trimmedText.match(/```(?:json)?\s*([\s\S]*?)\s*```/s);
-    if (fenceMatch && fenceMatch[1]) {
-        return fenceMatch[1].trim();
-    }
-    
-    // If no markdown block, find the first '{' or '[' and the last '}' or ']'
-    const firstBracket = trimmedText.indexOf('[');
-    const firstBrace = trimmedText.indexOf('{');
-
-    let startIndex = -1;
-    if (firstBracket !== -1 && firstBrace !== -1) {
-        startIndex = Math.min(firstBracket, firstBrace);
-    } else if (firstBracket !== -1) {
-        startIndex = firstBracket;
-    } else {
-        startIndex = firstBrace;
-    }
-
-    if (startIndex === -1) {
-        return trimmedText; // Return original text if no JSON-like characters found
-    }
-
-    const lastBracket = trimmedText.lastIndexOf(']');
-    const lastBrace = trimmedText.lastIndexOf('}');
-    const endIndex = Math.max(lastBracket, lastBrace);
-
-    if (endIndex > startIndex) {
-        return trimmedText.substring(startIndex, endIndex + 1);
-    }
-    
-    return trimmedText; // Return original text as a fallback
-};
-
 /**
  * Triggers a file download in the browser.
  * @param {string} filename The desired name of the file.
@@ -75,7 +56,7 @@ const downloadFile = (filename, content, mimeType) => {
 };
 
 // === Global Signals ===
-const activeTab = signal('generate'); // 'generate' | 'qa' | 'chat' | 'quiz' | 'optimize'
+const activeTab = signal('generate'); // 'generate' | 'qa' | 'chat' | 'quiz' | 'optimize' | 'compare' | 'history' | 'library'
 const theme = signal('light'); // 'light' | 'dark'
 
 // --- Generation Tab Signals ---
@@ -83,24 +64,74 @@ const userInput = signal('');
 const pdfText = signal('');
 const pdfFileName = signal('');
 const flowchartSvg = signal('');
-const summaryData = signal(null); // Will hold { summary: string, steps: array }
+const chartView = signal('flowchart'); // 'flowchart' | 'swimlane'
+const summaryData = signal(null); // Will hold { summary: string, steps: array, section?: object }
 const tableOfContents = signal(null); // Will hold the extracted ToC array
 const tocSearchQuery = signal('');
+const sectionPageMargin = signal(1); // Pages read before and after a ToC section, for context
 const status = signal('idle'); // 'idle' | 'parsing' | 'generating' | 'success' | 'error' | 'quota_error'
 const loadingMessage = signal('');
 const errorMessage = signal('');
 const documentSource = signal(''); // Holds the definitive document source for all features
 const isListening = signal(false); // For speech recognition
 
+// --- Workspace Signals ---
+const workspaceDocuments = signal([]); // { id, name, kind, text, toc, plan, questions, ocrPages }[], see workspace.js
+const activeDocumentId = signal(null); // The document shown in the generation tab
+const documentFiles = signal({}); // Uploaded files by document id, stored with the project
+const compareLeftId = signal('');
+const compareRightId = signal('');
+
+// --- Source Viewer Signals ---
+const sourceViewer = signal(null); // { documentId, page, passage } while the viewer pane is open
+const sourceViewerStatus = signal('idle'); // 'idle' | 'loading' | 'ready' | 'error'
+const sourceViewerPageCount = signal(0);
+const sourceViewerHighlights = signal({ width: 0, height: 0, boxes: [] });
+
+// --- Batch Analysis Signals ---
+const batchSections = signal([]); // The active document's "process all sections" run, see batch.js
+const batchStatus = signal('idle'); // 'idle' | 'running'
+const viewedBatchSectionId = signal(null); // The batch section whose chart is shown
+
+// --- Chart Editor Signals ---
+const isEditingChart = signal(false);
+const selectedStepNumber = signal(null);
+const undoStack = signal([]); // Previous `summaryData.steps` arrays
+const redoStack = signal([]);
+const draggedStepIndex = signal(null);
+
+// --- Node Panel Signals ---
+const nodePanelStepNumber = signal(null); // The chart step whose side panel is open
+const nodeChats = signal({}); // The panel's mini-chat messages per step number, for the current chart
+const nodeChatInput = signal('');
+const isNodeChatting = signal(false);
+
+// --- Chart Refinement Signals ---
+const refineInput = signal('');
+const refineStatus = signal('idle'); // 'idle' | 'generating' | 'preview' | 'error'
+const refinePreview = signal(null); // { baseSteps, explanation, summary, steps, changes } awaiting the user's decision
+const refineError = signal('');
+
+// --- Version History Signals ---
+const planVersions = signal([]); // Versions of `summaryData`, oldest first, see versionHistory.js
+const historyFromId = signal('');
+const historyToId = signal('');
+const historyOverlaySide = signal('to'); // Which version's chart carries the diff colours: 'from' | 'to'
+
 // --- Q&A Tab Signals ---
 const qaStatus = signal('idle'); // 'idle' | 'generating' | 'success' | 'error'
 const topQuestions = signal([]); // { question: string, answer: string }[]
+const qaError = signal('');
 
 // --- Chat Tab Signals ---
-const chatHistory = signal([]); // { role: 'user' | 'model', content: string }[]
+const chatThreads = signal([]); // The active document's threads, see chatThreads.js
+const activeChatThreadId = signal(null);
+const chatHistory = signal([]); // The open thread's messages: { role: 'user' | 'model', content: string, citations?, grounding?, strict?, stopped?, failed? }[]
 const chatInput = signal('');
 const isChatting = signal(false);
-const isNodeQuery = signal(false); // Flag to indicate if chat was initiated from a node click
+const editingMessageIndex = signal(null); // The user turn being edited; saving re-runs the thread from it
+const editingMessageText = signal('');
+const chatStrictMode = signal(false); // Answer from the retrieved passages only, and list the sentences they do not support
 
 // --- Quiz Tab Signals ---
 const quizStatus = signal('idle'); // 'idle' | 'generating' | 'active' | 'finished' | 'error'
@@ -112,48 +143,15 @@ const quizError = signal('');
 // --- Optimization Tab Signals ---
 const optimizationStatus = signal('idle'); // 'idle' | 'generating' | 'success' | 'error'
 const optimizationSuggestions = signal([]);
+const optimizationError = signal('');
 
-const SAMPLE_SVG_DATA = `<svg width="300" height="480" viewBox="0 0 300 480" xmlns="http://www.w3.org/2000/svg" font-family="'Tajawal', Tahoma, sans-serif">
-    <defs>
-        <marker id="arrowhead-sample" markerWidth="10" markerHeight="7" refX="0" refY="3.5" orient="auto">
-            <polygon points="0 0, 10 3.5, 0 7" fill="#28a745"></polygon>
-        </marker>
-    </defs>
-    <!-- Node 1 -->
-    <g>
-        <rect x="40" y="20" width="220" height="70" rx="8" ry="8" fill="#ffffff" stroke="#28a745" stroke-width="2"></rect>
-        <foreignObject x="40" y="20" width="220" height="70">
-            <div xmlns="http://www.w3.org/1999/xhtml" style="box-sizing: border-box; padding: 10px 15px; color: #343a40; font-family: 'Tajawal', Tahoma, sans-serif; font-size: 14px; line-height: 1.6; text-align: center; word-wrap: break-word; overflow-wrap: break-word; height: 100%; display: flex; justify-content: center; align-items: center;">
-                الخطوة الأولى: تحديد المتطلبات
-            </div>
-        </foreignObject>
-        <text x="150" y="110" font-size="12px" fill="#6c757d" text-anchor="middle">(مثال توضيحي)</text>
-    </g>
-    <!-- Arrow 1 -->
-    <path d="M 150 125 V 155" stroke="#28a745" stroke-width="2" marker-end="url(#arrowhead-sample)"></path>
-    <!-- Node 2 -->
-    <g>
-        <rect x="40" y="165" width="220" height="70" rx="8" ry="8" fill="#ffffff" stroke="#28a745" stroke-width="2"></rect>
-        <foreignObject x="40" y="165" width="220" height="70">
-            <div xmlns="http://www.w3.org/1999/xhtml" style="box-sizing: border-box; padding: 10px 15px; color: #343a40; font-family: 'Tajawal', Tahoma, sans-serif; font-size: 14px; line-height: 1.6; text-align: center; word-wrap: break-word; overflow-wrap: break-word; height: 100%; display: flex; justify-content: center; align-items: center;">
-                الخطوة الثانية: التصميم والتخطيط
-            </div>
-        </foreignObject>
-        <text x="150" y="255" font-size="12px" fill="#6c757d" text-anchor="middle">(مثال توضيحي)</text>
-    </g>
-    <!-- Arrow 2 -->
-    <path d="M 150 270 V 300" stroke="#28a745" stroke-width="2" marker-end="url(#arrowhead-sample)"></path>
-    <!-- Node 3 -->
-    <g>
-        <rect x="40" y="310" width="220" height="70" rx="8" ry="8" fill="#ffffff" stroke="#28a745" stroke-width="2"></rect>
-        <foreignObject x="40" y="310" width="220" height="70">
-            <div xmlns="http://www.w3.org/1999/xhtml" style="box-sizing: border-box; padding: 10px 15px; color: #343a40; font-family: 'Tajawal', Tahoma, sans-serif; font-size: 14px; line-height: 1.6; text-align: center; word-wrap: break-word; overflow-wrap: break-word; height: 100%; display: flex; justify-content: center; align-items: center;">
-                الخطوة الثالثة: التنفيذ والنشر
-            </div>
-        </foreignObject>
-        <text x="150" y="400" font-size="12px" fill="#6c757d" text-anchor="middle">(مثال توضيحي)</text>
-    </g>
-</svg>`;
+// --- Project Library Signals ---
+const currentProjectId = signal(null); // Id of the saved project being worked on
+const projects = signal([]); // Saved project metadata, newest first
+const projectSearchQuery = signal('');
+const projectSortBy = signal('updated'); // 'updated' | 'name'
+const libraryStatus = signal('idle'); // 'idle' | 'loading' | 'saving' | 'error'
+const libraryMessage = signal('');
 
 const SAMPLE_DOCUMENT_TEXT = `
 [Source: Page 1]
@@ -184,6 +182,7 @@ const TocComponent = ({ toc, onItemClick }) => {
       <div class="toc-header">
         <h3>فهرس المحتويات</h3>
         <p>ابحث أو انقر على قسم لبدء التحليل وإنشاء المخطط الانسيابي له.</p>
+        <button class="clear-btn" onClick=${processAllSections} disabled=${batchStatus.value === 'running'}>تحليل جميع الأقسام</button>
       </div>
       <input 
         type="text" 
@@ -192,6 +191,11 @@ const TocComponent = ({ toc, onItemClick }) => {
         value=${tocSearchQuery.value}
         onInput=${(e) => tocSearchQuery.value = e.target.value}
       />
+      <label class="toc-margin">
+        صفحات إضافية قبل القسم وبعده:
+        <input type="number" min="0" max="10" value=${sectionPageMargin.value}
+          onInput=${(e) => sectionPageMargin.value = Math.max(0, Math.min(10, Number(e.target.value) || 0))} />
+      </label>
       <ul>
         ${filteredToc.length > 0 ? filteredToc.map(item => html`
           <li 
@@ -200,7 +204,11 @@ const TocComponent = ({ toc, onItemClick }) => {
             title="تحليل القسم: ${item.title}"
           >
             <span class="toc-title">${item.title}</span>
-            <span class="toc-page">ص ${item.page}</span>
+            <button
+              class="toc-page"
+              title="عرض الصفحة في المستند"
+              onClick=${(e) => { e.stopPropagation(); openSourcePage({ page: item.page, passage: item.title }); }}
+            >ص ${item.page}${item.endPage > item.page ? `–${item.endPage}` : ''}</button>
           </li>
         `) : html`<li class="toc-no-results">لا توجد نتائج مطابقة.</li>`}
       </ul>
@@ -208,57 +216,1350 @@ const TocComponent = ({ toc, onItemClick }) => {
   `;
 };
 
+// === Request Cancellation ===
+// One AbortController per long-running operation ('generate', 'qa', 'chat', 'nodeChat',
+// 'quiz', 'optimize', 'batch', 'refine'), so every loading state can offer a cancel button. Starting an operation
+// again cancels its previous run.
+const operationControllers = {};
+
+const startOperation = (name) => {
+  operationControllers[name]?.abort();
+  const controller = new AbortController();
+  operationControllers[name] = controller;
+  return controller.signal;
+};
+
+const finishOperation = (name, signal) => {
+  if (operationControllers[name]?.signal === signal) delete operationControllers[name];
+};
+
+const cancelOperation = (...names) => names.forEach(name => operationControllers[name]?.abort());
+
+/**
+ * Builds the `onRetry` callback of a request, which reports quota backoffs in a loading message.
+ */
+const reportRetriesTo = (messageSignal) => ({ attempt, delay }) => {
+  messageSignal.value = `الخدمة تواجه ضغطًا، إعادة المحاولة (${attempt}) بعد ${Math.ceil(delay / 1000)} ثانية...`;
+};
+
+const CancelButton = ({ operations, label = 'إلغاء' }) => html`
+  <button type="button" class="clear-btn cancel-btn" onClick=${() => cancelOperation(...operations)}>${label}</button>
+`;
+
+// === Chart Editor ===
+
 /**
- * Processes the text content of a single PDF page to reconstruct lines and handle RTL text.
- * @param {object} textContent The text content object from PDF.js.
- * @returns {string} The processed text of the page.
+ * Moves the node panel's conversations, and the open panel, to the steps' new numbers.
+ * `renumbered` maps the old numbers to the new ones; without it (undo, redo) a conversation
+ * is kept only when its step still has the same number and text.
+ * @param {Array<object>} previousSteps The steps before the change.
+ * @param {Array<object>} steps The steps after it.
+ * @param {Map<number, number> | null} renumbered The new number of each step that was kept.
  */
-const processPageTextContent = (textContent) => {
-    if (textContent.items.length === 0) {
-        return '\n\n';
+const remapNodeChats = (previousSteps, steps, renumbered) => {
+  const newNumberOf = (stepNumber) => {
+    if (renumbered) return renumbered.get(stepNumber);
+    const before = previousSteps.find(step => step.stepNumber === stepNumber);
+    return steps.some(step => step.stepNumber === stepNumber && step.description === before?.description) ? stepNumber : undefined;
+  };
+  nodeChats.value = Object.fromEntries(Object.entries(nodeChats.value)
+    .map(([stepNumber, messages]) => [newNumberOf(Number(stepNumber)), messages])
+    .filter(([stepNumber]) => stepNumber !== undefined));
+  if (nodePanelStepNumber.value !== null) nodePanelStepNumber.value = newNumberOf(nodePanelStepNumber.value) ?? null;
+};
+
+/**
+ * Replaces the plan steps and redraws the flowchart, so every feature that reads
+ * `summaryData` (exports, optimization, quiz) sees the edited process. The result is
+ * kept as a version; all edits of one editing session make up a single version.
+ * @param {Array<object>} steps The new plan steps.
+ * @param {'edit' | 'refine'} [reason] What changed the steps.
+ * @param {Map<number, number> | null} [renumbered] The new number of each kept step (see `remapNodeChats`).
+ */
+const setPlanSteps = (steps, reason = 'edit', renumbered = null) => {
+  remapNodeChats(summaryData.value?.steps || [], steps, renumbered);
+  summaryData.value = { ...summaryData.value, steps };
+  flowchartSvg.value = renderFlowchartSvg(steps);
+  if (!steps.some(step => step.stepNumber === selectedStepNumber.value)) {
+    selectedStepNumber.value = null;
+  }
+  recordVersion(reason, { replaceLast: reason === 'edit' && isEditSessionRecorded });
+  if (reason === 'edit' && isEditingChart.value) isEditSessionRecorded = true;
+};
+
+/**
+ * Applies an edit to the plan steps and records the previous steps for undo. Each step
+ * goes through the edit tagged with its old number (the editor operations keep unknown
+ * fields), which tells where the steps ended up once the editor has renumbered them.
+ * @param {(steps: Array<object>) => Array<object>} edit Returns the edited steps.
+ * @param {'edit' | 'refine'} [reason] What the edit is, for the version history.
+ */
+const applyStepsEdit = (edit, reason = 'edit') => {
+  const current = summaryData.value?.steps;
+  if (!current) return;
+  undoStack.value = [...undoStack.value, current];
+  redoStack.value = [];
+  const edited = edit(current.map(step => ({ ...step, previousStepNumber: step.stepNumber })));
+  const renumbered = new Map();
+  edited.forEach(step => {
+    // A split step's halves both carry its old number; the first half keeps it.
+    if (step.previousStepNumber != null && !renumbered.has(step.previousStepNumber)) renumbered.set(step.previousStepNumber, step.stepNumber);
+  });
+  setPlanSteps(edited.map(({ previousStepNumber, ...step }) => step), reason, renumbered);
+};
+
+const undoStepsEdit = () => {
+  const previous = undoStack.value[undoStack.value.length - 1];
+  if (!previous) return;
+  undoStack.value = undoStack.value.slice(0, -1);
+  redoStack.value = [...redoStack.value, summaryData.value.steps];
+  setPlanSteps(previous);
+};
+
+const redoStepsEdit = () => {
+  const next = redoStack.value[redoStack.value.length - 1];
+  if (!next) return;
+  redoStack.value = redoStack.value.slice(0, -1);
+  undoStack.value = [...undoStack.value, summaryData.value.steps];
+  setPlanSteps(next);
+};
+
+/**
+ * Leaves edit mode and forgets the edit history; called whenever a new process is loaded.
+ */
+const resetChartEditor = () => {
+  isEditSessionRecorded = false;
+  isEditingChart.value = false;
+  selectedStepNumber.value = null;
+  undoStack.value = [];
+  redoStack.value = [];
+  draggedStepIndex.value = null;
+  discardRefinement();
+  // A new chart starts without a node panel or node conversations.
+  cancelOperation('nodeChat');
+  nodePanelStepNumber.value = null;
+  nodeChats.value = {};
+};
+
+const ChartEditor = () => {
+  const steps = summaryData.value?.steps || [];
+  const selected = steps.find(step => step.stepNumber === selectedStepNumber.value);
+  const selectedIndex = steps.indexOf(selected);
+
+  const handleDrop = (index) => {
+    const from = draggedStepIndex.value;
+    draggedStepIndex.value = null;
+    if (from === null || from === index) return;
+    const moved = steps[from];
+    applyStepsEdit(current => moveStep(current, from, index));
+    // Step numbers follow the list order, so the moved step now has number index + 1.
+    if (moved && moved.stepNumber === selectedStepNumber.value) selectedStepNumber.value = index + 1;
+  };
+
+  const handleSplit = () => {
+    const input = document.getElementById('step-description-input');
+    const text = input ? input.value : selected.description;
+    const cursor = input ? input.selectionStart : 0;
+    const first = text.slice(0, cursor).trim();
+    const second = text.slice(cursor).trim();
+    if (!first || !second) {
+      alert('ضع المؤشر داخل النص في الموضع الذي تريد تقسيم الخطوة عنده.');
+      return;
     }
+    applyStepsEdit(current => splitStep(current, selected.stepNumber, first, second));
+  };
 
-    const lines = textContent.items.reduce((acc, item) => {
-        if (!item.str || item.str.trim() === '') return acc;
-        const y = Math.round(item.transform[5]);
-        if (!acc[y]) acc[y] = [];
-        acc[y].push(item);
-        return acc;
-    }, {});
-
-    const sortedLines = Object.keys(lines)
-        .map(Number)
-        .sort((a, b) => b - a);
-
-    let pageText = '';
-    for (const y of sortedLines) {
-        lines[y].sort((a, b) => b.transform[4] - a.transform[4]);
-
-        let lineText = lines[y].reduce((line, currentItem, index, arr) => {
-            let text = currentItem.str;
-            if (/[\u0600-\u06FF]/.test(text) && !/[a-zA-Z]/.test(text)) {
-                text = text.split('').reverse().join('');
-            }
-            line += text;
-            
-            if (index < arr.length - 1) {
-                const nextItem = arr[index + 1];
-                const leftEdgeOfCurrent = currentItem.transform[4];
-                const rightEdgeOfNext = nextItem.transform[4] + nextItem.width;
-                
-                const spaceThreshold = currentItem.height * 0.25; 
-                if (leftEdgeOfCurrent > rightEdgeOfNext + spaceThreshold) {
-                    line += ' ';
-                }
-            }
-            return line;
-        }, '');
-        pageText += lineText + '\n';
+  const handleDelete = () => {
+    if (steps.length === 1) return;
+    applyStepsEdit(current => deleteStep(current, selected.stepNumber));
+    selectedStepNumber.value = null;
+  };
+
+  const handleAddEdge = () => {
+    const target = Number(document.getElementById('edge-target-select').value);
+    const labelInput = document.getElementById('edge-label-input');
+    if (!target) return;
+    applyStepsEdit(current => addEdge(current, selected.stepNumber, target, labelInput.value));
+    labelInput.value = '';
+  };
+
+  return html`
+    <div class="chart-editor">
+      ${selected && html`<style>${`.image-container #node-${selected.stepNumber} .node-shape { stroke: #fd7e14; stroke-width: 4; }`}</style>`}
+      <div class="chart-editor-toolbar">
+        <h3>تعديل المخطط</h3>
+        <p>انقر على خطوة في المخطط أو في القائمة لتعديلها، واسحب الخطوات لإعادة ترتيبها.</p>
+        <div class="chart-editor-actions">
+          <button class="clear-btn" onClick=${undoStepsEdit} disabled=${undoStack.value.length === 0}>تراجع</button>
+          <button class="clear-btn" onClick=${redoStepsEdit} disabled=${redoStack.value.length === 0}>إعادة</button>
+          <button onClick=${() => { isEditingChart.value = false; selectedStepNumber.value = null; isEditSessionRecorded = false; }}>إنهاء التعديل</button>
+        </div>
+      </div>
+      <ol class="chart-editor-steps">
+        ${steps.map((step, index) => html`
+          <li
+            key=${step.stepNumber}
+            draggable="true"
+            class=${`chart-editor-step ${step.stepNumber === selectedStepNumber.value ? 'selected' : ''}`}
+            onClick=${() => selectedStepNumber.value = step.stepNumber}
+            onDragStart=${() => draggedStepIndex.value = index}
+            onDragOver=${(e) => e.preventDefault()}
+            onDrop=${(e) => { e.preventDefault(); handleDrop(index); }}
+          >
+            <span class="step-number">${step.stepNumber}</span>
+            <span class="step-text">${step.description}</span>
+            ${step.type !== 'task' && html`<span class="toc-page">${STEP_TYPE_LABELS[step.type]}</span>`}
+            ${step.page != null && html`<span class="toc-page">ص ${step.page}</span>`}
+          </li>
+        `)}
+      </ol>
+      ${selected && html`
+        <div class="chart-editor-form" key=${`${selected.stepNumber}-${undoStack.value.length}`}>
+          <h4>الخطوة ${selected.stepNumber}</h4>
+          <label>النص
+            <textarea
+              id="step-description-input"
+              value=${selected.description}
+              onChange=${(e) => e.target.value.trim() && applyStepsEdit(current => updateStep(current, selected.stepNumber, { description: e.target.value.trim() }))}
+            ></textarea>
+          </label>
+          <div class="chart-editor-fields">
+            <label>صفحة المصدر
+              <input type="number" min="1" value=${selected.page ?? ''}
+                onChange=${(e) => applyStepsEdit(current => updateStep(current, selected.stepNumber, { page: e.target.value }))} />
+            </label>
+            <label>الجهة المسؤولة
+              <input type="text" value=${selected.actor ?? ''}
+                onChange=${(e) => applyStepsEdit(current => updateStep(current, selected.stepNumber, { actor: e.target.value.trim() }))} />
+            </label>
+            <label>النوع
+              <select value=${selected.type}
+                onChange=${(e) => applyStepsEdit(current => updateStep(current, selected.stepNumber, { type: e.target.value }))}>
+                ${STEP_TYPES.map(type => html`<option value=${type}>${STEP_TYPE_LABELS[type]}</option>`)}
+              </select>
+            </label>
+          </div>
+          <div class="chart-editor-actions">
+            <button class="clear-btn" onClick=${handleSplit}>تقسيم عند المؤشر</button>
+            <button class="clear-btn" onClick=${() => applyStepsEdit(current => mergeWithNextStep(current, selected.stepNumber))} disabled=${selectedIndex === steps.length - 1}>دمج مع الخطوة التالية</button>
+            <button class="clear-btn" onClick=${handleDelete} disabled=${steps.length === 1}>حذف الخطوة</button>
+          </div>
+          <h4>الأسهم الخارجة</h4>
+          <ul class="chart-editor-edges">
+            ${selected.next.length === 0 && html`<li>نهاية المسار</li>`}
+            ${selected.next.map(edge => html`
+              <li key=${edge.to}>
+                <span>${edge.label ? `${edge.label}: ` : ''}الانتقال إلى الخطوة ${edge.to}</span>
+                <button class="clear-btn" title="حذف السهم" onClick=${() => applyStepsEdit(current => removeEdge(current, selected.stepNumber, edge.to))}>×</button>
+              </li>
+            `)}
+          </ul>
+          <div class="chart-editor-fields">
+            <select id="edge-target-select">
+              ${steps.filter(step => step.stepNumber !== selected.stepNumber).map(step => html`
+                <option value=${step.stepNumber}>الخطوة ${step.stepNumber}</option>
+              `)}
+            </select>
+            <input id="edge-label-input" type="text" placeholder="تسمية السهم (اختياري)" />
+            <button class="clear-btn" onClick=${handleAddEdge} disabled=${steps.length === 1}>إضافة سهم</button>
+          </div>
+        </div>
+      `}
+    </div>
+  `;
+};
+
+// === Chart Refinement ===
+// Natural-language edits of the current chart: the model answers with operations (see
+// processRefine.js), which are previewed and only applied, as one undoable edit, once
+// the user accepts them. Only the chart and a few matching passages are sent, not the
+// whole document.
+
+const describeStepsForRefinement = (steps) => JSON.stringify(steps.map(({ stepNumber, description, actor, type, page, next }) => (
+  { stepNumber, description, actor, type, page, next }
+)), null, 1);
+
+/**
+ * Asks the model to turn the instruction in the refine box into chart operations, and
+ * shows the result as a preview.
+ */
+const requestRefinement = async () => {
+  const instruction = refineInput.value.trim();
+  const plan = summaryData.value;
+  if (!instruction || !plan) return;
+  if (!isLlmConfigured()) {
+    refineError.value = 'لم يتم إعداد مزود النماذج: أضف مفتاح API (أو عنوان الخادم) أو استخدم المزود التجريبي.';
+    refineStatus.value = 'error';
+    return;
+  }
+
+  refineStatus.value = 'generating';
+  refineError.value = '';
+  refinePreview.value = null;
+  const signal = startOperation('refine');
+  const source = getAnalysisSource();
+  const newNumber = plan.steps.length + 1;
+
+  const prompt = `
+**التعليمات** أنت مساعد خبير في نمذجة الإجراءات. لديك مخطط انسيابي مستخلص من مستند، ويطلب المستخدم تعديله. مهمتك تحويل طلب المستخدم إلى أقل عدد ممكن من عمليات التعديل على المخطط، دون إعادة تحليل المستند.
+
+**العمليات المتاحة** (كل عملية كائن فيه الحقل \\\`op\\\`):
+*   \\\`{ "op": "update", "step": 2, "description": "...", "actor": "...", "type": "task|decision|parallel", "page": 3 }\\\`: تعديل خطوة؛ اذكر الحقول المتغيرة فقط.
+*   \\\`{ "op": "insert", "after": 2, "description": "...", "actor": "..." }\\\`: إدراج خطوة في المسار بعد الخطوة 2 (تأخذ الأسهم الخارجة منها، و\\\`after\\\` = 0 للبداية).
+*   \\\`{ "op": "add", "after": 4, "description": "...", "actor": "..." }\\\`: إضافة خطوة غير موصولة تُدرج في القائمة بعد الخطوة 4؛ صِلها بعمليات \\\`addEdge\\\` (مثل مسار رفض يتفرع من نقطة قرار).
+*   \\\`{ "op": "split", "step": 3, "first": "...", "second": "..." }\\\`: تقسيم خطوة إلى خطوتين متتاليتين.
+*   \\\`{ "op": "merge", "step": 2, "with": 3 }\\\`: دمج خطوتين متتاليتين في الترتيب في خطوة واحدة. لدمج خطوتين متباعدتين انقل إحداهما أولاً بعملية move لتلي الأخرى.
+*   \\\`{ "op": "delete", "step": 4 }\\\`: حذف خطوة مع وصل ما قبلها بما بعدها.
+*   \\\`{ "op": "move", "step": 5, "after": 1 }\\\`: نقل خطوة في الترتيب (\\\`after\\\` = 0 للبداية).
+*   \\\`{ "op": "addEdge", "from": 2, "to": 5, "label": "مرفوض" }\\\`: إضافة سهم (التسمية إلزامية للأسهم الخارجة من نقطة قرار).
+*   \\\`{ "op": "removeEdge", "from": 2, "to": 1 }\\\`: حذف سهم.
+
+**قواعد حاسمة:**
+1.  أرقام الخطوات في كل العمليات هي أرقامها في المخطط الحالي أدناه، ولا تتغير بعد أي عملية.
+2.  الخطوات الجديدة (من \\\`insert\\\` و\\\`add\\\`، والنصف الثاني من \\\`split\\\`) تأخذ الأرقام ${newNumber} ثم ${newNumber + 1} وهكذا بترتيب إنشائها، ويمكن الإشارة إليها بهذه الأرقام في العمليات اللاحقة.
+3.  إذا أصبحت خطوة نقطة قرار فعدّل نوعها إلى \\\`"decision"\\\` بعملية \\\`update\\\`.
+4.  كل النصوص باللغة العربية. خذ رقم الصفحة من علامات \\\`[Source: Page X]\\\` في المقتطفات إن وُجد.
+5.  أعد كائن JSON فقط بالشكل: \\\`{ "explanation": "شرح موجز لما ستغيره", "summary": null, "operations": [...] }\\\`، واجعل \\\`summary\\\` ملخصًا تنفيذيًا جديدًا فقط إذا غيّر التعديل جوهر العملية، وإلا فاجعله null.
+
+---
+**الملخص الحالي:** ${plan.summary}
+
+**خطوات المخطط الحالي (JSON):**
+${describeStepsForRefinement(plan.steps)}
+${source ? `
+**مقتطفات من المستند ذات صلة بالطلب:**
+${formatPassages(retrievePassages(source, instruction, { limit: 4 }))}
+` : ''}---
+**طلب المستخدم:** ${instruction}
+---
+الآن، قم بإنشاء كائن JSON فقط.`;
+
+  try {
+    const result = await generateStructured('refine', prompt, createRefineSchema(plan.steps), { signal });
+    const { steps, changes } = applyRefinement(plan.steps, result.operations);
+    refinePreview.value = { baseSteps: plan.steps, operations: result.operations, explanation: result.explanation, summary: result.summary || null, steps, changes };
+    refineStatus.value = 'preview';
+  } catch (err) {
+    if (isAbortError(err)) {
+      refineStatus.value = 'idle';
+      return;
+    }
+    console.error('Refinement error:', err);
+    refineError.value = err instanceof Error ? `تعذر تنفيذ التعديل: ${err.message}` : 'تعذر تنفيذ التعديل.';
+    refineStatus.value = 'error';
+  } finally {
+    finishOperation('refine', signal);
+  }
+};
+
+/**
+ * Applies the previewed refinement as one edit, which undo reverts (except a new summary).
+ */
+const acceptRefinement = () => {
+  const preview = refinePreview.value;
+  if (!preview) return;
+  if (summaryData.value?.steps !== preview.baseSteps) {
+    refineError.value = 'تغيّر المخطط منذ إعداد المعاينة، أعد إرسال الطلب.';
+    refineStatus.value = 'error';
+    refinePreview.value = null;
+    return;
+  }
+  if (preview.summary) summaryData.value = { ...summaryData.value, summary: preview.summary };
+  // Re-applied (to the same steps) so the node conversations follow the renumbered steps.
+  applyStepsEdit(current => applyRefinement(current, preview.operations).steps, 'refine');
+  refineInput.value = '';
+  refinePreview.value = null;
+  refineStatus.value = 'idle';
+};
+
+const discardRefinement = () => {
+  cancelOperation('refine');
+  refinePreview.value = null;
+  refineStatus.value = 'idle';
+  refineError.value = '';
+};
+
+const RefineBox = () => {
+  const preview = refinePreview.value;
+  const isGenerating = refineStatus.value === 'generating';
+
+  return html`
+    <div class="refine-box">
+      <h4>تحسين المخطط بالتعليمات</h4>
+      <div class="refine-input-row">
+        <input
+          type="text"
+          class="toc-search-input"
+          placeholder='مثال: "ادمج الخطوتين 2 و3" أو "أضف مسار رفض بعد موافقة المدير"'
+          value=${refineInput.value}
+          disabled=${isGenerating || Boolean(preview)}
+          onInput=${(e) => refineInput.value = e.target.value}
+          onKeyDown=${(e) => { if (e.key === 'Enter') requestRefinement(); }}
+        />
+        ${isGenerating
+          ? html`<${CancelButton} operations=${['refine']} />`
+          : html`<button onClick=${requestRefinement} disabled=${!refineInput.value.trim() || Boolean(preview)}>معاينة التعديل</button>`}
+      </div>
+      ${isGenerating && html`<p class="loading-text">جاري إعداد التعديل...</p>`}
+      ${refineStatus.value === 'error' && html`<div class="error">${refineError.value}</div>`}
+      ${preview && html`
+        <div class="refine-preview">
+          <p>${preview.explanation}</p>
+          <ol class="refine-changes">
+            ${preview.changes.map(change => html`<li>${change}</li>`)}
+          </ol>
+          ${preview.summary && html`<p class="refine-summary"><strong>الملخص الجديد:</strong> ${preview.summary}</p>`}
+          <div class="image-container refine-preview-chart" dangerouslySetInnerHTML=${{ __html: renderFlowchartSvg(preview.steps) }}></div>
+          <div class="export-container">
+            <button onClick=${acceptRefinement}>تطبيق التعديل</button>
+            <button class="clear-btn" onClick=${discardRefinement}>تجاهل</button>
+          </div>
+        </div>
+      `}
+    </div>
+  `;
+};
+
+// === Version History ===
+
+let isEditSessionRecorded = false; // Whether the current editing session already has its version
+
+/**
+ * Keeps the current plan as a version, named after the document it came from.
+ * @param {'analysis' | 'edit' | 'refine' | 'import' | 'restore'} reason What produced the plan.
+ * @param {{ replaceLast?: boolean }} [options] Fold it into the latest version instead.
+ */
+const recordVersion = (reason, { replaceLast = false } = {}) => {
+  if (!summaryData.value) return;
+  const activeDocument = workspaceDocuments.value.find(doc => doc.id === activeDocumentId.value);
+  planVersions.value = addVersion(planVersions.value, summaryData.value, {
+    reason,
+    fileName: activeDocument?.name || pdfFileName.value || 'نص مُدخل',
+    replaceLast,
+  });
+};
+
+/**
+ * Makes a version the current process again (recorded as a new version).
+ * @param {object} version The version.
+ */
+const restoreVersion = (version) => {
+  leaveBatchSection();
+  resetChartEditor();
+  summaryData.value = version.plan;
+  flowchartSvg.value = renderFlowchartSvg(version.plan.steps);
+  chartView.value = 'flowchart';
+  status.value = 'success';
+  errorMessage.value = '';
+  optimizationStatus.value = 'idle';
+  optimizationSuggestions.value = [];
+  recordVersion('restore');
+  activeTab.value = 'generate';
+};
+
+// === Chat Threads ===
+// `chatHistory` holds the messages of the open thread; `stashChatThread` writes them back
+// into `chatThreads`, which `stashActiveDocument` keeps with the document.
+
+/**
+ * Copies the open thread's messages back into the thread list.
+ */
+const stashChatThread = () => {
+  chatThreads.value = chatThreads.value.map(thread => (thread.id === activeChatThreadId.value ? updateThreadMessages(thread, chatHistory.value) : thread));
+};
+
+/**
+ * Shows a document's threads in the chat tab, stopping any reply still streaming.
+ * @param {{ threads: Array<object>, activeThreadId: string | null } | null | undefined} chats The document's chats.
+ */
+const showChatThreads = (chats) => {
+  cancelOperation('chat');
+  chatThreads.value = chats?.threads || [];
+  activeChatThreadId.value = chats?.activeThreadId || null;
+  chatHistory.value = chatThreads.value.find(thread => thread.id === activeChatThreadId.value)?.messages || [];
+  editingMessageIndex.value = null;
+};
+
+const openChatThread = (id) => {
+  if (id === activeChatThreadId.value) return;
+  stashChatThread();
+  showChatThreads({ threads: chatThreads.value, activeThreadId: id });
+};
+
+const startChatThread = () => {
+  // An empty thread is already a new one.
+  if (activeChatThreadId.value && chatHistory.value.length === 0) return;
+  stashChatThread();
+  const thread = createThread();
+  showChatThreads({ threads: [...chatThreads.value, thread], activeThreadId: thread.id });
+};
+
+const renameChatThread = (thread) => {
+  const title = prompt('اسم المحادثة:', thread.title);
+  if (!title || !title.trim()) return;
+  chatThreads.value = chatThreads.value.map(candidate => (candidate.id === thread.id ? { ...candidate, title: title.trim(), named: true } : candidate));
+};
+
+const deleteChatThread = (thread) => {
+  if (!confirm(`هل تريد حذف المحادثة "${thread.title}"؟`)) return;
+  const remaining = chatThreads.value.filter(candidate => candidate.id !== thread.id);
+  if (thread.id === activeChatThreadId.value) {
+    showChatThreads({ threads: remaining, activeThreadId: remaining[remaining.length - 1]?.id || null });
+  } else {
+    chatThreads.value = remaining;
+  }
+};
+
+/**
+ * Downloads the open thread as a Markdown transcript or as JSON.
+ * @param {'md' | 'json'} format The file format.
+ */
+const exportChatThread = (format) => {
+  stashChatThread();
+  const thread = chatThreads.value.find(candidate => candidate.id === activeChatThreadId.value);
+  if (!thread) return;
+  const activeDocument = workspaceDocuments.value.find(doc => doc.id === activeDocumentId.value);
+  const documentName = activeDocument?.name || pdfFileName.value || 'نص مُدخل';
+  const fileName = thread.title.replace(/[\\/:*?"<>|]/g, '-');
+  if (format === 'json') downloadFile(`${fileName}.json`, exportThreadJson(thread, documentName), 'application/json;charset=utf-8');
+  else downloadFile(`${fileName}.md`, exportThreadMarkdown(thread, documentName), 'text/markdown;charset=utf-8');
+};
+
+/**
+ * Streams the answer to the last turn of a conversation into `reply`, which is updated in
+ * place: its text, the passages it cites and, once complete, its grounding check.
+ * @param {Array<object>} messages The conversation up to and including the user turn to answer.
+ * @param {object} reply The model message to fill; `reply.strict` selects strict mode.
+ * @param {{ passages: Array<object>, operation: string, step?: object | null, onUpdate: () => void }} options
+ *   `passages` are the retrieved passages the answer may cite, `operation` the cancellable
+ *   operation it runs as, and `step` the chart step the question is about, if any.
+ *   `onUpdate` is called after every change.
+ */
+const streamChatReply = async (messages, reply, { passages, operation, step = null, onUpdate }) => {
+  const userTurn = messages[messages.length - 1];
+
+  const nodeQueryInstruction = step && `التعليمات - أنت مساعد ذكاء اصطناعي. المستخدم يسأل عن خطوة محددة في عملية تم تلخيصها من المستند المصدر أدناه: الخطوة ${step.stepNumber} "${step.description}" (الجهة المسؤولة: ${getStepActor(step)}). مهمتك هي العثور على الأجزاء ذات الصلة في المستند المصدر التي تصف هذه الخطوة والإجابة عن سؤاله بناءً عليها. أجب باللغة العربية.`;
+  const defaultInstruction = `التعليمات - أنت مساعد ذكاء اصطناعي. أجب على أسئلة المستخدم باللغة العربية بناءً على المستند المصدر المقدم **فقط**. إذا كانت الإجابة غير موجودة بشكل صريح في المستند، يجب أن تقول "${NOT_FOUND_ANSWER}"`;
+
+  const workspaceInstruction = `المقتطفات مأخوذة من عدة ملفات، وتذكر علامة [Source: ...] في كل مقتطف اسم ملفه وصفحته. إذا اختلفت المستندات في أمر ما فوضّح الاختلاف مع ذكر رقم المقتطف الذي يدعم كل رأي.`;
+
+  const citationInstruction = `المقتطفات في المستند المصدر مرقمة [1]، [2]، ... ضع بعد كل معلومة تأخذها منها رقم مقتطفها بين قوسين مربعين قبل علامة الترقيم، مثل: "يقدم الموظف الطلب إلى مديره [2]." أو [1، 3] إذا استندت إلى أكثر من مقتطف، ولا تذكر رقمًا لا يقابله مقتطف. يمكنك تنسيق الإجابة بـ Markdown (عناوين وقوائم وجداول ونص عريض).`;
+  const strictInstruction = `الوضع الصارم: أجب من المقتطفات فقط دون أي معلومة من معرفتك العامة، ويجب أن تحمل كل جملة في الإجابة رقم المقتطف الذي يدعمها. إذا لم تكن الإجابة في المقتطفات فاكتفِ بالرد: "${NOT_FOUND_ANSWER}"`;
+  const generalKnowledgeInstruction = `إذا أضفت توضيحًا من معرفتك العامة فاذكر ذلك صراحةً ولا تضع له رقم مقتطف.`;
+
+  const systemInstruction = [
+    nodeQueryInstruction || defaultInstruction,
+    passages.some(passage => passage.docName) ? workspaceInstruction : '',
+    citationInstruction,
+    reply.strict ? strictInstruction : generalKnowledgeInstruction,
+  ].filter(Boolean).join('\n\n');
+
+  const signal = startOperation(operation);
+  try {
+    // Earlier answers lose their citation numbers, which point at the passages of their own turn.
+    const historyForChat = messages.slice(0, -1).map(msg => ({ role: msg.role, content: msg.role === 'model' ? stripCitations(msg.content) : msg.content }));
+
+    const responseStream = streamChat('chat', {
+      systemInstruction: `${systemInstruction}\n\n---### **المستند المصدر (المقتطفات ذات الصلة بالسؤال)**---\n${formatNumberedPassages(passages)}`,
+      history: historyForChat,
+      message: userTurn.content,
+      signal,
+    });
+
+    for await (const text of responseStream) {
+      reply.content += text;
+      reply.citations = extractCitations(reply.content, passages);
+      onUpdate();
+    }
+    reply.grounding = assessGrounding(reply.content, passages);
+    onUpdate();
+  } catch (e) {
+    if (isAbortError(e)) {
+      // Keep whatever was streamed before the user stopped the reply.
+      if (reply.content) reply.stopped = true;
+      else reply.content = "تم إيقاف الرد.";
+      onUpdate();
+      return;
+    }
+    console.error("Chat error:", e);
+    const errorText = isQuotaError(e) ? "عذرًا، الخدمة تواجه ضغطًا حاليًا. يرجى المحاولة بعد قليل." : "عذرًا، حدث خطأ أثناء محاولة الرد.";
+    // A reply that failed partway keeps what was streamed, with the error shown below it.
+    if (reply.content) reply.failed = errorText;
+    else reply.content = errorText;
+    onUpdate();
+  } finally {
+    finishOperation(operation, signal);
+  }
+};
+
+/**
+ * Answers the last turn of `messages`, a user turn, and streams the reply into the open
+ * thread (starting one if there is none). The turns before it are the conversation so far,
+ * so sending, regenerating and re-running an edited turn all come down to this.
+ * @param {Array<object>} messages The thread up to and including the user turn to answer.
+ */
+const runChatTurn = async (messages) => {
+  const chatSource = getWorkspaceSource();
+  const userTurn = messages[messages.length - 1];
+  if (isChatting.value || !chatSource || userTurn?.role !== 'user') return;
+
+  if (!chatThreads.value.some(thread => thread.id === activeChatThreadId.value)) {
+    const thread = createThread();
+    chatThreads.value = [...chatThreads.value, thread];
+    activeChatThreadId.value = thread.id;
+  }
+  isChatting.value = true;
+
+  // Only the passages that match this question (and the previous one, for follow-ups) are sent.
+  const previousQuestion = messages.slice(0, -1).reverse().find(msg => msg.role === 'user');
+  const passages = retrievePassages(chatSource, `${userTurn.content}\n${previousQuestion?.content || ''}`);
+
+  const reply = { role: 'model', content: '', sources: topSources(passages), citations: [], strict: chatStrictMode.value };
+  chatHistory.value = [...messages, reply];
+  stashChatThread();
+  // The reply is updated in place, so it keeps streaming into its own thread even if
+  // another thread is opened meanwhile.
+  await streamChatReply(messages, reply, {
+    passages,
+    operation: 'chat',
+    onUpdate: () => {
+      if (chatHistory.value.includes(reply)) chatHistory.value = [...chatHistory.value];
+    },
+  });
+  isChatting.value = false;
+  stashChatThread();
+};
+
+/**
+ * Answers the last question of the open thread again, replacing its answer.
+ */
+const regenerateAnswer = () => {
+  const lastQuestion = chatHistory.value.map(msg => msg.role).lastIndexOf('user');
+  if (lastQuestion === -1) return;
+  runChatTurn(chatHistory.value.slice(0, lastQuestion + 1));
+};
+
+/**
+ * Replaces a user turn with edited text and re-runs the thread from it; the turns after
+ * it are dropped.
+ * @param {number} index The turn's index in `chatHistory`.
+ * @param {string} content The edited question.
+ */
+const rerunFromMessage = (index, content) => {
+  const question = content.trim();
+  if (!question || isChatting.value) return;
+  editingMessageIndex.value = null;
+  runChatTurn([...chatHistory.value.slice(0, index), { ...chatHistory.value[index], content: question }]);
+};
+
+// === Workspace ===
+
+/**
+ * Copies the active document's analysis results back into the workspace list,
+ * so they survive switching to another document.
+ */
+const stashActiveDocument = () => {
+  if (!activeDocumentId.value) return;
+  storeViewedBatchPlan();
+  stashChatThread();
+  const chats = { threads: chatThreads.value, activeThreadId: activeChatThreadId.value };
+  workspaceDocuments.value = workspaceDocuments.value.map(doc => (doc.id === activeDocumentId.value
+    ? { ...doc, toc: tableOfContents.value, plan: summaryData.value, questions: topQuestions.value, batch: batchSections.value, chats }
+    : doc));
+};
+
+/**
+ * Shows a workspace document in the generation tab together with its last extracted process.
+ * Pasted text goes back into the text box; files are shown by name.
+ * @param {object | null} doc The document, or null to empty the generation tab.
+ */
+const showWorkspaceDocument = (doc) => {
+  resetChartEditor();
+  activeDocumentId.value = doc ? doc.id : null;
+  userInput.value = doc?.kind === 'text' ? doc.text : '';
+  pdfText.value = doc && doc.kind !== 'text' ? doc.text : '';
+  pdfFileName.value = doc && doc.kind !== 'text' ? doc.name : '';
+  documentSource.value = doc ? doc.text : '';
+  tableOfContents.value = doc?.toc || null;
+  tocSearchQuery.value = '';
+  batchSections.value = doc?.batch || [];
+  viewedBatchSectionId.value = null;
+  summaryData.value = doc?.plan || null;
+  flowchartSvg.value = doc?.plan ? renderFlowchartSvg(doc.plan.steps) : '';
+  chartView.value = 'flowchart';
+  status.value = doc?.plan ? 'success' : 'idle';
+  errorMessage.value = '';
+  topQuestions.value = doc?.questions || [];
+  qaStatus.value = topQuestions.value.length > 0 ? 'success' : 'idle';
+  showChatThreads(doc?.chats);
+  optimizationStatus.value = 'idle';
+  optimizationSuggestions.value = [];
+};
+
+/**
+ * Adds a document to the workspace and makes it the active one.
+ * @param {object} doc The document from `createWorkspaceDocument`.
+ * @param {Blob | null} [file] The uploaded file it was read from.
+ */
+const addWorkspaceDocument = (doc, file = null) => {
+  stashActiveDocument();
+  workspaceDocuments.value = [...workspaceDocuments.value, doc];
+  if (file) documentFiles.value = { ...documentFiles.value, [doc.id]: file };
+  showWorkspaceDocument(doc);
+};
+
+const switchWorkspaceDocument = (id) => {
+  if (id === activeDocumentId.value) return;
+  stashActiveDocument();
+  const doc = workspaceDocuments.value.find(candidate => candidate.id === id);
+  if (doc) showWorkspaceDocument(doc);
+};
+
+const removeWorkspaceDocument = (id) => {
+  const remaining = workspaceDocuments.value.filter(doc => doc.id !== id);
+  workspaceDocuments.value = remaining;
+  const { [id]: removedFile, ...files } = documentFiles.value;
+  documentFiles.value = files;
+  if (activeDocumentId.value === id) showWorkspaceDocument(remaining[0] || null);
+};
+
+/**
+ * The text the chat and Q&A answer from: every workspace document (with file-named
+ * page markers) once there is more than one, otherwise the active document.
+ * @returns {string} The source text.
+ */
+const getWorkspaceSource = () => (workspaceDocuments.value.length > 1
+  ? buildWorkspaceSource(workspaceDocuments.value)
+  : documentSource.value);
+
+/**
+ * The text the analysis-based features (Q&A, quiz, optimization) draw on: the pages the
+ * current chart was scoped to when it covers a ToC section, otherwise the whole document.
+ * @returns {string} The source text.
+ */
+const getAnalysisSource = () => {
+  const section = summaryData.value?.section;
+  return (section && getSectionText(documentSource.value, section.fromPage, section.toPage)) || documentSource.value;
+};
+
+/**
+ * The chart header line naming the ToC section the chart covers and the pages read for it.
+ */
+const SectionScope = ({ section }) => {
+  const pages = (from, to) => (from === to ? `الصفحة ${from}` : `الصفحات ${from}–${to}`);
+  const widened = section.fromPage !== section.page || section.toPage !== section.endPage;
+  return html`
+    <div class="section-scope">
+      القسم: <strong>${section.title}</strong> — ${pages(section.page, section.endPage)}
+      ${widened && html`<span class="section-scope-margin">(حُلّلت ${pages(section.fromPage, section.toPage)} مع الهامش)</span>`}
+    </div>
+  `;
+};
+
+/**
+ * The latest process of a workspace document; the active one may have unsaved edits.
+ */
+const getDocumentPlan = (doc) => (doc.id === activeDocumentId.value ? summaryData.value : doc.plan);
+
+const DOCUMENT_KIND_LABELS = { pdf: 'PDF', docx: 'Word', xlsx: 'Excel', html: 'HTML', txt: 'TXT', image: 'صورة', text: 'نص', diagram: 'مخطط' };
+
+/**
+ * The OCR badge of a workspace document: flagged when any page was read with low
+ * confidence or could not be read at all, with the confidence of every OCR'd page in its tooltip.
+ */
+const OcrBadge = ({ ocrPages, failedPages = [] }) => {
+  const entries = Object.entries(ocrPages || {});
+  if (entries.length === 0 && failedPages.length === 0) return null;
+  const low = entries.filter(([, confidence]) => confidence < LOW_OCR_CONFIDENCE);
+  const flagged = low.length > 0 || failedPages.length > 0;
+  const details = [
+    ...entries.map(([page, confidence]) => `صفحة ${page}: ${formatConfidence(confidence)}`),
+    ...failedPages.map(page => `صفحة ${page}: تعذرت قراءتها`),
+  ].join('\n');
+  const title = [
+    `${entries.length} صفحة مقروءة بالتعرف الضوئي${low.length > 0 ? `، منها ${low.length} بثقة منخفضة يُنصح بمراجعتها` : ''}`,
+    failedPages.length > 0 ? `تعذر التعرف الضوئي على ${failedPages.length} صفحة` : '',
+  ].filter(Boolean).join('، ');
+  return html`<span class=${`workspace-doc-ocr${flagged ? ' low' : ''}`} title=${`${title}\n${details}`}>OCR${flagged ? ' !' : ''}</span>`;
+};
+
+const WorkspacePanel = () => {
+  if (workspaceDocuments.value.length === 0) return null;
+
+  return html`
+    <div class="workspace-panel">
+      <h4>مساحة العمل (${workspaceDocuments.value.length})</h4>
+      <ul>
+        ${workspaceDocuments.value.map(doc => html`
+          <li key=${doc.id} class=${doc.id === activeDocumentId.value ? 'active' : ''}>
+            <button class="workspace-doc" onClick=${() => switchWorkspaceDocument(doc.id)} title=${doc.name}>
+              <span class="toc-page">${DOCUMENT_KIND_LABELS[doc.kind]}</span>
+              <span class="workspace-doc-name">${doc.name}</span>
+              <${OcrBadge} ocrPages=${doc.ocrPages} failedPages=${doc.ocrFailedPages} />
+              ${getDocumentPlan(doc) && html`<span class="workspace-doc-done" title="تم استخلاص الإجراء">✓</span>`}
+            </button>
+            <button class="workspace-remove" title="إزالة من مساحة العمل" onClick=${() => removeWorkspaceDocument(doc.id)}>×</button>
+          </li>
+        `)}
+      </ul>
+    </div>
+  `;
+};
+
+// === Source Viewer ===
+
+const loadedPdfs = new Map(); // documentId -> Promise of a PDF.js document
+let sourceViewerQueue = Promise.resolve(); // PDF.js cannot render twice on the same canvas at once
+
+const hasOriginalPdf = (doc) => doc?.kind === 'pdf' && Boolean(documentFiles.value[doc.id]);
+
+const loadViewerPdf = (doc) => {
+  if (!loadedPdfs.has(doc.id)) {
+    const loading = documentFiles.value[doc.id].arrayBuffer()
+      .then(data => pdfjsLib.getDocument({ data }).promise);
+    loading.catch(() => loadedPdfs.delete(doc.id));
+    loadedPdfs.set(doc.id, loading);
+  }
+  return loadedPdfs.get(doc.id);
+};
+
+/**
+ * Opens the source viewer at a page of a workspace document.
+ * @param {{ page: number | string, passage?: string, docName?: string | null }} target
+ *   The page, the text to highlight on it, and the cited file name (defaults to the active document).
+ */
+const openSourcePage = ({ page, passage = '', docName = null }) => {
+  const pageNumber = Number(page);
+  const doc = (docName && workspaceDocuments.value.find(candidate => candidate.name === docName.trim()))
+    || workspaceDocuments.value.find(candidate => candidate.id === activeDocumentId.value);
+  if (!doc || !Number.isFinite(pageNumber)) return;
+  sourceViewer.value = { documentId: doc.id, page: pageNumber, passage };
+};
+
+const drawSourceViewer = async (state) => {
+  const doc = workspaceDocuments.value.find(candidate => candidate.id === state.documentId);
+  if (!hasOriginalPdf(doc)) {
+    sourceViewerStatus.value = 'ready';
+    return;
+  }
+  sourceViewerStatus.value = 'loading';
+  try {
+    const pdf = await loadViewerPdf(doc);
+    sourceViewerPageCount.value = pdf.numPages;
+    const pdfPage = await pdf.getPage(Math.min(Math.max(1, state.page), pdf.numPages));
+    const canvas = document.getElementById('source-viewer-canvas');
+    if (!canvas || sourceViewer.value !== state) return;
+    sourceViewerHighlights.value = await renderPageWithHighlights(pdfPage, canvas, state.passage);
+    sourceViewerStatus.value = 'ready';
+    setTimeout(() => document.querySelector('.source-viewer-highlight')?.scrollIntoView({ block: 'center' }), 0);
+  } catch (err) {
+    console.error('Source viewer error:', err);
+    if (sourceViewer.value === state) sourceViewerStatus.value = 'error';
+  }
+};
+
+/**
+ * Wraps "(المصدر: file، صفحة N)" citations in an answer's HTML in buttons that open the page.
+ * The sentence before a citation is kept as the passage to highlight.
+ * @param {string} htmlText The answer HTML.
+ * @returns {string} The HTML with citation buttons.
+ */
+const linkifyCitations = (htmlText) => htmlText.replace(
+  /\(المصدر:\s*(?:([^()،,<]+?)\s*[،,]\s*)?(?:صفحة|ص)\s*(\d+)\)/g,
+  (citation, docName, page, offset, whole) => {
+    const before = whole.slice(0, offset).split(/<br \/>|[.!؟?]\s/).pop().replace(/<[^>]*>/g, '').trim();
+    return `<button type="button" class="citation-link" data-doc="${escapeXml(docName?.trim() || '')}" data-page="${page}" data-passage="${escapeXml(before)}">${citation}</button>`;
+  });
+
+/**
+ * Renders a chat answer as safe Markdown, with its `[n]` markers as chips that open the
+ * cited page (and the "(المصدر: ...)" citations of older answers as links).
+ * @param {{ content: string, citations?: Array<object> }} message The model message.
+ * @returns {string} The answer HTML.
+ */
+const renderAnswerHtml = (message) => {
+  const citations = new Map((message.citations || []).map(citation => [citation.number, citation]));
+  const renderCitation = (numbers) => numbers.map(number => {
+    const citation = citations.get(number);
+    if (!citation) return `<span class="citation-chip missing" title="لا يوجد مقتطف بهذا الرقم">${number}</span>`;
+    const where = [citation.docName, citation.page != null ? `صفحة ${citation.page}` : null].filter(Boolean).join('، ') || 'النص المُدخل';
+    return `<button type="button" class="citation-chip" data-doc="${escapeXml(citation.docName || '')}" data-page="${citation.page ?? ''}" data-passage="${escapeXml(citation.text.slice(0, 300))}" title="${escapeXml(where)}"${citation.page == null ? ' disabled' : ''}>${citation.page != null ? `ص ${citation.page}` : number}</button>`;
+  }).join('');
+  return linkifyCitations(renderMarkdown(message.content, { renderCitation }));
+};
+
+const SourceViewerPane = () => {
+  const state = sourceViewer.value;
+  if (!state) return null;
+  const doc = workspaceDocuments.value.find(candidate => candidate.id === state.documentId);
+  if (!doc) return null;
+
+  const isPdf = hasOriginalPdf(doc);
+  const goToPage = (page) => { sourceViewer.value = { ...state, page, passage: '' }; };
+  const pageCount = isPdf ? sourceViewerPageCount.value : 0;
+  const { width, height, boxes } = sourceViewerHighlights.value;
+  const ocrConfidence = doc.ocrPages?.[state.page];
+  const ocrFailed = doc.ocrFailedPages?.includes(state.page);
+
+  // Without the original file, show the extracted text of the page with the matching lines marked.
+  const renderExtractedPage = () => {
+    const lines = getPageText(doc.text, state.page).split('\n').map(str => ({ str }));
+    if (lines.length === 1 && !lines[0].str) {
+      return html`<p class="source-viewer-note">لا يتوفر نص لهذه الصفحة.</p>`;
     }
-    return pageText;
+    const marked = new Set(findPassageItems(lines, state.passage));
+    return html`
+      <p class="source-viewer-note">الملف الأصلي غير متوفر، يُعرض النص المستخرج من الصفحة.</p>
+      <div class="source-viewer-text">
+        ${lines.map((line, index) => (marked.has(index) ? html`<mark>${line.str}</mark>` : html`<span>${line.str}</span>`))}
+      </div>
+    `;
+  };
+
+  return html`
+    <aside class="source-viewer">
+      <div class="source-viewer-header">
+        <div>
+          <h3>${doc.name}</h3>
+          <span class="source-viewer-page">صفحة ${state.page}${pageCount ? ` من ${pageCount}` : ''}</span>
+        </div>
+        <div class="source-viewer-actions">
+          <button class="clear-btn" onClick=${() => goToPage(state.page - 1)} disabled=${state.page <= 1}>السابقة</button>
+          <button class="clear-btn" onClick=${() => goToPage(state.page + 1)} disabled=${pageCount > 0 && state.page >= pageCount}>التالية</button>
+          <button class="clear-btn" onClick=${() => sourceViewer.value = null} title="إغلاق">×</button>
+        </div>
+      </div>
+      ${state.passage && html`<p class="source-viewer-passage">${state.passage}</p>`}
+      ${ocrConfidence !== undefined && html`
+        <p class=${`source-viewer-ocr${ocrConfidence < LOW_OCR_CONFIDENCE ? ' low' : ''}`}>
+          نص هذه الصفحة مستخرج بالتعرف الضوئي (الثقة ${formatConfidence(ocrConfidence)})${ocrConfidence < LOW_OCR_CONFIDENCE ? ' — قد يحتوي على أخطاء، يُرجى التحقق من الأصل.' : ''}
+        </p>
+      `}
+      ${ocrFailed && html`<p class="source-viewer-ocr low">تعذر التعرف الضوئي على هذه الصفحة الممسوحة، فلم يُستخرج منها نص.</p>`}
+      ${sourceViewerStatus.value === 'loading' && html`<div class="loader-container"><div class="loader"></div></div>`}
+      ${sourceViewerStatus.value === 'error' && html`<div class="error">تعذر عرض صفحة المستند.</div>`}
+      ${isPdf ? html`
+        <div class="source-viewer-page-container" style=${{ width: width ? `${width}px` : undefined, height: height ? `${height}px` : undefined }}>
+          <canvas id="source-viewer-canvas"></canvas>
+          ${boxes.map(box => html`
+            <div class="source-viewer-highlight" style=${{ left: `${box.left}px`, top: `${box.top}px`, width: `${box.width}px`, height: `${box.height}px` }}></div>
+          `)}
+        </div>
+      ` : renderExtractedPage()}
+    </aside>
+  `;
+};
+
+// === Project Library ===
+
+/**
+ * Snapshots everything needed to reopen the current analysis.
+ * @returns {object} The serializable project state.
+ */
+const collectProjectState = () => {
+  stashActiveDocument();
+  return {
+    workspaceDocuments: workspaceDocuments.value,
+    activeDocumentId: activeDocumentId.value,
+    userInput: userInput.value,
+    pdfText: pdfText.value,
+    pdfFileName: pdfFileName.value,
+    documentSource: documentSource.value,
+    tableOfContents: tableOfContents.value,
+    batchSections: batchSections.value,
+    summaryData: summaryData.value,
+    flowchartSvg: flowchartSvg.value,
+    chartView: chartView.value,
+    status: status.value === 'success' ? 'success' : 'idle',
+    topQuestions: topQuestions.value,
+    chatThreads: chatThreads.value,
+    activeChatThreadId: activeChatThreadId.value,
+    quiz: {
+      status: ['active', 'finished'].includes(quizStatus.value) ? quizStatus.value : 'idle',
+      questions: quizQuestions.value,
+      currentQuestionIndex: currentQuestionIndex.value,
+      userAnswers: userAnswers.value,
+    },
+    optimizationSuggestions: optimizationSuggestions.value,
+    planVersions: planVersions.value,
+  };
+};
+
+/**
+ * Restores the signals from a saved project state.
+ * @param {object} state The state produced by `collectProjectState`.
+ */
+const restoreProjectState = (state) => {
+  resetChartEditor();
+  workspaceDocuments.value = state.workspaceDocuments || [];
+  activeDocumentId.value = state.activeDocumentId || null;
+  userInput.value = state.userInput || '';
+  pdfText.value = state.pdfText || '';
+  pdfFileName.value = state.pdfFileName || '';
+  documentSource.value = state.documentSource || '';
+  tableOfContents.value = state.tableOfContents || null;
+  tocSearchQuery.value = '';
+  // A batch saved mid-run resumes from the dashboard.
+  batchSections.value = (state.batchSections || []).map(section => (section.status === 'running' ? { ...section, status: 'pending' } : section));
+  viewedBatchSectionId.value = null;
+  summaryData.value = state.summaryData || null;
+  flowchartSvg.value = state.flowchartSvg || '';
+  chartView.value = state.chartView || 'flowchart';
+  status.value = state.status === 'success' && state.summaryData ? 'success' : 'idle';
+  errorMessage.value = '';
+  loadingMessage.value = '';
+  topQuestions.value = state.topQuestions || [];
+  qaStatus.value = topQuestions.value.length > 0 ? 'success' : 'idle';
+  // Projects saved before chat threads kept a single conversation.
+  const legacyThreads = state.chatHistory?.length > 0 ? [updateThreadMessages(createThread(), state.chatHistory)] : [];
+  showChatThreads(state.chatThreads
+    ? { threads: state.chatThreads, activeThreadId: state.activeChatThreadId }
+    : { threads: legacyThreads, activeThreadId: legacyThreads[0]?.id });
+  chatInput.value = '';
+  isChatting.value = false;
+  quizStatus.value = state.quiz?.status || 'idle';
+  quizQuestions.value = state.quiz?.questions || [];
+  currentQuestionIndex.value = state.quiz?.currentQuestionIndex || 0;
+  userAnswers.value = state.quiz?.userAnswers || [];
+  quizError.value = '';
+  optimizationSuggestions.value = state.optimizationSuggestions || [];
+  optimizationStatus.value = optimizationSuggestions.value.length > 0 ? 'success' : 'idle';
+  planVersions.value = state.planVersions || [];
+  historyFromId.value = '';
+  historyToId.value = '';
+};
+
+const refreshProjects = async () => {
+  try {
+    projects.value = await listProjects();
+  } catch (err) {
+    console.error('Project list error:', err);
+    libraryStatus.value = 'error';
+    libraryMessage.value = err instanceof Error ? err.message : 'تعذر قراءة المشاريع المحفوظة.';
+  }
+};
+
+/**
+ * Saves the current analysis, updating the open project if there is one.
+ */
+const saveCurrentProject = async () => {
+  if (!documentSource.value && !summaryData.value) return;
+  libraryStatus.value = 'saving';
+  libraryMessage.value = '';
+  try {
+    const existing = currentProjectId.value ? await getProject(currentProjectId.value) : null;
+    const defaultName = pdfFileName.value ? pdfFileName.value.replace(/\.[^.]+$/, '') : (summaryData.value?.summary || userInput.value).slice(0, 60).trim();
+    // Only files that are not stored with the project yet are written.
+    const newFiles = Object.fromEntries(Object.entries(documentFiles.value)
+      .filter(([documentId]) => !(existing?.fileIds || []).includes(documentId)));
+    const state = collectProjectState();
+    const saved = await saveProject({
+      id: existing?.id,
+      name: existing?.name || defaultName || 'مشروع بدون اسم',
+      fileName: state.workspaceDocuments.map(doc => doc.name).join('، ') || pdfFileName.value,
+      state,
+    }, newFiles);
+    currentProjectId.value = saved.id;
+    libraryStatus.value = 'idle';
+    libraryMessage.value = `تم حفظ المشروع "${saved.name}".`;
+    await refreshProjects();
+  } catch (err) {
+    console.error('Project save error:', err);
+    libraryStatus.value = 'error';
+    libraryMessage.value = err instanceof Error ? `فشل حفظ المشروع: ${err.message}` : 'فشل حفظ المشروع.';
+  }
+};
+
+const ProjectLibraryView = () => {
+  const handleOpen = async (id) => {
+    libraryStatus.value = 'loading';
+    libraryMessage.value = '';
+    try {
+      const project = await getProject(id);
+      if (!project) throw new Error('المشروع غير موجود.');
+      restoreProjectState(project.state);
+      currentProjectId.value = project.id;
+      documentFiles.value = await getProjectFiles(project.id);
+      libraryStatus.value = 'idle';
+      activeTab.value = 'generate';
+    } catch (err) {
+      console.error('Project open error:', err);
+      libraryStatus.value = 'error';
+      libraryMessage.value = err instanceof Error ? `فشل فتح المشروع: ${err.message}` : 'فشل فتح المشروع.';
+    }
+  };
+
+  const handleRename = async (project) => {
+    const name = prompt('الاسم الجديد للمشروع:', project.name);
+    if (!name || !name.trim() || name.trim() === project.name) return;
+    try {
+      await renameProject(project.id, name.trim());
+      await refreshProjects();
+    } catch (err) {
+      console.error('Project rename error:', err);
+      libraryStatus.value = 'error';
+      libraryMessage.value = 'فشلت إعادة تسمية المشروع.';
+    }
+  };
+
+  const handleDelete = async (project) => {
+    if (!confirm(`هل تريد حذف المشروع "${project.name}" نهائيًا؟`)) return;
+    try {
+      await deleteProject(project.id);
+      if (currentProjectId.value === project.id) currentProjectId.value = null;
+      await refreshProjects();
+    } catch (err) {
+      console.error('Project delete error:', err);
+      libraryStatus.value = 'error';
+      libraryMessage.value = 'فشل حذف المشروع.';
+    }
+  };
+
+  const visibleProjects = filterProjects(projects.value, projectSearchQuery.value, projectSortBy.value);
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString('ar', { dateStyle: 'medium', timeStyle: 'short' });
+
+  return html`
+    <div class="library-view">
+      <h3>المشاريع المحفوظة</h3>
+      <p>تُحفظ المشاريع في هذا المتصفح فقط، مع النص المصدر والمخطط والأسئلة والدردشة ونتائج الاختبار.</p>
+      <div class="library-toolbar">
+        <input
+          type="text"
+          class="toc-search-input"
+          placeholder="ابحث في المشاريع..."
+          value=${projectSearchQuery.value}
+          onInput=${(e) => projectSearchQuery.value = e.target.value}
+        />
+        <select class="library-sort" value=${projectSortBy.value} onChange=${(e) => projectSortBy.value = e.target.value}>
+          <option value="updated">الأحدث تعديلًا</option>
+          <option value="name">الاسم</option>
+        </select>
+        <button onClick=${saveCurrentProject} disabled=${libraryStatus.value === 'saving' || (!documentSource.value && !summaryData.value)}>
+          ${currentProjectId.value ? 'حفظ التغييرات' : 'حفظ التحليل الحالي'}
+        </button>
+      </div>
+      ${libraryMessage.value && html`<div class=${libraryStatus.value === 'error' ? 'error' : 'library-message'}>${libraryMessage.value}</div>`}
+      <ul class="library-list">
+        ${visibleProjects.length > 0 ? visibleProjects.map(project => html`
+          <li key=${project.id} class=${project.id === currentProjectId.value ? 'current' : ''}>
+            <div class="library-item-info">
+              <span class="toc-title">${project.name}</span>
+              <span class="library-item-meta">
+                ${project.fileName && `${project.fileName} · `}آخر تعديل: ${formatDate(project.updatedAt)}
+              </span>
+            </div>
+            <div class="library-item-actions">
+              <button onClick=${() => handleOpen(project.id)} disabled=${libraryStatus.value === 'loading'}>فتح</button>
+              <button class="clear-btn" onClick=${() => handleRename(project)}>إعادة تسمية</button>
+              <button class="clear-btn" onClick=${() => handleDelete(project)}>حذف</button>
+            </div>
+          </li>
+        `) : html`<li class="toc-no-results">${projects.value.length > 0 ? 'لا توجد نتائج مطابقة.' : 'لا توجد مشاريع محفوظة بعد.'}</li>`}
+      </ul>
+    </div>
+  `;
+};
+
+/**
+ * Extracts the process described in a document, or in one of its sections.
+ * @param {string} documentContext The source text, already cut to the section if there is one.
+ * @param {string} userQuery What the user asked for; empty to summarise the whole text.
+ * @param {{ title: string, page: number, endPage: number, fromPage: number, toPage: number } | null} section
+ *   The ToC section the text was cut to, kept on the plan as `section`.
+ * @param {{ signal?: AbortSignal, onRetry?: Function }} [requestOptions] Passed to the model request.
+ * @returns {Promise<object>} The plan, with normalized steps.
+ */
+const analyzeProcess = async (documentContext, userQuery, section, requestOptions = {}) => {
+    const effectiveQuery = userQuery || "لخص العملية الرئيسية الموضحة في هذا المستند بالكامل.";
+
+    const prompt = `
+**التعليمات** أنت مساعد ذكاء اصطناعي خبير في تحليل الإجراءات والنصوص الإدارية، ومخرجك **يجب أن يكون دائماً باللغة العربية الفصحى**.
+**مهمتك الأساسية** تحليل طلب المستخدم والنص المصدر المقدم لإنتاج كائن JSON واحد صالح. هذا الكائن يجب أن يحتوي على مفتاحين أساسيين:
+1.  \\\`summary\\\`: **ملخص تنفيذي**: يجب أن يكون هذا فقرة نثرية متماسكة وموجزة باللغة العربية، تقدم نظرة شاملة وعامة على العملية الموصوفة. **لا تقم بسرد الخطوات هنا**، بل قدم ملخصًا سرديًا.
+2.  \\\`steps\\\`: **خطوات العملية**: يجب أن يكون هذا مصفوفة من الكائنات، حيث يمثل كل كائن **مرحلة عمل رئيسية ومكتملة**.
+    *   **قاعدة حاسمة**: **لا تقم بتقسيم إجراء واحد إلى خطوات متعددة**. على سبيل المثال، إذا كان النص يصف "تعبئة النموذج ثم تقديمه"، فيجب أن يكون هذا خطوة واحدة بعنوان "تعبئة وتقديم النموذج"، وليس خطوتين منفصلتين. ادمج الأفعال المتسلسلة التي تشكل إجراءً واحدًا.
+    *   كل كائن خطوة يجب أن يحتوي على:
+        *   \\\`stepNumber\\\` (رقم).
+        *   \\\`description\\\` (**عنوان الخطوة**): **نص موجز جدًا ومكثف** يلخص جوهر المرحلة. يجب أن يكون هذا العنوان مصممًا للعرض داخل صندوق في مخطط انسيابي، مع الأخذ في الاعتبار أن المستخدم يمكنه النقر للحصول على التفاصيل. **ركز على الفعل الأساسي والنتيجة**. مثال جيد: "تقديم طلب الإجازة". مثال سيء: "يقوم الموظف أولاً بفتح النظام ثم يذهب إلى قسم الإجازات ويملأ الحقول المطلوبة ثم يضغط على زر الإرسال".
+        *   \\\`page\\\` (رقم الصفحة المأخوذ من علامة \\\`[Source: Page X]\\\` في النص المصدر).
+        *   \\\`actor\\\` (**الجهة المسؤولة**): الدور أو الإدارة التي تنفذ الخطوة باللغة العربية (مثال: "الموظف"، "المدير المباشر"، "إدارة الموارد البشرية"). استخدم نفس التسمية بالضبط لكل الخطوات التي تنفذها الجهة نفسها.
+        *   \\\`type\\\` (نوع الخطوة): \\\`"task"\\\` لمهمة عادية، أو \\\`"decision"\\\` لنقطة قرار تتفرع منها مسارات (مثل الموافقة أو الرفض)، أو \\\`"parallel"\\\` لنقطة تبدأ منها مسارات تُنفذ بالتوازي.
+        *   \\\`next\\\` (الخطوات التالية): مصفوفة من الكائنات بالشكل \\\`{ "to": رقم الخطوة التالية, "label": "تسمية المسار" }\\\`. التسمية اختيارية للمهام العادية وإلزامية لكل مسار يخرج من نقطة قرار (مثال: "موافق"، "مرفوض"، "إعادة للتعديل").
+    *   **التفرعات والحلقات**: إذا وصف النص مسارات بديلة (موافقة/رفض/إعادة) فمثّلها بخطوة من نوع \\\`"decision"\\\` تتفرع منها المسارات. إذا عاد المسار إلى خطوة سابقة (مثل إعادة الطلب للتعديل) فاجعل \\\`to\\\` يشير إلى رقم تلك الخطوة السابقة. الخطوة التي ينتهي عندها مسار ما يجب أن تكون \\\`next\\\` فيها مصفوفة فارغة \\\`[]\\\`.
+
+**قواعد حاسمة لا يمكن تجاوزها:**
+1.  **اللغة العربية حصرًا**: كل النصوص المولدة، بما في ذلك \\\`summary\\\` و \\\`description\\\` لكل خطوة، يجب أن تكون باللغة العربية.
+2.  **استخلاص رقم الصفحة**: لكل خطوة في مصفوفة \\\`steps\\\`, يجب تحديد رقم الصفحة بدقة بالاعتماد على أقرب علامة \\\`[Source: Page X]\\\` تسبق الخطوة في النص المصدر.
+3.  **تنسيق JSON نقي**: المخرج النهائي يجب أن يكون كائن JSON صالح تمامًا. لا تضف أي تعليقات، مقدمات، خواتيم، أو علامات markdown مثل \\\`\\\`\\\`json. فقط كائن JSON.
+
+---
+**طلب المستخدم:** ${effectiveQuery}
+${section ? `**نطاق التحليل:** القسم "${section.title}" (الصفحات ${section.page}-${section.endPage}). النص المصدر أدناه مقتطع من الصفحات ${section.fromPage}-${section.toPage} فقط، وقد تتضمن أطرافه جزءًا من الأقسام المجاورة للسياق؛ استخلص خطوات هذا القسم وحده.
+` : ''}**المستند المصدر:** ${documentContext}
+---
+الآن، قم بإنشاء كائن JSON باللغة العربية فقط بناءً على التعليمات الصارمة أعلاه.`;
+
+    const plan = await generateStructured('analysis', prompt, PLAN_SCHEMA, requestOptions);
+    plan.steps = normalizeSteps(plan.steps);
+    if (section) plan.section = section;
+    return plan;
+};
+
+// === Batch Analysis ===
+
+const BATCH_STATUS_LABELS = { pending: 'في الانتظار', running: 'جاري التحليل...', done: 'تم', error: 'فشل' };
+
+/**
+ * Updates a batch section. The batch may belong to a document that is no longer the
+ * active one, in which case its stashed copy in the workspace is updated.
+ * @param {string | null} documentId The document the batch belongs to.
+ * @param {string} sectionId The section id.
+ * @param {object} changes The fields to change.
+ */
+const updateBatchSection = (documentId, sectionId, changes) => {
+  const update = (sections) => sections.map(section => (section.id === sectionId ? { ...section, ...changes } : section));
+  if (documentId === activeDocumentId.value) {
+    batchSections.value = update(batchSections.value);
+  } else {
+    workspaceDocuments.value = workspaceDocuments.value.map(doc => (doc.id === documentId ? { ...doc, batch: update(doc.batch || []) } : doc));
+  }
+};
+
+/**
+ * Writes the chart shown from a batch section (which may have been edited) back to it.
+ */
+const storeViewedBatchPlan = () => {
+  if (viewedBatchSectionId.value && summaryData.value) {
+    updateBatchSection(activeDocumentId.value, viewedBatchSectionId.value, { plan: summaryData.value });
+  }
+};
+
+/**
+ * Stops showing a batch section, keeping any edits made to its chart.
+ */
+const leaveBatchSection = () => {
+  storeViewedBatchPlan();
+  viewedBatchSectionId.value = null;
+};
+
+/**
+ * Shows the chart of an analysed batch section in the generation tab.
+ * @param {object} section The batch section.
+ */
+const showBatchSection = (section) => {
+  leaveBatchSection();
+  resetChartEditor();
+  viewedBatchSectionId.value = section.id;
+  summaryData.value = section.plan;
+  flowchartSvg.value = renderFlowchartSvg(section.plan.steps);
+  chartView.value = 'flowchart';
+  status.value = 'success';
+  errorMessage.value = '';
+  topQuestions.value = [];
+  qaStatus.value = 'idle';
+  optimizationStatus.value = 'idle';
+  optimizationSuggestions.value = [];
+};
+
+/**
+ * Runs batch sections of the active document through the batch queue.
+ * @param {Array<object>} sections The sections to (re)run.
+ */
+const runBatch = async (sections) => {
+  if (!isLlmConfigured()) {
+    errorMessage.value = 'لم يتم إعداد مزود النماذج: أضف مفتاح API (أو عنوان الخادم) أو استخدم المزود التجريبي.';
+    status.value = 'error';
+    return;
+  }
+  const documentId = activeDocumentId.value;
+  const documentText = pdfText.value;
+  const ids = sections.map(section => section.id);
+  batchSections.value = batchSections.value.map(section => (ids.includes(section.id) ? { ...section, status: 'pending', error: '' } : section));
+  batchStatus.value = 'running';
+  const signal = startOperation('batch');
+
+  const analyzeSection = (section, sectionSignal) => {
+    const text = getSectionText(documentText, section.fromPage, section.toPage);
+    if (!text) throw new Error('صفحات هذا القسم غير موجودة في نص المستند.');
+    const { title, page, endPage, fromPage, toPage } = section;
+    return analyzeProcess(text, '', { title, page, endPage, fromPage, toPage }, { signal: sectionSignal });
+  };
+
+  try {
+    await runBatchQueue(sections, analyzeSection, {
+      signal,
+      onUpdate: (sectionId, changes) => updateBatchSection(documentId, sectionId, changes),
+    });
+  } finally {
+    batchStatus.value = 'idle';
+    finishOperation('batch', signal);
+  }
+};
+
+/**
+ * Starts "process all sections": one chart for every leaf section of the active document's ToC.
+ */
+const processAllSections = () => {
+  if (batchSections.value.some(section => section.status === 'done')
+      && !confirm('سيتم استبدال نتائج تحليل الأقسام السابقة. هل تريد المتابعة؟')) return;
+  leaveBatchSection();
+  batchSections.value = createBatchSections(tableOfContents.value, countSourcePages(pdfText.value), sectionPageMargin.value);
+  runBatch(batchSections.value);
+};
+
+const BatchDashboard = () => {
+  const sections = batchSections.value;
+  if (sections.length === 0) return null;
+
+  const isRunning = batchStatus.value === 'running';
+  const doneCount = sections.filter(section => section.status === 'done').length;
+  const failedCount = sections.filter(section => section.status === 'error').length;
+  const unfinished = sections.filter(section => section.status !== 'done');
+  const documentName = pdfFileName.value ? pdfFileName.value.replace(/\.[^.]+$/, '') : 'المستند';
+
+  const handleExportBundle = () => {
+    storeViewedBatchPlan();
+    downloadFile(`${documentName} - الأقسام.html`, exportBatchBundle(batchSections.value, documentName), 'text/html;charset=utf-8');
+  };
+
+  const handleClose = () => {
+    leaveBatchSection();
+    batchSections.value = [];
+  };
+
+  return html`
+    <div class="batch-dashboard">
+      <div class="batch-header">
+        <h4>تحليل جميع الأقسام: ${doneCount} من ${sections.length}${failedCount > 0 ? ` — فشل ${failedCount}` : ''}</h4>
+        <progress max=${sections.length} value=${doneCount}></progress>
+      </div>
+      <ul>
+        ${sections.map(section => html`
+          <li key=${section.id} class=${`batch-row ${section.status} ${section.id === viewedBatchSectionId.value ? 'active' : ''}`}>
+            <button
+              class="batch-title"
+              style=${{ paddingRight: `${(section.level - 1) * 16}px` }}
+              disabled=${section.status !== 'done'}
+              onClick=${() => showBatchSection(section)}
+              title=${section.status === 'done' ? 'عرض مخطط القسم' : ''}
+            >${section.title}</button>
+            <span class="toc-page">ص ${section.page}${section.endPage > section.page ? `–${section.endPage}` : ''}</span>
+            <span class="batch-status" title=${section.error}>${BATCH_STATUS_LABELS[section.status]}</span>
+            ${section.status === 'error' && !isRunning && html`<button class="clear-btn" onClick=${() => runBatch([section])}>إعادة المحاولة</button>`}
+          </li>
+        `)}
+      </ul>
+      <div class="export-container">
+        ${isRunning && html`<${CancelButton} operations=${['batch']} label="إيقاف" />`}
+        ${!isRunning && unfinished.length > 0 && html`<button onClick=${() => runBatch(unfinished)}>${failedCount === unfinished.length ? 'إعادة محاولة الأقسام الفاشلة' : 'متابعة الأقسام المتبقية'} (${unfinished.length})</button>`}
+        ${doneCount > 0 && html`<button class="clear-btn" onClick=${handleExportBundle}>تصدير الحزمة (HTML)</button>`}
+        ${!isRunning && html`<button class="clear-btn" onClick=${handleClose}>إغلاق</button>`}
+      </div>
+    </div>
+  `;
 };
 
-const extractTocFromText = async (documentText) => {
+const extractTocFromText = async (documentText, signal) => {
     if (!documentText) return null;
 
     // Truncate the document text to avoid exceeding token limits.
@@ -284,80 +1585,138 @@ ${textForTocExtraction}
 ---
 قم بإنشاء مصفوفة JSON فقط. إذا لم يتم العثور على جدول محتويات، قم بإرجاع مصفوفة فارغة \\\`[]\\\`.`;
     try {
-        const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash-preview-04-17',
-            contents: prompt,
-            config: { responseMimeType: "application/json", thinkingConfig: { thinkingBudget: 0 } },
-        });
-
-        const jsonText = extractJsonFromText(response.text);
-        const toc = JSON.parse(jsonText);
-        return (Array.isArray(toc) && toc.length > 0) ? toc : null;
+        const toc = await generateStructured('toc', prompt, TOC_SCHEMA, { signal });
+        return toc.length > 0 ? toc : null;
     } catch (e) {
+        if (isAbortError(e)) throw e;
         console.warn("Could not extract Table of Contents:", e);
         return null;
     }
 };
 
+// When the model has to find the ToC, it reads this many pages from the start of the document.
+const TOC_PAGE_LIMIT = 25;
+
 /**
- * Extracts text from a PDF file, processing it in chunks to keep the UI responsive.
- * It first extracts text from the initial pages for quick ToC generation, then
- * processes the rest of the document in the background.
- * @param {File} file The PDF file to process.
- * @param {Function} onProgress A callback function to report progress.
- * @returns {Promise<string>} A promise that resolves with the full text of the PDF.
+ * OCRs the PDF pages that have no text layer, one page at a time: each is rendered to an
+ * image on the main thread (the parsing worker has no canvas) and read by the OCR engine.
+ * A page that cannot be rendered or read gets empty text and is marked `failed`; the
+ * other pages are still read.
+ * @param {File} file The PDF file.
+ * @param {Array<number>} pageNumbers The pages to OCR.
+ * @param {Function} onProgress Called with `{ stage: 'ocr', page, done, total }` before each page.
+ * @param {AbortSignal} [signal] Cancels the remaining pages.
+ * @returns {Promise<Map<number, { text: string, confidence: number, failed?: boolean }>>} The results by page number.
  */
-const extractTextFromPdf = async (file, onProgress) => {
-    const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    const numPages = pdf.numPages;
-    let fullText = '';
-    const TOC_PAGE_LIMIT = Math.min(25, numPages);
-
-    // --- Phase 1: Quick ToC Extraction (Now with yielding) ---
-    let initialText = '';
-    onProgress({ stage: 'parsing_initial' });
-    for (let i = 1; i <= TOC_PAGE_LIMIT; i++) {
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        const pageText = processPageTextContent(textContent);
-        initialText += `[Source: Page ${i}]\n${pageText}`;
-        // Yield to the main thread after each page to keep UI responsive.
-        await new Promise(resolve => setTimeout(resolve, 0));
+const ocrPdfPages = async (file, pageNumbers, onProgress, signal) => {
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    const results = new Map();
+    try {
+        for (const [index, pageNumber] of pageNumbers.entries()) {
+            signal?.throwIfAborted();
+            onProgress({ stage: 'ocr', page: pageNumber, done: index, total: pageNumbers.length });
+            let page = null;
+            try {
+                page = await pdf.getPage(pageNumber);
+                results.set(pageNumber, await recognizeImage(await renderPageToImage(page), { signal }));
+            } catch (err) {
+                if (isAbortError(err)) throw err;
+                console.warn(`OCR failed for page ${pageNumber}:`, err);
+                results.set(pageNumber, { text: '', confidence: 0, failed: true });
+            } finally {
+                page?.cleanup();
+            }
+        }
+    } finally {
+        await pdf.destroy();
     }
-    
-    // Now that initial text is ready, call the ToC extraction
-    onProgress({ stage: 'extracting_toc' });
-    const toc = await extractTocFromText(initialText);
-    onProgress({ stage: 'toc_ready', toc: toc, numPages: numPages });
-    
-    fullText = initialText;
-
-    // --- Phase 2: Background full extraction ---
-    for (let i = TOC_PAGE_LIMIT + 1; i <= numPages; i++) {
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        const pageText = processPageTextContent(textContent);
-        fullText += `[Source: Page ${i}]\n${pageText}`;
-
-        // Yield to the main thread every 10 pages to keep UI responsive
-        if (i % 10 === 0 || i === numPages) {
-            const progressPercentage = Math.round((i / numPages) * 100);
-            onProgress({ stage: 'parsing_full', progress: progressPercentage });
-            await new Promise(resolve => setTimeout(resolve, 0)); // Yield
+    return results;
+};
+
+/**
+ * Extracts text from a PDF file in a background worker (pdfWorker.js), which streams the
+ * pages back in order, so even very large documents never block the UI. Pages without a
+ * text layer are OCR'd afterwards (see `ocrPdfPages`). The worker also supplies the ToC,
+ * from the PDF's outline or its headings; only when it finds neither is the model asked
+ * to read one from the first `TOC_PAGE_LIMIT` pages (after OCR).
+ * @param {File} file The PDF file to process.
+ * @param {Function} onProgress Called with `{ stage: 'parsing', page, numPages }` after every
+ *   page, with `{ stage: 'ocr', page, done, total }` before each OCR'd page, with
+ *   `{ stage: 'toc' }` before asking the model for the ToC and with `{ stage: 'toc_ready', toc }`
+ *   once the ToC (with page ranges, see toc.js) is known.
+ * @param {AbortSignal} [signal] Stops the worker, OCR and the ToC request.
+ * @returns {Promise<{ text: string, ocrPages: Record<number, number> | null, ocrFailedPages: Array<number> }>}
+ *   The full text of the PDF, the OCR confidence (0-1) of each OCR'd page and the scanned
+ *   pages OCR failed on (their text layer, if any, is kept).
+ */
+const extractTextFromPdf = async (file, onProgress, signal) => {
+    const data = await file.arrayBuffer();
+    signal?.throwIfAborted();
+    const worker = new Worker(new URL('./pdfWorker.js', import.meta.url), { type: 'module' });
+    const pages = [];
+    const scannedPages = [];
+    let numPages = 0;
+    let toc = null;
+    let onAbort = null;
+
+    try {
+        await new Promise((resolve, reject) => {
+            onAbort = () => reject(signal.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
+            worker.onmessage = ({ data: message }) => {
+                if (message.type === 'meta') {
+                    numPages = message.numPages;
+                } else if (message.type === 'toc') {
+                    toc = message.toc;
+                    if (toc) onProgress({ stage: 'toc_ready', toc });
+                } else if (message.type === 'page') {
+                    pages.push(`[Source: Page ${message.pageNumber}]\n${message.text}`);
+                    if (message.needsOcr) scannedPages.push(message.pageNumber);
+                    onProgress({ stage: 'parsing', page: message.pageNumber, numPages });
+                } else if (message.type === 'done') {
+                    resolve();
+                } else if (message.type === 'error') {
+                    reject(new Error(`تعذرت قراءة ملف PDF: ${message.message}`));
+                }
+            };
+            worker.onerror = (event) => reject(new Error(event.message || 'تعذر تشغيل قارئ ملفات PDF.'));
+            worker.postMessage({ type: 'parse', data }, [data]);
+        });
+        worker.terminate();
+
+        let ocrPages = null;
+        const ocrFailedPages = [];
+        if (scannedPages.length > 0) {
+            const results = await ocrPdfPages(file, scannedPages, onProgress, signal);
+            ocrPages = {};
+            results.forEach(({ text, confidence, failed }, pageNumber) => {
+                if (failed) {
+                    ocrFailedPages.push(pageNumber);
+                    return;
+                }
+                // Keep what little the text layer had when OCR found nothing.
+                if (text) pages[pageNumber - 1] = `[Source: Page ${pageNumber}]\n${text}\n`;
+                ocrPages[pageNumber] = confidence;
+            });
+        }
+        if (!toc) {
+            onProgress({ stage: 'toc' });
+            toc = addPageRanges(await extractTocFromText(pages.slice(0, TOC_PAGE_LIMIT).join(''), signal), numPages);
+            onProgress({ stage: 'toc_ready', toc });
         }
+        return { text: pages.join(''), ocrPages, ocrFailedPages };
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        worker.terminate();
     }
-    
-    return fullText;
 };
 
 // Main App Component
 const App = () => {
   /**
-   * Reads a file and returns its base64 encoded representation for the Gemini API.
+   * Reads a file and returns its base64 encoded representation for the model provider.
    * @param {File} file The file to read.
-   * @returns {Promise<object>} A promise that resolves with the generative part object.
+   * @returns {Promise<{ mimeType: string, data: string }>} A promise that resolves with the image attachment.
    */
     const fileToGenerativePart = (file) => {
         return new Promise((resolve, reject) => {
@@ -368,10 +1727,8 @@ const App = () => {
                     // Get the base64 string, remove the data URI prefix
                     const base64Data = result.split(',')[1];
                     resolve({
-                        inlineData: {
-                            mimeType: file.type,
-                            data: base64Data
-                        }
+                        mimeType: file.type,
+                        data: base64Data
                     });
                 } else {
                     reject(new Error("Failed to read file as base64 string."));
@@ -382,21 +1739,19 @@ const App = () => {
         });
     };
 
-    const extractTextFromImage = async (file) => {
+    const extractTextFromImage = async (file, signal) => {
         const imagePart = await fileToGenerativePart(file);
-        const prompt = "استخرج كل النصوص الموجودة في هذه الصورة باللغة العربية. حافظ على التنسيق والفقرات قدر الإمكان.";
-        
-        const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash-preview-04-17',
-            contents: { parts: [imagePart, {text: prompt}] },
-            config: { thinkingConfig: { thinkingBudget: 0 } },
-        });
-
-        return response.text;
+        return recognizeImage(imagePart, { signal, onRetry: reportRetriesTo(loadingMessage) });
     };
     
-  const generateTopQuestions = async (documentContext, sectionContext) => {
+  /**
+   * Generates the top Q&A for a section. Only the passages most related to the section
+   * (and to `focusText`, usually the extracted process) are sent to the model, and each
+   * answer gets the passages that best support it as `sources`. `requestOptions` (signal,
+   * onRetry) are passed to the model request.
+   */
+  const generateTopQuestions = async (documentContext, sectionContext, focusText = '', requestOptions = {}) => {
+    const passages = retrievePassages(documentContext, `${sectionContext}\n${focusText}`, { limit: 12 });
     const prompt = `**التعليمات** أنت مساعد ذكاء اصطناعي متخصص في استخلاص المعلومات الأساسية من النصوص. مهمتك هي إنشاء قائمة بالأسئلة والأجوبة الأكثر أهمية بناءً على القسم المحدد من النص المقدم.
 
 **تعليمات صارمة:**
@@ -407,38 +1762,50 @@ const App = () => {
 5.  المخرج النهائي **يجب** أن يكون مصفوفة JSON صالحة فقط. لا تقم بتضمين أي نص أو شروحات أو علامات markdown.
 6.  يجب أن يتبع كل كائن في المصفوفة هذا الهيكل بالضبط: \\\`{ "question": "...", "answer": "..." }\\\`.
 7.  يجب أن تكون جميع الأسئلة والأجوبة باللغة العربية.
+8.  اختم كل إجابة بمصدرها كما يظهر في علامات \\\`[Source: ...]\\\`، بالصيغة "(المصدر: اسم الملف، صفحة N)"، أو "(المصدر: صفحة N)" إذا لم يكن للمستند اسم.
 
 ---
 **القسم المستهدف للتحليل:** ${sectionContext}
 ---
-**النص المصدر الكامل (للسياق):**
-${documentContext}
+**مقتطفات النص المصدر ذات الصلة (للسياق):**
+${formatPassages(passages)}
 ---
 الآن، قم بإنشاء مصفوفة JSON فقط بناءً على القسم المحدد.`;
 
-    const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-    const response = await ai.models.generateContent({
-        model: 'gemini-2.5-flash-preview-04-17',
-        contents: prompt,
-        config: { responseMimeType: "application/json", thinkingConfig: { thinkingBudget: 0 } },
-    });
-
-    const jsonText = extractJsonFromText(response.text);
-    const qaData = JSON.parse(jsonText);
-    if (!Array.isArray(qaData)) {
-        throw new Error("لم يتم إنشاء بيانات أسئلة وأجوبة صالحة.");
-    }
-    return qaData;
+    const qaData = await generateStructured('qa', prompt, QA_SCHEMA, requestOptions);
+    return qaData.map(item => ({
+        ...item,
+        sources: topSources(retrievePassages(documentContext, `${item.question}\n${item.answer}`, { limit: 3 }), 2),
+    }));
   };
 
-  const handleGenerate = async (sectionTitle = '') => {
+  /**
+   * Extracts the process of the document (or of the pasted text) and its top Q&A.
+   * @param {{ title: string, page?: number, endPage?: number, fromPage?: number, toPage?: number } | null} [section]
+   *   A ToC section to scope the analysis to: only pages `fromPage`-`toPage` (the section plus
+   *   the page margin) are sent to the model. It is kept on the plan as `section`. For pasted
+   *   text only the title is used, to label the Q&A.
+   */
+  const handleGenerate = async (section = null) => {
+    const sectionTitle = section?.title || '';
     const contextFromInput = userInput.value.trim();
     const contextFromPdf = pdfText.value.trim();
 
     if (!contextFromInput && !contextFromPdf) return;
+
+    // A pasted Mermaid flowchart is imported as-is instead of being analysed.
+    if (!contextFromPdf && extractMermaidSource(contextFromInput)) {
+        try {
+            loadImportedProcess(importMermaid(contextFromInput), 'Mermaid');
+        } catch (err) {
+            errorMessage.value = err instanceof Error ? err.message : 'فشل في استيراد المخطط.';
+            status.value = 'error';
+        }
+        return;
+    }
     
-    if (typeof process === 'undefined' || !process.env || !process.env.API_KEY) {
-        errorMessage.value = 'لم يتم العثور على مفتاح API.';
+    if (!isLlmConfigured()) {
+        errorMessage.value = 'لم يتم إعداد مزود النماذج: أضف مفتاح API (أو عنوان الخادم) أو استخدم المزود التجريبي.';
         status.value = 'error';
         return;
     }
@@ -446,133 +1813,70 @@ ${documentContext}
     let userQuery, documentContext;
 
     if (contextFromPdf) {
-        documentContext = contextFromPdf;
+        const sectionText = section ? getSectionText(contextFromPdf, section.fromPage, section.toPage) : '';
+        // A ToC whose page numbers are not in the text (printed page numbers, say) falls back to the whole document.
+        if (!sectionText) section = null;
+        documentContext = sectionText || contextFromPdf;
         userQuery = contextFromInput; // Can be an empty string
     } else {
+        section = null;
         documentContext = contextFromInput;
         userQuery = ''; // The whole input is the document, so no specific query
     }
 
     if (!documentContext) return;
-    documentSource.value = documentContext; // Set the global source for other tabs
-
-    const effectiveQuery = userQuery || "لخص العملية الرئيسية الموضحة في هذا المستند بالكامل.";
-
-    const promptForAnalysis = `
-**التعليمات** أنت مساعد ذكاء اصطناعي خبير في تحليل الإجراءات والنصوص الإدارية، ومخرجك **يجب أن يكون دائماً باللغة العربية الفصحى**.
-**مهمتك الأساسية** تحليل طلب المستخدم والنص المصدر المقدم لإنتاج كائن JSON واحد صالح. هذا الكائن يجب أن يحتوي على مفتاحين أساسيين:
-1.  \\\`summary\\\`: **ملخص تنفيذي**: يجب أن يكون هذا فقرة نثرية متماسكة وموجزة باللغة العربية، تقدم نظرة شاملة وعامة على العملية الموصوفة. **لا تقم بسرد الخطوات هنا**، بل قدم ملخصًا سرديًا.
-2.  \\\`steps\\\`: **خطوات العملية**: يجب أن يكون هذا مصفوفة من الكائنات، حيث يمثل كل كائن **مرحلة عمل رئيسية ومكتملة**.
-    *   **قاعدة حاسمة**: **لا تقم بتقسيم إجراء واحد إلى خطوات متعددة**. على سبيل المثال، إذا كان النص يصف "تعبئة النموذج ثم تقديمه"، فيجب أن يكون هذا خطوة واحدة بعنوان "تعبئة وتقديم النموذج"، وليس خطوتين منفصلتين. ادمج الأفعال المتسلسلة التي تشكل إجراءً واحدًا.
-    *   كل كائن خطوة يجب أن يحتوي على:
-        *   \\\`stepNumber\\\` (رقم).
-        *   \\\`description\\\` (**عنوان الخطوة**): **نص موجز جدًا ومكثف** يلخص جوهر المرحلة. يجب أن يكون هذا العنوان مصممًا للعرض داخل صندوق في مخطط انسيابي، مع الأخذ في الاعتبار أن المستخدم يمكنه النقر للحصول على التفاصيل. **ركز على الفعل الأساسي والنتيجة**. مثال جيد: "تقديم طلب الإجازة". مثال سيء: "يقوم الموظف أولاً بفتح النظام ثم يذهب إلى قسم الإجازات ويملأ الحقول المطلوبة ثم يضغط على زر الإرسال".
-        *   \\\`page\\\` (رقم الصفحة المأخوذ من علامة \\\`[Source: Page X]\\\` في النص المصدر).
-
-**قواعد حاسمة لا يمكن تجاوزها:**
-1.  **اللغة العربية حصرًا**: كل النصوص المولدة، بما في ذلك \\\`summary\\\` و \\\`description\\\` لكل خطوة، يجب أن تكون باللغة العربية.
-2.  **استخلاص رقم الصفحة**: لكل خطوة في مصفوفة \\\`steps\\\`, يجب تحديد رقم الصفحة بدقة بالاعتماد على أقرب علامة \\\`[Source: Page X]\\\` تسبق الخطوة في النص المصدر.
-3.  **تنسيق JSON نقي**: المخرج النهائي يجب أن يكون كائن JSON صالح تمامًا. لا تضف أي تعليقات، مقدمات، خواتيم، أو علامات markdown مثل \\\`\\\`\\\`json. فقط كائن JSON.
-
----
-**طلب المستخدم:** ${effectiveQuery}
-**المستند المصدر:** ${documentContext}
----
-الآن، قم بإنشاء كائن JSON باللغة العربية فقط بناءً على التعليمات الصارمة أعلاه.`;
-
-    const promptForSvgGeneration = (planStepsJson) => `
-**التعليمات** أنت فنان SVG خبير ومصمم جرافيك، متخصص في إنشاء مخططات انسيابية جمالية وواضحة وتفاعلية باللغة العربية. مهمتك هي تحويل بيانات JSON المقدمة إلى كود SVG واحد، جميل، ووظيفي.
-
-**المهمة:** قم بإنشاء كتلة كود SVG واحدة وصالحة. لا تقم بتضمين أي نصوص أخرى أو تفسيرات أو علامات markdown خارج كود SVG.
-
-**تعليمات التصميم والجودة (قواعد صارمة):**
-1.  **التفاعل (Interaction)**:
-    *   يجب أن تكون كل مجموعة عقدة (node group) قابلة للنقر. قم بتغليف كل عقدة (المستطيل والنص والاستشهاد) في عنصر \`<g>\`.
-    *   **أضف السمة \`id="node-\${step.stepNumber}"\`** إلى كل عنصر \`<g>\`. استخدم رقم الخطوة من بيانات JSON.
-    *   **أضف السمة \`class="clickable-node"\`** إلى كل عنصر \`<g>\`.
-2.  **النمط الجمالي المحدّث (Aesthetics)**:
-    *   **الألوان**: اللون الأساسي هو \`#28a745\`.
-    *   **التعريفات (\`<defs>\`)**: قم بتنشاء قسم \`<defs>\` قوي يحتوي على:
-        *   **رأس السهم**: \`<marker id="arrowhead" markerWidth="10" markerHeight="7" refX="0" refY="3.5" orient="auto"><polygon points="0 0, 10 3.5, 0 7" fill="#28a745"></polygon></marker>\`.
-        *   **فلتر الظل**: \`<filter id="dropShadow" height="130%"><feDropShadow dx="0" dy="4" stdDeviation="4" flood-color="rgba(0,0,0,0.1)"/></filter>\`.
-        *   **نمط التحويم**: \`<style>.clickable-node { cursor: pointer; } g.clickable-node > rect { transition: stroke 0.2s ease, stroke-width 0.2s ease; } g.clickable-node:hover > rect { stroke-width: 3px; stroke: #218838; }</style>\`. هذا يوفر تغذية راجعة بصرية ثابتة عند التحويم، مما يمنع الاهتزاز ويجعل النقر سهلاً.
-    *   **العقد (Nodes)**:
-        *   طبق الفلتر \`filter="url(#dropShadow)"\` على كل مجموعة عقدة \`<g>\`.
-        *   استخدم مستطيلات (\`<rect>\`) بزوايا دائرية كبيرة (\`rx="12" ry="12"\`).
-        *   **التعبئة**: استخدم خلفية بيضاء نقية (\`fill="#ffffff"\`).
-        *   **الإطار**: استخدم اللون الأساسي \`#28a745\` و \`stroke-width="2"\`.
-3.  **عرض النص العربي (Arabic Text Rendering)**:
-    *   **إلزامي**: استخدم \`<foreignObject>\` داخل كل مجموعة عقد (\`<g>\`) لضمان عرض النص العربي بشكل صحيح مع التفاف الكلمات.
-    *   **النمط**: داخل \`div\`، استخدم \`font-family: 'Tajawal', Tahoma, sans-serif;\`, حجم خط \`14px\`, **وزن خط 500** (\`font-weight: 500\`)، ومحاذاة للنص في المنتصف. أضف حشوة كافية.
-4.  **الأبعاد والتخطيط (Layout & Sizing)**:
-    *   **عرض العقدة**: ثابت عند 220 بكسل.
-    *   **ارتفاع العقدة**: ديناميكي ليناسب النص بشكل كامل.
-    *   **التخطيط**: قم بتوسيط جميع العقد أفقيًا. حافظ على مسافة رأسية ثابتة (مثل 60-70 بكسل) بين العقد.
-    *   **لوحة الرسم (SVG Canvas)**: اضبط أبعاد \`<svg>\` بدقة لتناسب المحتوى بالكامل.
-5.  **الاستشهادات (Citations)**:
-    *   أسفل كل عقدة، ضع عنصر \`<text>\` لعرض \`(المصدر: صفحة \${page})\` بلون رمادي فاتح (\`#6c757d\`) وحجم خط صغير (\`12px\`).
-
----
-**بيانات الخطة (JSON بالمحتوى العربي):**
-${planStepsJson}
----
-الآن، قم بإنشاء كود SVG فقط، مع الالتزام الصارم بجميع تعليمات التصميم والجودة والتفاعل المحدّثة.`;
+    // Pasted text becomes a workspace document of its own.
+    const activeDocument = workspaceDocuments.value.find(doc => doc.id === activeDocumentId.value);
+    if (!contextFromPdf && !(activeDocument?.kind === 'text' && activeDocument.text === documentContext)) {
+        const textCount = workspaceDocuments.value.filter(doc => doc.kind === 'text').length;
+        addWorkspaceDocument(createWorkspaceDocument({ name: `نص مُدخل ${textCount + 1}`, kind: 'text', text: documentContext }));
+    }
+    documentSource.value = contextFromPdf || documentContext; // Set the global source for other tabs
 
 
+    leaveBatchSection();
     status.value = 'generating';
     qaStatus.value = 'idle';
     optimizationStatus.value = 'idle';
     topQuestions.value = [];
     flowchartSvg.value = '';
+    chartView.value = 'flowchart';
     errorMessage.value = '';
     summaryData.value = null;
+    resetChartEditor();
     optimizationSuggestions.value = [];
+    const signal = startOperation('generate');
+    const onRetry = reportRetriesTo(loadingMessage);
     
     try {
       loadingMessage.value = 'المرحلة الأولى: تحليل المستند...';
-      const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-
-      const analysisResponse = await ai.models.generateContent({
-        model: 'gemini-2.5-flash-preview-04-17',
-        contents: promptForAnalysis,
-        config: { responseMimeType: "application/json", thinkingConfig: { thinkingBudget: 0 } },
-      });
-
-      const planJsonText = extractJsonFromText(analysisResponse.text);
-      const plan = JSON.parse(planJsonText);
-
-      if (!plan.summary || !plan.steps || !Array.isArray(plan.steps) || plan.steps.length === 0) {
-        throw new Error("فشلت الخطة التي تم إنشاؤها في التحقق.");
-      }
+      const plan = await analyzeProcess(documentContext, userQuery, section, { signal, onRetry });
       summaryData.value = plan;
+      recordVersion('analysis');
 
       loadingMessage.value = 'المرحلة الثانية: رسم المخطط الانسيابي...';
-      const svgResponse = await ai.models.generateContent({
-        model: 'gemini-2.5-flash-preview-04-17',
-        contents: promptForSvgGeneration(JSON.stringify(plan.steps, null, 2)),
-        config: { thinkingConfig: { thinkingBudget: 0 } },
-      });
-
-      let svgContent = svgResponse.text.trim();
-      const svgMatch = svgContent.match(/<svg[\s\S]*?<\/svg>/);
-      if (!svgMatch || !svgMatch[0]) throw new Error("المخرجات التي تم إنشاؤها لا تحتوي على SVG صالح.");
-      
-      flowchartSvg.value = svgMatch[0];
+      flowchartSvg.value = renderFlowchartSvg(plan.steps);
 
       loadingMessage.value = 'المرحلة الثالثة: استخلاص أهم الأسئلة...';
       qaStatus.value = 'generating';
       const qaContext = sectionTitle || (pdfFileName.value ? 'المستند بأكمله' : 'النص المقدم');
-      const qaData = await generateTopQuestions(documentContext, qaContext);
+      const qaData = await generateTopQuestions(documentContext, qaContext, `${plan.summary}\n${formatProcessGraph(plan.steps)}`, { signal, onRetry });
       topQuestions.value = qaData;
       qaStatus.value = 'success';
 
       status.value = 'success';
     } catch(err) {
+      if (isAbortError(err)) {
+        // A cancelled Q&A stage keeps the chart that was already drawn.
+        qaStatus.value = 'idle';
+        status.value = summaryData.value ? 'success' : 'idle';
+        return;
+      }
       console.error('Generation error:', err);
       qaStatus.value = 'error';
-      if (err instanceof Error && (err.message.includes('quota') || err.message.includes('RESOURCE_EXHAUSTED'))) {
-        errorMessage.value = 'عذرًا، الخدمة تواجه ضغطًا. هذا مثال توضيحي للمخطط. يرجى المحاولة مرة أخرى لاحقًا.';
-        flowchartSvg.value = SAMPLE_SVG_DATA;
+      qaError.value = err instanceof Error ? err.message : '';
+      if (isQuotaError(err)) {
+        errorMessage.value = 'عذرًا، الخدمة تواجه ضغطًا ولم تنجح إعادة المحاولة. يرجى المحاولة مرة أخرى بعد قليل.';
         status.value = 'quota_error';
       } else {
         errorMessage.value = err instanceof Error ? `فشل التحليل: ${err.message}` : 'حدث خطأ غير متوقع.';
@@ -580,6 +1884,7 @@ ${planStepsJson}
       }
     } finally {
         loadingMessage.value = '';
+        finishOperation('generate', signal);
     }
   };
   
@@ -587,75 +1892,163 @@ ${planStepsJson}
     const file = e.target.files?.[0];
     if (!file) return;
     
-    handleClear();
+    // Keep the workspace and chat; only the generation tab switches to the new file.
+    stashActiveDocument();
+    showWorkspaceDocument(null);
     pdfFileName.value = file.name;
     e.target.value = ''; // Reset the file input
     status.value = 'parsing';
+    const signal = startOperation('generate');
     
     try {
         let text = '';
-        if (file.type === 'application/pdf') {
+        let ocrPages = null;
+        let ocrFailedPages = [];
+        const kind = getDocumentKind(file);
+        if (kind === 'pdf') {
             loadingMessage.value = 'جاري قراءة ملف PDF...';
             
+            let tocState = 'waiting'; // 'waiting' | 'pending' | 'found' | 'missing'
+            let lastPage = { page: 0, numPages: 0 };
+            let ocrProgress = null;
+            const showPdfProgress = () => {
+                const { page, numPages } = lastPage;
+                const pageMessage = ocrProgress
+                    ? `جاري التعرف الضوئي على الصفحة ${ocrProgress.page} (${ocrProgress.done + 1} من ${ocrProgress.total} صفحات ممسوحة ضوئيًا)`
+                    : page < numPages
+                        ? `جاري قراءة الصفحة ${page} من ${numPages} (${Math.round((page / numPages) * 100)}%)`
+                        : `تمت قراءة ${numPages} صفحة`;
+                const tocMessage = { waiting: '', pending: 'جاري استخراج الفهرس...', found: 'تم استخراج الفهرس.', missing: 'لم يتم العثور على فهرس.' }[tocState];
+                loadingMessage.value = [pageMessage, tocMessage].filter(Boolean).join(' — ');
+            };
             const onPdfProgress = (progressData) => {
-                switch(progressData.stage) {
-                    case 'parsing_initial':
-                        loadingMessage.value = `جاري قراءة الصفحات الأولية...`;
-                        break;
-                    case 'extracting_toc':
-                        loadingMessage.value = 'تمت قراءة الصفحات الأولية، جاري استخراج الفهرس...';
-                        break;
-                    case 'toc_ready':
-                        tableOfContents.value = progressData.toc;
-                        const tocPageLimit = Math.min(25, progressData.numPages);
-                        const progress = Math.round((tocPageLimit / progressData.numPages) * 100);
-                        const message = progressData.toc ? 'تم استخراج الفهرس بنجاح.' : 'لم يتم العثور على فهرس.';
-                        loadingMessage.value = `${message} جاري تحليل باقي المستند... (${progress}%)`;
-                        break;
-                    case 'parsing_full':
-                        const tocMessage = tableOfContents.value ? 'تم استخراج الفهرس.' : 'لم يتم العثور على فهرس.';
-                        loadingMessage.value = `${tocMessage} جاري تحليل باقي المستند... (${progressData.progress}%)`;
-                        break;
+                if (progressData.stage === 'toc_ready') {
+                    tableOfContents.value = progressData.toc;
+                    tocState = progressData.toc ? 'found' : 'missing';
+                } else if (progressData.stage === 'toc') {
+                    ocrProgress = null;
+                    tocState = 'pending';
+                } else if (progressData.stage === 'ocr') {
+                    ocrProgress = progressData;
+                } else {
+                    lastPage = progressData;
                 }
+                showPdfProgress();
             };
 
-            text = await extractTextFromPdf(file, onPdfProgress);
+            ({ text, ocrPages, ocrFailedPages } = await extractTextFromPdf(file, onPdfProgress, signal));
 
-        } else if (file.type.startsWith('image/')) {
+        } else if (kind === 'image') {
             loadingMessage.value = 'جاري تحليل الصورة (OCR)...';
-            text = await extractTextFromImage(file);
+            const result = await extractTextFromImage(file, signal);
+            text = result.text;
+            ocrPages = { 1: result.confidence };
             tableOfContents.value = null; // No ToC for images
+        } else if (kind) {
+            loadingMessage.value = `جاري قراءة ملف ${DOCUMENT_KIND_LABELS[kind]}...`;
+            const parsed = await parseDocumentFile(file, kind, signal);
+            text = parsed.text;
+            // Headings give Word and HTML files a ToC of their own; otherwise ask the model, as for PDFs.
+            if (!parsed.toc && text.trim()) loadingMessage.value = 'جاري استخراج الفهرس...';
+            tableOfContents.value = parsed.toc
+                || addPageRanges(await extractTocFromText(text.split(/(?=\[Source: Page \d+\])/).slice(0, TOC_PAGE_LIMIT).join(''), signal), countSourcePages(text));
         } else {
-            throw new Error('نوع ملف غير مدعوم. يرجى تحميل ملف PDF أو صورة.');
+            throw new Error(describeUnsupportedFile(file));
         }
 
-        if (!text.trim()) throw new Error(`لم يتم العثور على نص في الملف: ${file.name}`);
-        pdfText.value = text;
-        documentSource.value = text;
-        
-        status.value = 'idle';
+        if (!text.trim()) {
+            const ocrNote = ocrFailedPages.length > 0 ? ` (تعذر التعرف الضوئي على ${ocrFailedPages.length} صفحة ممسوحة)` : '';
+            throw new Error(`لم يتم العثور على نص في الملف: ${file.name}${ocrNote}`);
+        }
+        addWorkspaceDocument(createWorkspaceDocument({
+            name: file.name,
+            kind,
+            text,
+            toc: tableOfContents.value,
+            ocrPages,
+            ocrFailedPages,
+        }), file);
     } catch (err) {
+        pdfFileName.value = '';
+        if (isAbortError(err)) {
+            tableOfContents.value = null;
+            status.value = 'idle';
+            return;
+        }
         console.error('File processing error:', err);
         errorMessage.value = err instanceof Error ? err.message : 'فشل في معالجة الملف.';
         status.value = 'error';
-        pdfFileName.value = '';
     } finally {
         loadingMessage.value = '';
+        finishOperation('generate', signal);
     }
   };
 
   const handleTocClick = (item) => {
+    leaveBatchSection();
     summaryData.value = null;
+    resetChartEditor();
     flowchartSvg.value = '';
     errorMessage.value = '';
     userInput.value = `لخّص واعرض المخطط الانسيابي للقسم بعنوان "${item.title}"`;
-    handleGenerate(item.title);
+    const numPages = countSourcePages(pdfText.value);
+    // ToCs saved before page ranges existed get them now.
+    const entry = item.endPage ? item
+      : addPageRanges(tableOfContents.value, numPages).find(candidate => candidate.title === item.title && candidate.page === item.page)
+        || { ...item, endPage: item.page };
+    handleGenerate({
+      title: entry.title,
+      page: entry.page,
+      endPage: entry.endPage,
+      ...getSectionRange(entry, numPages, sectionPageMargin.value),
+    });
+  };
+    
+  /**
+   * Loads a process imported from a diagram file as if it had just been generated,
+   * so the chart, exports, chat and optimization tabs all work against it.
+   * @param {{ name: string, summary: string, steps: Array<object> }} imported The imported process.
+   * @param {string} fileName The name of the imported file.
+   */
+  const loadImportedProcess = (imported, fileName) => {
+    const documentText = `**${imported.name}**\n\n${imported.summary}\n\nالخطوات:\n${formatProcessGraph(imported.steps)}`;
+    addWorkspaceDocument(createWorkspaceDocument({
+        name: fileName,
+        kind: 'diagram',
+        text: documentText,
+        plan: { summary: imported.summary, steps: imported.steps },
+    }));
+    recordVersion('import');
+  };
+
+  const handleDiagramImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    e.target.value = ''; // Reset the file input
+
+    try {
+        const text = await file.text();
+        const extension = file.name.split('.').pop().toLowerCase();
+        let imported;
+        if (extension === 'drawio' || /<mxfile|<mxGraphModel/.test(text)) {
+            imported = await importDrawio(text);
+        } else if (['mmd', 'mermaid', 'md', 'txt'].includes(extension)) {
+            imported = importMermaid(text);
+        } else {
+            imported = importBpmn(text);
+        }
+        loadImportedProcess(imported, file.name);
+    } catch (err) {
+        console.error('Diagram import error:', err);
+        errorMessage.value = err instanceof Error ? err.message : 'فشل في استيراد المخطط.';
+        status.value = 'error';
+    }
   };
     
   const handleTrySample = () => {
       handleClear();
       userInput.value = SAMPLE_DOCUMENT_TEXT;
-      setTimeout(() => handleGenerate('إجراء طلب إجازة سنوية'), 100);
+      setTimeout(() => handleGenerate({ title: 'إجراء طلب إجازة سنوية' }), 100);
   };
 
   const handleClear = () => {
@@ -666,9 +2059,14 @@ ${planStepsJson}
     pdfFileName.value = '';
     tableOfContents.value = null;
     tocSearchQuery.value = '';
+    cancelOperation('batch');
+    batchSections.value = [];
+    viewedBatchSectionId.value = null;
     flowchartSvg.value = '';
+    chartView.value = 'flowchart';
     errorMessage.value = '';
     summaryData.value = null;
+    resetChartEditor();
     status.value = 'idle';
     loadingMessage.value = '';
     isListening.value = false;
@@ -676,7 +2074,7 @@ ${planStepsJson}
     qaStatus.value = 'idle';
     topQuestions.value = [];
     // Chat tab
-    chatHistory.value = [];
+    showChatThreads(null);
     chatInput.value = '';
     isChatting.value = false;
     // Quiz tab
@@ -688,94 +2086,58 @@ ${planStepsJson}
     // Optimization tab
     optimizationStatus.value = 'idle';
     optimizationSuggestions.value = [];
+    // Version history
+    planVersions.value = [];
+    historyFromId.value = '';
+    historyToId.value = '';
+    // Workspace
+    workspaceDocuments.value = [];
+    activeDocumentId.value = null;
+    documentFiles.value = {};
+    // A cleared workspace is a new, unsaved project
+    currentProjectId.value = null;
+    libraryMessage.value = '';
   };
   
   const handleClearResults = () => {
+    leaveBatchSection();
     userInput.value = '';
     flowchartSvg.value = '';
     errorMessage.value = '';
     summaryData.value = null;
+    resetChartEditor();
     status.value = 'idle';
     loadingMessage.value = '';
   };
 
-  const handleSendMessage = async () => {
+  const handleSendMessage = () => {
     const userMessage = chatInput.value.trim();
-    if (!userMessage || isChatting.value || !documentSource.value) return;
+    if (!userMessage || isChatting.value || !getWorkspaceSource()) return;
 
-    const newHistory = [...chatHistory.value, { role: 'user', content: userMessage }];
-    chatHistory.value = newHistory; // Show user message
     chatInput.value = '';
-    isChatting.value = true;
-    
-    // Add placeholder for model's streaming response
-    chatHistory.value = [...newHistory, { role: 'model', content: '' }];
-
-    // Check if this is a query from a flowchart node and reset the flag
-    const nodeQuery = isNodeQuery.value;
-    isNodeQuery.value = false;
-
-    const nodeQueryInstruction = `التعليمات - أنت مساعد ذكاء اصطناعي. المستخدم يسأل عن تفاصيل خطوة محددة في عملية تم تلخيصها من المستند المصدر أدناه. مهمتك هي العثور على الأجزاء ذات الصلة في المستند المصدر التي تصف هذه الخطوة وتقديم شرح مفصل بناءً عليها. أجب باللغة العربية.`;
-    const defaultInstruction = `التعليمات - أنت مساعد ذكاء اصطناعي. أجب على أسئلة المستخدم باللغة العربية بناءً على المستند المصدر المقدم **فقط**. إذا كانت الإجابة غير موجودة بشكل صريح في المستند، يجب أن تقول "المعلومات المطلوبة غير متوفرة في المستند."`;
-
-    const systemInstruction = nodeQuery ? nodeQueryInstruction : defaultInstruction;
+    runChatTurn([...chatHistory.value, { role: 'user', content: userMessage }]);
+  };
 
+  const handleWorkspaceQuestions = async () => {
+    if (workspaceDocuments.value.length < 2) return;
+    qaStatus.value = 'generating';
+    const signal = startOperation('qa');
     try {
-        const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-        
-        // Get history BEFORE the last user message for context
-        const historyForChat = newHistory.slice(0, -1).map(msg => ({
-            role: msg.role,
-            parts: [{ text: msg.content }]
-        }));
-
-        const chat = ai.chats.create({
-          model: 'gemini-2.5-flash-preview-04-17',
-          // The Chat object can take a system instruction and the full document context.
-          config: {
-            systemInstruction: `${systemInstruction}\n\n---### **المستند المصدر**---\n${documentSource.value}`,
-          },
-          history: historyForChat,
-        });
-
-        const responseStream = await chat.sendMessageStream({message: userMessage});
-
-        for await (const chunk of responseStream) {
-            const currentHistory = chatHistory.value;
-            const lastMessage = currentHistory[currentHistory.length - 1];
-            // Ensure we are updating the model's message placeholder
-            if (lastMessage && lastMessage.role === 'model') {
-                lastMessage.content += chunk.text;
-                // Trigger a re-render by creating a new array
-                chatHistory.value = [...currentHistory];
-            }
-        }
-    } catch (e) {
-        console.error("Chat error:", e);
-        const currentHistory = chatHistory.value;
-        const lastMessage = currentHistory[currentHistory.length - 1];
-        if (lastMessage && lastMessage.role === 'model') {
-            lastMessage.content = "عذرًا، حدث خطأ أثناء محاولة الرد.";
-            chatHistory.value = [...currentHistory];
-        }
+      topQuestions.value = await generateTopQuestions(buildWorkspaceSource(workspaceDocuments.value), 'جميع مستندات مساحة العمل', '', { signal });
+      qaStatus.value = 'success';
+    } catch (err) {
+      if (isAbortError(err)) {
+        qaStatus.value = 'idle';
+        return;
+      }
+      console.error('Workspace Q&A error:', err);
+      qaError.value = err instanceof Error ? err.message : '';
+      qaStatus.value = 'error';
     } finally {
-        isChatting.value = false;
+      finishOperation('qa', signal);
     }
   };
 
-  const startChatWithNode = (nodeText) => {
-    if (!nodeText || !documentSource.value) return;
-
-    const userMessage = `اشرح لي هذه الخطوة من المخطط بالتفصيل: "${nodeText}"`;
-    activeTab.value = 'chat';
-
-    isNodeQuery.value = true; // Set the flag before triggering send
-
-    setTimeout(() => {
-        chatInput.value = userMessage;
-        handleSendMessage();
-    }, 100);
-  };
   
     const handleMicClick = () => {
         const SpeechRecognition = window['SpeechRecognition'] || window['webkitSpeechRecognition'];
@@ -861,6 +2223,21 @@ ${planStepsJson}
           onClick=${() => activeTab.value = 'quiz'}>
           اختبار سريع
         </button>
+        <button 
+          class="tab-button ${activeTab.value === 'compare' ? 'active' : ''}" 
+          onClick=${() => activeTab.value = 'compare'}>
+          مقارنة الإجراءات
+        </button>
+        <button 
+          class="tab-button ${activeTab.value === 'history' ? 'active' : ''}" 
+          onClick=${() => activeTab.value = 'history'}>
+          سجل الإصدارات
+        </button>
+        <button 
+          class="tab-button ${activeTab.value === 'library' ? 'active' : ''}" 
+          onClick=${() => activeTab.value = 'library'}>
+          المشاريع المحفوظة
+        </button>
       </div>
 
       <div class="tab-content">
@@ -870,16 +2247,20 @@ ${planStepsJson}
             handleFileChange=${handleFileChange}
             handleTocClick=${handleTocClick}
             handleTrySample=${handleTrySample}
-            onChartNodeClick=${startChatWithNode}
+            handleDiagramImport=${handleDiagramImport}
             handleMicClick=${handleMicClick}
           />`}
         ${activeTab.value === 'optimize' && html`<${OptimizationView} />`}
-        ${activeTab.value === 'qa' && html`<${QAView} />`}
+        ${activeTab.value === 'qa' && html`<${QAView} onGenerateWorkspaceQuestions=${handleWorkspaceQuestions} />`}
         ${activeTab.value === 'chat' && html`<${ChatView}
             onSendMessage=${handleSendMessage}
            />`}
         ${activeTab.value === 'quiz' && html`<${QuizView} />`}
+        ${activeTab.value === 'compare' && html`<${CompareView} />`}
+        ${activeTab.value === 'history' && html`<${HistoryView} />`}
+        ${activeTab.value === 'library' && html`<${ProjectLibraryView} />`}
       </div>
+      <${SourceViewerPane} />
     </div>
   `;
 };
@@ -904,7 +2285,151 @@ const ThemeToggleButton = () => {
     `;
 }
 
-const GenerationView = ({ handleGenerate, handleClearResults, handleFileChange, handleTocClick, onChartNodeClick, handleTrySample, handleMicClick }) => {
+// === Node Panel ===
+
+/**
+ * Asks the panel's mini-chat a question about a chart step. The answer draws on the
+ * passages that match the step and the question, in the pages the chart was drawn from.
+ * @param {object} step The step.
+ * @param {string} question The question.
+ */
+const askAboutStep = async (step, question) => {
+  const text = question.trim();
+  const source = getAnalysisSource();
+  if (!text || isNodeChatting.value || !source) return;
+
+  const key = step.stepNumber;
+  const messages = [...(nodeChats.value[key] || []), { role: 'user', content: text }];
+  const passages = retrievePassages(source, `${step.description}\n${text}`, { limit: 6 });
+  const reply = { role: 'model', content: '', sources: topSources(passages), citations: [], strict: chatStrictMode.value };
+  nodeChats.value = { ...nodeChats.value, [key]: [...messages, reply] };
+  nodeChatInput.value = '';
+  isNodeChatting.value = true;
+  await streamChatReply(messages, reply, {
+    passages,
+    operation: 'nodeChat',
+    step,
+    onUpdate: () => {
+      // The step may have been renumbered (or its chat dropped) while the answer streams.
+      const [stepNumber, current] = Object.entries(nodeChats.value).find(([, chat]) => chat.includes(reply)) || [];
+      if (current) nodeChats.value = { ...nodeChats.value, [stepNumber]: [...current] };
+    },
+  });
+  isNodeChatting.value = false;
+};
+
+/**
+ * The side panel of the chart node the user clicked: the step's details and neighbours,
+ * the passage it was drawn from, related Q&A, and a mini-chat about the step. Clicking
+ * another node (or a neighbour in the panel) shows that step instead.
+ */
+const NodePanel = () => {
+  const steps = summaryData.value?.steps || [];
+  const step = steps.find(candidate => candidate.stepNumber === nodePanelStepNumber.value);
+  if (!step) return null;
+
+  const { incoming, outgoing } = getStepNeighbours(steps, step.stepNumber);
+  const excerpt = findStepExcerpt(getAnalysisSource(), step);
+  const related = findRelatedQuestions(topQuestions.value, step);
+  const messages = nodeChats.value[step.stepNumber] || [];
+  const actor = getStepActor(step);
+
+  const handleCitationClick = (e) => {
+    const link = e.target.closest('.citation-link, .citation-chip');
+    if (!link || link.tagName !== 'BUTTON' || !link.dataset.page) return;
+    openSourcePage({ page: link.dataset.page, docName: link.dataset.doc || null, passage: link.dataset.passage });
+  };
+
+  const renderNeighbours = (neighbours, none) => (neighbours.length === 0 ? none : neighbours.map(({ step: neighbour, label }) => html`
+    <button type="button" class="node-panel-link" onClick=${() => (nodePanelStepNumber.value = neighbour.stepNumber)}>
+      ${neighbour.stepNumber}. ${neighbour.description}${label ? ` (${label})` : ''}
+    </button>
+  `));
+
+  return html`
+    <aside class="node-panel" onClick=${handleCitationClick}>
+      <style>${`.chart-with-panel .image-container #node-${step.stepNumber} .node-shape { stroke: #007bff; stroke-width: 4; }`}</style>
+      <div class="node-panel-header">
+        <h3>الخطوة ${step.stepNumber}</h3>
+        <button type="button" class="clear-btn" onClick=${() => (nodePanelStepNumber.value = null)} title="إغلاق">×</button>
+      </div>
+      <p class="node-panel-description">${step.description}</p>
+      <dl class="node-panel-details">
+        <dt>النوع</dt>
+        <dd>${STEP_TYPE_LABELS[step.type]}</dd>
+        <dt>الجهة المسؤولة</dt>
+        <dd>${actor}</dd>
+        <dt>الصفحة</dt>
+        <dd>${step.page != null
+          ? html`<button type="button" class="citation-link" onClick=${() => openSourcePage({ page: step.page, passage: step.description })}>صفحة ${step.page}</button>`
+          : 'غير محددة'}</dd>
+        <dt>قبلها</dt>
+        <dd>${renderNeighbours(incoming, 'بداية العملية')}</dd>
+        <dt>بعدها</dt>
+        <dd>${renderNeighbours(outgoing, 'نهاية العملية')}</dd>
+      </dl>
+
+      <h4>المقتطف من المستند</h4>
+      ${excerpt ? html`
+        <blockquote class="node-panel-excerpt">${excerpt.text}</blockquote>
+        ${excerpt.page != null && html`
+          <button type="button" class="citation-link" onClick=${() => openSourcePage({ page: excerpt.page, docName: excerpt.docName, passage: excerpt.text.slice(0, 300) })}>
+            عرض الصفحة ${excerpt.page} في المستند
+          </button>
+        `}
+      ` : html`<p class="node-panel-empty">لم يُعثر على مقتطف يطابق هذه الخطوة.</p>`}
+
+      <h4>أسئلة وأجوبة ذات صلة</h4>
+      ${related.length > 0 ? html`
+        <ul class="node-panel-questions">
+          ${related.map(item => html`
+            <li>
+              <details>
+                <summary>${item.question}</summary>
+                <p>${item.answer}</p>
+              </details>
+            </li>
+          `)}
+        </ul>
+      ` : html`<p class="node-panel-empty">${topQuestions.value.length > 0 ? 'لا توجد أسئلة تتعلق بهذه الخطوة.' : 'لم تُستخلص الأسئلة والأجوبة بعد (تبويب "أهم الأسئلة").'}</p>`}
+
+      <h4>اسأل عن هذه الخطوة</h4>
+      <div class="node-chat">
+        ${messages.map(msg => (msg.role === 'model' ? html`
+          <div class="chat-message model">
+            ${msg.content
+              ? html`<div class="message-content markdown" dangerouslySetInnerHTML=${{ __html: renderAnswerHtml(msg) }}></div>`
+              : html`<div class="message-content loader-dots"><span></span><span></span><span></span></div>`}
+            ${msg.stopped && html`<p class="message-stopped">أُوقف الرد قبل اكتماله.</p>`}
+            ${msg.failed && html`<p class="message-failed">انقطع الرد قبل اكتماله. ${msg.failed}</p>`}
+            <${GroundingNote} message=${msg} />
+          </div>
+        ` : html`
+          <div class="chat-message user">
+            <div class="message-content">${msg.content}</div>
+          </div>
+        `))}
+        ${messages.length === 0 && html`
+          <button type="button" class="clear-btn" disabled=${isNodeChatting.value} onClick=${() => askAboutStep(step, 'اشرح لي هذه الخطوة بالتفصيل.')}>اشرح هذه الخطوة بالتفصيل</button>
+        `}
+      </div>
+      <form class="node-chat-form" onSubmit=${(e) => { e.preventDefault(); askAboutStep(step, nodeChatInput.value); }}>
+        <input
+          type="text"
+          value=${nodeChatInput.value}
+          onInput=${(e) => (nodeChatInput.value = e.target.value)}
+          placeholder="اطرح سؤالاً عن هذه الخطوة..."
+          disabled=${isNodeChatting.value}
+        />
+        ${isNodeChatting.value
+          ? html`<${CancelButton} operations=${['nodeChat']} label="إيقاف" />`
+          : html`<button type="submit" disabled=${!nodeChatInput.value.trim()}>إرسال</button>`}
+      </form>
+    </aside>
+  `;
+};
+
+const GenerationView = ({ handleGenerate, handleClearResults, handleFileChange, handleTocClick, handleTrySample, handleMicClick, handleDiagramImport }) => {
   const isGenerating = ['parsing', 'generating'].includes(status.value);
   const isButtonDisabled = isGenerating || (!userInput.value.trim() && !pdfText.value.trim()) || isListening.value;
   const isClearDisabled = isGenerating || (!userInput.value.trim() && !flowchartSvg.value.trim() && !summaryData.value && !errorMessage.value) || isListening.value;
@@ -922,19 +2447,33 @@ const GenerationView = ({ handleGenerate, handleClearResults, handleFileChange,
   };
   
   const handleChartClick = (e) => {
+    const citation = e.target.closest('.node-citation');
+    if (citation && !isEditingChart.value) {
+        const stepNumber = Number(citation.closest('.clickable-node').id.replace('node-', ''));
+        const step = summaryData.value?.steps.find(candidate => candidate.stepNumber === stepNumber);
+        openSourcePage({ page: citation.getAttribute('data-page'), passage: step?.description || '' });
+        return;
+    }
     const node = e.target.closest('.clickable-node');
+    if (node && isEditingChart.value) {
+        selectedStepNumber.value = Number(node.id.replace('node-', ''));
+        return;
+    }
     if (node) {
-        const foreignObjectDiv = node.querySelector('foreignObject > div');
-        const nodeText = foreignObjectDiv ? foreignObjectDiv.textContent.trim() : null;
-        if (nodeText && onChartNodeClick) {
-            onChartNodeClick(nodeText);
-        }
+        nodePanelStepNumber.value = Number(node.id.replace('node-', ''));
     }
   };
 
+  const steps = summaryData.value?.steps || [];
+  // The lane view only makes sense once at least one step has a known owner.
+  const hasActors = getActors(steps).some(actor => actor !== UNKNOWN_ACTOR);
+  const isSwimlaneView = chartView.value === 'swimlane' && hasActors;
+  const displayedSvg = isSwimlaneView ? renderSwimlaneSvg(steps) : flowchartSvg.value;
+  const hasNodePanel = !isEditingChart.value && steps.some(step => step.stepNumber === nodePanelStepNumber.value);
+
   const handleExportSvg = () => {
-    if (!flowchartSvg.value) return;
-    downloadFile('flowchart.svg', flowchartSvg.value, 'image/svg+xml');
+    if (!displayedSvg) return;
+    downloadFile(isSwimlaneView ? 'swimlanes.svg' : 'flowchart.svg', displayedSvg, 'image/svg+xml');
   };
 
   const handleExportSummary = () => {
@@ -942,29 +2481,62 @@ const GenerationView = ({ handleGenerate, handleClearResults, handleFileChange,
     const { summary, steps } = summaryData.value;
     let content = `ملخص تنفيذي:\n${summary}\n\n`;
     content += `الخطوات:\n`;
-    steps.forEach(step => {
-      content += `${step.stepNumber}. ${step.description} (المصدر: صفحة ${step.page})\n`;
-    });
+    content += formatProcessGraph(steps);
     downloadFile('summary.txt', content, 'text/plain;charset=utf-8');
   };
 
+  const processName = pdfFileName.value ? pdfFileName.value.replace(/\.[^.]+$/, '') : 'الإجراء';
+
+  const handleExportBpmn = () => {
+    if (!summaryData.value) return;
+    downloadFile('process.bpmn', exportBpmn(summaryData.value, processName), 'application/xml;charset=utf-8');
+  };
+
+  const handleExportMermaid = () => {
+    if (!summaryData.value) return;
+    downloadFile('flowchart.mmd', exportMermaid(summaryData.value), 'text/plain;charset=utf-8');
+  };
+
+  const handleExportDrawio = () => {
+    if (!summaryData.value) return;
+    downloadFile('flowchart.drawio', exportDrawio(summaryData.value, processName), 'application/xml;charset=utf-8');
+  };
+
   const renderResult = () => {
     switch (status.value) {
       case 'parsing':
       case 'generating':
-        return html`<div class="loader-container"><div class="loader"></div><p class="loading-text">${loadingMessage.value}</p></div>`;
+        return html`<div class="loader-container"><div class="loader"></div><p class="loading-text">${loadingMessage.value}</p><${CancelButton} operations=${['generate']} /></div>`;
       case 'quota_error':
-        return html`<${Fragment}><div class="error info">${errorMessage.value}</div><div class="image-container" onClick=${handleChartClick} dangerouslySetInnerHTML=${{ __html: flowchartSvg.value }}></div></${Fragment}>`;
+        return html`<div class="error info">${errorMessage.value}</div>`;
       case 'error':
         return html`<div class="error">${errorMessage.value}</div>`;
       case 'success':
         return html`<${Fragment}>
+            ${summaryData.value?.section && html`<${SectionScope} section=${summaryData.value.section} />`}
             ${summaryData.value?.summary && html`<div class="summary-section"><h3>ملخص تنفيذي</h3><p>${summaryData.value.summary}</p></div>`}
-            <div class="image-container" onClick=${handleChartClick} dangerouslySetInnerHTML=${{ __html: flowchartSvg.value }}></div>
+            ${hasActors && html`
+                <div class="view-toggle">
+                    <button class=${`view-toggle-btn ${!isSwimlaneView ? 'active' : ''}`} onClick=${() => chartView.value = 'flowchart'}>المخطط الانسيابي</button>
+                    <button class=${`view-toggle-btn ${isSwimlaneView ? 'active' : ''}`} onClick=${() => chartView.value = 'swimlane'}>حسب الجهة المسؤولة</button>
+                </div>
+            `}
+            <div class=${`chart-with-panel ${hasNodePanel ? 'has-panel' : ''}`}>
+                <div class=${`image-container ${isEditingChart.value ? 'editing' : ''}`} onClick=${handleChartClick} dangerouslySetInnerHTML=${{ __html: displayedSvg }}></div>
+                ${hasNodePanel && html`<${NodePanel} />`}
+            </div>
+            ${isEditingChart.value && html`<${ChartEditor} />`}
+            ${summaryData.value && !isEditingChart.value && html`<${RefineBox} />`}
             <div class="export-container">
-                ${flowchartSvg.value && html`<button onClick=${handleExportSvg} class="clear-btn">تصدير المخطط (SVG)</button>`}
+                ${summaryData.value && !isEditingChart.value && html`<button onClick=${() => isEditingChart.value = true} class="clear-btn">تعديل المخطط</button>`}
+                ${summaryData.value && html`<button onClick=${saveCurrentProject} class="clear-btn" disabled=${libraryStatus.value === 'saving'}>${currentProjectId.value ? 'حفظ التغييرات' : 'حفظ المشروع'}</button>`}
+                ${displayedSvg && html`<button onClick=${handleExportSvg} class="clear-btn">تصدير المخطط (SVG)</button>`}
                 ${summaryData.value && html`<button onClick=${handleExportSummary} class="clear-btn">تصدير الملخص (TXT)</button>`}
+                ${summaryData.value && html`<button onClick=${handleExportBpmn} class="clear-btn">تصدير (BPMN)</button>`}
+                ${summaryData.value && html`<button onClick=${handleExportMermaid} class="clear-btn">تصدير (Mermaid)</button>`}
+                ${summaryData.value && html`<button onClick=${handleExportDrawio} class="clear-btn">تصدير (draw.io)</button>`}
             </div>
+            ${libraryMessage.value && html`<div class=${libraryStatus.value === 'error' ? 'error' : 'library-message'}>${libraryMessage.value}</div>`}
         </${Fragment}>`;
       default:
         return null;
@@ -987,21 +2559,29 @@ const GenerationView = ({ handleGenerate, handleClearResults, handleFileChange,
       <div class="button-container">
           <button onClick=${() => handleGenerate()} disabled=${isButtonDisabled}>${getButtonText()}</button>
           <button onClick=${handleClearResults} class="clear-btn" disabled=${isClearDisabled}>مسح المحتوى</button>
-          <input type="file" id="file-upload" accept=".pdf,image/*" onChange=${handleFileChange} style=${{display: 'none'}} disabled=${isGenerating || isListening.value} />
-          <label for="file-upload" class=${`upload-btn ${isGenerating || isListening.value ? 'disabled' : ''}`}>تحميل ملف (PDF/صورة)</label>
+          <input type="file" id="file-upload" accept=${UPLOAD_ACCEPT} onChange=${handleFileChange} style=${{display: 'none'}} disabled=${isGenerating || isListening.value} />
+          <label for="file-upload" class=${`upload-btn ${isGenerating || isListening.value ? 'disabled' : ''}`}>تحميل ملف (PDF/Word/Excel/HTML/نص/صورة)</label>
           <button onClick=${handleMicClick} class=${`mic-btn ${isListening.value ? 'listening' : ''}`} disabled=${isMicDisabled} title="استخدم الإدخال الصوتي">
             ${micIcon}
           </button>
           <button onClick=${handleTrySample} class="clear-btn" disabled=${isGenerating || isListening.value}>جرّب مثالاً</button>
+          <input type="file" id="diagram-upload" accept=".bpmn,.xml,.drawio,.mmd,.mermaid,.md" onChange=${handleDiagramImport} style=${{display: 'none'}} disabled=${isGenerating || isListening.value} />
+          <label for="diagram-upload" class=${`upload-btn ${isGenerating || isListening.value ? 'disabled' : ''}`}>استيراد مخطط (BPMN/Mermaid/draw.io)</label>
           ${pdfFileName.value && html`<span class="file-name">ملف: ${pdfFileName.value}</span>`}
       </div>
     </div>
+    <${WorkspacePanel} />
     ${tableOfContents.value && html`<${TocComponent} toc=${tableOfContents.value} onItemClick=${handleTocClick} />`}
+    <${BatchDashboard} />
     <div class="result-section">${renderResult()}</div>
   `;
 };
 
-const QAView = () => {
+const QAView = ({ onGenerateWorkspaceQuestions }) => {
+    const workspaceButton = workspaceDocuments.value.length > 1 && html`
+        <button onClick=${onGenerateWorkspaceQuestions} class="clear-btn">استخلاص الأسئلة من جميع المستندات (${workspaceDocuments.value.length})</button>
+    `;
+
     const handleExportQA = () => {
         if (!topQuestions.value || topQuestions.value.length === 0) return;
         const jsonContent = JSON.stringify(topQuestions.value, null, 2);
@@ -1023,6 +2603,7 @@ const QAView = () => {
                 <div class="loader-container">
                     <div class="loader"></div>
                     <p class="loading-text">جاري استخلاص الأسئلة والأجوبة...</p>
+                    <${CancelButton} operations=${['generate', 'qa']} />
                 </div>
             </div>`;
     }
@@ -1030,7 +2611,7 @@ const QAView = () => {
     if (qaStatus.value === 'error') {
         return html`
             <div class="qa-view">
-                <div class="error">فشل في استخلاص الأسئلة. يرجى المحاولة مرة أخرى.</div>
+                <div class="error">فشل في استخلاص الأسئلة. يرجى المحاولة مرة أخرى.${qaError.value ? ` ${qaError.value}` : ''}</div>
             </div>`;
     }
 
@@ -1044,11 +2625,13 @@ const QAView = () => {
                         <div class="qa-item">
                             <h4 class="qa-question">${item.question}</h4>
                             <p class="qa-answer">${item.answer}</p>
+                            <${SourceList} sources=${item.sources} />
                         </div>
                     `)}
                 </div>
                  <div class="export-container">
                     <button onClick=${handleExportQA} class="clear-btn">تصدير الأسئلة والأجوبة (JSON)</button>
+                    ${workspaceButton}
                 </div>
             </div>
         `;
@@ -1058,6 +2641,85 @@ const QAView = () => {
         <div class="disabled-view">
             <h3>أهم الأسئلة والأجوبة</h3>
             <p>بعد تحليل المستند، ستظهر هنا قائمة بالأسئلة والأجوبة الأكثر أهمية. إذا لم تظهر أي أسئلة، فقد يعني ذلك أن المحتوى لم يكن كافياً لإنشائها.</p>
+            ${workspaceButton}
+        </div>
+    `;
+};
+
+/**
+ * Expandable list of the retrieved passages an answer was based on. Cited passages show
+ * the number the answer cites them by.
+ */
+const SourceList = ({ sources, title = 'المصادر' }) => {
+    if (!sources || sources.length === 0) return null;
+    return html`
+        <details class="source-list">
+            <summary>${title} (${sources.length})</summary>
+            ${sources.map(source => html`
+                <details class="source-item">
+                    <summary>${source.number ? `[${source.number}] ` : ''}${[source.docName, source.page != null ? `صفحة ${source.page}` : null].filter(Boolean).join(' · ') || 'النص المُدخل'}</summary>
+                    <p>${source.text}</p>
+                    ${source.page != null && html`
+                        <button class="citation-link" onClick=${() => openSourcePage({ page: source.page, docName: source.docName, passage: source.text.slice(0, 300) })}>عرض الصفحة في المستند</button>
+                    `}
+                </details>
+            `)}
+        </details>
+    `;
+};
+
+const GROUNDING_LABELS = {
+    grounded: 'مستند إلى نص المستند',
+    partial: 'بعض العبارات بلا سند من المستند',
+    ungrounded: 'لا يستند إلى مقتطفات المستند، وقد يكون من معرفة النموذج العامة',
+    'not-found': 'المعلومة غير موجودة في المستند',
+};
+
+/**
+ * Tells where an answer came from; in strict mode, also lists the sentences that no
+ * cited passage supports.
+ */
+const GroundingNote = ({ message }) => {
+    const { grounding } = message;
+    if (!grounding) return null;
+    return html`
+        <div class="grounding-note ${grounding.status}">
+            <span class="grounding-badge">${GROUNDING_LABELS[grounding.status]}</span>
+            ${message.strict && grounding.unsupported.length > 0 && html`
+                <details class="grounding-unsupported">
+                    <summary>عبارات لا تدعمها المقتطفات (${grounding.unsupported.length})</summary>
+                    <ul>${grounding.unsupported.map(sentence => html`<li>${sentence}</li>`)}</ul>
+                </details>
+            `}
+        </div>
+    `;
+};
+
+/**
+ * Picks, starts, renames, deletes and exports the document's chat threads.
+ */
+const ChatThreadBar = () => {
+    // The open thread's title follows its first question as soon as it is asked.
+    const threads = chatThreads.value.map(thread => (thread.id === activeChatThreadId.value ? updateThreadMessages(thread, chatHistory.value) : thread));
+    const activeThread = threads.find(thread => thread.id === activeChatThreadId.value);
+    const hasMessages = chatHistory.value.length > 0;
+    return html`
+        <div class="chat-threads">
+            <select
+                aria-label="المحادثة"
+                value=${activeThread?.id || ''}
+                disabled=${threads.length === 0}
+                onChange=${(e) => openChatThread(e.target.value)}
+            >
+                ${threads.length === 0
+                    ? html`<option value="">محادثة جديدة</option>`
+                    : threads.map(thread => html`<option value=${thread.id}>${thread.title} (${thread.messages.length})</option>`)}
+            </select>
+            <button type="button" class="clear-btn" onClick=${startChatThread}>+ محادثة جديدة</button>
+            <button type="button" class="clear-btn" disabled=${!activeThread} onClick=${() => renameChatThread(activeThread)}>إعادة تسمية</button>
+            <button type="button" class="clear-btn" disabled=${!activeThread} onClick=${() => deleteChatThread(activeThread)}>حذف</button>
+            <button type="button" class="clear-btn" disabled=${!hasMessages || isChatting.value} onClick=${() => exportChatThread('md')}>تصدير Markdown</button>
+            <button type="button" class="clear-btn" disabled=${!hasMessages || isChatting.value} onClick=${() => exportChatThread('json')}>تصدير JSON</button>
         </div>
     `;
 };
@@ -1073,6 +2735,12 @@ const ChatView = ({ onSendMessage }) => {
         }
     });
 
+    const handleCitationClick = (e) => {
+        const link = e.target.closest('.citation-link, .citation-chip');
+        if (!link) return;
+        openSourcePage({ page: link.dataset.page, docName: link.dataset.doc || null, passage: link.dataset.passage });
+    };
+
     if (!documentSource.value) {
         return html`
             <div class="disabled-view">
@@ -1082,14 +2750,64 @@ const ChatView = ({ onSendMessage }) => {
         `;
     }
 
+    const isLastMessage = (index) => index === chatHistory.value.length - 1;
+
     return html`
         <div class="chat-view">
-            <div class="chat-history">
-                ${chatHistory.value.map(msg => html`
-                    <div class="chat-message ${msg.role}">
-                        <div class="message-content" dangerouslySetInnerHTML=${{ __html: msg.content.replace(/\n/g, '<br />') }}></div>
-                    </div>
-                `)}
+            <${ChatThreadBar} />
+            <div class="chat-history" onClick=${handleCitationClick}>
+                ${chatHistory.value.map((msg, index) => {
+                    if (msg.role === 'model') {
+                        return html`
+                            <div class="chat-message model ${msg.strict && msg.grounding?.status === 'ungrounded' ? 'flagged' : ''}">
+                                <div class="message-content markdown" dangerouslySetInnerHTML=${{ __html: renderAnswerHtml(msg) }}></div>
+                                ${msg.stopped && html`<p class="message-stopped">أُوقف الرد قبل اكتماله.</p>`}
+                                ${msg.failed && html`<p class="message-failed">انقطع الرد قبل اكتماله. ${msg.failed}</p>`}
+                                ${msg.content && html`<${GroundingNote} message=${msg} />`}
+                                ${msg.content && (msg.citations?.length > 0
+                                    ? html`<${SourceList} sources=${msg.citations} title="المقتطفات المستشهد بها" />`
+                                    : html`<${SourceList} sources=${msg.sources} title="المقتطفات المسترجعة" />`)}
+                                ${!isChatting.value && isLastMessage(index) && html`
+                                    <div class="message-actions">
+                                        <button type="button" class="clear-btn" onClick=${regenerateAnswer}>إعادة توليد الرد</button>
+                                    </div>
+                                `}
+                            </div>
+                        `;
+                    }
+                    if (editingMessageIndex.value === index) {
+                        return html`
+                            <div class="chat-message user editing">
+                                <textarea
+                                    value=${editingMessageText.value}
+                                    onInput=${(e) => (editingMessageText.value = e.target.value)}
+                                    aria-label="تعديل السؤال"
+                                ></textarea>
+                                ${!isLastMessage(index) && html`<p class="message-edit-note">ستُحذف الرسائل التي تلي هذا السؤال ويُعاد توليد الرد.</p>`}
+                                <div class="message-actions">
+                                    <button type="button" disabled=${!editingMessageText.value.trim()} onClick=${() => rerunFromMessage(index, editingMessageText.value)}>إعادة التشغيل من هنا</button>
+                                    <button type="button" class="clear-btn" onClick=${() => (editingMessageIndex.value = null)}>إلغاء</button>
+                                </div>
+                            </div>
+                        `;
+                    }
+                    return html`
+                        <div class="chat-message user">
+                            <div class="message-content">${msg.content}</div>
+                            ${!isChatting.value && html`
+                                <button
+                                    type="button"
+                                    class="message-edit-btn"
+                                    title="تعديل السؤال وإعادة التشغيل من هنا"
+                                    onClick=${() => {
+                                        editingMessageIndex.value = index;
+                                        editingMessageText.value = msg.content;
+                                    }}
+                                >تعديل</button>
+                            `}
+                        </div>
+                    `;
+                })}
                 ${isChatting.value && chatHistory.value[chatHistory.value.length - 1]?.role === 'model' && html`
                     <div class="chat-message model">
                         <div class="message-content loader-dots" style=${{display: chatHistory.value[chatHistory.value.length-1].content ? 'none' : 'block' }}>
@@ -1098,11 +2816,15 @@ const ChatView = ({ onSendMessage }) => {
                     </div>
                 `}
             </div>
+            <label class="chat-strict-toggle">
+                <input type="checkbox" checked=${chatStrictMode.value} onChange=${(e) => (chatStrictMode.value = e.target.checked)} />
+                الوضع الصارم: الإجابة من نص المستند فقط، مع الإشارة إلى ما لا تدعمه المقتطفات
+            </label>
             <form class="chat-input-form" onSubmit=${(e) => { e.preventDefault(); onSendMessage(); }}>
                 <textarea
                     value=${chatInput.value}
                     onInput=${(e) => (chatInput.value = e.target.value)}
-                    placeholder="اطرح سؤالاً حول المستند..."
+                    placeholder=${workspaceDocuments.value.length > 1 ? 'اطرح سؤالاً حول مستندات مساحة العمل...' : 'اطرح سؤالاً حول المستند...'}
                     disabled=${isChatting.value}
                     onKeyDown=${(e) => {
                         if (e.key === 'Enter' && !e.shiftKey) {
@@ -1111,7 +2833,9 @@ const ChatView = ({ onSendMessage }) => {
                         }
                     }}
                 ></textarea>
-                <button type="submit" disabled=${isChatting.value || !chatInput.value.trim()}>إرسال</button>
+                ${isChatting.value
+                    ? html`<${CancelButton} operations=${['chat']} label="إيقاف" />`
+                    : html`<button type="submit" disabled=${!chatInput.value.trim()}>إرسال</button>`}
             </form>
         </div>
     `;
@@ -1123,6 +2847,7 @@ const QuizView = () => {
         if (!documentSource.value) return;
         quizStatus.value = 'generating';
         quizError.value = '';
+        const signal = startOperation('quiz');
         
         const prompt = `You are an AI assistant tasked with creating a quiz.
 **TASK:** Based *only* on the provided document text, generate an array of 10 multiple-choice questions.
@@ -1133,34 +2858,31 @@ const QuizView = () => {
 4.  Questions must be diverse and cover different parts of the document.
 5.  All questions must be in Arabic.
 ---
-**Source Document:**
-${documentSource.value}
+**Source Document (excerpts):**
+${formatPassages(retrievePassages(getAnalysisSource(), summaryData.value ? `${summaryData.value.summary}\n${formatProcessGraph(summaryData.value.steps)}` : '', { limit: 16 }))}
+${summaryData.value ? `
+**Extracted Process Steps (reviewed by the user; prefer these over the document where they differ):**
+${formatProcessGraph(summaryData.value.steps)}` : ''}
 ---
 Generate ONLY the JSON array.`;
 
         try {
-            const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-            const response = await ai.models.generateContent({
-                model: 'gemini-2.5-flash-preview-04-17',
-                contents: prompt,
-                config: { responseMimeType: "application/json", thinkingConfig: { thinkingBudget: 0 } },
-            });
-
-            const jsonText = extractJsonFromText(response.text);
-            const questions = JSON.parse(jsonText);
-            
-            if (!Array.isArray(questions) || questions.length === 0) {
-                throw new Error("لم يتم إنشاء أسئلة صالحة.");
-            }
+            const questions = await generateStructured('quiz', prompt, QUIZ_SCHEMA, { signal });
             quizQuestions.value = questions;
             currentQuestionIndex.value = 0;
             userAnswers.value = [];
             quizStatus.value = 'active';
 
         } catch (e) {
+            if (isAbortError(e)) {
+                quizStatus.value = 'idle';
+                return;
+            }
             console.error("Quiz generation error:", e);
-            quizError.value = "عذرًا، فشل إنشاء الاختبار. يرجى المحاولة مرة أخرى.";
+            quizError.value = e instanceof Error ? `عذرًا، فشل إنشاء الاختبار: ${e.message}` : "عذرًا، فشل إنشاء الاختبار. يرجى المحاولة مرة أخرى.";
             quizStatus.value = 'error';
+        } finally {
+            finishOperation('quiz', signal);
         }
     };
     
@@ -1231,6 +2953,7 @@ Generate ONLY the JSON array.`;
                 <div class="loader-container">
                     <div class="loader"></div>
                     <p class="loading-text">جاري إعداد الاختبار من المستند...</p>
+                    <${CancelButton} operations=${['quiz']} />
                 </div>
             </div>
         `;
@@ -1299,17 +3022,205 @@ Generate ONLY the JSON array.`;
     `;
 };
 
+const COMPARE_STATUS_LABELS = { same: 'متطابقة', changed: 'معدّلة', removed: 'في الأول فقط', added: 'في الثاني فقط' };
+const COMPARE_FIELD_LABELS = { description: 'النص', type: 'النوع', actor: 'الجهة المسؤولة', page: 'الصفحة', branches: 'التفرعات' };
+
+const CompareView = () => {
+    const candidates = workspaceDocuments.value.filter(doc => getDocumentPlan(doc));
+
+    if (candidates.length < 2) {
+        return html`
+            <div class="disabled-view">
+                <h3>مقارنة الإجراءات</h3>
+                <p>أضف مستندين على الأقل إلى مساحة العمل واستخلص الإجراء من كل منهما في تبويب "تحليل وإنشاء" لمقارنتهما خطوة بخطوة.</p>
+            </div>
+        `;
+    }
+
+    const left = candidates.find(doc => doc.id === compareLeftId.value) || candidates[0];
+    const right = candidates.find(doc => doc.id === compareRightId.value && doc !== left) || candidates.find(doc => doc !== left);
+    const rows = compareProcesses(getDocumentPlan(left).steps, getDocumentPlan(right).steps);
+    const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+
+    const renderStep = (step) => step ? html`
+        <span class="step-number">${step.stepNumber}</span>
+        <span>${step.description}</span>
+        ${step.actor && html`<span class="toc-page">${step.actor}</span>`}
+        ${step.page != null && html`<span class="toc-page">ص ${step.page}</span>`}
+    ` : html`<span class="compare-empty">—</span>`;
+
+    return html`
+        <div class="compare-view">
+            <h3>مقارنة الإجراءات</h3>
+            <div class="compare-selectors">
+                <select class="library-sort" value=${left.id} onChange=${(e) => compareLeftId.value = e.target.value}>
+                    ${candidates.map(doc => html`<option value=${doc.id}>${doc.name}</option>`)}
+                </select>
+                <span>مقابل</span>
+                <select class="library-sort" value=${right.id} onChange=${(e) => compareRightId.value = e.target.value}>
+                    ${candidates.filter(doc => doc !== left).map(doc => html`<option value=${doc.id}>${doc.name}</option>`)}
+                </select>
+            </div>
+            <p class="compare-counts">
+                ${Object.keys(COMPARE_STATUS_LABELS).filter(key => counts[key]).map(key => html`
+                    <span class=${`compare-badge ${key}`}>${COMPARE_STATUS_LABELS[key]}: ${counts[key]}</span>
+                `)}
+            </p>
+            <table class="compare-table">
+                <thead>
+                    <tr><th>${left.name}</th><th>${right.name}</th><th>الفرق</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => html`
+                        <tr class=${`compare-row ${row.status}`}>
+                            <td>${renderStep(row.a)}</td>
+                            <td>${renderStep(row.b)}</td>
+                            <td>
+                                <span class=${`compare-badge ${row.status}`}>${COMPARE_STATUS_LABELS[row.status]}</span>
+                                ${row.status === 'changed' && html`<small>${row.differences.map(field => COMPARE_FIELD_LABELS[field]).join('، ')}</small>`}
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+};
+
+const VERSION_REASON_LABELS = { analysis: 'تحليل', edit: 'تعديل يدوي', refine: 'تحسين بالتعليمات', import: 'استيراد', restore: 'استعادة' };
+const VERSION_DIFF_LABELS = { same: 'دون تغيير', reworded: 'أعيدت صياغتها', changed: 'معدّلة', moved: 'نُقلت', removed: 'محذوفة', added: 'مضافة' };
+// Stroke and fill of the steps of each diff status in the flowchart overlay.
+const VERSION_DIFF_COLORS = {
+  reworded: ['#e0a800', '#fff8e1'],
+  changed: ['#fd7e14', '#fff4e6'],
+  moved: ['#007bff', '#e7f1ff'],
+  removed: ['#dc3545', '#fdecea'],
+  added: ['#28a745', '#eaf6ec'],
+};
+
+const HistoryView = () => {
+  const versions = planVersions.value;
+
+  if (versions.length === 0) {
+    return html`
+      <div class="disabled-view">
+        <h3>سجل الإصدارات</h3>
+        <p>يُحفظ كل تحليل أو تعديل للمخطط هنا كإصدار مع وقته واسم الملف المصدر، لمقارنة الإصدارات واستعادة أي منها.</p>
+      </div>
+    `;
+  }
+
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString('ar', { dateStyle: 'medium', timeStyle: 'short' });
+  const describeVersion = (version, index) => `${index + 1}. ${VERSION_REASON_LABELS[version.reason]} — ${version.fileName} — ${formatDate(version.createdAt)}`;
+  const to = versions.find(version => version.id === historyToId.value) || versions[versions.length - 1];
+  const from = versions.find(version => version.id === historyFromId.value && version !== to)
+    || versions[Math.max(0, versions.indexOf(to) - 1)];
+  const isComparing = from !== to;
+  const fromLabel = `الإصدار ${versions.indexOf(from) + 1}`;
+  const toLabel = `الإصدار ${versions.indexOf(to) + 1}`;
+  const rows = isComparing ? diffVersions(from.plan.steps, to.plan.steps) : [];
+  const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+
+  // Colour the steps of the chosen side's chart by their diff status.
+  const overlayVersion = historyOverlaySide.value === 'from' ? from : to;
+  const overlayStyle = rows
+    .map(row => ({ row, step: historyOverlaySide.value === 'from' ? row.a : row.b }))
+    .filter(({ row, step }) => step && VERSION_DIFF_COLORS[row.status])
+    .map(({ row, step }) => {
+      const [stroke, fill] = VERSION_DIFF_COLORS[row.status];
+      return `.version-overlay #node-${step.stepNumber} .node-shape { stroke: ${stroke}; stroke-width: 4; fill: ${fill}; }`;
+    })
+    .join('\n');
+  const overlayStatuses = historyOverlaySide.value === 'from' ? ['reworded', 'changed', 'moved', 'removed'] : ['reworded', 'changed', 'moved', 'added'];
+
+  const renderStep = (step) => step ? html`
+    <span class="step-number">${step.stepNumber}</span>
+    <span>${step.description}</span>
+    ${step.actor && html`<span class="toc-page">${step.actor}</span>`}
+  ` : html`<span class="compare-empty">—</span>`;
+
+  return html`
+    <div class="compare-view">
+      <h3>سجل الإصدارات</h3>
+      <ul class="version-list">
+        ${[...versions].reverse().map(version => html`
+          <li key=${version.id} class=${version.plan === summaryData.value ? 'current' : ''}>
+            <span class="step-number">${versions.indexOf(version) + 1}</span>
+            <span class="toc-page">${VERSION_REASON_LABELS[version.reason]}</span>
+            <span class="version-file" title=${version.fileName}>${version.fileName}${version.plan.section ? ` — ${version.plan.section.title}` : ''}</span>
+            <span class="version-date">${formatDate(version.createdAt)}</span>
+            <span class="version-steps">${version.plan.steps.length} خطوات</span>
+            ${version.plan === summaryData.value
+              ? html`<span class="workspace-doc-done" title="الإصدار المعروض حاليًا">✓</span>`
+              : html`<button class="clear-btn" onClick=${() => restoreVersion(version)}>استعادة</button>`}
+          </li>
+        `)}
+      </ul>
+
+      ${versions.length > 1 && html`
+        <div class="compare-selectors">
+          <select class="library-sort" value=${from.id} onChange=${(e) => historyFromId.value = e.target.value}>
+            ${versions.map((version, index) => version !== to && html`<option value=${version.id}>${describeVersion(version, index)}</option>`)}
+          </select>
+          <span>مقابل</span>
+          <select class="library-sort" value=${to.id} onChange=${(e) => historyToId.value = e.target.value}>
+            ${versions.map((version, index) => html`<option value=${version.id}>${describeVersion(version, index)}</option>`)}
+          </select>
+        </div>
+      `}
+
+      ${isComparing && html`
+        <p class="compare-counts">
+          ${Object.keys(VERSION_DIFF_LABELS).filter(key => counts[key]).map(key => html`
+            <span class=${`compare-badge ${key}`}>${VERSION_DIFF_LABELS[key]}: ${counts[key]}</span>
+          `)}
+        </p>
+        <table class="compare-table">
+          <thead>
+            <tr><th>${fromLabel}</th><th>${toLabel}</th><th>الفرق</th></tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => html`
+              <tr class=${`compare-row ${row.status}`}>
+                <td>${renderStep(row.a)}</td>
+                <td>${renderStep(row.b)}</td>
+                <td>
+                  <span class=${`compare-badge ${row.status}`}>${VERSION_DIFF_LABELS[row.status]}</span>
+                  ${row.differences.length > 0 && html`<small>${row.differences.map(field => COMPARE_FIELD_LABELS[field]).join('، ')}</small>`}
+                </td>
+              </tr>
+            `)}
+          </tbody>
+        </table>
+
+        <div class="view-toggle">
+          <button class=${`view-toggle-btn ${historyOverlaySide.value === 'from' ? 'active' : ''}`} onClick=${() => historyOverlaySide.value = 'from'}>على مخطط ${fromLabel}</button>
+          <button class=${`view-toggle-btn ${historyOverlaySide.value === 'to' ? 'active' : ''}`} onClick=${() => historyOverlaySide.value = 'to'}>على مخطط ${toLabel}</button>
+        </div>
+        <div class="version-legend">
+          ${overlayStatuses.map(status => html`
+            <span><i style=${{ borderColor: VERSION_DIFF_COLORS[status][0], backgroundColor: VERSION_DIFF_COLORS[status][1] }}></i>${VERSION_DIFF_LABELS[status]}</span>
+          `)}
+        </div>
+        <style>${overlayStyle}</style>
+        <div class="image-container version-overlay" dangerouslySetInnerHTML=${{ __html: renderFlowchartSvg(overlayVersion.plan.steps) }}></div>
+      `}
+    </div>
+  `;
+};
+
 const OptimizationView = () => {
 
     const handleGenerateOptimizations = async () => {
         optimizationStatus.value = 'generating';
         optimizationSuggestions.value = [];
+        const signal = startOperation('optimize');
 
         const prompt = `
 **التعليمات** أنت مستشار خبير في تحسين العمليات الإدارية (Business Process Optimization). مهمتك هي تحليل الإجراء الموصوف وتقديم اقتراحات ملموسة لتحسينه.
 
 **التعليمات الحاسمة:**
-1.  قم بتحليل النص المصدر الكامل وخطوات العملية المستخلصة منه.
+1.  قم بتحليل النص المصدر الكامل وخطوات العملية المستخلصة منه، بما في ذلك نقاط القرار والمسارات البديلة وحلقات الإعادة.
 2.  حدد نقاط الضعف المحتملة، مثل:
     *   **نقاط الاختناق (Bottlenecks):** خطوات قد تسبب تأخيرًا.
     *   **الخطوات اليدوية (Manual Steps):** مهام يمكن أتمتتها.
@@ -1320,33 +3231,29 @@ const OptimizationView = () => {
 5.  يجب أن يتبع كل كائن في المصفوفة هذا الهيكل بالضبط: \\\`{ "title": "عنوان الاقتراح", "suggestion": "شرح مفصل للاقتراح وكيفية تطبيقه." }\\\`.
 
 ---
-**النص المصدر الكامل (للسياق):**
-${documentSource.value}
+**مقتطفات النص المصدر ذات الصلة (للسياق):**
+${formatPassages(retrievePassages(getAnalysisSource(), `${summaryData.value?.summary || ''}\n${formatProcessGraph(summaryData.value?.steps)}`, { limit: 10 }))}
 
-**خطوات العملية المستخلصة:**
-${JSON.stringify(summaryData.value?.steps, null, 2)}
+**خطوات العملية المستخلصة (مع نقاط القرار والمسارات المتفرعة والحلقات):**
+${formatProcessGraph(summaryData.value?.steps)}
 ---
 الآن، قم بإنشاء مصفوفة JSON فقط تحتوي على اقتراحات التحسين باللغة العربية.`;
         
         try {
-            const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-            const response = await ai.models.generateContent({
-                model: 'gemini-2.5-flash-preview-04-17',
-                contents: prompt,
-                config: { responseMimeType: "application/json", thinkingConfig: { thinkingBudget: 0 } },
-            });
-            const jsonText = extractJsonFromText(response.text);
-            const suggestions = JSON.parse(jsonText);
-            
-            if (!Array.isArray(suggestions) || suggestions.length === 0) {
-                throw new Error("لم يتم إنشاء اقتراحات صالحة.");
-            }
+            const suggestions = await generateStructured('optimization', prompt, OPTIMIZATION_SCHEMA, { signal });
             optimizationSuggestions.value = suggestions;
             optimizationStatus.value = 'success';
 
         } catch (e) {
+            if (isAbortError(e)) {
+                optimizationStatus.value = 'idle';
+                return;
+            }
             console.error("Optimization generation error:", e);
+            optimizationError.value = e instanceof Error ? e.message : '';
             optimizationStatus.value = 'error';
+        } finally {
+            finishOperation('optimize', signal);
         }
     };
     
@@ -1365,6 +3272,7 @@ ${JSON.stringify(summaryData.value?.steps, null, 2)}
                  <div class="loader-container">
                     <div class="loader"></div>
                     <p class="loading-text">جاري تحليل الإجراء وابتكار حلول تحسينية...</p>
+                    <${CancelButton} operations=${['optimize']} />
                 </div>
             </div>
         `;
@@ -1373,7 +3281,7 @@ ${JSON.stringify(summaryData.value?.steps, null, 2)}
     if (optimizationStatus.value === 'error') {
         return html`
             <div class="optimization-view">
-                <div class="error">عذرًا، فشل في إنشاء اقتراحات التحسين.</div>
+                <div class="error">عذرًا، فشل في إنشاء اقتراحات التحسين.${optimizationError.value ? ` ${optimizationError.value}` : ''}</div>
                 <button onClick=${handleGenerateOptimizations} style=${{marginTop: '1rem'}}>حاول مجددًا</button>
             </div>
         `;
@@ -1415,6 +3323,20 @@ const initializeApp = () => {
         document.body.className = theme.value === 'dark' ? 'dark-theme' : '';
     });
 
+    // Redraw the source viewer whenever it is opened or moved to another page.
+    effect(() => {
+        const state = sourceViewer.value;
+        if (!state) return;
+        sourceViewerHighlights.value = { width: 0, height: 0, boxes: [] };
+        // Wait for the pane (and its canvas) to render before drawing.
+        sourceViewerQueue = sourceViewerQueue
+            .then(() => new Promise(resolve => setTimeout(resolve, 0)))
+            .then(() => drawSourceViewer(state));
+    });
+
+    // Load the saved project list once; it is refreshed after every library change.
+    refreshProjects();
+
     const container = document.getElementById('app');
     if (container) {
       render(html`<${App} />`, container);
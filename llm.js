@@ -0,0 +1,345 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { GoogleGenAI } from '@google/genai';
+import { scheduleRequest } from './requestScheduler.js';
+import { hashRequest, getCachedResponse, putCachedResponse } from './responseCache.js';
+
+// === LLM Providers ===
+// Every model call goes through `generateText` or `streamChat` with the name of the task
+// it serves, so the backend and the model can be chosen per task. Providers:
+// - `gemini`: Google Gemini through @google/genai (the default).
+// - `openai`: any OpenAI-compatible `/chat/completions` endpoint (OpenAI, vLLM, Ollama, LM Studio...).
+// - `mock`: deterministic fixtures, so the whole pipeline runs offline without a key.
+// Requests go through the scheduler (concurrency limit, backoff, cancellation) and
+// single-shot responses are cached by content hash.
+
+export const LLM_TASKS = ['analysis', 'refine', 'toc', 'ocr', 'qa', 'chat', 'quiz', 'optimization'];
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-flash-preview-04-17',
+    openai: 'gpt-4o-mini',
+    mock: 'mock',
+};
+
+/**
+ * Reads a build-time variable. Vite replaces `process.env.X` with its value; anywhere
+ * else (tests, plain browsers) the expression may throw, which counts as unset.
+ */
+const readEnv = (read) => {
+    try {
+        return read() || '';
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Parses per-task models written as `analysis=model-a,chat=model-b`.
+ */
+const parseTaskModels = (value) => Object.fromEntries(String(value || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([task, model]) => LLM_TASKS.includes(task) && model));
+
+const envProvider = readEnv(() => process.env.LLM_PROVIDER);
+
+let config = {
+    provider: envProvider || 'gemini',
+    apiKey: envProvider === 'openai' ? readEnv(() => process.env.OPENAI_API_KEY) : readEnv(() => process.env.API_KEY),
+    baseUrl: readEnv(() => process.env.OPENAI_BASE_URL) || 'https://api.openai.com/v1',
+    model: readEnv(() => process.env.LLM_MODEL),
+    taskModels: parseTaskModels(readEnv(() => process.env.LLM_TASK_MODELS)),
+    fixtures: {},
+};
+
+/**
+ * Returns the current provider configuration.
+ * @returns {{ provider: string, apiKey: string, baseUrl: string, model: string, taskModels: Record<string, string>, fixtures: Record<string, any> }}
+ */
+export const getLlmConfig = () => config;
+
+/**
+ * Changes the provider configuration. Omitted fields keep their value; `taskModels`
+ * and `fixtures` are merged.
+ * @param {{ provider?: string, apiKey?: string, baseUrl?: string, model?: string, taskModels?: Record<string, string>, fixtures?: Record<string, any> }} changes
+ */
+export const configureLlm = (changes) => {
+    config = {
+        ...config,
+        ...changes,
+        taskModels: { ...config.taskModels, ...changes.taskModels },
+        fixtures: { ...config.fixtures, ...changes.fixtures },
+    };
+};
+
+/**
+ * Returns the model used for a task: its own model, else the configured default,
+ * else the provider's default.
+ * @param {string} task One of `LLM_TASKS`.
+ * @returns {string} The model name.
+ */
+export const getModelForTask = (task) => config.taskModels[task] || config.model || DEFAULT_MODELS[config.provider] || '';
+
+/**
+ * Whether the current provider has what it needs to be called.
+ * @returns {boolean}
+ */
+export const isLlmConfigured = () => {
+    if (config.provider === 'mock') return true;
+    if (config.provider === 'openai') return Boolean(config.baseUrl);
+    return Boolean(config.apiKey);
+};
+
+// --- Gemini ---
+
+const geminiProvider = {
+    async generate({ model, prompt, json, images, signal }) {
+        const ai = new GoogleGenAI({ apiKey: config.apiKey });
+        const response = await ai.models.generateContent({
+            model,
+            contents: images.length > 0
+                ? { parts: [...images.map(inlineData => ({ inlineData })), { text: prompt }] }
+                : prompt,
+            config: {
+                ...(json ? { responseMimeType: 'application/json' } : {}),
+                thinkingConfig: { thinkingBudget: 0 },
+                abortSignal: signal,
+            },
+        });
+        return response.text;
+    },
+
+    async *stream({ model, systemInstruction, history, message, signal }) {
+        const ai = new GoogleGenAI({ apiKey: config.apiKey });
+        const chat = ai.chats.create({
+            model,
+            config: { systemInstruction, abortSignal: signal },
+            history: history.map(msg => ({ role: msg.role, parts: [{ text: msg.content }] })),
+        });
+        const responseStream = await chat.sendMessageStream({ message });
+        for await (const chunk of responseStream) {
+            if (chunk.text) yield chunk.text;
+        }
+    },
+};
+
+// --- OpenAI-compatible ---
+
+const openAiRequest = async (body, signal) => {
+    const response = await fetch(`${config.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        signal,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+        },
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        const error = new Error(`فشل طلب النموذج (${response.status}): ${detail.slice(0, 200)}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+};
+
+const openAiProvider = {
+    async generate({ model, prompt, json, images, signal }) {
+        const content = images.length > 0
+            ? [
+                ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } })),
+                { type: 'text', text: prompt },
+            ]
+            : prompt;
+        const messages = [
+            // Not every compatible server supports `response_format`, so JSON is also asked for in words.
+            ...(json ? [{ role: 'system', content: 'Respond with valid JSON only.' }] : []),
+            { role: 'user', content },
+        ];
+        const response = await openAiRequest({ model, messages }, signal);
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content ?? '';
+    },
+
+    async *stream({ model, systemInstruction, history, message, signal }) {
+        const messages = [
+            { role: 'system', content: systemInstruction },
+            ...history.map(msg => ({ role: msg.role === 'model' ? 'assistant' : 'user', content: msg.content })),
+            { role: 'user', content: message },
+        ];
+        const response = await openAiRequest({ model, messages, stream: true }, signal);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const data = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !data) continue;
+                if (data === '[DONE]') return;
+                const text = JSON.parse(data).choices?.[0]?.delta?.content;
+                if (text) yield text;
+            }
+        }
+    },
+};
+
+// --- Mock ---
+
+/**
+ * Lists the page numbers of the `[Source: ...]` markers in a prompt, so fixtures cite real pages.
+ */
+const promptPages = (prompt) => {
+    const pages = [...String(prompt).matchAll(/\[Source: (?:[^\]]*, )?Page (\d+)\]/g)].map(match => Number(match[1]));
+    return pages.length > 0 ? [...new Set(pages)] : [1];
+};
+
+const MOCK_FIXTURES = {
+    analysis: (prompt) => {
+        const pages = promptPages(prompt);
+        const page = (index) => pages[Math.min(index, pages.length - 1)];
+        return {
+            summary: 'ملخص تجريبي: يقدم الموظف الطلب، ثم يراجعه المدير المباشر ويقرر قبوله أو إعادته للتعديل، وبعد الموافقة تعتمده إدارة الموارد البشرية.',
+            steps: [
+                { stepNumber: 1, description: 'تقديم الطلب', page: page(0), actor: 'الموظف', type: 'task', next: [{ to: 2 }] },
+                { stepNumber: 2, description: 'مراجعة الطلب', page: page(1), actor: 'المدير المباشر', type: 'decision', next: [{ to: 3, label: 'موافق' }, { to: 1, label: 'إعادة للتعديل' }] },
+                { stepNumber: 3, description: 'اعتماد الطلب', page: page(2), actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 4 }] },
+                { stepNumber: 4, description: 'إبلاغ الموظف بالنتيجة', page: page(2), actor: 'إدارة الموارد البشرية', type: 'task', next: [] },
+            ],
+        };
+    },
+    refine: {
+        explanation: 'تعديل تجريبي: دمج الخطوتين الأوليين في خطوة واحدة.',
+        summary: null,
+        operations: [{ op: 'merge', step: 1, with: 2 }],
+    },
+    toc: (prompt) => promptPages(prompt).slice(0, 3).map((page, index) => ({ title: `القسم ${index + 1}`, page, level: 1 })),
+    ocr: { text: 'نص تجريبي مستخرج من الصورة.', confidence: 0.9 },
+    qa: (prompt) => {
+        const [page] = promptPages(prompt);
+        return [
+            { question: 'ما الخطوة الأولى في العملية؟', answer: `تقديم الطلب من الموظف. (المصدر: صفحة ${page})` },
+            { question: 'من يعتمد الطلب؟', answer: `إدارة الموارد البشرية بعد موافقة المدير المباشر. (المصدر: صفحة ${page})` },
+        ];
+    },
+    quiz: () => [
+        { question: 'من يراجع الطلب أولاً؟', options: ['المدير المباشر', 'الموظف', 'إدارة المالية', 'العميل'], correctAnswer: 'المدير المباشر' },
+        { question: 'ماذا يحدث عند رفض الطلب؟', options: ['يعاد للتعديل', 'يُحفظ', 'يُعتمد', 'يُلغى نهائيًا'], correctAnswer: 'يعاد للتعديل' },
+    ],
+    optimization: () => [
+        { title: 'أتمتة تقديم الطلب', suggestion: 'استخدام نموذج إلكتروني يتحقق من الحقول المطلوبة قبل الإرسال.' },
+        { title: 'تحديد مهلة للمراجعة', suggestion: 'تحديد مدة قصوى لمراجعة المدير مع تصعيد تلقائي عند تجاوزها.' },
+    ],
+    chat: 'هذا رد تجريبي من مزود النماذج المحلي [1].',
+};
+
+/**
+ * Resolves the fixture of a task: a configured fixture (a value or a function of the
+ * prompt) wins over the built-in one.
+ */
+const mockResponse = (task, prompt) => {
+    const fixture = task in config.fixtures ? config.fixtures[task] : MOCK_FIXTURES[task];
+    if (fixture === undefined) throw new Error(`لا توجد بيانات تجريبية للمهمة "${task}".`);
+    const value = typeof fixture === 'function' ? fixture(prompt) : fixture;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+const mockProvider = {
+    async generate({ task, prompt, signal }) {
+        signal?.throwIfAborted();
+        return mockResponse(task, prompt);
+    },
+
+    async *stream({ task, systemInstruction, message, signal }) {
+        const text = mockResponse(task, `${systemInstruction}\n${message}`);
+        // Yield word by word so streaming UIs behave as they do with a real model.
+        for (const word of text.match(/\S+\s*/g) || []) {
+            signal?.throwIfAborted();
+            yield word;
+        }
+    },
+};
+
+const providers = {
+    gemini: geminiProvider,
+    openai: openAiProvider,
+    mock: mockProvider,
+};
+
+/**
+ * Adds (or replaces) a provider.
+ * @param {string} name The name used in `configureLlm({ provider })`.
+ * @param {{ generate: (request: object) => Promise<string>, stream: (request: object) => AsyncIterable<string> }} provider
+ */
+export const registerLlmProvider = (name, provider) => {
+    providers[name] = provider;
+};
+
+const getProvider = () => {
+    const provider = providers[config.provider];
+    if (!provider) throw new Error(`مزود النماذج "${config.provider}" غير معروف.`);
+    return provider;
+};
+
+/**
+ * Returns the response cache key of a single-shot request, or null when the current
+ * provider is not cached (the mock is deterministic, and its fixtures can change at run time)
+ * or the key cannot be computed (see `hashRequest`); the request then skips the cache.
+ * @param {string} task One of `LLM_TASKS`.
+ * @param {string} prompt The prompt.
+ * @param {{ json?: boolean, images?: Array<object> }} [options]
+ * @returns {Promise<string | null>} The key.
+ */
+export const getCacheKey = (task, prompt, { json = false, images = [] } = {}) => config.provider === 'mock'
+    ? Promise.resolve(null)
+    : hashRequest({ provider: config.provider, baseUrl: config.baseUrl, model: getModelForTask(task), task, prompt, json, images });
+
+/**
+ * Sends one prompt and returns the model's text.
+ * @param {string} task One of `LLM_TASKS`; selects the model (and the mock fixture).
+ * @param {string} prompt The prompt.
+ * @param {{ json?: boolean, images?: Array<{ mimeType: string, data: string }>, signal?: AbortSignal, onRetry?: Function, cache?: boolean }} [options]
+ *   `json` asks for a JSON response; `images` are base64-encoded attachments; `signal` cancels
+ *   the request; `onRetry` is told about quota backoffs; `cache: false` bypasses the response cache.
+ * @returns {Promise<string>} The response text.
+ */
+export const generateText = async (task, prompt, { json = false, images = [], signal, onRetry, cache = true } = {}) => {
+    const provider = getProvider();
+    const model = getModelForTask(task);
+    const key = cache ? await getCacheKey(task, prompt, { json, images }) : null;
+    if (key) {
+        const cached = await getCachedResponse(key);
+        if (cached !== null) return cached;
+    }
+    const text = await scheduleRequest(() => provider.generate({ task, model, prompt, json, images, signal }), { signal, onRetry });
+    if (key && text) await putCachedResponse(key, text);
+    return text;
+};
+
+/**
+ * Continues a conversation and streams the reply. The request holds a scheduler slot
+ * (and is retried on quota errors) until its first piece arrives.
+ * @param {string} task One of `LLM_TASKS`, usually `chat`.
+ * @param {{ systemInstruction: string, history: Array<{ role: 'user' | 'model', content: string }>, message: string, signal?: AbortSignal, onRetry?: Function }} request
+ *   `history` holds the earlier turns, without `message`.
+ * @returns {AsyncIterable<string>} The reply, piece by piece.
+ */
+export async function* streamChat(task, { systemInstruction, history, message, signal, onRetry }) {
+    const provider = getProvider();
+    const model = getModelForTask(task);
+    const { iterator, first } = await scheduleRequest(async () => {
+        const iterator = provider.stream({ task, model, systemInstruction, history, message, signal })[Symbol.asyncIterator]();
+        return { iterator, first: await iterator.next() };
+    }, { signal, onRetry });
+    for (let step = first; !step.done; step = await iterator.next()) {
+        yield step.value;
+    }
+}
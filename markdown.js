@@ -0,0 +1,98 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { escapeXml } from './flowchart.js';
+import { CITATION_PATTERN, parseCitationNumbers } from './citations.js';
+
+// === Safe Markdown ===
+// Model answers are rendered from a small Markdown subset: headings, paragraphs, bulleted
+// and numbered lists, quotes, fenced and inline code, tables, bold, italics and links.
+// All text is escaped before any markup is added and links are kept only for http(s) and
+// mailto URLs, so an answer cannot inject HTML or script into the page.
+
+const SAFE_URL = /^(?:https?:|mailto:)/i;
+const BULLET = /^\s*[-*•+]\s+/;
+const NUMBERED = /^\s*[\d٠-٩]+[.)]\s+/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{2,}:?\s*(?:\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+/**
+ * Renders the inline Markdown of one block.
+ * @param {string} text The raw text.
+ * @param {(numbers: Array<number>) => string} [renderCitation] Turns a citation marker into HTML.
+ * @returns {string} The HTML.
+ */
+const renderInline = (text, renderCitation) => text
+    .split(/(`[^`\n]+`)/)
+    .map((part, index) => {
+        if (index % 2 === 1) return `<code>${escapeXml(part.slice(1, -1))}</code>`;
+        // The URL may hold balanced parentheses (`.../Foo_(bar)`, `javascript:alert(1)`), so a
+        // rejected link is dropped whole rather than leaving its tail behind.
+        let rendered = escapeXml(part)
+            .replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (link, label, url) => (SAFE_URL.test(url.replace(/&amp;/g, '&'))
+                ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+                : label))
+            .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a ?? b}</strong>`)
+            .replace(/(^|[^*\w])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1<em>$2</em>');
+        if (renderCitation) rendered = rendered.replace(CITATION_PATTERN, (marker, numbers) => renderCitation(parseCitationNumbers(numbers)));
+        return rendered;
+    })
+    .join('');
+
+const splitTableRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+/**
+ * Renders Markdown to HTML that is safe to insert into the page.
+ * @param {string} text The Markdown (possibly cut off mid-stream).
+ * @param {{ renderCitation?: (numbers: Array<number>) => string }} [options]
+ *   `renderCitation` replaces `[n]` citation markers; without it they stay as text.
+ * @returns {string} The HTML.
+ */
+export const renderMarkdown = (text, { renderCitation } = {}) => {
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    const inline = (value) => renderInline(value, renderCitation);
+
+    for (let i = 0; i < lines.length;) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i += 1;
+        } else if (/^\s*```/.test(line)) {
+            // A fence left open (the answer is still streaming) runs to the end.
+            const code = [];
+            for (i += 1; i < lines.length && !/^\s*```/.test(lines[i]); i += 1) code.push(lines[i]);
+            i += 1;
+            blocks.push(`<pre><code>${escapeXml(code.join('\n'))}</code></pre>`);
+        } else if (/^\s*#{1,6}\s+/.test(line)) {
+            // Headings are kept small; they sit inside a chat bubble.
+            const level = Math.min(6, line.match(/#+/)[0].length + 3);
+            blocks.push(`<h${level}>${inline(line.replace(/^\s*#+\s+/, '').replace(/\s+#+\s*$/, ''))}</h${level}>`);
+            i += 1;
+        } else if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+            const header = splitTableRow(line);
+            const rows = [];
+            for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i += 1) rows.push(splitTableRow(lines[i]));
+            blocks.push(`<table><thead><tr>${header.map(cell => `<th>${inline(cell)}</th>`).join('')}</tr></thead><tbody>${rows
+                .map(row => `<tr>${header.map((cell, index) => `<td>${inline(row[index] || '')}</td>`).join('')}</tr>`)
+                .join('')}</tbody></table>`);
+        } else if (BULLET.test(line) || NUMBERED.test(line)) {
+            const marker = BULLET.test(line) ? BULLET : NUMBERED;
+            const items = [];
+            for (; i < lines.length && marker.test(lines[i]); i += 1) items.push(lines[i].replace(marker, ''));
+            const tag = marker === BULLET ? 'ul' : 'ol';
+            blocks.push(`<${tag}>${items.map(item => `<li>${inline(item)}</li>`).join('')}</${tag}>`);
+        } else if (/^\s*>/.test(line)) {
+            const quoted = [];
+            for (; i < lines.length && /^\s*>/.test(lines[i]); i += 1) quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+            blocks.push(`<blockquote>${quoted.map(inline).join('<br />')}</blockquote>`);
+        } else {
+            const startsBlock = (index) => /^\s*(?:```|#{1,6}\s|>)/.test(lines[index]) || BULLET.test(lines[index]) || NUMBERED.test(lines[index])
+                || (lines[index].includes('|') && TABLE_DIVIDER.test(lines[index + 1] || ''));
+            const paragraph = [line];
+            for (i += 1; i < lines.length && lines[i].trim() && !startsBlock(i); i += 1) paragraph.push(lines[i]);
+            blocks.push(`<p>${paragraph.map(inline).join('<br />')}</p>`);
+        }
+    }
+    return blocks.join('');
+};
@@ -0,0 +1,219 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { normalizeSteps, getActors, getStepActor, findLoopBackEdges, stepsFromDiagram, UNKNOWN_ACTOR } from './processGraph.js';
+
+// === Mermaid Export & Import ===
+// Tasks are `S1["..."]`, decisions `S2{"..."}` and parallel gateways `S3{{"..."}}`.
+// Actors become subgraphs, loop-backs are dotted links, and page numbers are kept
+// in `%% S1 page: 3` comments so a round trip does not lose them.
+
+const nodeId = (stepNumber) => `S${stepNumber}`;
+
+const escapeLabel = (text) => String(text ?? '')
+    .replace(/"/g, '#quot;')
+    .replace(/\r?\n/g, ' ');
+
+const unescapeLabel = (text) => String(text ?? '')
+    .replace(/#quot;/g, '"')
+    .replace(/#amp;/g, '&')
+    .replace(/#lt;/g, '<')
+    .replace(/#gt;/g, '>')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const renderNodeDefinition = (step) => {
+    const label = `"${escapeLabel(step.description)}"`;
+    if (step.type === 'decision') return `${nodeId(step.stepNumber)}{${label}}`;
+    if (step.type === 'parallel') return `${nodeId(step.stepNumber)}{{${label}}}`;
+    return `${nodeId(step.stepNumber)}[${label}]`;
+};
+
+/**
+ * Converts a process into Mermaid `flowchart` source.
+ * @param {{ steps: Array<object> }} plan The process (usually `summaryData`).
+ * @returns {string} The Mermaid source.
+ */
+export const exportMermaid = (plan) => {
+    const steps = normalizeSteps(plan?.steps);
+    const actors = getActors(steps);
+    const hasLanes = actors.some(actor => actor !== UNKNOWN_ACTOR);
+    const loopBacks = findLoopBackEdges(steps);
+    const lines = ['flowchart TD'];
+
+    if (hasLanes) {
+        actors.forEach((actor, index) => {
+            lines.push(`    subgraph lane${index + 1}["${escapeLabel(actor)}"]`);
+            steps.filter(step => getStepActor(step) === actor)
+                .forEach(step => lines.push(`        ${renderNodeDefinition(step)}`));
+            lines.push('    end');
+        });
+    } else {
+        steps.forEach(step => lines.push(`    ${renderNodeDefinition(step)}`));
+    }
+
+    steps.forEach(step => step.next.forEach(edge => {
+        const arrow = loopBacks.has(`${step.stepNumber}->${edge.to}`) ? '-.->' : '-->';
+        const label = edge.label ? `|"${escapeLabel(edge.label)}"|` : '';
+        lines.push(`    ${nodeId(step.stepNumber)} ${arrow}${label} ${nodeId(edge.to)}`);
+    }));
+
+    steps.filter(step => step.page != null)
+        .forEach(step => lines.push(`    %% ${nodeId(step.stepNumber)} page: ${step.page}`));
+
+    return lines.join('\n') + '\n';
+};
+
+// Opening and closing delimiters of Mermaid node shapes, longest first.
+const SHAPES = [
+    ['(((', ')))', 'task'], ['{{', '}}', 'parallel'], ['([', '])', 'task'], ['[[', ']]', 'task'],
+    ['[(', ')]', 'task'], ['((', '))', 'task'], ['[/', '/]', 'task'], ['[\\', '\\]', 'task'],
+    ['[/', '\\]', 'task'], ['[\\', '/]', 'task'], ['(', ')', 'task'], ['[', ']', 'task'],
+    ['{', '}', 'decision'], ['>', ']', 'task'],
+];
+
+const ID_PATTERN = /^[\p{L}\p{N}_-]+/u;
+const EDGE_PATTERNS = [
+    // A -- text --> B, A -. text .-> B, A == text ==> B
+    /^\s*(?:--|-\.|==)\s*([^|>-][^>]*?)\s*(?:-->|\.->|==>|---)\s*/,
+    // A -->|text| B and the plain arrow forms
+    /^\s*(?:<?-{2,}>|-{3,}|<?-\.+->|-\.+-|<?={2,}>|={3,}|--[ox]|~~~)\s*(?:\|([^|]*)\|)?\s*/,
+];
+
+/**
+ * Reads a node reference (`A`, `A[label]`, `A{label}` ...) starting at `text[0]`.
+ * @returns {{ id: string, label?: string, type?: string, rest: string } | null}
+ */
+const readNode = (text) => {
+    const trimmed = text.replace(/^\s+/, '');
+    const idMatch = trimmed.match(ID_PATTERN);
+    if (!idMatch) return null;
+    const id = idMatch[0];
+    let rest = trimmed.slice(id.length);
+
+    for (const [open, close, type] of SHAPES) {
+        if (!rest.startsWith(open)) continue;
+        let body = rest.slice(open.length);
+        let label;
+        const quoted = body.match(/^\s*"([^"]*)"\s*/);
+        if (quoted && body.slice(quoted[0].length).startsWith(close)) {
+            label = quoted[1];
+            body = body.slice(quoted[0].length);
+        } else {
+            const end = body.indexOf(close);
+            if (end === -1) continue;
+            label = body.slice(0, end);
+            body = body.slice(end);
+        }
+        rest = body.slice(close.length);
+        return { id, label: unescapeLabel(label), type, rest };
+    }
+    return { id, rest };
+};
+
+/**
+ * Returns the Mermaid source in a text when it is a fenced ```mermaid block or
+ * starts with a `flowchart`/`graph` header, or null otherwise.
+ * @param {string} text The text to check.
+ * @returns {string | null} The Mermaid source.
+ */
+export const extractMermaidSource = (text) => {
+    const trimmed = String(text ?? '').trim();
+    const fence = trimmed.match(/```mermaid\s*([\s\S]*?)```/);
+    const source = fence ? fence[1].trim() : trimmed;
+    return /^(?:flowchart|graph)\b/.test(source) ? source : null;
+};
+
+/**
+ * Parses Mermaid `flowchart`/`graph` source into a process (`{ name, summary, steps }`).
+ * Node shapes map to step types (`{}` decision, `{{}}` parallel, anything else a task),
+ * subgraph titles become actors and `%% S1 page: N` comments restore page numbers.
+ * Styling statements are ignored.
+ * @param {string} text The Mermaid source, optionally inside a ```mermaid fence.
+ * @returns {{ name: string, summary: string, steps: Array<object> }} The imported process.
+ */
+export const importMermaid = (text) => {
+    const source = extractMermaidSource(text);
+    if (!source) {
+        throw new Error('لم يتم العثور على مخطط Mermaid من نوع flowchart.');
+    }
+
+    const nodes = new Map();
+    const flows = [];
+    const pages = new Map();
+    const subgraphs = [];
+
+    const touchNode = (ref, actor) => {
+        const existing = nodes.get(ref.id);
+        if (!existing) {
+            nodes.set(ref.id, { id: ref.id, description: ref.label ?? ref.id, type: ref.type ?? 'task', actor });
+            return;
+        }
+        if (ref.label !== undefined) {
+            existing.description = ref.label;
+            existing.type = ref.type;
+        }
+        if (actor && !existing.actor) existing.actor = actor;
+    };
+
+    const statements = source.split('\n').slice(1)
+        .flatMap(line => {
+            const pageComment = line.match(/^\s*%%\s*([\p{L}\p{N}_-]+)\s+page:\s*(\d+)/u);
+            if (pageComment) pages.set(pageComment[1], Number(pageComment[2]));
+            // `;` also ends a statement, except inside quotes or an entity such as `#quot;`.
+            return line.replace(/%%.*$/, '').split(/(?<!#\w+);(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+        })
+        .map(statement => statement.trim())
+        .filter(Boolean);
+
+    for (const statement of statements) {
+        const subgraph = statement.match(/^subgraph\b\s*(.*)$/);
+        if (subgraph) {
+            // `subgraph id["title"]` or `subgraph title`
+            const bracketed = subgraph[1].match(/^[\p{L}\p{N}_-]+\s*\[\s*"?(.*?)"?\s*\]$/u);
+            const title = unescapeLabel(bracketed ? bracketed[1] : subgraph[1]);
+            subgraphs.push(title || undefined);
+            continue;
+        }
+        if (statement === 'end') {
+            subgraphs.pop();
+            continue;
+        }
+        if (/^(?:classDef|class|style|linkStyle|click|direction)\b/.test(statement)) continue;
+
+        const actor = subgraphs[subgraphs.length - 1];
+        let ref = readNode(statement);
+        if (!ref) continue;
+        touchNode(ref, actor);
+        let rest = ref.rest;
+        while (rest.trim()) {
+            let edge = null;
+            for (const pattern of EDGE_PATTERNS) {
+                edge = rest.match(pattern);
+                if (edge) break;
+            }
+            if (!edge) break;
+            const next = readNode(rest.slice(edge[0].length));
+            if (!next) break;
+            touchNode(next, actor);
+            flows.push({ source: ref.id, target: next.id, label: unescapeLabel(edge[1] ?? '').replace(/^"|"$/g, '') });
+            ref = next;
+            rest = next.rest;
+        }
+    }
+
+    if (nodes.size === 0) {
+        throw new Error('مخطط Mermaid لا يحتوي على أي عقد.');
+    }
+
+    const stepNodes = [...nodes.values()].map(node => ({ ...node, page: pages.get(node.id) }));
+    const name = 'مخطط مستورد';
+    return {
+        name,
+        summary: `${name} (مستورد من Mermaid).`,
+        steps: stepsFromDiagram(stepNodes, flows),
+    };
+};
@@ -0,0 +1,66 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { tokenizeArabic } from './arabicText.js';
+import { retrievePassages, topSources } from './retrieval.js';
+
+// === Node Context ===
+// What the side panel of a chart node shows about its step: the steps around it, the
+// passage of the document it was drawn from, and the Q&A items that talk about it.
+
+// A Q&A item is related when it contains at least this fraction of the step's terms.
+const MIN_QUESTION_COVERAGE = 0.3;
+
+/**
+ * Lists the steps that lead to and follow a step.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} stepNumber The step.
+ * @returns {{ incoming: Array<{ step: object, label: string }>, outgoing: Array<{ step: object, label: string }> }}
+ *   The neighbouring steps with the labels of the connecting arrows.
+ */
+export const getStepNeighbours = (steps, stepNumber) => ({
+    incoming: steps.flatMap(step => step.next
+        .filter(edge => edge.to === stepNumber)
+        .map(edge => ({ step, label: edge.label || '' }))),
+    outgoing: (steps.find(step => step.stepNumber === stepNumber)?.next || [])
+        .map(edge => ({ step: steps.find(candidate => candidate.stepNumber === edge.to), label: edge.label || '' }))
+        .filter(({ step }) => step),
+});
+
+/**
+ * Finds the passage of the source a step was drawn from: the best match for its text,
+ * preferring passages on the page the step cites.
+ * @param {string} source The tagged source text.
+ * @param {{ description: string, actor?: string, page?: number | null }} step The step.
+ * @returns {{ docName: string | null, page: number | null, text: string } | null} The passage, or null when nothing matches.
+ */
+export const findStepExcerpt = (source, step) => {
+    if (!source) return null;
+    const matches = topSources(retrievePassages(source, `${step.description}\n${step.actor || ''}`, { limit: 8 }), 8);
+    return matches.find(passage => step.page != null && passage.page === Number(step.page)) || matches[0] || null;
+};
+
+/**
+ * Picks the Q&A items that are about a step, best match first.
+ * @param {Array<{ question: string, answer: string }>} questions The Q&A items.
+ * @param {{ description: string }} step The step.
+ * @param {number} [limit] How many to keep.
+ * @returns {Array<object>} The related items.
+ */
+export const findRelatedQuestions = (questions, step, limit = 3) => {
+    const terms = new Set(tokenizeArabic(step.description));
+    if (terms.size === 0) return [];
+    return (questions || [])
+        .map(item => {
+            const itemTerms = new Set(tokenizeArabic(`${item.question}\n${item.answer}`));
+            let shared = 0;
+            terms.forEach(term => { if (itemTerms.has(term)) shared += 1; });
+            return { item, coverage: shared / terms.size };
+        })
+        .filter(({ coverage }) => coverage >= MIN_QUESTION_COVERAGE)
+        .sort((a, b) => b.coverage - a.coverage)
+        .slice(0, limit)
+        .map(({ item }) => item);
+};
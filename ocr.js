@@ -0,0 +1,92 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { generateStructured, OCR_SCHEMA } from './structuredOutput.js';
+
+// === OCR ===
+// Reads the text of an image (an uploaded photo or a rendered PDF page without a text
+// layer) with one of two engines:
+// - `vision`: the `ocr` task of the model provider, which also rates how legible the
+//   page was (the default).
+// - `tesseract`: Tesseract running locally in the browser (tesseract.js), for documents
+//   that must not leave the machine; its confidence is the mean word confidence.
+// Either way the result is `{ text, confidence }` with `confidence` between 0 and 1.
+
+export const OCR_ENGINES = ['vision', 'tesseract'];
+
+// Pages recognised below this confidence are flagged for the user to check.
+export const LOW_OCR_CONFIDENCE = 0.6;
+
+const readEnv = (read) => {
+    try {
+        return read() || '';
+    } catch {
+        return '';
+    }
+};
+
+const envEngine = readEnv(() => process.env.OCR_ENGINE);
+
+let config = {
+    engine: OCR_ENGINES.includes(envEngine) ? envEngine : 'vision',
+    languages: readEnv(() => process.env.OCR_LANGUAGES) || 'ara+eng',
+};
+
+let tesseractWorker = null; // Promise of a tesseract.js worker, created on first use
+
+/**
+ * Changes the OCR engine or the Tesseract languages.
+ * @param {{ engine?: 'vision' | 'tesseract', languages?: string }} changes
+ */
+export const configureOcr = (changes) => {
+    if (changes.engine && !OCR_ENGINES.includes(changes.engine)) {
+        throw new Error(`محرك التعرف الضوئي "${changes.engine}" غير معروف.`);
+    }
+    if (changes.languages && changes.languages !== config.languages) tesseractWorker = null;
+    config = { ...config, ...changes };
+};
+
+export const getOcrEngine = () => config.engine;
+
+const VISION_PROMPT = `استخرج كل النصوص الموجودة في هذه الصورة كما هي، باللغة التي كُتبت بها. حافظ على ترتيب القراءة والفقرات والقوائم، واكتب الجداول بصيغة Markdown.
+لا تضف أي شرح أو تلخيص.
+
+أعد JSON بالشكل: {"text": "النص المستخرج", "confidence": 0.85}
+حيث confidence رقم بين 0 و1 يعبّر عن مدى وضوح النص وثقتك في دقة القراءة (منخفض للصور المشوشة أو الخط اليدوي أو الأجزاء المقطوعة). إذا لم تحتوِ الصورة على نص فأعد نصًا فارغًا.`;
+
+const recognizeWithVision = async (image, { signal, onRetry }) => {
+    const { text, confidence } = await generateStructured('ocr', VISION_PROMPT, OCR_SCHEMA, { images: [image], signal, onRetry });
+    return { text: text.trim(), confidence };
+};
+
+const recognizeWithTesseract = async (image, { signal }) => {
+    signal?.throwIfAborted();
+    if (!tesseractWorker) {
+        tesseractWorker = import('tesseract.js').then(({ createWorker }) => createWorker(config.languages));
+        tesseractWorker.catch(() => { tesseractWorker = null; });
+    }
+    const worker = await tesseractWorker;
+    // Tesseract cannot be interrupted mid-page; a cancelled page is dropped once it finishes.
+    const { data } = await worker.recognize(`data:${image.mimeType};base64,${image.data}`);
+    signal?.throwIfAborted();
+    return { text: data.text.trim(), confidence: Math.max(0, Math.min(1, data.confidence / 100)) };
+};
+
+/**
+ * Recognises the text of an image with the configured engine.
+ * @param {{ mimeType: string, data: string }} image The base64-encoded image.
+ * @param {{ signal?: AbortSignal, onRetry?: Function }} [options] Passed to the model request.
+ * @returns {Promise<{ text: string, confidence: number }>} The text and the engine's confidence (0-1).
+ */
+export const recognizeImage = (image, options = {}) => (config.engine === 'tesseract'
+    ? recognizeWithTesseract(image, options)
+    : recognizeWithVision(image, options));
+
+/**
+ * Formats a confidence for display, e.g. `82%`.
+ * @param {number} confidence The confidence (0-1).
+ * @returns {string}
+ */
+export const formatConfidence = (confidence) => `${Math.round(confidence * 100)}%`;
@@ -0,0 +1,454 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === PDF Page Text ===
+// Rebuilds readable text from the items PDF.js returns for a page. Runs inside the PDF
+// parsing worker (see pdfWorker.js), so it must not touch the DOM. The stages are:
+// 1. drop repeated headers/footers (detected across pages by `detectRepeatedEdges`);
+// 2. split the page into columns at empty vertical gutters, with full-width lines
+//    (titles spanning the gutter) kept in place between column blocks;
+// 3. group each block into lines, and runs of aligned multi-cell lines into markdown tables;
+// 4. turn each line into logical order with a two-level bidi model (Arabic runs right to
+//    left, Latin words and numbers left to right), whether the PDF stores text in visual
+//    or logical order;
+// 5. replace Arabic presentation forms (ligatures, positional glyphs) by plain letters.
+
+const ARABIC_CHAR = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFC]/;
+const LATIN_CHAR = /[A-Za-z\u00C0-\u024F]/;
+const DIGIT_CHAR = /[0-9\u0660-\u0669\u06F0-\u06F9]/;
+const NUMBER_SEPARATOR = /[.,:/\-+\u066B\u066C]/;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+// Gaps (in multiples of the font size) that separate words, and table cells.
+const WORD_GAP = 0.15;
+const CELL_GAP = 1.8;
+// A column gutter is an empty vertical band at least this wide (in points)...
+const MIN_GUTTER_WIDTH = 10;
+// ...with at least this many lines of running text (not table cells) on each side.
+const MIN_COLUMN_LINES = 3;
+const MIN_COLUMN_LINE_CHARS = 15;
+const MIN_TABLE_ROWS = 3;
+// Headers/footers are looked for among this many lines at the top and bottom of a page,
+// and must repeat on this share of the sampled pages.
+const EDGE_LINES = 2;
+const EDGE_REPEAT_SHARE = 0.4;
+// A page with fewer visible characters than this has no real text layer (a scanned
+// page, perhaps with a stamped page number) and is sent to OCR if it shows an image.
+const MIN_TEXT_LAYER_CHARS = 20;
+
+/**
+ * Replaces Arabic presentation forms (U+FB50–U+FDFF, U+FE70–U+FEFC) by the plain letters
+ * they stand for, e.g. the lam-alef ligature by "لا", and drops zero-width no-break spaces.
+ * @param {string} text The text.
+ * @returns {string} The normalized text.
+ */
+export const normalizePresentationForms = (text) => text
+    .replace(/[\uFB50-\uFDFF\uFE70-\uFEFC]/g, char => char.normalize('NFKC'))
+    .replace(/\uFEFF/g, '');
+
+const charClass = (char) => {
+    if (ARABIC_CHAR.test(char)) return 'R';
+    if (LATIN_CHAR.test(char)) return 'L';
+    if (DIGIT_CHAR.test(char)) return 'N';
+    return 'W';
+};
+
+/**
+ * Gives every character a direction: Arabic (R), Latin (L), number (N). Neutral characters
+ * take the direction of the text on both sides when it is the same (a single separator
+ * inside a number such as 12.5 or 2024/01/05 joins the number), and the base direction otherwise.
+ */
+const resolveClasses = (chars, base) => {
+    const classes = chars.map(charClass);
+    return classes.map((cls, index) => {
+        if (cls !== 'W') return cls;
+        let before = index - 1;
+        while (before >= 0 && classes[before] === 'W') before--;
+        let after = index + 1;
+        while (after < classes.length && classes[after] === 'W') after++;
+        const left = classes[before];
+        const right = classes[after];
+        if (!left || left !== right) return base;
+        if (left === 'N') return after - before === 2 && NUMBER_SEPARATOR.test(chars[index]) ? 'N' : base;
+        return left;
+    });
+};
+
+/**
+ * Whether a text reads right to left: it has at least as many Arabic as Latin letters.
+ * @param {string} text The text.
+ * @param {boolean} [fallback] The answer when the text has no letters.
+ * @returns {boolean}
+ */
+export const isRtlText = (text, fallback = true) => {
+    let rtl = 0;
+    let ltr = 0;
+    for (const char of text) {
+        if (ARABIC_CHAR.test(char)) rtl += 1;
+        else if (LATIN_CHAR.test(char)) ltr += 1;
+    }
+    return rtl + ltr === 0 ? fallback : rtl >= ltr;
+};
+
+/**
+ * Converts a line between visual (left-to-right glyph) order and logical order. In a
+ * right-to-left line the runs are reversed and the Arabic runs read backwards, while Latin
+ * words and numbers keep their order; in a left-to-right line only Arabic runs are
+ * reversed. Brackets inside reversed runs are mirrored. The conversion is its own
+ * inverse, so it serves both directions.
+ * @param {string} text The line.
+ * @param {boolean} rtl Whether the line's base direction is right to left.
+ * @returns {string} The reordered line.
+ */
+export const reorderBidi = (text, rtl) => {
+    const chars = [...text];
+    const classes = resolveClasses(chars, rtl ? 'R' : 'L');
+    const runs = [];
+    chars.forEach((char, index) => {
+        const reversed = rtl ? classes[index] !== 'L' && classes[index] !== 'N' : classes[index] === 'R';
+        const last = runs[runs.length - 1];
+        if (last && last.reversed === reversed) last.chars.push(char);
+        else runs.push({ reversed, chars: [char] });
+    });
+    if (rtl) runs.reverse();
+    return runs.map(run => run.reversed
+        ? run.chars.reverse().map(char => MIRRORED[char] || char).join('')
+        : run.chars.join('')).join('');
+};
+
+/**
+ * Guesses whether a page stores Arabic in visual order (each word spelled backwards).
+ * Logical text has many words starting with the article "ال" and ending with "ة"; in
+ * visual text these appear as words ending with "لا" and starting with "ة".
+ * @param {string} text The page text as extracted.
+ * @returns {boolean}
+ */
+export const looksVisuallyOrdered = (text) => {
+    const words = normalizePresentationForms(text).split(/\s+/).filter(word => ARABIC_CHAR.test(word));
+    let logical = 0;
+    let visual = 0;
+    words.forEach(word => {
+        if (word.length > 2 && word.startsWith('ال')) logical += 1;
+        if (word.length > 2 && word.endsWith('لا')) visual += 1;
+        if (word.length > 1 && word.endsWith('ة')) logical += 1;
+        if (word.length > 1 && word.startsWith('ة')) visual += 1;
+    });
+    return visual > logical;
+};
+
+// --- Geometry ---
+
+/**
+ * Turns PDF.js text items into boxes in page space (y grows upwards, `y` is the baseline).
+ */
+const toBoxes = (items) => items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+        const size = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+        return { str: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0, size, fontName: item.fontName };
+    });
+
+const median = (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Groups boxes into lines, top to bottom; each line's boxes are sorted left to right.
+ */
+const groupLines = (boxes) => {
+    const lines = [];
+    [...boxes].sort((a, b) => b.y - a.y || a.x - b.x).forEach(box => {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(line.y - box.y) <= Math.max(line.size, box.size) * 0.5) {
+            line.boxes.push(box);
+            line.size = Math.max(line.size, box.size);
+        } else {
+            lines.push({ y: box.y, size: box.size, boxes: [box] });
+        }
+    });
+    lines.forEach(line => line.boxes.sort((a, b) => a.x - b.x));
+    return lines;
+};
+
+/**
+ * Splits a line's boxes into cells wherever the horizontal gap is wide.
+ */
+const splitCells = (line) => {
+    const cells = [];
+    line.boxes.forEach(box => {
+        const cell = cells[cells.length - 1];
+        const gap = cell ? box.x - cell.right : 0;
+        if (cell && gap <= CELL_GAP * Math.max(box.size, line.size * 0.5)) {
+            cell.boxes.push(box);
+            cell.right = Math.max(cell.right, box.x + box.width);
+        } else {
+            cells.push({ left: box.x, right: box.x + box.width, boxes: [box] });
+        }
+    });
+    return cells;
+};
+
+/**
+ * Builds the logical text of boxes that sit on one line, left to right.
+ */
+const boxesToText = (boxes, { visual, rtl }) => {
+    const lineRtl = isRtlText(boxes.map(box => box.str).join(''), rtl);
+    let line = '';
+    boxes.forEach((box, index) => {
+        const text = visual ? box.str : reorderBidi(box.str, lineRtl);
+        const previous = boxes[index - 1];
+        if (previous) {
+            const gap = box.x - (previous.x + previous.width);
+            if (gap > WORD_GAP * box.size && !/\s$/.test(line) && !/^\s/.test(text)) line += ' ';
+        }
+        line += text;
+    });
+    return normalizePresentationForms(reorderBidi(line, lineRtl)).replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Finds the widest empty vertical band in the middle of a block of boxes that has running
+ * text on both sides. A few boxes may cross it (titles spanning both columns).
+ * @returns {{ start: number, end: number } | null}
+ */
+const findColumnGutter = (boxes) => {
+    if (boxes.length < MIN_COLUMN_LINES * 2) return null;
+    const minX = Math.min(...boxes.map(box => box.x));
+    const maxX = Math.max(...boxes.map(box => box.x + box.width));
+    const span = maxX - minX;
+    if (span <= 0) return null;
+
+    const BIN = 2;
+    const coverage = new Array(Math.ceil(span / BIN) + 1).fill(0);
+    boxes.forEach(box => {
+        const first = Math.floor((box.x - minX) / BIN);
+        const last = Math.floor((box.x + box.width - minX) / BIN);
+        for (let bin = first; bin <= last; bin++) coverage[bin] += 1;
+    });
+    const allowed = Math.max(1, Math.floor(boxes.length * 0.02));
+    const firstBin = Math.floor(coverage.length * 0.2);
+    const lastBin = Math.ceil(coverage.length * 0.8);
+
+    let best = null;
+    let runStart = -1;
+    for (let bin = firstBin; bin <= lastBin + 1; bin++) {
+        const empty = bin <= lastBin && coverage[bin] <= allowed;
+        if (empty && runStart === -1) runStart = bin;
+        if (!empty && runStart !== -1) {
+            if (!best || bin - runStart > best.bins) best = { first: runStart, bins: bin - runStart };
+            runStart = -1;
+        }
+    }
+    const minWidth = Math.max(MIN_GUTTER_WIDTH, 1.5 * median(boxes.map(box => box.size)));
+    if (!best || best.bins * BIN < minWidth) return null;
+
+    const gutter = { start: minX + best.first * BIN, end: minX + (best.first + best.bins) * BIN };
+    // Both sides must hold running text; a table's columns are short cells instead.
+    const isProse = (side) => {
+        const lines = groupLines(side);
+        const lengths = lines.map(line => line.boxes.reduce((sum, box) => sum + box.str.length, 0));
+        return lines.length >= MIN_COLUMN_LINES && median(lengths) >= MIN_COLUMN_LINE_CHARS;
+    };
+    const left = boxes.filter(box => box.x + box.width <= gutter.start);
+    const right = boxes.filter(box => box.x >= gutter.end);
+    return isProse(left) && isProse(right) ? gutter : null;
+};
+
+/**
+ * Splits boxes into blocks in reading order: columns (right column first on right-to-left
+ * pages), with lines that span the gutter kept as their own blocks between column segments.
+ * Columns are split again, so three-column layouts work too.
+ */
+const splitIntoBlocks = (boxes, rtl, depth = 0) => {
+    const gutter = depth < 2 ? findColumnGutter(boxes) : null;
+    if (!gutter) return [boxes];
+
+    const crosses = (box) => box.x < gutter.end && box.x + box.width > gutter.start;
+    const spanningLines = groupLines(boxes.filter(crosses));
+    const columnBoxes = boxes.filter(box => !crosses(box));
+    const blocks = [];
+    const addSegment = (segment) => {
+        const left = segment.filter(box => box.x + box.width <= gutter.start);
+        const right = segment.filter(box => box.x >= gutter.end);
+        (rtl ? [right, left] : [left, right])
+            .filter(side => side.length > 0)
+            .forEach(side => blocks.push(...splitIntoBlocks(side, rtl, depth + 1)));
+    };
+
+    let upper = Infinity;
+    spanningLines.forEach(line => {
+        addSegment(columnBoxes.filter(box => box.y < upper && box.y > line.y));
+        blocks.push(line.boxes);
+        upper = line.y;
+    });
+    addSegment(columnBoxes.filter(box => box.y < upper));
+    return blocks;
+};
+
+// --- Tables ---
+
+const escapeCell = (text) => text.replace(/\|/g, '\\|');
+
+/**
+ * Whether a row's cells line up with the table's columns.
+ */
+const alignsWith = (columns, cells) => cells.length === columns.length
+    && cells.every((cell, index) => cell.left < columns[index].right && cell.right > columns[index].left);
+
+/**
+ * Renders a block's lines, turning runs of at least `MIN_TABLE_ROWS` aligned lines with
+ * the same number (two or more) of cells into a markdown table.
+ */
+const renderBlock = (boxes, options) => {
+    const lines = groupLines(boxes).map(line => ({ line, cells: splitCells(line) }));
+    const output = [];
+    let index = 0;
+    while (index < lines.length) {
+        const { cells } = lines[index];
+        let end = index + 1;
+        if (cells.length >= 2) {
+            const columns = cells.map(cell => ({ left: cell.left, right: cell.right }));
+            while (end < lines.length && alignsWith(columns, lines[end].cells)) {
+                lines[end].cells.forEach((cell, column) => {
+                    columns[column].left = Math.min(columns[column].left, cell.left);
+                    columns[column].right = Math.max(columns[column].right, cell.right);
+                });
+                end += 1;
+            }
+        }
+        if (end - index >= MIN_TABLE_ROWS) {
+            const rows = lines.slice(index, end).map(row => {
+                const texts = row.cells.map(cell => escapeCell(boxesToText(cell.boxes, options)));
+                return `| ${(options.rtl ? texts.reverse() : texts).join(' | ')} |`;
+            });
+            const separator = `| ${cells.map(() => '---').join(' | ')} |`;
+            output.push('', rows[0], separator, ...rows.slice(1), '');
+            index = end;
+        } else {
+            output.push(boxesToText(lines[index].line.boxes, options));
+            index += 1;
+        }
+    }
+    return output;
+};
+
+// --- Headers and footers ---
+
+/**
+ * Reduces a line to the form used to recognise repeated headers/footers: presentation
+ * forms normalized, numbers (page numbers, dates) replaced by `#`, spaces collapsed.
+ * @param {string} text The line text.
+ * @returns {string} The key.
+ */
+export const edgeKey = (text) => normalizePresentationForms(text)
+    .replace(/[0-9\u0660-\u0669\u06F0-\u06F9]+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Lists the top and bottom lines of a page (at most `EDGE_LINES` each), within the top and
+ * bottom 15% of the page when its size is known.
+ */
+const getEdgeLines = (lines, pageSize) => {
+    const candidates = [...lines.slice(0, EDGE_LINES), ...lines.slice(-EDGE_LINES)];
+    return [...new Set(candidates)].filter(line => {
+        if (!pageSize?.height) return true;
+        const relative = (line.y - (pageSize.bottom || 0)) / pageSize.height;
+        return relative > 0.85 || relative < 0.15;
+    });
+};
+
+const pageOptions = (boxes) => {
+    const text = boxes.map(box => box.str).join(' ');
+    return { visual: looksVisuallyOrdered(text), rtl: isRtlText(text) };
+};
+
+/**
+ * Returns the header/footer keys of a page, to be passed to `detectRepeatedEdges`.
+ * @param {Array<object>} items The page's PDF.js text items.
+ * @param {{ bottom?: number, height?: number }} [pageSize] The page box, in PDF units.
+ * @returns {Array<string>} The keys of the page's edge lines.
+ */
+export const getPageEdgeKeys = (items, pageSize) => {
+    const boxes = toBoxes(items);
+    const options = pageOptions(boxes);
+    return getEdgeLines(groupLines(boxes), pageSize)
+        .map(line => edgeKey(boxesToText(line.boxes, options)))
+        .filter(Boolean);
+};
+
+/**
+ * Returns the lines of a page, top to bottom, with their font size and fonts, for heading
+ * detection (see toc.js). Repeated headers and footers are left out.
+ * @param {{ items: Array<object> }} textContent The text content object from PDF.js.
+ * @param {{ bottom?: number, height?: number }} [pageSize] The page box, in PDF units.
+ * @param {{ repeatedEdges?: Set<string> }} [options] Header/footer keys from `detectRepeatedEdges`.
+ * @returns {Array<{ text: string, size: number, fontNames: Array<string> }>} The lines.
+ */
+export const getPageLines = (textContent, pageSize, { repeatedEdges = new Set() } = {}) => {
+    const boxes = toBoxes(textContent.items);
+    if (boxes.length === 0) return [];
+    const options = pageOptions(boxes);
+    const lines = groupLines(boxes);
+    const edges = new Set(getEdgeLines(lines, pageSize));
+    return lines
+        .map(line => ({ line, text: boxesToText(line.boxes, options) }))
+        .filter(({ line, text }) => text && !(edges.has(line) && repeatedEdges.has(edgeKey(text))))
+        .map(({ line, text }) => ({ text, size: line.size, fontNames: [...new Set(line.boxes.map(box => box.fontName).filter(Boolean))] }));
+};
+
+/**
+ * Finds the header/footer lines that repeat across pages.
+ * @param {Array<Array<string>>} pagesEdgeKeys The edge keys of each sampled page.
+ * @returns {Set<string>} The keys that appear on enough pages to be headers or footers.
+ */
+export const detectRepeatedEdges = (pagesEdgeKeys) => {
+    const repeated = new Set();
+    if (pagesEdgeKeys.length < 3) return repeated;
+    const counts = new Map();
+    pagesEdgeKeys.forEach(keys => new Set(keys).forEach(key => counts.set(key, (counts.get(key) || 0) + 1)));
+    const minimum = Math.max(2, Math.ceil(pagesEdgeKeys.length * EDGE_REPEAT_SHARE));
+    counts.forEach((count, key) => {
+        if (count >= minimum) repeated.add(key);
+    });
+    return repeated;
+};
+
+/**
+ * Whether a page carries enough embedded text to be read without OCR.
+ * @param {{ items: Array<{ str?: string }> }} textContent The text content object from PDF.js.
+ * @returns {boolean}
+ */
+export const hasTextLayer = (textContent) => textContent.items
+    .reduce((count, item) => count + (item.str || '').replace(/\s/g, '').length, 0) >= MIN_TEXT_LAYER_CHARS;
+
+/**
+ * Reconstructs the text of a single PDF page: reading order across columns, markdown
+ * tables, logical bidi order and plain Arabic letters, without repeated headers/footers.
+ * @param {{ items: Array<object> }} textContent The text content object from PDF.js.
+ * @param {{ bottom?: number, height?: number }} [pageSize] The page box, in PDF units.
+ * @param {{ repeatedEdges?: Set<string> }} [options] Header/footer keys from `detectRepeatedEdges`.
+ * @returns {string} The processed text of the page.
+ */
+export const processPageTextContent = (textContent, pageSize, { repeatedEdges = new Set() } = {}) => {
+    let boxes = toBoxes(textContent.items);
+    if (boxes.length === 0) {
+        return '\n\n';
+    }
+    const options = pageOptions(boxes);
+
+    if (repeatedEdges.size > 0) {
+        const removed = new Set(getEdgeLines(groupLines(boxes), pageSize)
+            .filter(line => repeatedEdges.has(edgeKey(boxesToText(line.boxes, options))))
+            .flatMap(line => line.boxes));
+        // A page made only of such lines (a divider page, say) keeps them.
+        if (removed.size < boxes.length) boxes = boxes.filter(box => !removed.has(box));
+    }
+
+    const lines = splitIntoBlocks(boxes, options.rtl).flatMap(block => renderBlock(block, options));
+    return `${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`;
+};
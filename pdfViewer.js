@@ -0,0 +1,135 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { tokenizeArabic } from './arabicText.js';
+
+// === PDF Source Viewer ===
+// Renders one page of the original PDF and finds the text items that best match a
+// passage (a step description or a quoted chat answer) so they can be highlighted.
+
+// Longest run of consecutive text items that can be highlighted for one passage.
+const MAX_HIGHLIGHT_ITEMS = 12;
+
+/**
+ * Multiplies two PDF transform matrices `[a, b, c, d, e, f]`.
+ */
+const multiplyTransform = (m1, m2) => [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+];
+
+/**
+ * Computes the on-screen box of a PDF.js text item for a viewport.
+ * @param {{ transform: Array<number>, width: number }} item The text item.
+ * @param {{ transform: Array<number>, scale: number }} viewport The page viewport.
+ * @returns {{ left: number, top: number, width: number, height: number }} The box in CSS pixels.
+ */
+export const getTextItemBox = (item, viewport) => {
+    const tx = multiplyTransform(viewport.transform, item.transform);
+    const height = Math.hypot(tx[2], tx[3]);
+    return { left: tx[4], top: tx[5] - height, width: item.width * viewport.scale, height };
+};
+
+/**
+ * Finds the run of consecutive text items that shares the most words with a passage.
+ * @param {Array<{ str: string }>} items The page's text items, in reading order.
+ * @param {string} passage The text to locate.
+ * @returns {Array<number>} Indexes of the items to highlight (empty when nothing matches).
+ */
+export const findPassageItems = (items, passage) => {
+    const wanted = new Set(tokenizeArabic(passage));
+    if (wanted.size === 0) return [];
+    const hits = items.map(item => new Set(tokenizeArabic(item.str).filter(token => wanted.has(token))));
+
+    let best = { start: -1, end: -1, score: 0 };
+    for (let start = 0; start < items.length; start++) {
+        if (hits[start].size === 0) continue;
+        const covered = new Set();
+        for (let end = start; end < Math.min(items.length, start + MAX_HIGHLIGHT_ITEMS); end++) {
+            hits[end].forEach(token => covered.add(token));
+            // Prefer covering more of the passage, then shorter runs.
+            const score = covered.size - (end - start) * 0.01;
+            if (score > best.score && hits[end].size > 0) best = { start, end, score };
+        }
+    }
+    // Require a meaningful share of the passage so a single common word does not light up.
+    const minimum = Math.min(2, wanted.size);
+    if (best.start === -1 || Math.round(best.score) < minimum) return [];
+    const indexes = [];
+    for (let i = best.start; i <= best.end; i++) {
+        if (items[i].str.trim()) indexes.push(i);
+    }
+    return indexes;
+};
+
+/**
+ * Renders a PDF page onto a canvas and returns the boxes to highlight for a passage.
+ * @param {object} pdfPage A PDF.js page proxy.
+ * @param {HTMLCanvasElement} canvas The canvas to draw on.
+ * @param {string} passage The passage to highlight (may be empty).
+ * @param {number} [width] The target width of the rendered page, in CSS pixels.
+ * @returns {Promise<{ width: number, height: number, boxes: Array<{ left: number, top: number, width: number, height: number }> }>}
+ */
+export const renderPageWithHighlights = async (pdfPage, canvas, passage, width = 560) => {
+    const baseViewport = pdfPage.getViewport({ scale: 1 });
+    const viewport = pdfPage.getViewport({ scale: width / baseViewport.width });
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+
+    canvas.width = Math.floor(viewport.width * ratio);
+    canvas.height = Math.floor(viewport.height * ratio);
+    canvas.style.width = `${viewport.width}px`;
+    canvas.style.height = `${viewport.height}px`;
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    await pdfPage.render({ canvasContext: context, viewport }).promise;
+
+    const textContent = await pdfPage.getTextContent();
+    const boxes = passage
+        ? findPassageItems(textContent.items, passage).map(index => getTextItemBox(textContent.items[index], viewport))
+        : [];
+    return { width: viewport.width, height: viewport.height, boxes };
+};
+
+/**
+ * Renders a PDF page to an image for OCR, at a resolution where body text stays legible.
+ * @param {object} pdfPage A PDF.js page proxy.
+ * @param {number} [width] The width of the image, in pixels.
+ * @returns {Promise<{ mimeType: string, data: string }>} The base64-encoded JPEG.
+ */
+export const renderPageToImage = async (pdfPage, width = 1600) => {
+    const baseViewport = pdfPage.getViewport({ scale: 1 });
+    const viewport = pdfPage.getViewport({ scale: width / baseViewport.width });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    const context = canvas.getContext('2d');
+    // Scans may have transparent areas; JPEG would turn them black.
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await pdfPage.render({ canvasContext: context, viewport }).promise;
+    const data = canvas.toDataURL('image/jpeg', 0.85).split(',')[1];
+    canvas.width = 0; // Free the bitmap right away; long scans render hundreds of pages.
+    return { mimeType: 'image/jpeg', data };
+};
+
+/**
+ * Extracts the text of one page from `[Source: ...]`-tagged document text, used when
+ * the original file is not available (pasted text, images, reopened projects without files).
+ * @param {string} text The document text.
+ * @param {number} page The page number.
+ * @returns {string} The page text, or an empty string.
+ */
+export const getPageText = (text, page) => {
+    const marker = new RegExp(`\\[Source: (?:[^\\]]*, )?Page ${page}\\]`);
+    const match = marker.exec(text);
+    if (!match) return '';
+    const rest = text.slice(match.index + match[0].length);
+    const next = rest.search(/\[Source: /);
+    return (next === -1 ? rest : rest.slice(0, next)).trim();
+};
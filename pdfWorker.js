@@ -0,0 +1,132 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import * as pdfjsWorker from 'pdfjs-dist/legacy/build/pdf.worker.mjs';
+import { processPageTextContent, getPageEdgeKeys, getPageLines, detectRepeatedEdges, hasTextLayer } from './pdfText.js';
+import { flattenOutline, summarizePageLines, detectHeadings, addPageRanges } from './toc.js';
+
+// === PDF Parsing Worker ===
+// Extracts the text of a PDF off the main thread and streams it back page by page.
+// Before streaming, a sample of pages is read to find repeated headers and footers.
+// Pages without a text layer that draw an image (scans) are flagged with `needsOcr` for
+// the page to OCR, since rendering them needs a canvas. The ToC comes from the PDF's
+// outline when it has one (sent before the pages), otherwise from headings detected while
+// the pages are read (sent after them, null when none are found).
+// PDF.js runs its own parser in-process here (this worker already is the background
+// thread), so no separate PDF.js worker script has to be fetched.
+//
+// (Importing the PDF.js worker module also makes it announce itself to the page with a
+// message that has no `type`; the page ignores it.)
+//
+// Messages in:  { type: 'parse', data: ArrayBuffer }
+// Messages out: { type: 'meta', numPages }, { type: 'toc', toc, source: 'outline' | 'headings' },
+//               { type: 'page', pageNumber, text, needsOcr } for each page in order,
+//               then { type: 'done' } or { type: 'error', message }.
+
+globalThis.pdfjsWorker = pdfjsWorker;
+
+// Pages read up front to detect headers/footers, spread evenly over the document.
+const EDGE_SAMPLE_PAGES = 12;
+
+const getPageSize = (page) => {
+    const [, bottom, , top] = page.view;
+    return { bottom, height: top - bottom };
+};
+
+const IMAGE_OPS = new Set([
+    pdfjsLib.OPS.paintImageXObject,
+    pdfjsLib.OPS.paintInlineImageXObject,
+    pdfjsLib.OPS.paintImageXObjectRepeat,
+]);
+
+/**
+ * Whether a page is a scan: next to no embedded text, but an image to read it from.
+ * Blank and text-less vector pages are left alone.
+ */
+const needsOcr = async (page, textContent) => {
+    if (hasTextLayer(textContent)) return false;
+    const { fnArray } = await page.getOperatorList();
+    return fnArray.some(fn => IMAGE_OPS.has(fn));
+};
+
+const isBoldFont = (font) => Boolean(font.bold || font.black || /bold|black|heavy|semibold|demi/i.test(font.name || ''));
+
+/**
+ * Reads a sample of pages to find the header/footer lines that repeat and, when `withFonts`
+ * is set, the bold fonts (for heading detection). PDF.js leaves font weight out of text
+ * content, so the fonts are read from the sampled pages' operator lists.
+ */
+const samplePages = async (pdf, { withFonts }) => {
+    const count = Math.min(EDGE_SAMPLE_PAGES, pdf.numPages);
+    const pageNumbers = [...new Set(Array.from({ length: count },
+        (_, index) => 1 + Math.floor((index * pdf.numPages) / count)))];
+    const pagesEdgeKeys = [];
+    const boldFonts = new Set();
+    for (const pageNumber of pageNumbers) {
+        const page = await pdf.getPage(pageNumber);
+        const { items } = await page.getTextContent();
+        pagesEdgeKeys.push(getPageEdgeKeys(items, getPageSize(page)));
+        if (withFonts) {
+            await page.getOperatorList();
+            new Set(items.map(item => item.fontName)).forEach(name => {
+                if (page.commonObjs.has(name) && isBoldFont(page.commonObjs.get(name))) boldFonts.add(name);
+            });
+        }
+        page.cleanup();
+    }
+    return { repeatedEdges: detectRepeatedEdges(pagesEdgeKeys), boldFonts };
+};
+
+/**
+ * Resolves an outline destination (named or explicit) to a 1-based page number.
+ */
+const resolveDestinationPage = async (pdf, dest) => {
+    const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit)) return null;
+    const [target] = explicit;
+    return 1 + (typeof target === 'number' ? target : await pdf.getPageIndex(target));
+};
+
+const readOutline = async (pdf) => {
+    const entries = await flattenOutline(await pdf.getOutline(), dest => resolveDestinationPage(pdf, dest));
+    return entries.length > 0 ? addPageRanges(entries, pdf.numPages) : null;
+};
+
+const parse = async (data) => {
+    // Fonts are never drawn here, so PDF.js must not try to load them into the (missing) DOM.
+    const pdf = await pdfjsLib.getDocument({ data, isEvalSupported: false, disableFontFace: true }).promise;
+    try {
+        self.postMessage({ type: 'meta', numPages: pdf.numPages });
+        const outlineToc = await readOutline(pdf).catch(() => null);
+        if (outlineToc) self.postMessage({ type: 'toc', toc: outlineToc, source: 'outline' });
+
+        const { repeatedEdges, boldFonts } = await samplePages(pdf, { withFonts: !outlineToc });
+        const pageSummaries = [];
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const textContent = await page.getTextContent();
+            const pageSize = getPageSize(page);
+            const text = processPageTextContent(textContent, pageSize, { repeatedEdges });
+            if (!outlineToc) pageSummaries.push(summarizePageLines(pageNumber, getPageLines(textContent, pageSize, { repeatedEdges })));
+            self.postMessage({ type: 'page', pageNumber, text, needsOcr: await needsOcr(page, textContent) });
+            // Release the page's resources so 1000+ page documents stay within memory.
+            page.cleanup();
+        }
+        if (!outlineToc) {
+            self.postMessage({ type: 'toc', toc: addPageRanges(detectHeadings(pageSummaries, boldFonts), pdf.numPages), source: 'headings' });
+        }
+        self.postMessage({ type: 'done' });
+    } finally {
+        await pdf.destroy();
+    }
+};
+
+self.onmessage = (event) => {
+    if (event.data?.type !== 'parse') return;
+    parse(event.data.data).catch(err => {
+        self.postMessage({ type: 'error', message: err instanceof Error ? err.message : String(err) });
+    });
+};
@@ -0,0 +1,239 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { normalizeSteps } from './processGraph.js';
+
+// === Process Editing ===
+// Pure operations used by the chart's edit mode and by natural-language refinement
+// (processRefine.js). Each takes the current plan steps and returns a new, normalized
+// and renumbered array; the input is never mutated.
+
+/**
+ * Drops `next` lists that only restate the implicit "continue to the following
+ * step" edge (or the implicit end after the last step), so those edges follow
+ * the steps when they are reordered.
+ */
+const toImplicitSequence = (steps) => steps.map((step, index) => {
+    const following = steps[index + 1];
+    const isPlainSequence = Array.isArray(step.next) && (following
+        ? step.next.length === 1 && step.next[0].to === following.stepNumber && !step.next[0].label
+        : step.next.length === 0);
+    if (!isPlainSequence) return step;
+    const { next, ...rest } = step;
+    return rest;
+});
+
+/** Keeps the first edge to each target. */
+const uniqueTargets = (edges) => edges.filter((edge, i) => edges.findIndex(other => other.to === edge.to) === i);
+
+/**
+ * Renumbers steps 1..n in array order, remapping every edge to the new numbers.
+ * @param {Array<object>} steps The plan steps.
+ * @returns {Array<object>} The renumbered, normalized steps.
+ */
+export const renumberSteps = (steps) => {
+    const numberOf = new Map(steps.map((step, index) => [step.stepNumber, index + 1]));
+    return normalizeSteps(steps.map(step => ({
+        ...step,
+        stepNumber: numberOf.get(step.stepNumber),
+        ...(Array.isArray(step.next) ? {
+            next: step.next
+                .filter(edge => numberOf.has(edge.to))
+                .map(edge => ({ ...edge, to: numberOf.get(edge.to) })),
+        } : {}),
+    })));
+};
+
+/**
+ * Updates the fields of one step (`description`, `page`, `actor` or `type`).
+ * An empty `page` or `actor` removes the field.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} stepNumber The step to change.
+ * @param {object} changes The fields to set.
+ * @returns {Array<object>} The updated steps.
+ */
+export const updateStep = (steps, stepNumber, changes) => normalizeSteps(steps.map(step => {
+    if (step.stepNumber !== stepNumber) return step;
+    const updated = { ...step, ...changes };
+    if (updated.page === '' || updated.page == null || !Number.isFinite(Number(updated.page))) {
+        delete updated.page;
+    } else {
+        updated.page = Number(updated.page);
+    }
+    if (typeof updated.actor === 'string' && !updated.actor.trim()) delete updated.actor;
+    return updated;
+}));
+
+/**
+ * Splits a step in two. The first half keeps the incoming edges, the second half
+ * takes over the outgoing edges, and the first flows into the second.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} stepNumber The step to split.
+ * @param {string} firstDescription The text of the first half.
+ * @param {string} secondDescription The text of the second half.
+ * @returns {Array<object>} The updated steps.
+ */
+export const splitStep = (steps, stepNumber, firstDescription, secondDescription) => {
+    const normalized = normalizeSteps(steps);
+    const index = normalized.findIndex(step => step.stepNumber === stepNumber);
+    if (index === -1) return normalized;
+
+    const original = normalized[index];
+    const newNumber = Math.max(...normalized.map(step => step.stepNumber)) + 1;
+    const first = { ...original, type: 'task', description: firstDescription, next: [{ to: newNumber }] };
+    const second = { ...original, stepNumber: newNumber, description: secondDescription };
+
+    const result = [...normalized];
+    result.splice(index, 1, first, second);
+    return renumberSteps(toImplicitSequence(result));
+};
+
+/**
+ * Inserts a new step into the flow after another one: the new step takes over the
+ * outgoing edges (and the type) of `afterStepNumber`, which now flows into it. With
+ * `afterStepNumber` 0 the new step becomes the first one and flows into the old first step.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} afterStepNumber The step to insert after, or 0.
+ * @param {{ description: string, actor?: string, page?: number, type?: string }} fields The new step.
+ * @returns {Array<object>} The updated steps.
+ */
+export const insertStep = (steps, afterStepNumber, fields) => {
+    const normalized = normalizeSteps(steps);
+    const index = normalized.findIndex(step => step.stepNumber === afterStepNumber);
+    if (afterStepNumber !== 0 && index === -1) return normalized;
+
+    const previous = normalized[index];
+    const newNumber = Math.max(0, ...normalized.map(step => step.stepNumber)) + 1;
+    const inserted = {
+        ...fields,
+        stepNumber: newNumber,
+        type: fields.type || previous?.type || 'task',
+        next: previous ? previous.next : normalized.slice(0, 1).map(first => ({ to: first.stepNumber })),
+    };
+    const result = normalized.map(step => (step === previous ? { ...step, type: 'task', next: [{ to: newNumber }] } : step));
+    result.splice(index + 1, 0, inserted);
+    return renumberSteps(result);
+};
+
+/**
+ * Adds a step that is not connected yet (it ends its path), listed after another one;
+ * connect it with `addEdge`.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} afterStepNumber The step to list it after, or 0 for the start.
+ * @param {{ description: string, actor?: string, page?: number, type?: string }} fields The new step.
+ * @returns {Array<object>} The updated steps.
+ */
+export const addStep = (steps, afterStepNumber, fields) => {
+    const normalized = normalizeSteps(steps);
+    const index = afterStepNumber === 0 ? -1 : normalized.findIndex(step => step.stepNumber === afterStepNumber);
+    const position = index === -1 && afterStepNumber !== 0 ? normalized.length : index + 1;
+    const newNumber = Math.max(0, ...normalized.map(step => step.stepNumber)) + 1;
+    const result = [...normalized];
+    result.splice(position, 0, { ...fields, stepNumber: newNumber, type: fields.type || 'task', next: [] });
+    return renumberSteps(result);
+};
+
+/** Keeps one edge per target and label, so differently labelled branches to one step survive a merge. */
+const uniqueEdges = (edges) => edges.filter((edge, i) => edges.findIndex(other => other.to === edge.to && other.label === edge.label) === i);
+
+/**
+ * Merges a step with the one that follows it in the list. The merged step keeps
+ * the first step's incoming edges and the second step's outgoing edges; edges
+ * that pointed to the second step now point to the merged one. A loop back from the
+ * second step to the first becomes a loop on the merged step.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} stepNumber The first of the two steps.
+ * @returns {Array<object>} The updated steps.
+ */
+export const mergeWithNextStep = (steps, stepNumber) => {
+    const normalized = normalizeSteps(steps);
+    const index = normalized.findIndex(step => step.stepNumber === stepNumber);
+    const first = normalized[index];
+    const second = normalized[index + 1];
+    if (!first || !second) return normalized;
+
+    const redirect = (edge) => (edge.to === second.stepNumber ? { ...edge, to: first.stepNumber } : edge);
+    const otherBranches = first.next.filter(edge => edge.to !== second.stepNumber);
+    const next = [...otherBranches, ...second.next.map(redirect)];
+    const merged = {
+        ...second,
+        ...first,
+        description: `${first.description}، ثم ${second.description}`,
+        type: otherBranches.length > 0 ? first.type : second.type,
+        next: uniqueEdges(next),
+    };
+
+    const result = normalized
+        .filter(step => step !== second)
+        .map(step => (step === first ? merged : { ...step, next: uniqueEdges(step.next.map(redirect)) }));
+    return renumberSteps(result);
+};
+
+/**
+ * Deletes a step. Edges into it are reconnected to the steps it led to.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} stepNumber The step to delete.
+ * @returns {Array<object>} The updated steps.
+ */
+export const deleteStep = (steps, stepNumber) => {
+    const normalized = normalizeSteps(steps);
+    const removed = normalized.find(step => step.stepNumber === stepNumber);
+    if (!removed || normalized.length === 1) return normalized;
+
+    const result = normalized
+        .filter(step => step !== removed)
+        .map(step => {
+            const next = step.next.flatMap(edge => (edge.to === stepNumber
+                ? removed.next.filter(target => target.to !== stepNumber && target.to !== step.stepNumber)
+                    .map(target => ({ ...target, ...(edge.label ? { label: edge.label } : {}) }))
+                : [edge]));
+            return { ...step, next: uniqueTargets(next) };
+        });
+    return renumberSteps(result);
+};
+
+/**
+ * Moves a step to another position in the list. Plain sequential edges follow the
+ * new order; labelled branches and loop-backs keep pointing at the same steps.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} fromIndex The current position of the step.
+ * @param {number} toIndex The position to move it to.
+ * @returns {Array<object>} The updated steps.
+ */
+export const moveStep = (steps, fromIndex, toIndex) => {
+    const implicit = toImplicitSequence(normalizeSteps(steps));
+    if (fromIndex === toIndex || !implicit[fromIndex] || toIndex < 0 || toIndex >= implicit.length) {
+        return normalizeSteps(steps);
+    }
+    const result = [...implicit];
+    const [moved] = result.splice(fromIndex, 1);
+    result.splice(toIndex, 0, moved);
+    return renumberSteps(result);
+};
+
+/**
+ * Adds an arrow between two steps, replacing any existing arrow between them.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} from The source step.
+ * @param {number} to The target step.
+ * @param {string} [label] The branch label (e.g. "نعم").
+ * @returns {Array<object>} The updated steps.
+ */
+export const addEdge = (steps, from, to, label = '') => normalizeSteps(normalizeSteps(steps).map(step => {
+    if (step.stepNumber !== from) return step;
+    const edge = { to, ...(label.trim() ? { label: label.trim() } : {}) };
+    return { ...step, next: [...step.next.filter(existing => existing.to !== to), edge] };
+}));
+
+/**
+ * Removes the arrow between two steps.
+ * @param {Array<object>} steps The plan steps.
+ * @param {number} from The source step.
+ * @param {number} to The target step.
+ * @returns {Array<object>} The updated steps.
+ */
+export const removeEdge = (steps, from, to) => normalizeSteps(normalizeSteps(steps).map(step =>
+    (step.stepNumber === from ? { ...step, next: step.next.filter(edge => edge.to !== to) } : step)
+));
@@ -0,0 +1,193 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === Process Graph Model ===
+// A plan step may branch. Each step has an optional `type` and an optional
+// `next` list of `{ to, label }` edges. A step without `next` implicitly
+// continues to the step that follows it in the array; `next: []` marks an end.
+
+export const STEP_TYPES = ['task', 'decision', 'parallel'];
+
+export const STEP_TYPE_LABELS = {
+    task: 'مهمة',
+    decision: 'قرار',
+    parallel: 'مسارات متوازية',
+};
+
+export const UNKNOWN_ACTOR = 'غير محدد';
+
+/**
+ * Returns the role responsible for a step, or a placeholder when none was extracted.
+ * @param {object} step The plan step.
+ * @returns {string} The actor name.
+ */
+export const getStepActor = (step) => (typeof step.actor === 'string' && step.actor.trim()) || UNKNOWN_ACTOR;
+
+/**
+ * Lists the distinct actors of a process in the order they first appear.
+ * @param {Array<object>} steps The plan steps.
+ * @returns {Array<string>} The actor names.
+ */
+export const getActors = (steps) => [...new Set((steps || []).map(getStepActor))];
+
+/**
+ * Normalizes plan steps so every step has a valid `type` and an explicit `next` list.
+ * Edges that point to unknown step numbers are dropped.
+ * @param {Array<object>} steps The raw plan steps.
+ * @returns {Array<object>} New step objects with `type` and `next` filled in.
+ */
+export const normalizeSteps = (steps) => {
+    if (!Array.isArray(steps)) return [];
+    const known = new Set(steps.map(step => step.stepNumber));
+
+    return steps.map((step, index) => {
+        const type = STEP_TYPES.includes(step.type) ? step.type : 'task';
+        let next;
+        if (Array.isArray(step.next)) {
+            next = step.next
+                .map(edge => (typeof edge === 'object' && edge !== null) ? edge : { to: edge })
+                .map(edge => ({ to: Number(edge.to), ...(edge.label ? { label: String(edge.label) } : {}) }))
+                .filter(edge => known.has(edge.to));
+        } else {
+            const following = steps[index + 1];
+            next = following ? [{ to: following.stepNumber }] : [];
+        }
+        return { ...step, type, next };
+    });
+};
+
+/**
+ * Returns the flat list of edges of the process graph.
+ * @param {Array<object>} steps The plan steps (raw or normalized).
+ * @returns {Array<{ from: number, to: number, label?: string }>} The edges.
+ */
+export const getStepEdges = (steps) => normalizeSteps(steps).flatMap(step =>
+    step.next.map(edge => ({ from: step.stepNumber, to: edge.to, ...(edge.label ? { label: edge.label } : {}) }))
+);
+
+/**
+ * Finds the edges that close a loop (point back to a step already on the current path),
+ * walking the graph depth-first in step order.
+ * @param {Array<object>} steps The plan steps.
+ * @returns {Set<string>} Keys of the form `${from}->${to}` for every loop-back edge.
+ */
+export const findLoopBackEdges = (steps) => {
+    const normalized = normalizeSteps(steps);
+    const byNumber = new Map(normalized.map(step => [step.stepNumber, step]));
+    const state = new Map(); // stepNumber -> 'active' | 'done'
+    const backEdges = new Set();
+
+    const visit = (stepNumber) => {
+        state.set(stepNumber, 'active');
+        for (const edge of byNumber.get(stepNumber).next) {
+            const targetState = state.get(edge.to);
+            if (targetState === 'active') {
+                backEdges.add(`${stepNumber}->${edge.to}`);
+            } else if (!targetState) {
+                visit(edge.to);
+            }
+        }
+        state.set(stepNumber, 'done');
+    };
+
+    normalized.forEach(step => {
+        if (!state.has(step.stepNumber)) visit(step.stepNumber);
+    });
+    return backEdges;
+};
+
+/**
+ * Describes the process graph as readable Arabic text: one numbered line per step,
+ * followed by its labelled branches, parallel paths and loop-backs.
+ * Used for the summary export and as model context.
+ * @param {Array<object>} steps The plan steps.
+ * @returns {string} The text description.
+ */
+export const formatProcessGraph = (steps) => {
+    const normalized = normalizeSteps(steps);
+    const loopBacks = findLoopBackEdges(normalized);
+
+    return normalized.map((step, index) => {
+        const typeTag = step.type === 'task' ? '' : `[${STEP_TYPE_LABELS[step.type]}] `;
+        const actorTag = step.actor ? ` [المسؤول: ${step.actor}]` : '';
+        const pageTag = step.page != null ? ` (المصدر: صفحة ${step.page})` : '';
+        let text = `${step.stepNumber}. ${typeTag}${step.description}${actorTag}${pageTag}\n`;
+
+        const following = normalized[index + 1];
+        const isPlainSequence = step.type === 'task' && step.next.length === 1
+            && following && step.next[0].to === following.stepNumber && !step.next[0].label;
+        if (isPlainSequence) return text;
+
+        if (step.next.length === 0) {
+            text += `   - نهاية المسار\n`;
+        }
+        step.next.forEach(edge => {
+            const label = edge.label ? `${edge.label}: ` : '';
+            const loopTag = loopBacks.has(`${step.stepNumber}->${edge.to}`) ? ' (رجوع)' : '';
+            text += `   - ${label}الانتقال إلى الخطوة ${edge.to}${loopTag}\n`;
+        });
+        return text;
+    }).join('');
+};
+
+/**
+ * Builds numbered plan steps from a node/flow graph read from a diagram file.
+ * Flows may pass through ids that are not steps (events, connectors); those are
+ * skipped and joined to the steps behind them. Steps are numbered in the order a
+ * breadth-first walk from the start ids reaches them, then in list order. The lane
+ * exported for steps without an actor (`UNKNOWN_ACTOR`) is not read back as an actor.
+ * @param {Array<{ id: string, description: string, type: string, page?: number, actor?: string }>} nodes The step nodes.
+ * @param {Array<{ source: string, target: string, label?: string }>} flows The flows between ids.
+ * @param {Array<string>} [startIds] Where the walk starts; defaults to ids without incoming flows.
+ * @returns {Array<object>} The normalized plan steps.
+ */
+export const stepsFromDiagram = (nodes, flows, startIds = []) => {
+    const isStep = new Set(nodes.map(node => node.id));
+    const targets = new Set(flows.map(flow => flow.target));
+    // By default start from flow sources that are not steps (start events), then from orphan steps.
+    const sources = [...new Set(flows.map(flow => flow.source))].filter(id => !isStep.has(id));
+    const roots = startIds.length > 0
+        ? startIds
+        : [...sources, ...nodes.map(node => node.id)].filter(id => !targets.has(id));
+
+    const order = [];
+    const seen = new Set();
+    const queue = roots.length > 0 ? [...roots] : nodes.slice(0, 1).map(node => node.id);
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (seen.has(id)) continue;
+        seen.add(id);
+        if (isStep.has(id)) order.push(id);
+        flows.filter(flow => flow.source === id).forEach(flow => queue.push(flow.target));
+    }
+    nodes.forEach(node => {
+        if (!seen.has(node.id)) order.push(node.id);
+    });
+    const numberOf = new Map(order.map((id, index) => [id, index + 1]));
+
+    const resolveTargets = (flow, visited = new Set()) => {
+        if (isStep.has(flow.target)) return [{ to: numberOf.get(flow.target), label: flow.label }];
+        if (visited.has(flow.target)) return [];
+        visited.add(flow.target);
+        return flows.filter(next => next.source === flow.target)
+            .flatMap(next => resolveTargets(next, visited).map(edge => ({ ...edge, label: edge.label || flow.label })));
+    };
+
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const steps = order.map(id => {
+        const { description, type, page, actor } = byId.get(id);
+        const next = flows.filter(flow => flow.source === id).flatMap(flow => resolveTargets(flow))
+            .map(edge => (edge.label ? edge : { to: edge.to }));
+        return {
+            stepNumber: numberOf.get(id),
+            description: (description || '').trim() || id,
+            ...(Number.isFinite(page) ? { page } : {}),
+            ...(actor && actor.trim() !== UNKNOWN_ACTOR ? { actor } : {}),
+            type,
+            next,
+        };
+    });
+    return normalizeSteps(steps);
+};
@@ -0,0 +1,164 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { normalizeSteps, STEP_TYPE_LABELS } from './processGraph.js';
+import { updateStep, insertStep, addStep, splitStep, mergeWithNextStep, deleteStep, moveStep, addEdge, removeEdge } from './processEditor.js';
+import { REFINE_SCHEMA } from './structuredOutput.js';
+
+// === Process Refinement ===
+// Natural-language edits ("merge steps 2 and 3") come back from the model as a list of
+// operations, which are applied here with the chart editor's operations. Every operation
+// refers to steps by their number in the chart the model was shown; the steps it creates
+// (`insert`, `add`, and the second half of a `split`) take the next numbers in order,
+// N+1, N+2, ... The numbers stay valid while the operations run, even though the editor
+// renumbers the steps after each one.
+
+const quote = (text) => `«${text}»`;
+
+const stepFields = (op) => Object.fromEntries(['description', 'actor', 'type', 'page']
+    .filter(field => op[field] !== undefined && op[field] !== null)
+    .map(field => [field, op[field]]));
+
+/**
+ * Applies refinement operations to plan steps.
+ * @param {Array<object>} steps The plan steps the operations were written against.
+ * @param {Array<object>} operations The operations (see `REFINE_SCHEMA`).
+ * @returns {{ steps: Array<object>, changes: Array<string> }} The refined, renumbered steps
+ *   and a description of each operation, for the preview.
+ * @throws {Error} When an operation refers to a step that does not exist (any more).
+ */
+export const applyRefinement = (steps, operations) => {
+    // Each step carries the number the model knows it by as `ref` while the operations run.
+    let current = normalizeSteps(steps).map(step => ({ ...step, ref: step.stepNumber }));
+    let nextRef = current.length + 1;
+    const aliases = new Map(); // ref of a step merged away -> ref of the step it was merged into
+    const names = new Map(current.map(step => [step.ref, step.description]));
+
+    const resolveRef = (ref) => (aliases.has(ref) ? resolveRef(aliases.get(ref)) : ref);
+    const find = (ref, index) => {
+        const step = current.find(candidate => candidate.ref === resolveRef(ref));
+        if (!step) throw new Error(`العملية ${index + 1}: الخطوة ${ref} غير موجودة.`);
+        return step;
+    };
+    const name = (ref) => `الخطوة ${ref} ${quote(names.get(resolveRef(ref)) || '')}`;
+    // Gives the step the editor just created the next number.
+    const claimNewStep = (description) => {
+        const created = current.find(step => step.ref === undefined);
+        created.ref = nextRef;
+        names.set(nextRef, description);
+        nextRef += 1;
+        return created.ref;
+    };
+
+    const changes = operations.map((op, index) => {
+        switch (op.op) {
+            case 'update': {
+                const step = find(op.step, index);
+                const fields = stepFields(op);
+                current = updateStep(current, step.stepNumber, fields);
+                const described = [
+                    fields.description && `النص إلى ${quote(fields.description)}`,
+                    fields.actor && `الجهة المسؤولة إلى ${quote(fields.actor)}`,
+                    fields.type && `النوع إلى ${quote(STEP_TYPE_LABELS[fields.type])}`,
+                    fields.page && `الصفحة إلى ${fields.page}`,
+                ].filter(Boolean).join('، ');
+                const change = `تعديل ${name(op.step)}: ${described || 'بدون تغيير'}`;
+                if (fields.description) names.set(resolveRef(op.step), fields.description);
+                return change;
+            }
+            case 'insert':
+            case 'add': {
+                if (!op.description) throw new Error(`العملية ${index + 1}: نص الخطوة الجديدة مفقود.`);
+                const after = op.after ? find(op.after, index).stepNumber : 0;
+                const create = op.op === 'insert' ? insertStep : addStep;
+                current = create(current, after, stepFields(op));
+                const ref = claimNewStep(op.description);
+                const where = op.after ? `بعد ${name(op.after)}` : 'في البداية';
+                return op.op === 'insert'
+                    ? `إدراج الخطوة ${ref} ${quote(op.description)} في المسار ${where}`
+                    : `إضافة الخطوة ${ref} ${quote(op.description)} ${where} (غير موصولة إلا بالأسهم المضافة)`;
+            }
+            case 'split': {
+                if (!op.first || !op.second) throw new Error(`العملية ${index + 1}: نصا الخطوتين الناتجتين عن التقسيم مطلوبان.`);
+                const step = find(op.step, index);
+                const change = `تقسيم ${name(op.step)} إلى ${quote(op.first)} و${quote(op.second)}`;
+                current = splitStep(current, step.stepNumber, op.first, op.second);
+                // Both halves copied the original's ref; the second one becomes a new step.
+                const halves = current.filter(candidate => candidate.ref === step.ref);
+                halves[1].ref = undefined;
+                names.set(step.ref, op.first);
+                return `${change} (الخطوة ${claimNewStep(op.second)})`;
+            }
+            case 'merge': {
+                const first = find(op.step, index);
+                const second = find(op.with, index);
+                if (first === second) throw new Error(`العملية ${index + 1}: لا يمكن دمج الخطوة ${op.step} مع نفسها.`);
+                // Only neighbouring steps merge into one; anything else would need new arrows the user did not ask for.
+                const firstIndex = current.indexOf(first);
+                const secondIndex = current.indexOf(second);
+                if (Math.abs(firstIndex - secondIndex) !== 1) {
+                    throw new Error(`العملية ${index + 1}: لا يمكن دمج الخطوة ${op.step} مع الخطوة ${op.with} لأنهما غير متتاليتين؛ انقل إحداهما بعملية move لتلي الأخرى أولاً.`);
+                }
+                const change = `دمج ${name(op.step)} مع ${name(op.with)}`;
+                const [earlier, later] = firstIndex < secondIndex ? [first, second] : [second, first];
+                current = mergeWithNextStep(current, earlier.stepNumber);
+                aliases.set(later.ref, earlier.ref);
+                names.set(earlier.ref, current.find(candidate => candidate.ref === earlier.ref).description);
+                return change;
+            }
+            case 'delete': {
+                const step = find(op.step, index);
+                if (current.length === 1) throw new Error(`العملية ${index + 1}: لا يمكن حذف الخطوة الوحيدة في المخطط.`);
+                const change = `حذف ${name(op.step)}`;
+                current = deleteStep(current, step.stepNumber);
+                return change;
+            }
+            case 'move': {
+                const step = find(op.step, index);
+                const fromIndex = current.indexOf(step);
+                const afterIndex = op.after ? current.indexOf(find(op.after, index)) : -1;
+                current = moveStep(current, fromIndex, afterIndex < fromIndex ? afterIndex + 1 : afterIndex);
+                return `نقل ${name(op.step)} ${op.after ? `إلى ما بعد ${name(op.after)}` : 'إلى البداية'}`;
+            }
+            case 'addEdge': {
+                const from = find(op.from, index);
+                const to = find(op.to, index);
+                current = addEdge(current, from.stepNumber, to.stepNumber, op.label || '');
+                return `إضافة سهم من ${name(op.from)} إلى ${name(op.to)}${op.label ? ` بعنوان ${quote(op.label)}` : ''}`;
+            }
+            case 'removeEdge': {
+                const from = find(op.from, index);
+                const to = find(op.to, index);
+                if (!from.next.some(edge => edge.to === to.stepNumber)) {
+                    throw new Error(`العملية ${index + 1}: لا يوجد سهم من الخطوة ${op.from} إلى الخطوة ${op.to}.`);
+                }
+                current = removeEdge(current, from.stepNumber, to.stepNumber);
+                return `حذف السهم من ${name(op.from)} إلى ${name(op.to)}`;
+            }
+            default:
+                throw new Error(`العملية ${index + 1}: النوع "${op.op}" غير معروف.`);
+        }
+    });
+
+    return { steps: current.map(({ ref, ...step }) => step), changes };
+};
+
+/**
+ * The response schema of a refinement of `steps`: `REFINE_SCHEMA`, plus a check that the
+ * operations apply cleanly, so a bad step number goes back to the model for repair.
+ * @param {Array<object>} steps The plan steps the refinement is written against.
+ * @returns {object} The schema.
+ */
+export const createRefineSchema = (steps) => ({
+    ...REFINE_SCHEMA,
+    check: (value, path) => {
+        try {
+            applyRefinement(steps, value.operations);
+            return [];
+        } catch (err) {
+            return [`${path}.operations: ${err.message}`];
+        }
+    },
+});
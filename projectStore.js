@@ -0,0 +1,164 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === Project Library Storage ===
+// Saved analyses live in IndexedDB. Project records (state and metadata) and the
+// original uploaded files are kept in separate stores, so listing projects never
+// has to read large PDFs into memory. Files are keyed `${projectId}/${documentId}`.
+
+const DB_NAME = 'workflow-projects';
+const DB_VERSION = 1;
+const PROJECTS_STORE = 'projects';
+const FILES_STORE = 'files';
+
+let dbPromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('المتصفح لا يدعم التخزين المحلي (IndexedDB).'));
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(FILES_STORE)) {
+                db.createObjectStore(FILES_STORE);
+            }
+        };
+        dbPromise = promisifyRequest(request).catch(err => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs `work` inside a transaction and resolves with its result once the transaction completes.
+ */
+const withStores = async (storeNames, mode, work) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeNames, mode);
+    const completed = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await work(...storeNames.map(name => transaction.objectStore(name)));
+    await completed;
+    return result;
+};
+
+const createProjectId = () => (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `project-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+const fileKeyRange = (projectId) => IDBKeyRange.bound(`${projectId}/`, `${projectId}/\uffff`);
+
+/**
+ * Creates or updates a project. `createdAt`/`updatedAt` are managed here.
+ * @param {{ id?: string, name: string, state: object }} project The project to save.
+ * @param {Record<string, Blob>} [files] Uploaded files by document id. Files already stored
+ *   for other documents are kept; `fileIds` lists every document that has one.
+ * @returns {Promise<object>} The saved project record.
+ */
+export const saveProject = async (project, files = {}) => {
+    const now = Date.now();
+    const existing = project.id ? await getProject(project.id) : null;
+    const record = {
+        ...project,
+        id: project.id || createProjectId(),
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now,
+        fileIds: [...new Set([...(existing?.fileIds || []), ...Object.keys(files)])],
+    };
+    await withStores([PROJECTS_STORE, FILES_STORE], 'readwrite', (projects, fileStore) => {
+        projects.put(record);
+        Object.entries(files).forEach(([documentId, file]) => fileStore.put(file, `${record.id}/${documentId}`));
+    });
+    return record;
+};
+
+/**
+ * Reads a project record.
+ * @param {string} id The project id.
+ * @returns {Promise<object | null>} The project, or null if it does not exist.
+ */
+export const getProject = (id) => withStores([PROJECTS_STORE], 'readonly',
+    (projects) => promisifyRequest(projects.get(id)).then(record => record ?? null));
+
+/**
+ * Reads the original files stored with a project.
+ * @param {string} id The project id.
+ * @returns {Promise<Record<string, Blob>>} The files by document id.
+ */
+export const getProjectFiles = async (id) => {
+    const project = await getProject(id);
+    const entries = await withStores([FILES_STORE], 'readonly', (files) => Promise.all(
+        (project?.fileIds || []).map(documentId => promisifyRequest(files.get(`${id}/${documentId}`))
+            .then(file => [documentId, file]))));
+    return Object.fromEntries(entries.filter(([, file]) => file));
+};
+
+/**
+ * Lists the saved projects without their state, most recently modified first.
+ * @returns {Promise<Array<{ id: string, name: string, fileName?: string, createdAt: number, updatedAt: number, fileIds: Array<string> }>>}
+ */
+export const listProjects = () => withStores([PROJECTS_STORE], 'readonly', (projects) =>
+    promisifyRequest(projects.getAll()).then(records => records
+        .map(({ state, ...meta }) => meta)
+        .sort((a, b) => b.updatedAt - a.updatedAt)));
+
+/**
+ * Renames a project.
+ * @param {string} id The project id.
+ * @param {string} name The new name.
+ * @returns {Promise<void>}
+ */
+export const renameProject = async (id, name) => {
+    const project = await getProject(id);
+    if (!project) throw new Error('المشروع غير موجود.');
+    await withStores([PROJECTS_STORE], 'readwrite', (projects) => {
+        projects.put({ ...project, name, updatedAt: Date.now() });
+    });
+};
+
+/**
+ * Deletes a project and its stored files.
+ * @param {string} id The project id.
+ * @returns {Promise<void>}
+ */
+export const deleteProject = (id) => withStores([PROJECTS_STORE, FILES_STORE], 'readwrite', (projects, files) => {
+    projects.delete(id);
+    files.delete(fileKeyRange(id));
+});
+
+/**
+ * Filters project metadata by a search query (name or file name) and sorts it.
+ * @param {Array<object>} projects The project metadata from `listProjects`.
+ * @param {string} query The search text.
+ * @param {'updated' | 'name'} [sortBy] Sort by last modification (newest first) or by name.
+ * @returns {Array<object>} The matching projects.
+ */
+export const filterProjects = (projects, query, sortBy = 'updated') => {
+    const needle = query.trim().toLowerCase();
+    const matches = needle
+        ? projects.filter(project => `${project.name} ${project.fileName || ''}`.toLowerCase().includes(needle))
+        : [...projects];
+    return sortBy === 'name'
+        ? matches.sort((a, b) => a.name.localeCompare(b.name, 'ar'))
+        : matches.sort((a, b) => b.updatedAt - a.updatedAt);
+};
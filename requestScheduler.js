@@ -0,0 +1,127 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === Request Scheduler ===
+// Every model request waits for one of a few slots, so a burst (a whole document,
+// Q&A and quiz at once) does not trip the provider's rate limit, and requests that
+// fail with RESOURCE_EXHAUSTED are retried with exponential backoff. Requests take
+// an AbortSignal and can be cancelled while queued, running or backing off.
+
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 30000;
+export const MAX_RETRIES = 4;
+
+let concurrency = 2;
+let running = 0;
+const waiting = [];
+
+/**
+ * Starts queued requests while slots are free.
+ */
+const pump = () => {
+    while (running < concurrency && waiting.length > 0) {
+        running += 1;
+        waiting.shift().start();
+    }
+};
+
+/**
+ * Sets how many requests may run at the same time.
+ * @param {number} limit The concurrency limit (at least 1).
+ */
+export const setConcurrencyLimit = (limit) => {
+    concurrency = Math.max(1, Math.floor(limit));
+    pump();
+};
+
+/**
+ * Whether an error is a quota / rate-limit error worth retrying.
+ * @param {any} err The error.
+ * @returns {boolean}
+ */
+export const isQuotaError = (err) => {
+    const message = err instanceof Error ? err.message : String(err ?? '');
+    return err?.status === 429 || /RESOURCE_EXHAUSTED|quota|\b429\b/i.test(message);
+};
+
+/**
+ * Whether an error comes from a cancelled request.
+ * @param {any} err The error.
+ * @returns {boolean}
+ */
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+const abortReason = (signal) => signal.reason ?? new DOMException('تم إلغاء الطلب.', 'AbortError');
+
+/**
+ * Waits for a free slot. The caller must call `releaseSlot` once done.
+ */
+const acquireSlot = (signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(abortReason(signal));
+        return;
+    }
+    const onAbort = () => {
+        const index = waiting.indexOf(job);
+        if (index !== -1) waiting.splice(index, 1);
+        reject(abortReason(signal));
+    };
+    const job = {
+        start: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        },
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waiting.push(job);
+    pump();
+});
+
+const releaseSlot = () => {
+    running -= 1;
+    pump();
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(abortReason(signal));
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortReason(signal));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Runs a request through the queue, retrying it with exponential backoff (plus jitter)
+ * while it fails with a quota error.
+ * @template T
+ * @param {() => Promise<T>} run Starts the request; called again for each retry.
+ * @param {{ signal?: AbortSignal, onRetry?: (retry: { attempt: number, delay: number }) => void, maxRetries?: number }} [options]
+ *   `onRetry` is called before each backoff wait, e.g. to tell the user why nothing is happening.
+ * @returns {Promise<T>} The request's result.
+ */
+export const scheduleRequest = async (run, { signal, onRetry, maxRetries = MAX_RETRIES } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        await acquireSlot(signal);
+        try {
+            return await run();
+        } catch (err) {
+            if (signal?.aborted) throw abortReason(signal);
+            if (!isQuotaError(err) || attempt >= maxRetries) throw err;
+        } finally {
+            releaseSlot();
+        }
+        const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt) * (1 + Math.random() * 0.2);
+        onRetry?.({ attempt: attempt + 1, delay });
+        await sleep(delay, signal);
+    }
+};
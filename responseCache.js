@@ -0,0 +1,121 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === Response Cache ===
+// Model responses keyed by a SHA-256 hash of everything that determines them
+// (provider, model, task, prompt, attachments). Kept in memory and in IndexedDB, so
+// re-analysing the same section or re-opening a project after a reload costs nothing.
+// The cache is only an optimisation: when hashing or IndexedDB is unavailable (an
+// intranet host served over plain http has no `crypto.subtle`), requests skip it.
+
+const DB_NAME = 'workflow-response-cache';
+const DB_VERSION = 1;
+const STORE = 'responses';
+const MAX_ENTRIES = 300;
+
+const memory = new Map();
+let dbPromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+        // Without IndexedDB the cache simply lives in memory.
+        dbPromise = Promise.resolve()
+            .then(() => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                return promisifyRequest(request);
+            })
+            .catch(err => {
+                console.warn('Response cache unavailable:', err);
+                return null;
+            });
+    }
+    return dbPromise;
+};
+
+/**
+ * Hashes the parts of a request into a cache key.
+ * @param {object} request Anything JSON-serialisable that determines the response.
+ * @returns {Promise<string | null>} The hex SHA-256 digest, or null when it cannot be
+ *   computed (no `crypto.subtle` outside secure contexts), in which case nothing is cached.
+ */
+export const hashRequest = async (request) => {
+    if (!globalThis.crypto?.subtle) return null;
+    try {
+        const bytes = new TextEncoder().encode(JSON.stringify(request));
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    } catch (err) {
+        console.warn('Response cache key unavailable:', err);
+        return null;
+    }
+};
+
+/**
+ * Reads a cached response.
+ * @param {string} key The cache key.
+ * @returns {Promise<string | null>} The response, or null on a miss.
+ */
+export const getCachedResponse = async (key) => {
+    if (memory.has(key)) return memory.get(key);
+    const db = await openDatabase();
+    if (!db) return null;
+    try {
+        const record = await promisifyRequest(db.transaction(STORE, 'readonly').objectStore(STORE).get(key));
+        if (record) memory.set(key, record.value);
+        return record ? record.value : null;
+    } catch (err) {
+        console.warn('Response cache read failed:', err);
+        return null;
+    }
+};
+
+/**
+ * Stores a response, dropping the oldest entries beyond `MAX_ENTRIES`.
+ * @param {string} key The cache key.
+ * @param {string} value The response.
+ * @returns {Promise<void>}
+ */
+export const putCachedResponse = async (key, value) => {
+    memory.set(key, value);
+    if (memory.size > MAX_ENTRIES) memory.delete(memory.keys().next().value);
+    const db = await openDatabase();
+    if (!db) return;
+    try {
+        const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+        await promisifyRequest(store.put({ key, value, createdAt: Date.now() }));
+        const excess = (await promisifyRequest(store.count())) - MAX_ENTRIES;
+        if (excess > 0) {
+            const oldest = await promisifyRequest(store.index('createdAt').getAllKeys(null, excess));
+            oldest.forEach(oldKey => store.delete(oldKey));
+        }
+    } catch (err) {
+        console.warn('Response cache write failed:', err);
+    }
+};
+
+/**
+ * Empties the cache.
+ * @returns {Promise<void>}
+ */
+export const clearResponseCache = async () => {
+    memory.clear();
+    const db = await openDatabase();
+    if (!db) return;
+    try {
+        await promisifyRequest(db.transaction(STORE, 'readwrite').objectStore(STORE).clear());
+    } catch (err) {
+        console.warn('Response cache clear failed:', err);
+    }
+};
@@ -0,0 +1,182 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { tokenizeArabic } from './arabicText.js';
+
+// === Local Retrieval (BM25) ===
+// Splits the `[Source: ...]`-tagged document text into page-aware chunks and ranks
+// them with BM25, so prompts only carry the passages relevant to a question.
+
+const CHUNK_MAX_CHARS = 1200;
+const CHUNK_OVERLAP_CHARS = 200;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+export const DEFAULT_CONTEXT_CHARS = 24000;
+
+// Matches `[Source: Page 3]`, `[Source: file.pdf, Page 3]` and `[Source: file.pdf]`.
+const SOURCE_MARKER = /\[Source: (?:(.+?), )?Page (\d+)\]|\[Source: ([^\]]+?)\]/g;
+
+/**
+ * Splits one page of text into chunks of at most `CHUNK_MAX_CHARS`, breaking on
+ * paragraphs and sentences where possible and overlapping consecutive chunks.
+ */
+const splitPage = (text) => {
+    const pieces = text.split(/\n\s*\n|(?<=[.!؟?])\s+/).map(piece => piece.trim()).filter(Boolean);
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 1 > CHUNK_MAX_CHARS) {
+            chunks.push(current);
+            current = current.slice(-CHUNK_OVERLAP_CHARS).replace(/^\S*\s/, '');
+        }
+        current = current ? `${current} ${piece}` : piece;
+        // A single piece longer than a chunk is cut into fixed windows.
+        while (current.length > CHUNK_MAX_CHARS) {
+            chunks.push(current.slice(0, CHUNK_MAX_CHARS));
+            current = current.slice(CHUNK_MAX_CHARS - CHUNK_OVERLAP_CHARS);
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+};
+
+/**
+ * Splits tagged document text into chunks that remember their file and page.
+ * @param {string} text The document (or workspace) source text.
+ * @returns {Array<{ id: number, docName: string | null, page: number | null, text: string }>} The chunks, in document order.
+ */
+export const chunkDocument = (text) => {
+    const chunks = [];
+    const markers = [...String(text ?? '').matchAll(SOURCE_MARKER)];
+    const sections = markers.length === 0
+        ? [{ docName: null, page: null, body: String(text ?? '') }]
+        : markers.map((marker, index) => ({
+            docName: marker[1] || marker[3] || null,
+            page: marker[2] ? Number(marker[2]) : null,
+            body: text.slice(marker.index + marker[0].length, markers[index + 1]?.index ?? text.length),
+        }));
+    // Text before the first marker (e.g. a workspace document header) is kept with no page.
+    if (markers.length > 0 && markers[0].index > 0) {
+        sections.unshift({ docName: null, page: null, body: text.slice(0, markers[0].index) });
+    }
+    sections.forEach(({ docName, page, body }) => {
+        splitPage(body.replace(/^=+ .* =+$/gm, '')).forEach(chunkText => {
+            chunks.push({ id: chunks.length, docName, page, text: chunkText });
+        });
+    });
+    return chunks;
+};
+
+/**
+ * Builds a BM25 index over chunks.
+ * @param {Array<{ text: string }>} chunks The chunks to index.
+ * @returns {{ chunks: Array<object>, search: (query: string, limit?: number) => Array<{ chunk: object, score: number }> }} The index.
+ */
+export const createSearchIndex = (chunks) => {
+    const termFrequencies = chunks.map(chunk => {
+        const counts = new Map();
+        tokenizeArabic(chunk.text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        return counts;
+    });
+    const lengths = termFrequencies.map(counts => [...counts.values()].reduce((sum, n) => sum + n, 0));
+    const averageLength = lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1) || 1;
+    const documentFrequency = new Map();
+    termFrequencies.forEach(counts => counts.forEach((_, token) => {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }));
+    const idf = (token) => {
+        const df = documentFrequency.get(token) || 0;
+        return Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+    };
+
+    const search = (query, limit = 8) => {
+        const terms = [...new Set(tokenizeArabic(query))];
+        if (terms.length === 0) return [];
+        return termFrequencies
+            .map((counts, index) => {
+                const score = terms.reduce((sum, term) => {
+                    const tf = counts.get(term) || 0;
+                    if (tf === 0) return sum;
+                    const norm = BM25_K1 * (1 - BM25_B + BM25_B * (lengths[index] / averageLength));
+                    return sum + idf(term) * ((tf * (BM25_K1 + 1)) / (tf + norm));
+                }, 0);
+                return { chunk: chunks[index], score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    };
+
+    return { chunks, search };
+};
+
+// Indexing is the expensive part, so the index of the last source text is reused.
+let cachedSource = null;
+let cachedIndex = null;
+
+/**
+ * Returns the search index for a source text, building it on first use.
+ * @param {string} source The tagged source text.
+ * @returns {ReturnType<typeof createSearchIndex>} The index.
+ */
+export const getSearchIndex = (source) => {
+    if (source !== cachedSource) {
+        cachedIndex = createSearchIndex(chunkDocument(source));
+        cachedSource = source;
+    }
+    return cachedIndex;
+};
+
+/**
+ * Selects the passages of a source text that best answer a query: the `limit` best
+ * matches within a size budget. When the whole source fits in the budget every chunk
+ * is returned (still scored, so the best ones can be shown as sources); when nothing
+ * matches, the opening chunks are used.
+ * @param {string} source The tagged source text.
+ * @param {string} query The question or topic.
+ * @param {{ maxChars?: number, limit?: number }} [options]
+ * @returns {Array<{ docName: string | null, page: number | null, text: string, score: number }>} The passages, in document order.
+ */
+export const retrievePassages = (source, query, { maxChars = DEFAULT_CONTEXT_CHARS, limit = 8 } = {}) => {
+    const index = getSearchIndex(source);
+    const totalChars = index.chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+    const matches = index.search(query, totalChars <= maxChars ? index.chunks.length : limit);
+    const scoreOf = new Map(matches.map(result => [result.chunk.id, result.score]));
+
+    let candidates;
+    if (totalChars <= maxChars) candidates = index.chunks;
+    else if (matches.length > 0) candidates = matches.map(result => result.chunk);
+    else candidates = index.chunks.slice(0, limit);
+
+    const selected = [];
+    let used = 0;
+    for (const chunk of candidates) {
+        if (used + chunk.text.length > maxChars) continue;
+        selected.push({ ...chunk, score: scoreOf.get(chunk.id) || 0 });
+        used += chunk.text.length;
+    }
+    return selected.sort((a, b) => a.id - b.id).map(({ id, ...passage }) => passage);
+};
+
+/**
+ * Picks the passages worth showing as sources: the best-scoring ones, strongest first.
+ * @param {Array<{ score: number }>} passages Passages from `retrievePassages`.
+ * @param {number} [limit] How many to keep.
+ * @returns {Array<object>} The passages with a positive score.
+ */
+export const topSources = (passages, limit = 5) => passages
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+/**
+ * Formats passages back into `[Source: ...]`-tagged text for a prompt.
+ * @param {Array<{ docName: string | null, page: number | null, text: string }>} passages The passages.
+ * @returns {string} The prompt context.
+ */
+export const formatPassages = (passages) => passages.map(({ docName, page, text }) => {
+    const label = [docName, page != null ? `Page ${page}` : null].filter(Boolean).join(', ');
+    return label ? `[Source: ${label}]\n${text}` : text;
+}).join('\n\n');
@@ -0,0 +1,338 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { generateText, getCacheKey } from './llm.js';
+import { getCachedResponse, putCachedResponse } from './responseCache.js';
+import { STEP_TYPES } from './processGraph.js';
+
+// === Structured Output ===
+// Every JSON payload the model returns is checked against a small schema. When the
+// response does not parse or does not match, the model is asked to repair it with the
+// list of problems, a bounded number of times, before the error reaches the user.
+// Only responses that pass validation are cached, under the original prompt.
+//
+// A schema is `{ type, ... }` where `type` is 'object' (`properties`, `required`),
+// 'array' (`items`, `minItems`), 'string' (`minLength`, `enum`), 'integer' or 'number'
+// (`minimum`, `maximum`); any schema may set `nullable` and a `check(value)` returning extra errors.
+
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Extracts a JSON string from a text that might contain markdown fences or other text.
+ * @param {string} text The text to parse.
+ * @returns {string} The extracted JSON string.
+ */
+export const extractJsonFromText = (text) => {
+    if (!text) return '';
+    const trimmedText = text.trim();
+    
+    // First, try to find a markdown block
+    const fenceMatch = trimmedText.match(/```(?:json)?\s*([\s\S]*?)\s*```/s);
+    if (fenceMatch && fenceMatch[1]) {
+        return fenceMatch[1].trim();
+    }
+    
+    // If no markdown block, find the first '{' or '[' and the last '}' or ']'
+    const firstBracket = trimmedText.indexOf('[');
+    const firstBrace = trimmedText.indexOf('{');
+
+    let startIndex = -1;
+    if (firstBracket !== -1 && firstBrace !== -1) {
+        startIndex = Math.min(firstBracket, firstBrace);
+    } else if (firstBracket !== -1) {
+        startIndex = firstBracket;
+    } else {
+        startIndex = firstBrace;
+    }
+
+    if (startIndex === -1) {
+        return trimmedText; // Return original text if no JSON-like characters found
+    }
+
+    const lastBracket = trimmedText.lastIndexOf(']');
+    const lastBrace = trimmedText.lastIndexOf('}');
+    const endIndex = Math.max(lastBracket, lastBrace);
+
+    if (endIndex > startIndex) {
+        return trimmedText.substring(startIndex, endIndex + 1);
+    }
+    
+    return trimmedText; // Return original text as a fallback
+};
+
+const describeType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const TYPE_NAMES = { object: 'كائنًا', array: 'مصفوفة', string: 'نصًا', integer: 'عددًا صحيحًا', number: 'رقمًا' };
+
+/**
+ * Validates a value against a schema.
+ * @param {any} value The parsed JSON value.
+ * @param {object} schema The schema.
+ * @param {string} [path] The path of `value`, used in the messages.
+ * @returns {Array<string>} The problems found, each prefixed with the path of the field.
+ */
+export const validateSchema = (value, schema, path = '$') => {
+    if (value === null || value === undefined) {
+        return schema.nullable ? [] : [`${path}: الحقل مفقود.`];
+    }
+    const actual = describeType(value);
+    const matchesType = schema.type === 'number' ? typeof value === 'number' && Number.isFinite(value) : actual === schema.type;
+    if (!matchesType) {
+        return [`${path}: يجب أن يكون ${TYPE_NAMES[schema.type]} وليس ${actual}.`];
+    }
+
+    const errors = [];
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key}: الحقل مطلوب.`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+        });
+    } else if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${path}: يجب أن تحتوي على ${schema.minItems} عنصر على الأقل.`);
+        }
+        if (schema.items) value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    } else if (schema.type === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path}: النص فارغ.`);
+        if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: يجب أن تكون إحدى القيم ${schema.enum.join(' | ')}.`);
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: يجب ألا تقل القيمة عن ${schema.minimum}.`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: يجب ألا تزيد القيمة على ${schema.maximum}.`);
+    }
+    // Cross-field checks only make sense once the shape is right.
+    if (errors.length === 0 && schema.check) errors.push(...schema.check(value, path));
+    return errors;
+};
+
+// --- Payload schemas ---
+
+const EDGE_SCHEMA = {
+    type: 'object',
+    required: ['to'],
+    properties: { to: { type: 'integer' }, label: { type: 'string' } },
+};
+
+const STEP_SCHEMA = {
+    type: 'object',
+    required: ['stepNumber', 'description'],
+    properties: {
+        stepNumber: { type: 'integer' },
+        description: { type: 'string', minLength: 1 },
+        page: { type: 'integer', minimum: 1, nullable: true },
+        actor: { type: 'string', nullable: true },
+        type: { type: 'string', enum: STEP_TYPES },
+        next: { type: 'array', items: EDGE_SCHEMA },
+    },
+};
+
+export const PLAN_SCHEMA = {
+    title: 'خطة العملية',
+    type: 'object',
+    required: ['summary', 'steps'],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        steps: { type: 'array', minItems: 1, items: STEP_SCHEMA },
+    },
+    check: (plan, path) => {
+        const errors = [];
+        plan.steps.forEach((step, index) => {
+            if (step.stepNumber !== index + 1) {
+                errors.push(`${path}.steps[${index}].stepNumber: يجب أن يكون ${index + 1}، فأرقام الخطوات متسلسلة تبدأ من 1.`);
+            }
+        });
+        plan.steps.forEach((step, index) => (step.next || []).forEach((edge, edgeIndex) => {
+            if (edge.to < 1 || edge.to > plan.steps.length) {
+                errors.push(`${path}.steps[${index}].next[${edgeIndex}].to: الخطوة ${edge.to} غير موجودة.`);
+            }
+        }));
+        return errors;
+    },
+};
+
+export const TOC_SCHEMA = {
+    title: 'جدول المحتويات',
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['title', 'page'],
+        properties: {
+            title: { type: 'string', minLength: 1 },
+            page: { type: 'integer', minimum: 1 },
+            level: { type: 'integer', minimum: 1 },
+        },
+    },
+};
+
+export const QA_SCHEMA = {
+    title: 'الأسئلة والأجوبة',
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+            question: { type: 'string', minLength: 1 },
+            answer: { type: 'string', minLength: 1 },
+        },
+    },
+};
+
+export const QUIZ_SCHEMA = {
+    title: 'الاختبار',
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['question', 'options', 'correctAnswer'],
+        properties: {
+            question: { type: 'string', minLength: 1 },
+            options: { type: 'array', minItems: 2, items: { type: 'string', minLength: 1 } },
+            correctAnswer: { type: 'string', minLength: 1 },
+        },
+        check: (item, path) => {
+            const errors = [];
+            if (!item.options.includes(item.correctAnswer)) {
+                errors.push(`${path}.correctAnswer: القيمة "${item.correctAnswer}" ليست أحد الخيارات في options.`);
+            }
+            if (new Set(item.options).size !== item.options.length) errors.push(`${path}.options: توجد خيارات مكررة.`);
+            return errors;
+        },
+    },
+};
+
+export const OPTIMIZATION_SCHEMA = {
+    title: 'اقتراحات التحسين',
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['title', 'suggestion'],
+        properties: {
+            title: { type: 'string', minLength: 1 },
+            suggestion: { type: 'string', minLength: 1 },
+        },
+    },
+};
+
+// Step references are numbers in the chart the model was shown; see processRefine.js.
+const REFINE_OPERATION_SCHEMA = {
+    type: 'object',
+    required: ['op'],
+    properties: {
+        op: { type: 'string', enum: ['update', 'insert', 'add', 'split', 'merge', 'delete', 'move', 'addEdge', 'removeEdge'] },
+        step: { type: 'integer', minimum: 1 },
+        with: { type: 'integer', minimum: 1 },
+        after: { type: 'integer', minimum: 0 },
+        from: { type: 'integer', minimum: 1 },
+        to: { type: 'integer', minimum: 1 },
+        description: { type: 'string', minLength: 1 },
+        first: { type: 'string', minLength: 1 },
+        second: { type: 'string', minLength: 1 },
+        actor: { type: 'string', nullable: true },
+        type: { type: 'string', enum: STEP_TYPES },
+        page: { type: 'integer', minimum: 1, nullable: true },
+        label: { type: 'string' },
+    },
+};
+
+export const REFINE_SCHEMA = {
+    title: 'تعديلات المخطط',
+    type: 'object',
+    required: ['explanation', 'operations'],
+    properties: {
+        explanation: { type: 'string', minLength: 1 },
+        summary: { type: 'string', nullable: true },
+        operations: { type: 'array', minItems: 1, items: REFINE_OPERATION_SCHEMA },
+    },
+};
+
+export const OCR_SCHEMA = {
+    title: 'النص المستخرج بالتعرف الضوئي',
+    type: 'object',
+    required: ['text', 'confidence'],
+    properties: {
+        // May be empty: a blank scanned page has no text.
+        text: { type: 'string' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+    },
+};
+
+/**
+ * Parses a model response and validates it.
+ * @param {string} text The raw response.
+ * @param {object} schema The expected schema.
+ * @returns {{ value: any, errors: Array<string> }} The parsed value (undefined when it does not parse) and the problems.
+ */
+export const parseStructuredResponse = (text, schema) => {
+    let value;
+    try {
+        value = JSON.parse(extractJsonFromText(text));
+    } catch (err) {
+        return { value: undefined, errors: [`$: الاستجابة ليست JSON صالحًا (${err.message}).`] };
+    }
+    return { value, errors: validateSchema(value, schema) };
+};
+
+/**
+ * Builds the follow-up prompt that asks the model to fix its previous answer.
+ */
+const buildRepairPrompt = (prompt, response, errors) => `${prompt}
+
+---
+**تصحيح مطلوب:** ردك السابق على التعليمات أعلاه لم يجتز التحقق من البنية. هذا هو ردك السابق:
+${response}
+
+**المشكلات التي يجب إصلاحها (المسار بصيغة JSONPath):**
+${errors.map(error => `- ${error}`).join('\n')}
+
+أعد JSON الكامل بعد إصلاح هذه المشكلات فقط، مع الإبقاء على باقي المحتوى كما هو. لا تضف أي نص خارج JSON.`;
+
+/**
+ * Asks the model for a JSON payload and validates it, sending a repair prompt with the
+ * validation errors when the response is invalid.
+ * @param {string} task The LLM task (see `LLM_TASKS` in llm.js).
+ * @param {string} prompt The prompt.
+ * @param {object} schema The expected schema.
+ * @param {{ maxRepairs?: number, images?: Array<{ mimeType: string, data: string }>, signal?: AbortSignal, onRetry?: Function }} [options]
+ *   How many repair prompts may be sent; `images`, `signal` and `onRetry` are passed to `generateText`.
+ * @returns {Promise<any>} The valid payload.
+ * @throws {Error} When the response is still invalid after the last repair; the error's
+ *   `validationErrors` holds the remaining problems.
+ */
+export const generateStructured = async (task, prompt, schema, { maxRepairs = MAX_REPAIR_ATTEMPTS, images = [], signal, onRetry } = {}) => {
+    const cacheKey = await getCacheKey(task, prompt, { json: true, images });
+    const cached = cacheKey ? await getCachedResponse(cacheKey) : null;
+    if (cached !== null) {
+        const { value, errors } = parseStructuredResponse(cached, schema);
+        if (errors.length === 0) return value;
+    }
+
+    const requestOptions = { json: true, images, signal, onRetry, cache: false };
+    let response = await generateText(task, prompt, requestOptions);
+    for (let attempt = 0; ; attempt++) {
+        const { value, errors } = parseStructuredResponse(response, schema);
+        if (errors.length === 0) {
+            if (cacheKey) await putCachedResponse(cacheKey, response);
+            return value;
+        }
+        console.warn(`Invalid ${task} response (attempt ${attempt + 1}):`, errors);
+        if (attempt >= maxRepairs) {
+            const shown = errors.slice(0, 3).join('؛ ');
+            const more = errors.length > 3 ? ` (و${errors.length - 3} مشكلات أخرى)` : '';
+            const error = new Error(`استجابة النموذج لـ«${schema.title}» غير صالحة بعد ${attempt + 1} محاولات: ${shown}${more}`);
+            error.validationErrors = errors;
+            throw error;
+        }
+        response = await generateText(task, buildRepairPrompt(prompt, response, errors), requestOptions);
+    }
+};
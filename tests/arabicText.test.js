@@ -0,0 +1,47 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeArabic, tokenizeArabic, textSimilarity } from '../arabicText.js';
+
+// === Arabic Text Tests ===
+
+test('normalizeArabic unifies spelling variants', () => {
+    const cases = [
+        ['إِجَازَةٌ', 'اجازه'], // tashkeel, hamza under alef, ta marbuta
+        ['أـــحمد', 'احمد'], // tatweel
+        ['آمنة', 'امنه'],
+        ['ٱلله', 'الله'],
+        ['مؤسسة', 'موسسه'],
+        ['مسئول', 'مسيول'],
+        ['مستشفى', 'مستشفي'],
+        ['٢٠٢٤', '2024'],
+        ['Leave REQUEST', 'leave request'],
+    ];
+    cases.forEach(([text, expected]) => assert.equal(normalizeArabic(text), expected, text));
+});
+
+test('tokenizeArabic strips articles and attached prefixes, and drops stop words', () => {
+    const cases = [
+        ['الطلب', ['طلب']],
+        ['والموظف', ['موظف']],
+        ['بالطلب', ['طلب']],
+        ['للمدير', ['مدير']],
+        ['وطلب', ['طلب']],
+        ['في الطلب من المدير', ['طلب', 'مدير']],
+        // Short words keep their first letters.
+        ['الى', []],
+        ['بند', ['بند']],
+        ['ولد', ['ولد']],
+    ];
+    cases.forEach(([text, expected]) => assert.deepEqual(tokenizeArabic(text), expected, text));
+});
+
+test('textSimilarity ignores spelling variants and counts shared words', () => {
+    assert.equal(textSimilarity('تقديم الطلب', 'تقديمُ الطَّلب'), 1);
+    assert.equal(textSimilarity('تقديم الطلب', 'اعتماد الطلب'), 1 / 3);
+    assert.equal(textSimilarity('تقديم الطلب', 'إبلاغ الموظف'), 0);
+});
@@ -0,0 +1,49 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { exportBpmn, importBpmn } from '../bpmn.js';
+
+// === BPMN Tests ===
+
+// Node has no DOMParser; importBpmn uses the global one, as in the browser.
+globalThis.DOMParser ??= DOMParser;
+
+const LEAVE_REQUEST = {
+    summary: 'إجراء طلب إجازة سنوية.',
+    steps: [
+        { stepNumber: 1, description: 'تقديم الطلب', actor: 'الموظف', type: 'task', page: 3, next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'مراجعة الطلب', actor: 'المدير المباشر', type: 'decision', next: [{ to: 3, label: 'موافق' }, { to: 1, label: 'إعادة للتعديل' }] },
+        { stepNumber: 3, description: 'تجهيز الإجازة', actor: 'إدارة الموارد البشرية', type: 'parallel', next: [{ to: 4 }, { to: 5 }] },
+        { stepNumber: 4, description: 'تحديث رصيد الإجازات', actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 6 }] },
+        { stepNumber: 5, description: 'إخطار الإدارة المالية', actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 6 }] },
+        { stepNumber: 6, description: 'إبلاغ الموظف بالنتيجة', actor: 'إدارة الموارد البشرية', type: 'task', next: [] },
+    ],
+};
+
+test('a process survives a BPMN export and import with its decisions, parallel paths, loops and lanes', () => {
+    const imported = importBpmn(exportBpmn(LEAVE_REQUEST, 'طلب إجازة'));
+    assert.equal(imported.name, 'طلب إجازة');
+    assert.equal(imported.summary, LEAVE_REQUEST.summary);
+    assert.deepEqual(imported.steps, LEAVE_REQUEST.steps);
+});
+
+test('a step without an actor comes back without one, and text is escaped', () => {
+    const steps = [
+        { stepNumber: 1, description: 'استلام "النموذج" <أ>', actor: 'الموظف', type: 'task', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'الأرشفة & الحفظ', type: 'task', next: [] },
+    ];
+    assert.deepEqual(importBpmn(exportBpmn({ summary: 'أرشفة', steps })).steps, steps);
+});
+
+test('importing a BPMN file without tasks or gateways is rejected', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" id="d">
+  <process id="p"><startEvent id="start"/></process>
+</definitions>`;
+    assert.throws(() => importBpmn(xml), /لا يحتوي على مهام أو بوابات/);
+});
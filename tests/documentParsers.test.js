@@ -0,0 +1,24 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDocumentFile } from '../documentParsers.js';
+
+// === Document Parser Tests ===
+
+const textFile = (text) => new File([text], 'إجراء.txt', { type: 'text/plain' });
+
+test('a text file is read into pages at its form feeds', async () => {
+    const { text, toc } = await parseDocumentFile(textFile('تقديم الطلب.\n\nمراجعة الطلب.\fاعتماد الطلب.'));
+    assert.equal(text, '[Source: Page 1]\nتقديم الطلب.\n\nمراجعة الطلب.\n[Source: Page 2]\nاعتماد الطلب.\n');
+    assert.equal(toc, null);
+});
+
+test('a cancelled upload is not parsed', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(parseDocumentFile(textFile('تقديم الطلب.'), 'txt', controller.signal), error => error.name === 'AbortError');
+});
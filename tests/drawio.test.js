@@ -0,0 +1,53 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { DOMParser } from '@xmldom/xmldom';
+import { exportDrawio, importDrawio } from '../drawio.js';
+
+// === draw.io Tests ===
+
+// Node has no DOMParser; importDrawio uses the global one, as in the browser.
+globalThis.DOMParser ??= DOMParser;
+
+const LEAVE_REQUEST = {
+    summary: 'إجراء طلب إجازة سنوية.',
+    steps: [
+        { stepNumber: 1, description: 'تقديم الطلب', actor: 'الموظف', type: 'task', page: 3, next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'مراجعة الطلب', actor: 'المدير المباشر', type: 'decision', next: [{ to: 3, label: 'موافق' }, { to: 1, label: 'إعادة للتعديل' }] },
+        { stepNumber: 3, description: 'تجهيز الإجازة', actor: 'إدارة الموارد البشرية', type: 'parallel', next: [{ to: 4 }, { to: 5 }] },
+        { stepNumber: 4, description: 'تحديث رصيد الإجازات', actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 6 }] },
+        { stepNumber: 5, description: 'إخطار الإدارة المالية', actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 6 }] },
+        { stepNumber: 6, description: 'إبلاغ الموظف بالنتيجة', actor: 'إدارة الموارد البشرية', type: 'task', next: [] },
+    ],
+};
+
+test('a process survives a draw.io export and import with its decisions, parallel paths, loops and swimlanes', async () => {
+    const imported = await importDrawio(exportDrawio(LEAVE_REQUEST, 'طلب إجازة'));
+    assert.equal(imported.name, 'طلب إجازة');
+    assert.deepEqual(imported.steps, LEAVE_REQUEST.steps);
+});
+
+test('a compressed diagram, as draw.io saves by default, imports the same way', async () => {
+    const model = exportDrawio(LEAVE_REQUEST).match(/<mxGraphModel[\s\S]*<\/mxGraphModel>/)[0];
+    const payload = deflateRawSync(Buffer.from(encodeURIComponent(model))).toString('base64');
+    const compressed = `<mxfile host="app"><diagram id="p" name="طلب إجازة">${payload}</diagram></mxfile>`;
+    assert.deepEqual((await importDrawio(compressed)).steps, LEAVE_REQUEST.steps);
+});
+
+test('a step without an actor comes back without one, and text is escaped', async () => {
+    const steps = [
+        { stepNumber: 1, description: 'استلام "النموذج" <أ>', actor: 'الموظف', type: 'task', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'الأرشفة & الحفظ', type: 'task', next: [] },
+    ];
+    assert.deepEqual((await importDrawio(exportDrawio({ summary: 'أرشفة', steps }))).steps, steps);
+});
+
+test('importing a draw.io file without steps is rejected', async () => {
+    const xml = '<mxfile><diagram id="p"><mxGraphModel><root><mxCell id="0"/><mxCell id="1" parent="0"/></root></mxGraphModel></diagram></mxfile>';
+    await assert.rejects(importDrawio(xml), /لا يحتوي على أي خطوات/);
+});
@@ -0,0 +1,139 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutFlowchart, renderFlowchartSvg, renderSwimlaneSvg } from '../flowchart.js';
+
+// === Flowchart Tests ===
+
+const LEAVE_REQUEST = [
+    { stepNumber: 1, description: 'تقديم الطلب', actor: 'الموظف', type: 'task', page: 3, next: [{ to: 2 }] },
+    { stepNumber: 2, description: 'مراجعة الطلب', actor: 'المدير المباشر', type: 'decision', next: [{ to: 3, label: 'موافق' }, { to: 4, label: 'رفض' }, { to: 1, label: 'إعادة للتعديل' }] },
+    { stepNumber: 3, description: 'اعتماد الطلب', actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 4 }] },
+    { stepNumber: 4, description: 'إبلاغ الموظف بالنتيجة', actor: 'إدارة الموارد البشرية', type: 'task', next: [] },
+];
+
+const nodeOf = (layout, stepNumber) => layout.nodes.find(node => node.step.stepNumber === stepNumber);
+const edgeOf = (layout, from, to) => layout.edges.find(edge => edge.from === from && edge.to === to);
+const centerX = (node) => node.x + node.width / 2;
+
+test('steps in sequence are stacked top to bottom in one column', () => {
+    const layout = layoutFlowchart([
+        { stepNumber: 1, description: 'أ' },
+        { stepNumber: 2, description: 'ب' },
+        { stepNumber: 3, description: 'ج' },
+    ]);
+    const [first, second, third] = [1, 2, 3].map(stepNumber => nodeOf(layout, stepNumber));
+    assert.ok(first.y + first.height < second.y);
+    assert.ok(second.y + second.height < third.y);
+    assert.equal(centerX(first), centerX(second));
+    assert.equal(centerX(second), centerX(third));
+    assert.ok(layout.nodes.every(node => node.x >= 0 && node.x + node.width <= layout.width && node.y + node.height <= layout.height));
+    assert.deepEqual(layout.lanes, []);
+});
+
+test('the branches of a decision are laid out right to left in their order', () => {
+    const layout = layoutFlowchart([
+        { stepNumber: 1, description: 'هل الطلب مكتمل؟', type: 'decision', next: [{ to: 2, label: 'نعم' }, { to: 3, label: 'لا' }] },
+        { stepNumber: 2, description: 'اعتماد الطلب', next: [] },
+        { stepNumber: 3, description: 'إعادة الطلب', next: [] },
+    ]);
+    const yes = nodeOf(layout, 2);
+    const no = nodeOf(layout, 3);
+    assert.equal(yes.y, no.y);
+    assert.ok(yes.x > no.x + no.width, 'the first branch sits on the right');
+    assert.ok(edgeOf(layout, 1, 2).labelAt.x > edgeOf(layout, 1, 3).labelAt.x);
+});
+
+test('forward edges run from the bottom of one step to the top of the next with straight segments', () => {
+    const layout = layoutFlowchart(LEAVE_REQUEST);
+    layout.edges.filter(edge => !edge.loop).forEach(edge => {
+        const source = nodeOf(layout, edge.from);
+        const target = nodeOf(layout, edge.to);
+        const start = edge.points[0];
+        const end = edge.points[edge.points.length - 1];
+        assert.ok(start.y >= source.y + source.height, `${edge.from}->${edge.to} leaves below its source`);
+        assert.equal(start.x, centerX(source));
+        assert.ok(end.y <= target.y && end.y > target.y - 5, `${edge.from}->${edge.to} ends on top of its target`);
+        assert.equal(end.x, centerX(target));
+        edge.points.slice(1).forEach((point, i) => {
+            const previous = edge.points[i];
+            assert.ok(point.x === previous.x || point.y === previous.y, `${edge.from}->${edge.to} has only horizontal and vertical segments`);
+        });
+    });
+    assert.equal(edgeOf(layout, 2, 3).label, 'موافق');
+});
+
+test('an edge that skips a layer goes around the steps in between', () => {
+    const layout = layoutFlowchart(LEAVE_REQUEST);
+    const between = nodeOf(layout, 3);
+    const { points } = edgeOf(layout, 2, 4);
+    points.slice(1).forEach((point, i) => {
+        const previous = points[i];
+        if (point.x !== previous.x) return;
+        const overlapsVertically = Math.min(point.y, previous.y) < between.y + between.height && Math.max(point.y, previous.y) > between.y;
+        const insideHorizontally = point.x > between.x && point.x < between.x + between.width;
+        assert.ok(!(overlapsVertically && insideHorizontally), 'the rejection path does not cross step 3');
+    });
+});
+
+test('a loop-back edge runs up a dashed channel left of every step', () => {
+    const layout = layoutFlowchart(LEAVE_REQUEST);
+    const loop = edgeOf(layout, 2, 1);
+    assert.equal(loop.loop, true);
+    assert.equal(loop.label, 'إعادة للتعديل');
+    const source = nodeOf(layout, 2);
+    const target = nodeOf(layout, 1);
+    const channelX = loop.points[1].x;
+    assert.ok(layout.nodes.every(node => node.x > channelX));
+    assert.deepEqual(loop.points.map(point => point.y), [
+        source.y + source.height / 2,
+        source.y + source.height / 2,
+        target.y + target.height / 2,
+        target.y + target.height / 2,
+    ]);
+    assert.equal(loop.points[0].x, source.x);
+    assert.ok(loop.points[3].x < target.x);
+    assert.equal(layout.edges.filter(edge => edge.loop).length, 1);
+});
+
+test('swimlanes follow the order in which actors first appear, right to left', () => {
+    const layout = layoutFlowchart(LEAVE_REQUEST, { swimlanes: true });
+    assert.deepEqual(layout.lanes.map(lane => lane.actor), ['الموظف', 'المدير المباشر', 'إدارة الموارد البشرية']);
+    layout.lanes.slice(1).forEach((lane, i) => assert.ok(lane.x + lane.width <= layout.lanes[i].x));
+    layout.nodes.forEach(node => {
+        const lane = layout.lanes.find(candidate => candidate.actor === node.step.actor);
+        assert.ok(node.x >= lane.x && node.x + node.width <= lane.x + lane.width, `step ${node.step.stepNumber} sits in its lane`);
+        assert.ok(node.y >= lane.y && node.y + node.height <= lane.y + lane.height);
+    });
+    assert.ok(layout.lanes.every(lane => lane.y === layout.lanes[0].y && lane.height === layout.lanes[0].height));
+});
+
+test('renderFlowchartSvg draws clickable nodes, labels, citations and a dashed loop-back', () => {
+    const svg = renderFlowchartSvg(LEAVE_REQUEST);
+    assert.match(svg, /^<svg /);
+    LEAVE_REQUEST.forEach(step => assert.ok(svg.includes(`<g id="node-${step.stepNumber}" class="clickable-node node-${step.type}"`)));
+    assert.ok(svg.includes('>مراجعة الطلب</div>'));
+    assert.ok(svg.includes('(المصدر: صفحة 3)'));
+    assert.ok(svg.includes('>موافق</text>'));
+    assert.match(svg, /<path class="edge" data-from="2" data-to="1" [^>]*stroke-dasharray/);
+    assert.doesNotMatch(svg, /<path class="edge" data-from="1" data-to="2" [^>]*stroke-dasharray/);
+    assert.equal((svg.match(/<polygon class="node-shape"/g) || []).length, 1);
+    assert.ok(!svg.includes('class="lane"'));
+});
+
+test('renderSwimlaneSvg adds a lane with a header for every actor and escapes text', () => {
+    const steps = [
+        { stepNumber: 1, description: 'تقديم <الطلب> & المرفقات', actor: 'الموظف', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'اعتماد الطلب', actor: 'المدير', next: [] },
+    ];
+    const svg = renderSwimlaneSvg(steps);
+    assert.equal((svg.match(/<g class="lane">/g) || []).length, 2);
+    assert.ok(svg.includes('>الموظف</text>'));
+    assert.ok(svg.includes('>المدير</text>'));
+    assert.ok(svg.includes('تقديم &lt;الطلب&gt; &amp; المرفقات'));
+    assert.ok(svg.includes('<g id="node-2" class="clickable-node node-task"'));
+});
@@ -0,0 +1,84 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureLlm, generateText, getModelForTask, registerLlmProvider } from '../llm.js';
+import { generateStructured, PLAN_SCHEMA } from '../structuredOutput.js';
+import { formatProcessGraph } from '../processGraph.js';
+
+// === LLM Provider Tests ===
+// The provider configuration is module state, so each test sets what it relies on.
+
+const PROMPT = 'حلل الإجراء التالي.\n[Source: Page 3]\nيقدم الموظف الطلب.\n[Source: Page 5]\nيراجع المدير الطلب.';
+
+test('the mock provider runs the analysis pipeline offline', async () => {
+    configureLlm({ provider: 'mock', model: '', taskModels: {} });
+    const plan = await generateStructured('analysis', PROMPT, PLAN_SCHEMA);
+    assert.equal(plan.steps.length, 4);
+    // The fixture cites the pages of the prompt's passages.
+    assert.deepEqual(plan.steps.map(step => step.page), [3, 5, 5, 5]);
+    assert.equal(formatProcessGraph(plan.steps), [
+        '1. تقديم الطلب [المسؤول: الموظف] (المصدر: صفحة 3)',
+        '2. [قرار] مراجعة الطلب [المسؤول: المدير المباشر] (المصدر: صفحة 5)',
+        '   - موافق: الانتقال إلى الخطوة 3',
+        '   - إعادة للتعديل: الانتقال إلى الخطوة 1 (رجوع)',
+        '3. اعتماد الطلب [المسؤول: إدارة الموارد البشرية] (المصدر: صفحة 5)',
+        '4. إبلاغ الموظف بالنتيجة [المسؤول: إدارة الموارد البشرية] (المصدر: صفحة 5)',
+        '   - نهاية المسار',
+        '',
+    ].join('\n'));
+});
+
+test('an invalid plan is sent back with its validation errors and the repaired one is used', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const prompts = [];
+    const plan = (firstNumber) => ({
+        summary: 'ملخص',
+        steps: [
+            { stepNumber: firstNumber, description: 'تقديم الطلب', type: 'task', next: [{ to: 2 }] },
+            { stepNumber: 2, description: 'اعتماد الطلب', type: 'task', next: [] },
+        ],
+    });
+    configureLlm({
+        provider: 'mock',
+        fixtures: {
+            analysis: (prompt) => {
+                prompts.push(prompt);
+                return prompts.length === 1 ? plan(7) : plan(1);
+            },
+        },
+    });
+    const repaired = await generateStructured('analysis', PROMPT, PLAN_SCHEMA);
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /\$\.steps\[0\]\.stepNumber: يجب أن يكون 1/);
+    assert.equal(formatProcessGraph(repaired.steps), '1. تقديم الطلب\n2. اعتماد الطلب\n   - نهاية المسار\n');
+});
+
+test('each task is sent to its own model, falling back to the default model', async () => {
+    const calls = [];
+    registerLlmProvider('recording', {
+        async generate({ task, model }) {
+            calls.push({ task, model });
+            return 'ok';
+        },
+        async *stream() {},
+    });
+    configureLlm({ provider: 'recording', model: 'base-model', taskModels: { analysis: 'large-model', chat: 'fast-model' } });
+
+    assert.equal(getModelForTask('analysis'), 'large-model');
+    assert.equal(getModelForTask('chat'), 'fast-model');
+    assert.equal(getModelForTask('qa'), 'base-model');
+    await generateText('analysis', 'نص', { cache: false });
+    await generateText('qa', 'نص', { cache: false });
+    assert.deepEqual(calls, [{ task: 'analysis', model: 'large-model' }, { task: 'qa', model: 'base-model' }]);
+
+    // Overrides are merged, and without any model the provider's default is used.
+    configureLlm({ taskModels: { qa: 'qa-model' } });
+    assert.equal(getModelForTask('qa'), 'qa-model');
+    assert.equal(getModelForTask('analysis'), 'large-model');
+    configureLlm({ provider: 'mock', model: '', taskModels: { analysis: '', chat: '', qa: '' } });
+    assert.equal(getModelForTask('analysis'), 'mock');
+});
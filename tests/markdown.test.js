@@ -0,0 +1,33 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../markdown.js';
+
+// === Safe Markdown Tests ===
+
+test('HTML in an answer is escaped', () => {
+    assert.equal(renderMarkdown('<img src=x onerror=alert(1)> **مهم**'),
+        '<p>&lt;img src=x onerror=alert(1)&gt; <strong>مهم</strong></p>');
+});
+
+test('links keep http(s) and mailto URLs, including balanced parentheses', () => {
+    assert.equal(renderMarkdown('[ويكي](https://ar.wikipedia.org/wiki/Foo_(bar)) للمزيد'),
+        '<p><a href="https://ar.wikipedia.org/wiki/Foo_(bar)" target="_blank" rel="noopener noreferrer">ويكي</a> للمزيد</p>');
+    assert.equal(renderMarkdown('[راسلنا](mailto:hr@example.com) (الموارد البشرية)'),
+        '<p><a href="mailto:hr@example.com" target="_blank" rel="noopener noreferrer">راسلنا</a> (الموارد البشرية)</p>');
+});
+
+test('a rejected link is replaced by its label, with nothing of the URL left behind', () => {
+    assert.equal(renderMarkdown('[a](javascript:alert(1)) تم'), '<p>a تم</p>');
+    assert.equal(renderMarkdown('[اضغط هنا](data:text/html,x)'), '<p>اضغط هنا</p>');
+});
+
+test('citation markers are rendered by the callback, but not the text of a link', () => {
+    const renderCitation = (numbers) => `<cite>${numbers.join('+')}</cite>`;
+    assert.equal(renderMarkdown('يقدم الموظف الطلب [1، 2]. راجع [الدليل](https://example.com) [3]', { renderCitation }),
+        '<p>يقدم الموظف الطلب <cite>1+2</cite>. راجع <a href="https://example.com" target="_blank" rel="noopener noreferrer">الدليل</a> <cite>3</cite></p>');
+});
@@ -0,0 +1,59 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportMermaid, importMermaid } from '../mermaid.js';
+
+// === Mermaid Tests ===
+
+const LEAVE_REQUEST = {
+    summary: 'إجراء طلب إجازة سنوية.',
+    steps: [
+        { stepNumber: 1, description: 'تقديم الطلب', actor: 'الموظف', type: 'task', page: 3, next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'مراجعة الطلب', actor: 'المدير المباشر', type: 'decision', next: [{ to: 3, label: 'موافق' }, { to: 1, label: 'إعادة للتعديل' }] },
+        { stepNumber: 3, description: 'تجهيز الإجازة', actor: 'إدارة الموارد البشرية', type: 'parallel', next: [{ to: 4 }, { to: 5 }] },
+        { stepNumber: 4, description: 'تحديث رصيد الإجازات', actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 6 }] },
+        { stepNumber: 5, description: 'إخطار الإدارة المالية', actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 6 }] },
+        { stepNumber: 6, description: 'إبلاغ الموظف بالنتيجة', actor: 'إدارة الموارد البشرية', type: 'task', next: [] },
+    ],
+};
+
+test('a process survives a Mermaid export and import with its decisions, parallel paths, loops and subgraphs', () => {
+    assert.deepEqual(importMermaid(exportMermaid(LEAVE_REQUEST)).steps, LEAVE_REQUEST.steps);
+});
+
+test('a Mermaid export pasted inside a fenced block imports the same way', () => {
+    const pasted = `انسخ المخطط التالي:\n\`\`\`mermaid\n${exportMermaid(LEAVE_REQUEST)}\n\`\`\``;
+    assert.deepEqual(importMermaid(pasted).steps, LEAVE_REQUEST.steps);
+});
+
+test('a step without an actor comes back without one, and quotes in labels survive', () => {
+    const steps = [
+        { stepNumber: 1, description: 'استلام "النموذج" <أ>', actor: 'الموظف', type: 'task', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'الأرشفة & الحفظ؛ ثم الإغلاق', type: 'task', next: [] },
+    ];
+    assert.deepEqual(importMermaid(exportMermaid({ summary: 'أرشفة', steps })).steps, steps);
+});
+
+test('hand-written Mermaid maps shapes to step types and subgraph titles to actors', () => {
+    const source = `flowchart TD
+    A[تقديم الطلب]
+    subgraph mgr["المدير"]
+        B{هل الطلب مكتمل؟}
+    end
+    A --> B
+    B -- نعم --> C{{تنفيذ متوازٍ}}
+    B -->|لا| A
+    C --> D[إغلاق الطلب]`;
+    const { steps } = importMermaid(source);
+    assert.deepEqual(steps.map(step => [step.description, step.type, step.actor]), [
+        ['تقديم الطلب', 'task', undefined],
+        ['هل الطلب مكتمل؟', 'decision', 'المدير'],
+        ['تنفيذ متوازٍ', 'parallel', undefined],
+        ['إغلاق الطلب', 'task', undefined],
+    ]);
+    assert.deepEqual(steps[1].next, [{ to: 3, label: 'نعم' }, { to: 1, label: 'لا' }]);
+});
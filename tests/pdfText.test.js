@@ -0,0 +1,121 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    detectRepeatedEdges,
+    getPageEdgeKeys,
+    looksVisuallyOrdered,
+    normalizePresentationForms,
+    processPageTextContent,
+    reorderBidi,
+} from '../pdfText.js';
+
+// === PDF Page Text Tests ===
+// Pages are built from synthetic PDF.js text items: `transform` holds the font size and the
+// baseline position (y grows upwards), `width` is estimated from the string length.
+
+const PAGE = { bottom: 0, height: 842 };
+
+const item = (str, x, y, { size = 10, width = str.length * size * 0.5 } = {}) => ({
+    str, transform: [size, 0, 0, size, x, y], width, height: size, fontName: 'g_d0_f1',
+});
+
+// A line laid out right to left as a PDF with visual order stores it: one item per word,
+// each spelled as drawn, placed from the right margin leftwards.
+const visualLine = (text, right, y) => {
+    let x = right;
+    return text.split(' ').map(word => {
+        const width = word.length * 5;
+        x -= width;
+        const placed = item(reorderBidi(word, true), x, y, { width });
+        x -= 4;
+        return placed;
+    }).reverse();
+};
+
+test('reorderBidi reverses Arabic runs and keeps Latin words and numbers in order', () => {
+    assert.equal(reorderBidi('رقم الطلب ABC بتاريخ 2024/01/05', true), '2024/01/05 خيراتب ABC بلطلا مقر');
+    // Brackets inside a reversed run are mirrored, so they still open before the word.
+    assert.equal(reorderBidi('الطلب (العاجل) فقط', true), 'طقف (لجاعلا) بلطلا');
+    assert.equal(reorderBidi('Form نموذج 12.5', false), 'Form جذومن 12.5');
+    // The conversion is its own inverse.
+    const logical = 'أرسل الموظف 3 نسخ إلى قسم HR في 2024';
+    assert.equal(reorderBidi(reorderBidi(logical, true), true), logical);
+});
+
+test('a mixed Arabic, Latin and digit line comes out in logical order from either storage order', () => {
+    const logical = 'تمت الموافقة على الطلب رقم 42 من قسم HR';
+    assert.equal(processPageTextContent({ items: [item(logical, 50, 700)] }), `${logical}\n`);
+    assert.equal(processPageTextContent({ items: [item(reorderBidi(logical, true), 50, 700)] }), `${logical}\n`);
+    assert.equal(processPageTextContent({ items: visualLine(logical, 540, 700) }), `${logical}\n`);
+});
+
+test('looksVisuallyOrdered tells words spelled backwards from logical text', () => {
+    const logical = 'يقدم الموظف الطلب إلى الإدارة المختصة للمراجعة والموافقة';
+    assert.equal(looksVisuallyOrdered(logical), false);
+    assert.equal(looksVisuallyOrdered(reorderBidi(logical, true)), true);
+    assert.equal(looksVisuallyOrdered('Employee submits the request'), false);
+});
+
+test('normalizePresentationForms replaces positional glyphs and ligatures by plain letters', () => {
+    // "الموظف" in positional forms, and the lam-alef ligature.
+    assert.equal(normalizePresentationForms('ﺍﻟﻤﻮﻈﻒ'), 'الموظف');
+    assert.equal(normalizePresentationForms('ﻻ ﻿ﻷ'), 'لا لأ');
+    assert.equal(processPageTextContent({ items: [item('ﺍﻟﻤﻮﻈﻒ ﺍﻟﺠﺪﻳﺪ', 50, 700)] }),
+        'الموظف الجديد\n');
+});
+
+test('two-column pages are read column by column, with a spanning title kept above them', () => {
+    const right = ['يقدم الموظف طلب الإجازة عبر النظام', 'يراجع المدير المباشر الطلب خلال يومين', 'تعتمد الموارد البشرية الطلب النهائي'];
+    const left = ['يبلغ النظام الموظف بنتيجة الطلب', 'تحدث الموارد البشرية رصيد الإجازات', 'يحفظ الطلب في ملف الموظف الإلكتروني'];
+    const items = [
+        item('إجراءات طلب الإجازة السنوية للموظفين في الشركة', 150, 780, { size: 14 }),
+        ...right.map((line, index) => item(line, 320, 740 - index * 14, { width: 220 })),
+        ...left.map((line, index) => item(line, 50, 740 - index * 14, { width: 220 })),
+    ];
+    assert.equal(processPageTextContent({ items }, PAGE),
+        `${['إجراءات طلب الإجازة السنوية للموظفين في الشركة', ...right, ...left].join('\n')}\n`);
+});
+
+test('aligned rows become a markdown table, cells in reading order', () => {
+    const rows = [['الخطوة', 'المسؤول', 'المدة'], ['تقديم الطلب', 'الموظف', 'يوم'], ['المراجعة', 'المدير', 'يومان'], ['الاعتماد', 'الموارد البشرية', 'يوم']];
+    const items = rows.flatMap((cells, index) => {
+        const y = 700 - index * 16;
+        // Right-to-left: the first cell sits at the right.
+        return [item(cells[0], 400, y), item(cells[1], 250, y), item(cells[2], 100, y)];
+    });
+    assert.equal(processPageTextContent({ items }, PAGE), [
+        '| الخطوة | المسؤول | المدة |',
+        '| --- | --- | --- |',
+        '| تقديم الطلب | الموظف | يوم |',
+        '| المراجعة | المدير | يومان |',
+        '| الاعتماد | الموارد البشرية | يوم |',
+        '',
+    ].join('\n'));
+});
+
+test('running headers, footers and page numbers are removed once they repeat', () => {
+    const page = (number) => ({
+        items: [
+            item('دليل إجراءات الموارد البشرية', 300, 810),
+            item(`نص الصفحة ${number} من الدليل يشرح خطوات الإجراء`, 100, 600),
+            item(`صفحة ${number} من 5`, 280, 30),
+        ],
+    });
+    const pages = [1, 2, 3, 4, 5].map(page);
+    const repeatedEdges = detectRepeatedEdges(pages.map(content => getPageEdgeKeys(content.items, PAGE)));
+    assert.deepEqual([...repeatedEdges].sort(), ['دليل إجراءات الموارد البشرية', 'صفحة # من #'].sort());
+    assert.equal(processPageTextContent(pages[2], PAGE, { repeatedEdges }), 'نص الصفحة 3 من الدليل يشرح خطوات الإجراء\n');
+    // Without the detected set nothing is dropped.
+    assert.match(processPageTextContent(pages[2], PAGE), /^دليل إجراءات الموارد البشرية\n/);
+});
+
+test('a page made only of repeated lines keeps them', () => {
+    const items = [item('دليل إجراءات الموارد البشرية', 300, 810)];
+    assert.equal(processPageTextContent({ items }, PAGE, { repeatedEdges: new Set(['دليل إجراءات الموارد البشرية']) }),
+        'دليل إجراءات الموارد البشرية\n');
+});
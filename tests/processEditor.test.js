@@ -0,0 +1,35 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeWithNextStep } from '../processEditor.js';
+
+// === Process Editing Tests ===
+
+const summarize = (steps) => steps.map(step => ({ stepNumber: step.stepNumber, description: step.description, next: step.next }));
+
+test('mergeWithNextStep joins two steps in sequence', () => {
+    const steps = [
+        { stepNumber: 1, description: 'أ' },
+        { stepNumber: 2, description: 'ب' },
+        { stepNumber: 3, description: 'ج' },
+    ];
+    assert.deepEqual(summarize(mergeWithNextStep(steps, 1)), [
+        { stepNumber: 1, description: 'أ، ثم ب', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'ج', next: [] },
+    ]);
+});
+
+test('mergeWithNextStep turns a loop back from the second step to the first into a loop on the merged step', () => {
+    const steps = [
+        { stepNumber: 1, description: 'تعبئة النموذج', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'مراجعة النموذج', type: 'decision', next: [{ to: 1, label: 'ناقص' }, { to: 3, label: 'مكتمل' }] },
+        { stepNumber: 3, description: 'اعتماد الطلب', next: [] },
+    ];
+    const merged = mergeWithNextStep(steps, 1);
+    assert.deepEqual(merged[0].next, [{ to: 1, label: 'ناقص' }, { to: 2, label: 'مكتمل' }]);
+    assert.equal(merged[0].type, 'decision');
+});
@@ -0,0 +1,37 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stepsFromDiagram, UNKNOWN_ACTOR } from '../processGraph.js';
+
+// === Process Graph Tests ===
+
+test('stepsFromDiagram numbers steps from the start event and joins flows through non-steps', () => {
+    const nodes = [
+        { id: 'review', description: 'مراجعة الطلب', type: 'decision', actor: 'المدير' },
+        { id: 'submit', description: 'تقديم الطلب', type: 'task', actor: 'الموظف', page: 2 },
+    ];
+    const flows = [
+        { source: 'start', target: 'submit' },
+        { source: 'submit', target: 'review' },
+        { source: 'review', target: 'join', label: 'رفض' },
+        { source: 'join', target: 'submit' },
+    ];
+    assert.deepEqual(stepsFromDiagram(nodes, flows, ['start']), [
+        { stepNumber: 1, description: 'تقديم الطلب', page: 2, actor: 'الموظف', type: 'task', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'مراجعة الطلب', actor: 'المدير', type: 'decision', next: [{ to: 1, label: 'رفض' }] },
+    ]);
+});
+
+test('stepsFromDiagram leaves the actor unset for steps in the placeholder lane', () => {
+    const nodes = [
+        { id: 'a', description: 'تقديم الطلب', type: 'task', actor: 'الموظف' },
+        { id: 'b', description: 'أرشفة الطلب', type: 'task', actor: UNKNOWN_ACTOR },
+    ];
+    const steps = stepsFromDiagram(nodes, [{ source: 'a', target: 'b' }]);
+    assert.equal(steps[0].actor, 'الموظف');
+    assert.equal('actor' in steps[1], false);
+});
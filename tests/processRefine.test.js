@@ -0,0 +1,84 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRefinement, createRefineSchema } from '../processRefine.js';
+
+// === Process Refinement Tests ===
+
+const LEAVE_REQUEST = [
+    { stepNumber: 1, description: 'تقديم الطلب', actor: 'الموظف', type: 'task', next: [{ to: 2 }] },
+    { stepNumber: 2, description: 'مراجعة الطلب', actor: 'المدير المباشر', type: 'decision', next: [{ to: 3, label: 'موافق' }, { to: 1, label: 'إعادة للتعديل' }] },
+    { stepNumber: 3, description: 'اعتماد الطلب', actor: 'إدارة الموارد البشرية', type: 'task', next: [{ to: 4 }] },
+    { stepNumber: 4, description: 'إبلاغ الموظف بالنتيجة', actor: 'إدارة الموارد البشرية', type: 'task', next: [] },
+];
+
+const sequence = (...descriptions) => descriptions.map((description, index) => ({ stepNumber: index + 1, description }));
+
+const summarize = (steps) => steps.map(step => ({ stepNumber: step.stepNumber, description: step.description, next: step.next }));
+
+test('merging two adjacent steps joins them', () => {
+    const { steps, changes } = applyRefinement(LEAVE_REQUEST, [{ op: 'merge', step: 1, with: 2 }]);
+    assert.deepEqual(summarize(steps), [
+        { stepNumber: 1, description: 'تقديم الطلب، ثم مراجعة الطلب', next: [{ to: 2, label: 'موافق' }, { to: 1, label: 'إعادة للتعديل' }] },
+        { stepNumber: 2, description: 'اعتماد الطلب', next: [{ to: 3 }] },
+        { stepNumber: 3, description: 'إبلاغ الموظف بالنتيجة', next: [] },
+    ]);
+    assert.deepEqual(changes, ['دمج الخطوة 1 «تقديم الطلب» مع الخطوة 2 «مراجعة الطلب»']);
+});
+
+test('a step can be merged with the one before it', () => {
+    const { steps, changes } = applyRefinement(LEAVE_REQUEST, [{ op: 'merge', step: 3, with: 2 }]);
+    assert.deepEqual(summarize(steps), [
+        { stepNumber: 1, description: 'تقديم الطلب', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'مراجعة الطلب، ثم اعتماد الطلب', next: [{ to: 1, label: 'إعادة للتعديل' }, { to: 3 }] },
+        { stepNumber: 3, description: 'إبلاغ الموظف بالنتيجة', next: [] },
+    ]);
+    assert.deepEqual(changes, ['دمج الخطوة 3 «اعتماد الطلب» مع الخطوة 2 «مراجعة الطلب»']);
+});
+
+test('merging steps that are not next to each other is rejected', () => {
+    assert.throws(() => applyRefinement(sequence('أ', 'ب', 'ج', 'د'), [{ op: 'merge', step: 1, with: 3 }]), /غير متتاليتين/);
+    assert.throws(() => applyRefinement(LEAVE_REQUEST, [{ op: 'merge', step: 4, with: 1 }]), /غير متتاليتين/);
+});
+
+test('steps moved next to each other first can be merged', () => {
+    const { steps } = applyRefinement(sequence('أ', 'ب', 'ج', 'د'), [
+        { op: 'move', step: 3, after: 1 },
+        { op: 'merge', step: 1, with: 3 },
+    ]);
+    assert.deepEqual(summarize(steps), [
+        { stepNumber: 1, description: 'أ، ثم ج', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'ب', next: [{ to: 3 }] },
+        { stepNumber: 3, description: 'د', next: [] },
+    ]);
+});
+
+test('later operations can refer to a merged step by either number', () => {
+    const { steps } = applyRefinement(sequence('أ', 'ب', 'ج', 'د'), [
+        { op: 'merge', step: 2, with: 3 },
+        { op: 'update', step: 3, description: 'ب وج' },
+        { op: 'removeEdge', from: 2, to: 4 },
+    ]);
+    assert.deepEqual(summarize(steps), [
+        { stepNumber: 1, description: 'أ', next: [{ to: 2 }] },
+        { stepNumber: 2, description: 'ب وج', next: [] },
+        { stepNumber: 3, description: 'د', next: [] },
+    ]);
+});
+
+test('a rejected merge goes back to the model through the refine schema check', () => {
+    const schema = createRefineSchema(LEAVE_REQUEST);
+    assert.deepEqual(schema.check({ operations: [{ op: 'merge', step: 1, with: 2 }] }, '$'), []);
+    const errors = schema.check({ operations: [{ op: 'merge', step: 1, with: 3 }] }, '$');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^\$\.operations: العملية 1: .*غير متتاليتين/);
+});
+
+test('an operation on a step that does not exist is rejected', () => {
+    assert.throws(() => applyRefinement(LEAVE_REQUEST, [{ op: 'merge', step: 1, with: 9 }]), /الخطوة 9 غير موجودة/);
+    assert.throws(() => applyRefinement(LEAVE_REQUEST, [{ op: 'merge', step: 2, with: 2 }]), /مع نفسها/);
+});
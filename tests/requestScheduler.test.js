@@ -0,0 +1,150 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleRequest, isQuotaError, isAbortError, MAX_RETRIES } from '../requestScheduler.js';
+
+// === Request Scheduler Tests ===
+// The queue is module state; every test lets its requests settle so the default two
+// slots are free again for the next one. Backoff waits run on mocked timers.
+
+/** Lets pending promise callbacks run (setImmediate is not mocked). */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/** A promise with its resolve and reject functions, to control when a request finishes. */
+const deferred = () => {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+};
+
+const quotaError = () => new Error('429 RESOURCE_EXHAUSTED: Quota exceeded.');
+
+test('quota and abort errors are recognised', () => {
+    assert.equal(isQuotaError(quotaError()), true);
+    assert.equal(isQuotaError({ status: 429, message: 'Too Many Requests' }), true);
+    assert.equal(isQuotaError(new Error('You exceeded your current quota')), true);
+    assert.equal(isQuotaError(new Error('500 Internal error')), false);
+    assert.equal(isAbortError(new DOMException('x', 'AbortError')), true);
+    assert.equal(isAbortError(new Error('x')), false);
+});
+
+test('a request failing with RESOURCE_EXHAUSTED is retried with exponential backoff', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(Math, 'random', () => 0);
+    let calls = 0;
+    const retries = [];
+    const result = scheduleRequest(async () => {
+        calls += 1;
+        if (calls < 3) throw quotaError();
+        return 'تم';
+    }, { onRetry: retry => retries.push(retry) });
+
+    await settle();
+    assert.equal(calls, 1);
+    assert.deepEqual(retries, [{ attempt: 1, delay: 2000 }]);
+    t.mock.timers.tick(1999);
+    await settle();
+    assert.equal(calls, 1);
+    t.mock.timers.tick(1);
+    await settle();
+    assert.equal(calls, 2);
+    assert.deepEqual(retries[1], { attempt: 2, delay: 4000 });
+    t.mock.timers.tick(4000);
+    assert.equal(await result, 'تم');
+    assert.equal(calls, 3);
+});
+
+test('retries stop after maxRetries, and other errors are not retried', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let calls = 0;
+    const failing = scheduleRequest(async () => { calls += 1; throw quotaError(); }, {
+        maxRetries: 1,
+        onRetry: ({ delay }) => setImmediate(() => t.mock.timers.tick(delay)),
+    });
+    await assert.rejects(failing, /RESOURCE_EXHAUSTED/);
+    assert.equal(calls, 2);
+
+    calls = 0;
+    await assert.rejects(scheduleRequest(async () => { calls += 1; throw new Error('400 Bad request'); }), /Bad request/);
+    assert.equal(calls, 1);
+    assert.equal(MAX_RETRIES, 4);
+});
+
+test('at most two requests run at the same time; the others wait in order', async () => {
+    const requests = [deferred(), deferred(), deferred(), deferred()];
+    const started = [];
+    const results = Promise.allSettled(requests.map((request, index) => scheduleRequest(() => {
+        started.push(index);
+        return request.promise;
+    })));
+
+    await settle();
+    assert.deepEqual(started, [0, 1]);
+    requests[1].resolve('ب');
+    await settle();
+    assert.deepEqual(started, [0, 1, 2]);
+    // A failed request frees its slot too.
+    requests[0].reject(new Error('500'));
+    await settle();
+    assert.deepEqual(started, [0, 1, 2, 3]);
+    requests[2].resolve('ج');
+    requests[3].resolve('د');
+    assert.deepEqual((await results).map(result => result.value ?? result.reason.message), ['500', 'ب', 'ج', 'د']);
+});
+
+test('a request cancelled while queued never runs and does not take a slot', async () => {
+    const blockers = [deferred(), deferred()];
+    const blocking = blockers.map(blocker => scheduleRequest(() => blocker.promise));
+    const controller = new AbortController();
+    let ran = false;
+    const queued = scheduleRequest(async () => { ran = true; }, { signal: controller.signal });
+
+    await settle();
+    controller.abort();
+    await assert.rejects(queued, error => isAbortError(error));
+    blockers.forEach(blocker => blocker.resolve());
+    await Promise.all(blocking);
+    assert.equal(ran, false);
+
+    // Both slots are free again.
+    const both = [deferred(), deferred()];
+    let running = 0;
+    const next = both.map(request => scheduleRequest(() => { running += 1; return request.promise; }));
+    await settle();
+    assert.equal(running, 2);
+    both.forEach(request => request.resolve());
+    await Promise.all(next);
+});
+
+test('a request cancelled during its backoff wait is not retried', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const controller = new AbortController();
+    let calls = 0;
+    const request = scheduleRequest(async () => { calls += 1; throw quotaError(); }, {
+        signal: controller.signal,
+        onRetry: () => setImmediate(() => controller.abort()),
+    });
+    await assert.rejects(request, error => isAbortError(error));
+    t.mock.timers.tick(60000);
+    await settle();
+    assert.equal(calls, 1);
+});
+
+test('a request cancelled while running rejects with the abort reason, even after a quota error', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const request = scheduleRequest(() => {
+        calls += 1;
+        return new Promise((resolve, reject) => controller.signal.addEventListener('abort', () => reject(quotaError())));
+    }, { signal: controller.signal });
+    await settle();
+    controller.abort();
+    await assert.rejects(request, error => isAbortError(error));
+    assert.equal(calls, 1);
+    await assert.rejects(scheduleRequest(async () => 'x', { signal: controller.signal }), error => isAbortError(error));
+});
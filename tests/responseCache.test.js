@@ -0,0 +1,59 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCachedResponse, hashRequest, putCachedResponse } from '../responseCache.js';
+import { configureLlm, generateText, registerLlmProvider } from '../llm.js';
+import { generateStructured, QA_SCHEMA } from '../structuredOutput.js';
+
+// === Response Cache Tests ===
+
+// Runs `callback` as on a page served over plain http, where `crypto.subtle` is missing.
+const withoutSubtleCrypto = async (callback) => {
+    const original = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+    Object.defineProperty(globalThis, 'crypto', { value: { getRandomValues: globalThis.crypto.getRandomValues }, configurable: true });
+    try {
+        return await callback();
+    } finally {
+        Object.defineProperty(globalThis, 'crypto', original);
+    }
+};
+
+test('hashRequest gives a stable SHA-256 key for the same request', async () => {
+    const key = await hashRequest({ task: 'qa', prompt: 'نص' });
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(await hashRequest({ task: 'qa', prompt: 'نص' }), key);
+    assert.notEqual(await hashRequest({ task: 'qa', prompt: 'نص آخر' }), key);
+});
+
+test('responses are cached in memory without IndexedDB', async () => {
+    const key = await hashRequest({ task: 'qa', prompt: 'سؤال مخزن' });
+    assert.equal(await getCachedResponse(key), null);
+    await putCachedResponse(key, 'جواب');
+    assert.equal(await getCachedResponse(key), 'جواب');
+});
+
+test('without crypto.subtle requests skip the cache instead of failing', async () => {
+    let calls = 0;
+    registerLlmProvider('counting', {
+        async generate() {
+            calls += 1;
+            return '[{ "question": "س", "answer": "ج" }]';
+        },
+        async *stream() {},
+    });
+    configureLlm({ provider: 'counting', model: 'model-a' });
+
+    await withoutSubtleCrypto(async () => {
+        assert.equal(await hashRequest({ task: 'qa', prompt: 'نص' }), null);
+        assert.equal(await generateText('qa', 'نص'), '[{ "question": "س", "answer": "ج" }]');
+        assert.equal(await generateText('qa', 'نص'), '[{ "question": "س", "answer": "ج" }]');
+        assert.deepEqual(await generateStructured('qa', 'نص', QA_SCHEMA), [{ question: 'س', answer: 'ج' }]);
+    });
+    // Nothing was cached, so every call reached the provider.
+    assert.equal(calls, 3);
+    configureLlm({ provider: 'mock', model: '' });
+});
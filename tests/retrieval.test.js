@@ -0,0 +1,60 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkDocument, createSearchIndex, retrievePassages, topSources } from '../retrieval.js';
+
+// === Retrieval Tests ===
+
+const chunk = (id, text) => ({ id, docName: null, page: id + 1, text });
+
+test('BM25 ranks chunks by how often and how rarely the query terms appear', () => {
+    const index = createSearchIndex([
+        chunk(0, 'يقدم الموظف طلب الإجازة إلى المدير المباشر عبر النظام.'),
+        chunk(1, 'يراجع المدير المباشر طلب الإجازة ويعتمده أو يعيده للتعديل. بعد اعتماد الإجازة يخصم رصيد الإجازة.'),
+        chunk(2, 'تصرف مكافأة الموظف السنوية في نهاية العام المالي.'),
+        chunk(3, 'يتم تحديث رصيد الموظف في نظام الموارد البشرية.'),
+    ]);
+    const ids = (query) => index.search(query).map(result => result.chunk.id);
+
+    // The chunk that repeats "الإجازة" ranks first; chunks without any query term are left out.
+    assert.deepEqual(ids('الإجازة'), [1, 0]);
+    // "رصيد" is rarer than "الموظف": after the chunk with both terms comes the one with only "رصيد".
+    assert.deepEqual(ids('رصيد الموظف').slice(0, 2), [3, 1]);
+    // Spelling variants match.
+    assert.deepEqual(ids('مكافاه'), [2]);
+    assert.deepEqual(ids('في من'), []);
+    const [best, second] = index.search('الإجازة');
+    assert.ok(best.score > second.score && second.score > 0);
+    assert.equal(index.search('الإجازة', 1).length, 1);
+});
+
+test('chunks remember the file and page of their source marker', () => {
+    const chunks = chunkDocument('مقدمة\n[Source: دليل.pdf, Page 2]\nالنص الأول.\n[Source: Page 3]\nالنص الثاني.');
+    assert.deepEqual(chunks.map(({ docName, page, text }) => [docName, page, text]), [
+        [null, null, 'مقدمة'],
+        ['دليل.pdf', 2, 'النص الأول.'],
+        [null, 3, 'النص الثاني.'],
+    ]);
+});
+
+test('retrievePassages keeps the best matches within the budget, in document order', () => {
+    const filler = 'نص عام لا علاقة له بالسؤال. '.repeat(10);
+    const source = [
+        `[Source: Page 1]\n${filler}`,
+        '[Source: Page 2]\nيعتمد المدير طلب الإجازة خلال يومين.',
+        `[Source: Page 3]\n${filler}`,
+        '[Source: Page 4]\nيبلغ الموظف بنتيجة طلب الإجازة.',
+    ].join('\n');
+    const passages = retrievePassages(source, 'طلب الإجازة', { maxChars: 100 });
+    assert.deepEqual(passages.map(passage => passage.page), [2, 4]);
+    assert.ok(passages.every(passage => passage.score > 0));
+    const sources = topSources(passages);
+    assert.ok(sources[0].score >= sources[1].score);
+    assert.equal(topSources(passages, 1).length, 1);
+    // When the whole source fits, every chunk is sent.
+    assert.deepEqual(retrievePassages(source, 'طلب الإجازة').map(passage => passage.page), [1, 2, 3, 4]);
+});
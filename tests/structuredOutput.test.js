@@ -0,0 +1,124 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configureLlm } from '../llm.js';
+import {
+    extractJsonFromText, validateSchema, generateStructured, parseStructuredResponse,
+    MAX_REPAIR_ATTEMPTS, PLAN_SCHEMA, QUIZ_SCHEMA,
+} from '../structuredOutput.js';
+
+// === Structured Output Tests ===
+// The mock provider's fixtures are module state, so each test sets the ones it relies on.
+
+const QUESTION = { question: 'من يراجع الطلب؟', options: ['المدير المباشر', 'الموظف'], correctAnswer: 'المدير المباشر' };
+
+test('validateSchema reports every problem with the path of its field', () => {
+    const schema = {
+        type: 'object',
+        required: ['name', 'tags', 'level'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            tags: { type: 'array', minItems: 1, items: { type: 'string', enum: ['أ', 'ب'] } },
+            level: { type: 'integer', minimum: 1, maximum: 3 },
+            score: { type: 'number', nullable: true },
+        },
+    };
+    assert.deepEqual(validateSchema({ name: 'طلب', tags: ['أ'], level: 2, score: null }, schema), []);
+    assert.deepEqual(validateSchema({ name: '  ', tags: ['أ', 'ج'], level: 4 }, schema), [
+        '$.name: النص فارغ.',
+        '$.tags[1]: يجب أن تكون إحدى القيم أ | ب.',
+        '$.level: يجب ألا تزيد القيمة على 3.',
+    ]);
+    assert.deepEqual(validateSchema({ tags: [], level: 1.5, score: 'عالٍ' }, schema), [
+        '$.name: الحقل مطلوب.',
+        '$.tags: يجب أن تحتوي على 1 عنصر على الأقل.',
+        '$.level: يجب أن يكون عددًا صحيحًا وليس number.',
+        '$.score: يجب أن يكون رقمًا وليس string.',
+    ]);
+    assert.deepEqual(validateSchema([], schema), ['$: يجب أن يكون كائنًا وليس array.']);
+});
+
+test('a schema check runs only once the shape is valid', () => {
+    let checked = 0;
+    const schema = { type: 'object', required: ['a'], properties: { a: { type: 'integer' } }, check: () => { checked += 1; return ['$: مرفوض.']; } };
+    assert.deepEqual(validateSchema({}, schema), ['$.a: الحقل مطلوب.']);
+    assert.equal(checked, 0);
+    assert.deepEqual(validateSchema({ a: 1 }, schema), ['$: مرفوض.']);
+    assert.equal(checked, 1);
+});
+
+test('a quiz answer must be one of its options', () => {
+    assert.deepEqual(validateSchema([QUESTION], QUIZ_SCHEMA), []);
+    assert.deepEqual(validateSchema([QUESTION, { ...QUESTION, correctAnswer: 'إدارة المالية' }], QUIZ_SCHEMA), [
+        '$[1].correctAnswer: القيمة "إدارة المالية" ليست أحد الخيارات في options.',
+    ]);
+    assert.deepEqual(validateSchema([{ ...QUESTION, options: ['الموظف', 'الموظف', 'المدير المباشر'] }], QUIZ_SCHEMA), [
+        '$[0].options: توجد خيارات مكررة.',
+    ]);
+});
+
+test('plan steps must be numbered 1, 2, 3, ... and edges must point at existing steps', () => {
+    const plan = {
+        summary: 'ملخص',
+        steps: [
+            { stepNumber: 1, description: 'تقديم الطلب', next: [{ to: 2 }] },
+            { stepNumber: 3, description: 'مراجعة الطلب', next: [{ to: 5 }] },
+        ],
+    };
+    assert.deepEqual(validateSchema(plan, PLAN_SCHEMA), [
+        '$.steps[1].stepNumber: يجب أن يكون 2، فأرقام الخطوات متسلسلة تبدأ من 1.',
+        '$.steps[1].next[0].to: الخطوة 5 غير موجودة.',
+    ]);
+    plan.steps[1] = { stepNumber: 2, description: 'مراجعة الطلب', next: [{ to: 1, label: 'إعادة' }] };
+    assert.deepEqual(validateSchema(plan, PLAN_SCHEMA), []);
+});
+
+test('JSON is read from a fenced block or from the text around it', () => {
+    assert.equal(extractJsonFromText('إليك النتيجة:\n```json\n[1, 2]\n```\nانتهى.'), '[1, 2]');
+    assert.equal(extractJsonFromText('النتيجة: {"a": [1]} بالتوفيق'), '{"a": [1]}');
+    assert.deepEqual(parseStructuredResponse('ليس JSON', QUIZ_SCHEMA).value, undefined);
+    assert.match(parseStructuredResponse('ليس JSON', QUIZ_SCHEMA).errors[0], /^\$: الاستجابة ليست JSON صالحًا/);
+});
+
+test('an invalid quiz is repaired with its errors and the original prompt', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const prompts = [];
+    configureLlm({
+        provider: 'mock',
+        fixtures: {
+            quiz: (prompt) => {
+                prompts.push(prompt);
+                return prompts.length === 1 ? 'لا أعرف' : prompts.length === 2
+                    ? [{ ...QUESTION, correctAnswer: 'العميل' }]
+                    : [QUESTION];
+            },
+        },
+    });
+    const quiz = await generateStructured('quiz', 'أنشئ اختبارًا.', QUIZ_SCHEMA);
+    assert.deepEqual(quiz, [QUESTION]);
+    assert.equal(prompts.length, 3);
+    assert.ok(prompts.slice(1).every(prompt => prompt.startsWith('أنشئ اختبارًا.')));
+    assert.match(prompts[1], /ليست JSON صالحًا/);
+    assert.match(prompts[2], /\$\[0\]\.correctAnswer: القيمة "العميل" ليست أحد الخيارات/);
+    assert.match(prompts[2], /"correctAnswer":"العميل"/);
+});
+
+test('a response that is still invalid after the last repair is rejected with its errors', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    let calls = 0;
+    configureLlm({ provider: 'mock', fixtures: { quiz: () => { calls += 1; return [{ ...QUESTION, correctAnswer: 'العميل' }]; } } });
+    await assert.rejects(generateStructured('quiz', 'أنشئ اختبارًا.', QUIZ_SCHEMA), (err) => {
+        assert.match(err.message, /«الاختبار» غير صالحة بعد 3 محاولات/);
+        assert.deepEqual(err.validationErrors, ['$[0].correctAnswer: القيمة "العميل" ليست أحد الخيارات في options.']);
+        return true;
+    });
+    assert.equal(calls, MAX_REPAIR_ATTEMPTS + 1);
+
+    calls = 0;
+    await assert.rejects(generateStructured('quiz', 'أنشئ اختبارًا.', QUIZ_SCHEMA, { maxRepairs: 0 }));
+    assert.equal(calls, 1);
+});
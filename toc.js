@@ -0,0 +1,172 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === Table of Contents ===
+// A ToC is a list of `{ title, page, level, endPage }` entries. For PDFs it comes from,
+// in order of preference:
+// 1. the embedded outline (bookmarks), with page numbers resolved from the destinations;
+// 2. headings detected in the text layer: lines set larger than the body text, or in a
+//    bold font at body size;
+// 3. the model, reading the first pages (only when neither of the above finds anything).
+// `addPageRanges` then gives each entry the last page of its section, so analysis can be
+// scoped to it with `getSectionText`.
+
+// Lines longer than this are running text, not headings.
+const MAX_HEADING_CHARS = 100;
+const MAX_BOLD_HEADING_CHARS = 60;
+// A heading is set at least this much larger than the body text...
+const HEADING_SIZE_RATIO = 1.15;
+// ...in a size that is used for little of the document's text.
+const MAX_HEADING_SIZE_SHARE = 0.2;
+const MAX_HEADING_LEVELS = 3;
+// A title that shows up on more pages than this is a running head, not a section.
+const MAX_TITLE_REPEATS = 3;
+
+/**
+ * Flattens a PDF.js outline (`pdf.getOutline()`) into ToC entries. Items whose destination
+ * cannot be resolved to a page (links to URLs, broken bookmarks) are left out, but their
+ * children are kept.
+ * @param {Array<{ title: string, dest: any, items: Array<object> }> | null} outline The outline.
+ * @param {(dest: any) => Promise<number | null>} resolvePage Resolves a destination to a 1-based page number.
+ * @param {number} [level] The level of the items at this depth.
+ * @returns {Promise<Array<{ title: string, page: number, level: number }>>} The entries in outline order.
+ */
+export const flattenOutline = async (outline, resolvePage, level = 1) => {
+    const entries = [];
+    for (const item of outline || []) {
+        const title = (item.title || '').replace(/\s+/g, ' ').trim();
+        const page = item.dest ? await resolvePage(item.dest).catch(() => null) : null;
+        if (title && page) entries.push({ title, page, level });
+        entries.push(...await flattenOutline(item.items, resolvePage, level + 1));
+    }
+    return entries;
+};
+
+const roundSize = (size) => Math.round(size * 2) / 2;
+
+/**
+ * Reduces a page's lines to what heading detection needs: how much text is set in each
+ * size, and the short lines that could be headings.
+ * @param {number} pageNumber The page number.
+ * @param {Array<{ text: string, size: number, fontNames: Array<string> }>} lines The page's lines (see `getPageLines` in pdfText.js).
+ * @returns {{ pageNumber: number, sizes: Array<[number, number]>, candidates: Array<object> }} The page summary.
+ */
+export const summarizePageLines = (pageNumber, lines) => ({
+    pageNumber,
+    sizes: lines.map(line => [roundSize(line.size), line.text.length]),
+    candidates: lines
+        .map((line, index) => ({ text: line.text, size: roundSize(line.size), fontNames: line.fontNames, index }))
+        .filter(line => line.text.length >= 2 && line.text.length <= MAX_HEADING_CHARS && /\p{L}/u.test(line.text)),
+});
+
+/**
+ * Detects section headings from the font sizes and weights of the text layer. The body
+ * size is the one most of the text is set in; larger sizes become levels 1-3 from the
+ * largest down, and bold lines at body size come last.
+ * @param {Array<object>} pageSummaries One `summarizePageLines` result per page.
+ * @param {Set<string>} [boldFonts] The PDF.js font names known to be bold.
+ * @returns {Array<{ title: string, page: number, level: number }> | null} The headings, or
+ *   null when the document shows no usable heading structure.
+ */
+export const detectHeadings = (pageSummaries, boldFonts = new Set()) => {
+    const charsBySize = new Map();
+    pageSummaries.forEach(({ sizes }) => sizes.forEach(([size, chars]) => charsBySize.set(size, (charsBySize.get(size) || 0) + chars)));
+    const totalChars = [...charsBySize.values()].reduce((sum, chars) => sum + chars, 0);
+    const [bodySize] = [...charsBySize].sort((a, b) => b[1] - a[1])[0] || [];
+    if (!bodySize) return null;
+
+    const isHeadingSize = (size) => size >= bodySize * HEADING_SIZE_RATIO && charsBySize.get(size) <= totalChars * MAX_HEADING_SIZE_SHARE;
+    const isBoldHeading = (line) => line.size >= bodySize * 0.95
+        && line.text.length <= MAX_BOLD_HEADING_CHARS
+        && !/[.,،؛;]$/.test(line.text)
+        && line.fontNames.length > 0 && line.fontNames.every(name => boldFonts.has(name));
+
+    // Collect heading lines, joining titles that wrap onto consecutive lines.
+    const headings = [];
+    pageSummaries.forEach(({ pageNumber, candidates }) => {
+        candidates.forEach(line => {
+            const bySize = isHeadingSize(line.size);
+            if (!bySize && !isBoldHeading(line)) return;
+            const previous = headings[headings.length - 1];
+            if (previous && previous.page === pageNumber && previous.index === line.index - 1 && previous.size === line.size && previous.bySize === bySize) {
+                previous.title += ` ${line.text}`;
+                previous.index = line.index;
+            } else {
+                headings.push({ title: line.text, page: pageNumber, size: line.size, bySize, index: line.index });
+            }
+        });
+    });
+
+    const repeats = new Map();
+    headings.forEach(heading => repeats.set(heading.title, (repeats.get(heading.title) || 0) + 1));
+    const sizes = [...new Set(headings.filter(heading => heading.bySize).map(heading => heading.size))].sort((a, b) => b - a);
+    let entries = headings
+        .filter(heading => repeats.get(heading.title) <= MAX_TITLE_REPEATS)
+        .map(heading => ({
+            title: heading.title,
+            page: heading.page,
+            level: Math.min(MAX_HEADING_LEVELS, heading.bySize ? sizes.indexOf(heading.size) + 1 : sizes.length + 1),
+        }));
+
+    // Far more headings than pages means the sizes caught something else (captions, table
+    // headers); drop the lowest levels until what is left is plausible.
+    const limit = Math.max(30, pageSummaries.length * 2);
+    for (let level = MAX_HEADING_LEVELS; level > 1 && entries.length > limit; level--) {
+        entries = entries.filter(entry => entry.level < level);
+    }
+    return entries.length >= 2 && entries.length <= limit ? entries : null;
+};
+
+/**
+ * Gives each ToC entry the last page of its section: the page before the next entry of
+ * the same or a higher level, or the last page of the document.
+ * @param {Array<{ title: string, page: number, level?: number }> | null} toc The ToC.
+ * @param {number} numPages The number of pages in the document.
+ * @returns {Array<{ title: string, page: number, level: number, endPage: number }> | null} The ToC with ranges.
+ */
+export const addPageRanges = (toc, numPages) => {
+    if (!toc || toc.length === 0) return toc;
+    return toc.map((entry, index) => {
+        const level = entry.level || 1;
+        const next = toc.slice(index + 1).find(candidate => (candidate.level || 1) <= level && candidate.page >= entry.page);
+        const endPage = next ? next.page - 1 : numPages;
+        return { ...entry, level, endPage: Math.max(entry.page, endPage) };
+    });
+};
+
+/**
+ * The pages to read for a ToC section: the section's own pages plus `margin` pages on
+ * either side, within the document.
+ * @param {{ page: number, endPage?: number }} entry The ToC entry.
+ * @param {number} numPages The number of pages in the document.
+ * @param {number} margin The pages to add before and after.
+ * @returns {{ fromPage: number, toPage: number }} The page range.
+ */
+export const getSectionRange = (entry, numPages, margin) => ({
+    fromPage: Math.max(1, entry.page - margin),
+    toPage: Math.min(numPages, (entry.endPage || entry.page) + margin),
+});
+
+/**
+ * Cuts the pages of a section out of paged source text.
+ * @param {string} text The document text with `[Source: Page X]` markers.
+ * @param {number} fromPage The first page to keep.
+ * @param {number} toPage The last page to keep.
+ * @returns {string} The text of those pages, or an empty string when none are in the text.
+ */
+export const getSectionText = (text, fromPage, toPage) => String(text)
+    .split(/(?=\[Source: (?:[^\]]*, )?Page \d+\])/)
+    .filter(page => {
+        const match = page.match(/^\[Source: (?:[^\]]*, )?Page (\d+)\]/);
+        return match && Number(match[1]) >= fromPage && Number(match[1]) <= toPage;
+    })
+    .join('');
+
+/**
+ * Counts the pages of paged source text (its `[Source: Page X]` markers).
+ * @param {string} text The document text.
+ * @returns {number} The highest page number, or 1 for unpaged text.
+ */
+export const countSourcePages = (text) => Math.max(1, ...[...String(text).matchAll(/\[Source: (?:[^\]]*, )?Page (\d+)\]/g)].map(match => Number(match[1])));
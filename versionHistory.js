@@ -0,0 +1,81 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { textSimilarity } from './arabicText.js';
+import { compareProcesses } from './workspace.js';
+
+// === Version History ===
+// Every analysis, edit session, refinement, import or restore of the current process is
+// kept as a version `{ id, createdAt, reason, fileName, plan }`, oldest first, so revisions
+// of a procedure can be compared and rolled back.
+
+export const MAX_VERSIONS = 100;
+
+// A removed step and an added step this similar are the same step, moved.
+const MOVE_THRESHOLD = 0.6;
+
+let nextVersionNumber = 1;
+
+const isSamePlan = (a, b) => a.summary === b.summary && JSON.stringify(a.steps) === JSON.stringify(b.steps);
+
+/**
+ * Adds a version of a plan to the history, unless the plan is unchanged since the latest one.
+ * @param {Array<object>} versions The history, oldest first.
+ * @param {object} plan The plan (`summaryData`).
+ * @param {{ reason: 'analysis' | 'edit' | 'refine' | 'import' | 'restore', fileName: string, replaceLast?: boolean }} meta
+ *   `replaceLast` folds the plan into the latest version instead (a run of edits is one version).
+ * @returns {Array<object>} The new history, holding at most `MAX_VERSIONS` versions.
+ */
+export const addVersion = (versions, plan, { reason, fileName, replaceLast = false }) => {
+    const latest = versions[versions.length - 1];
+    if (latest && isSamePlan(latest.plan, plan)) return versions;
+    const version = {
+        id: `version-${Date.now()}-${nextVersionNumber++}`,
+        createdAt: Date.now(),
+        reason,
+        fileName,
+        plan,
+    };
+    const kept = replaceLast && latest ? versions.slice(0, -1) : versions;
+    return [...kept, version].slice(-MAX_VERSIONS);
+};
+
+/**
+ * Compares two versions of a process step by step.
+ * @param {Array<object>} stepsA The steps of the older version.
+ * @param {Array<object>} stepsB The steps of the newer version.
+ * @returns {Array<{ status: 'same' | 'reworded' | 'changed' | 'moved' | 'removed' | 'added', a?: object, b?: object, differences: Array<string> }>}
+ *   One row per step, in the order of the newer version with removed steps where they
+ *   used to be. `reworded` steps have a different text; `changed` ones keep the text but
+ *   differ in type, actor or branches (see `compareProcesses`). Page numbers alone do not
+ *   count, since they shift between editions of a document.
+ */
+export const diffVersions = (stepsA, stepsB) => {
+    const rows = compareProcesses(stepsA, stepsB).map(row => {
+        if (!row.a || !row.b) return { status: row.status, a: row.a, b: row.b, differences: [] };
+        const differences = row.differences.filter(field => field !== 'page');
+        const status = differences.includes('description') ? 'reworded' : differences.length > 0 ? 'changed' : 'same';
+        return { status, a: row.a, b: row.b, differences };
+    });
+
+    // The alignment keeps the order of both versions, so a step that moved shows up as
+    // removed in one place and added in another; pair those back up.
+    const added = rows.filter(row => row.status === 'added');
+    const pairedRemovals = new Set();
+    rows.filter(row => row.status === 'removed').forEach(removed => {
+        const match = added
+            .map(row => ({ row, similarity: textSimilarity(removed.a.description, row.b.description) }))
+            .filter(({ row, similarity }) => row.status === 'added' && similarity >= MOVE_THRESHOLD)
+            .sort((x, y) => y.similarity - x.similarity)[0];
+        if (!match) return;
+        Object.assign(match.row, {
+            status: 'moved',
+            a: removed.a,
+            differences: match.similarity < 1 ? ['description'] : [],
+        });
+        pairedRemovals.add(removed);
+    });
+    return rows.filter(row => !pairedRemovals.has(row));
+};
@@ -6,7 +6,18 @@ export default defineConfig(({ mode }) => {
     return {
       define: {
         'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
-        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)
+        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY),
+        'process.env.LLM_PROVIDER': JSON.stringify(env.LLM_PROVIDER),
+        'process.env.LLM_MODEL': JSON.stringify(env.LLM_MODEL),
+        'process.env.LLM_TASK_MODELS': JSON.stringify(env.LLM_TASK_MODELS),
+        'process.env.OPENAI_BASE_URL': JSON.stringify(env.OPENAI_BASE_URL),
+        'process.env.OPENAI_API_KEY': JSON.stringify(env.OPENAI_API_KEY),
+        'process.env.OCR_ENGINE': JSON.stringify(env.OCR_ENGINE),
+        'process.env.OCR_LANGUAGES': JSON.stringify(env.OCR_LANGUAGES)
+      },
+      worker: {
+        // pdfWorker.js imports pdfjs, which splits into chunks; only ES workers support that.
+        format: 'es',
       },
       resolve: {
         alias: {
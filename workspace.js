@@ -0,0 +1,110 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+import { normalizeSteps, getStepActor } from './processGraph.js';
+import { textSimilarity } from './arabicText.js';
+
+// === Multi-Document Workspace ===
+// A workspace document is `{ id, name, kind, text, toc, plan, questions, ocrPages, ocrFailedPages }`,
+// where `text` uses the `[Source: Page X]` markers produced by the PDF parser, `plan`
+// is the last process extracted from it, `ocrPages` maps the pages read by OCR to
+// the engine's confidence (0-1) and `ocrFailedPages` lists the scanned pages OCR could not read.
+
+let nextDocumentNumber = 1;
+
+/**
+ * Creates a workspace document.
+ * @param {{ name: string, kind: 'pdf' | 'docx' | 'xlsx' | 'html' | 'txt' | 'image' | 'text' | 'diagram', text: string, toc?: Array<object> | null, plan?: object | null, ocrPages?: Record<number, number> | null, ocrFailedPages?: Array<number> }} fields
+ * @returns {object} The document.
+ */
+export const createWorkspaceDocument = ({ name, kind, text, toc = null, plan = null, ocrPages = null, ocrFailedPages = [] }) => ({
+    id: `doc-${Date.now()}-${nextDocumentNumber++}`,
+    name,
+    kind,
+    text,
+    toc,
+    plan,
+    questions: [],
+    ocrPages,
+    ocrFailedPages,
+});
+
+/**
+ * Rewrites a document's page markers so they also name the file:
+ * `[Source: Page 3]` becomes `[Source: policy.pdf, Page 3]`.
+ * @param {{ name: string, text: string }} doc The document.
+ * @returns {string} The tagged text.
+ */
+export const tagDocumentPages = (doc) => {
+    const tagged = doc.text.replace(/\[Source: Page (\d+)\]/g, `[Source: ${doc.name}, Page $1]`);
+    return tagged === doc.text ? `[Source: ${doc.name}]\n${doc.text}` : tagged;
+};
+
+/**
+ * Joins every workspace document into one source text in which each passage
+ * can be cited by file name and page.
+ * @param {Array<{ name: string, text: string }>} docs The workspace documents.
+ * @returns {string} The combined source.
+ */
+export const buildWorkspaceSource = (docs) => docs
+    .map(doc => `===== المستند: ${doc.name} =====\n${tagDocumentPages(doc)}`)
+    .join('\n\n');
+
+// Two steps are aligned when their texts share at least this much; above SAME_THRESHOLD they are equal.
+const MATCH_THRESHOLD = 0.25;
+const SAME_THRESHOLD = 0.8;
+
+/**
+ * Lines up two processes step by step (a global alignment on text similarity, keeping
+ * the step order of both) and marks what differs.
+ * @param {Array<object>} stepsA The steps of the first process.
+ * @param {Array<object>} stepsB The steps of the second process.
+ * @returns {Array<{ status: 'same' | 'changed' | 'removed' | 'added', a?: object, b?: object, similarity: number, differences: Array<string> }>}
+ *   One row per aligned pair or unmatched step. `differences` names the fields that differ
+ *   (`description`, `type`, `actor`, `page`, `branches`).
+ */
+export const compareProcesses = (stepsA, stepsB) => {
+    const a = normalizeSteps(stepsA);
+    const b = normalizeSteps(stepsB);
+    const similarity = a.map(stepA => b.map(stepB => textSimilarity(stepA.description, stepB.description)));
+
+    // score[i][j]: best total similarity aligning a[i..] with b[j..].
+    const score = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            const match = similarity[i][j] >= MATCH_THRESHOLD ? similarity[i][j] + score[i + 1][j + 1] : -Infinity;
+            score[i][j] = Math.max(match, score[i + 1][j], score[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        const canMatch = i < a.length && j < b.length && similarity[i][j] >= MATCH_THRESHOLD
+            && score[i][j] === similarity[i][j] + score[i + 1][j + 1];
+        if (canMatch) {
+            const stepA = a[i];
+            const stepB = b[j];
+            const differences = [];
+            if (similarity[i][j] < 1) differences.push('description');
+            if (stepA.type !== stepB.type) differences.push('type');
+            if (getStepActor(stepA) !== getStepActor(stepB)) differences.push('actor');
+            if (stepA.page !== stepB.page) differences.push('page');
+            if (stepA.next.length !== stepB.next.length) differences.push('branches');
+            const isSame = similarity[i][j] >= SAME_THRESHOLD && !differences.some(field => ['type', 'actor', 'branches'].includes(field));
+            rows.push({ status: isSame ? 'same' : 'changed', a: stepA, b: stepB, similarity: similarity[i][j], differences });
+            i += 1;
+            j += 1;
+        } else if (j >= b.length || (i < a.length && score[i][j] === score[i + 1][j])) {
+            rows.push({ status: 'removed', a: a[i], similarity: 0, differences: [] });
+            i += 1;
+        } else {
+            rows.push({ status: 'added', b: b[j], similarity: 0, differences: [] });
+            j += 1;
+        }
+    }
+    return rows;
+};
@@ -0,0 +1,70 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// === ZIP Reader ===
+// Just enough of the ZIP format to read Office Open XML packages (.docx, .xlsx):
+// the central directory is parsed once and entries are inflated on demand with the
+// browser's DecompressionStream. ZIP64, encryption and multi-part archives are not supported.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Finds the end-of-central-directory record, which sits at the end behind an optional comment.
+ */
+const findEndOfCentralDirectory = (view) => {
+    const earliest = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= earliest; offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    return -1;
+};
+
+/**
+ * Opens a ZIP archive.
+ * @param {ArrayBuffer} buffer The archive.
+ * @returns {{ names: Array<string>, has: (name: string) => boolean, readText: (name: string) => Promise<string> }}
+ *   The entry names and a reader for UTF-8 text entries.
+ * @throws {Error} When the file is not a ZIP archive.
+ */
+export const openZip = (buffer) => {
+    const view = new DataView(buffer);
+    const end = findEndOfCentralDirectory(view);
+    if (end === -1) throw new Error('الملف ليس حزمة ZIP صالحة.');
+
+    const entries = new Map();
+    const decoder = new TextDecoder();
+    let offset = view.getUint32(end + 16, true);
+    const count = view.getUint16(end + 10, true);
+    for (let index = 0; index < count; index++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) throw new Error('فهرس حزمة ZIP تالف.');
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            localHeader: view.getUint32(offset + 42, true),
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    const readText = async (name) => {
+        const entry = entries.get(name);
+        if (!entry) throw new Error(`الملف "${name}" غير موجود في الحزمة.`);
+        const header = entry.localHeader;
+        if (view.getUint32(header, true) !== LOCAL_FILE_HEADER) throw new Error('حزمة ZIP تالفة.');
+        const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+        const bytes = new Uint8Array(buffer, start, entry.compressedSize);
+        if (entry.method === STORED) return decoder.decode(bytes);
+        if (entry.method !== DEFLATED) throw new Error(`طريقة الضغط ${entry.method} غير مدعومة.`);
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    };
+
+    return { names: [...entries.keys()], has: (name) => entries.has(name), readText };
+};